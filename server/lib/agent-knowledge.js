@@ -343,6 +343,12 @@ export function deleteKnowledge(id) {
   return true;
 }
 
+// Entry count and newest entry across all agents; changes whenever knowledge is added or removed
+export function getKnowledgeFingerprint() {
+  const row = db.prepare('SELECT COUNT(*) AS count, MAX(created_at) AS latest FROM agent_knowledge').get();
+  return `${row.count}:${row.latest}`;
+}
+
 export function getKnowledgeStats(agentId) {
   const stats = db.prepare(`
     SELECT
@@ -492,6 +498,7 @@ export default {
   searchAgentKnowledge,
   deleteKnowledge,
   getKnowledgeStats,
+  getKnowledgeFingerprint,
   createConversation,
   getConversation,
   getConversations,
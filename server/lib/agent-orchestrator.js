@@ -11,6 +11,7 @@
 
 import * as agentKnowledge from './agent-knowledge.js';
 import * as aiProvider from './ai-provider.js';
+import * as retrieval from './retrieval.js';
 
 // Agent matching keywords for fast routing
 const AGENT_KEYWORDS = {
@@ -168,9 +169,10 @@ Respond in JSON format:
 // ============================================
 
 /**
- * Execute a request with a specific agent
+ * Execute a request with a specific agent.
+ * Pass options.onToken (and options.signal) to stream the reply.
  */
-export async function executeWithAgent(agentId, message, conversationHistory = []) {
+export async function executeWithAgent(agentId, message, conversationHistory = [], options = {}) {
   const context = agentKnowledge.getAgentContext(agentId);
 
   if (!context) {
@@ -178,14 +180,17 @@ export async function executeWithAgent(agentId, message, conversationHistory = [
   }
 
   // Search agent's knowledge base for relevant context
-  const relevantKnowledge = agentKnowledge.searchAgentKnowledge(agentId, message, 5);
+  let relevantKnowledge = [];
+  try {
+    relevantKnowledge = await retrieval.search(message, { limit: 5, sources: ['agent_knowledge'], agentId });
+  } catch (e) {
+    console.log(`[Orchestrator] Knowledge search failed for ${agentId}:`, e.message);
+  }
 
   let knowledgeContext = '';
   if (relevantKnowledge.length > 0) {
-    knowledgeContext = '\n\nRelevant information from your knowledge base:\n';
-    for (const entry of relevantKnowledge) {
-      knowledgeContext += `---\n${entry.title}:\n${entry.content?.substring(0, 1000) || entry.summary || ''}\n`;
-    }
+    knowledgeContext = '\n\nRelevant information from your knowledge base:\n' +
+      retrieval.formatContext(relevantKnowledge, { maxChars: 1000 }) + '\n';
   }
 
   const systemPrompt = context.systemPrompt + knowledgeContext;
@@ -199,9 +204,12 @@ export async function executeWithAgent(agentId, message, conversationHistory = [
     { role: 'user', content: message }
   ];
 
-  const response = await aiProvider.chat(messages, {
+  const send = options.onToken ? aiProvider.chatStream : aiProvider.chat;
+  const response = await send(messages, {
     systemPrompt,
-    agentId
+    agentId,
+    onToken: options.onToken,
+    signal: options.signal
   });
 
   return {
@@ -384,7 +392,7 @@ Please synthesize these responses into a single, cohesive answer that:
 /**
  * Chat directly with a specific agent (bypassing orchestration)
  */
-export async function chatWithAgent(agentId, message, conversationId = null, userId = 'default') {
+export async function chatWithAgent(agentId, message, conversationId = null, userId = 'default', options = {}) {
   // Create or get conversation
   let convId = conversationId;
   if (!convId) {
@@ -398,7 +406,7 @@ export async function chatWithAgent(agentId, message, conversationId = null, use
   agentKnowledge.addMessage(convId, 'user', message);
 
   // Execute with agent
-  const result = await executeWithAgent(agentId, message, history);
+  const result = await executeWithAgent(agentId, message, history, options);
 
   // Store agent response
   agentKnowledge.addMessage(convId, 'agent', result.response, agentId);
@@ -408,7 +416,9 @@ export async function chatWithAgent(agentId, message, conversationId = null, use
     agentId: result.agentId,
     agentName: result.agentName,
     response: result.response,
-    knowledgeUsed: result.knowledgeUsed
+    knowledgeUsed: result.knowledgeUsed,
+    provider: result.provider,
+    model: result.model
   };
 }
 
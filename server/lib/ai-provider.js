@@ -7,6 +7,10 @@ import Anthropic from '@anthropic-ai/sdk';
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { getSetting, setSetting, logAgentInteraction } from './database.js';
+import * as usageLedger from './ai-usage.js';
+import * as providerHealth from './provider-health.js';
+import * as schemas from './ai-schemas.js';
+import { buildLearningContext } from './draft-revisions.js';
 
 // Provider instances
 let anthropicClient = null;
@@ -111,13 +115,12 @@ function getDefaultModel(provider) {
 /**
  * Get the cheapest available provider for bulk/routine operations.
  * Priority: Groq (free tier Llama/Qwen) > Gemini (free/cheap) > Kimi (free tier) > OpenAI > Claude (most expensive)
+ * Providers with an open circuit are passed over while a cheaper healthy one exists.
  */
 export function getCostEffectiveProvider() {
-  if (groqApiKey) return { provider: 'groq', model: getDefaultModel('groq') };
-  if (geminiClient) return { provider: 'gemini', model: getDefaultModel('gemini') };
-  if (kimiApiKey) return { provider: 'kimi', model: getDefaultModel('kimi') };
-  if (openaiClient) return { provider: 'openai', model: getDefaultModel('openai') };
-  if (anthropicClient) return { provider: 'claude', model: getDefaultModel('claude') };
+  const configured = PROVIDER_ORDER.filter(p => isConfigured(p));
+  const provider = configured.find(p => providerHealth.isAvailable(p)) || configured[0];
+  if (provider) return { provider, model: getDefaultModel(provider) };
   return { provider: currentProvider, model: currentModel };
 }
 
@@ -211,6 +214,10 @@ export function getCurrentProvider() {
  * Update API key dynamically
  */
 export function updateApiKey(provider, apiKey) {
+  // A new key gets a fresh circuit
+  const aliases = { anthropic: 'claude', gpt: 'openai', google: 'gemini', nvidia: 'kimi' };
+  providerHealth.resetProvider(aliases[provider] || provider);
+
   if (provider === 'claude' || provider === 'anthropic') {
     anthropicClient = new Anthropic({ apiKey });
     storedKeys.anthropic = apiKey;
@@ -330,14 +337,45 @@ function parseProviderError(provider, error) {
   };
 }
 
+// Fallback order: FREE providers first, then paid ones. Claude LAST (most expensive).
+const PROVIDER_ORDER = ['groq', 'gemini', 'kimi', 'openai', 'claude'];
+
+function isConfigured(provider) {
+  const availableMap = { claude: !!anthropicClient, openai: !!openaiClient, gemini: !!geminiClient, kimi: !!kimiApiKey, groq: !!groqApiKey };
+  return !!availableMap[provider];
+}
+
 /**
- * Get fallback provider order (excluding the failed one)
+ * Get fallback provider order (excluding the failed one), reordered by
+ * observed health — see provider-health.js
  */
 function getFallbackProviders(failedProvider) {
-  // Fallback order: FREE providers first, then paid ones. Claude LAST (most expensive).
-  const allProviders = ['groq', 'gemini', 'kimi', 'openai', 'claude'];
-  const availableMap = { claude: !!anthropicClient, openai: !!openaiClient, gemini: !!geminiClient, kimi: !!kimiApiKey, groq: !!groqApiKey };
-  return allProviders.filter(p => p !== failedProvider && availableMap[p]);
+  return providerHealth.rankProviders(PROVIDER_ORDER.filter(p => p !== failedProvider && isConfigured(p)));
+}
+
+/**
+ * Providers from a chain whose circuit lets calls through. If every circuit
+ * is open, the one due to recover first is tried anyway rather than failing
+ * without a call.
+ */
+function usableProviders(chain) {
+  const usable = chain.filter(p => providerHealth.isAvailable(p.name));
+  if (usable.length > 0 || chain.length === 0) return { usable, forced: false };
+
+  const health = providerHealth.getHealth(chain.map(p => p.name));
+  const soonest = [...chain].sort((a, b) => (health[a.name].retryAt || '').localeCompare(health[b.name].retryAt || ''))[0];
+  console.warn(`[AI] All provider circuits open, trying ${soonest.name} anyway`);
+  return { usable: [soonest], forced: true };
+}
+
+/**
+ * Live circuit state, error rate and latency per configured provider
+ */
+export function getProviderHealth() {
+  return {
+    routing: providerHealth.getRoutingMode(),
+    providers: providerHealth.getHealth(PROVIDER_ORDER.filter(p => isConfigured(p)))
+  };
 }
 
 /**
@@ -346,19 +384,24 @@ function getFallbackProviders(failedProvider) {
 async function callProvider(provider, messages, options) {
   if (provider === 'openai') {
     const response = await chatWithOpenAI(messages, { ...options, model: options.model || getDefaultModel('openai') });
-    return { text: response.choices[0]?.message?.content || '', usage: response.usage || null };
+    const message = response.choices[0]?.message;
+    return { text: message?.content || '', usage: response.usage || null, toolCalls: parseOpenAIToolCalls(message) };
   } else if (provider === 'gemini') {
     const response = await chatWithGemini(messages, { ...options, model: options.model || getDefaultModel('gemini') });
-    return { text: response.text || '', usage: response.usage || null };
+    return { text: response.text || '', usage: response.usage || null, toolCalls: response.toolCalls || [] };
   } else if (provider === 'kimi') {
     const response = await chatWithKimi(messages, { ...options, model: options.model || getDefaultModel('kimi') });
-    return { text: response.text || '', usage: response.usage || null };
+    return { text: response.text || '', usage: response.usage || null, toolCalls: response.toolCalls || [] };
   } else if (provider === 'groq') {
     const response = await chatWithGroq(messages, { ...options, model: options.model || getDefaultModel('groq') });
-    return { text: response.text || '', usage: response.usage || null };
+    return { text: response.text || '', usage: response.usage || null, toolCalls: response.toolCalls || [] };
   } else {
     const response = await chatWithClaude(messages, { ...options, model: options.model || getDefaultModel('claude') });
-    return { text: response.content[0]?.text || '', usage: response.usage || null };
+    return {
+      text: response.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+      usage: response.usage || null,
+      toolCalls: response.content.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: b.input || {} }))
+    };
   }
 }
 
@@ -382,35 +425,84 @@ function isCodeRelated(messages) {
   return codeKeywords.test(lastMessage);
 }
 
+/**
+ * Pick the provider for a call under its feature's budget (see ai-usage.js).
+ * Over budget, the call moves to the cost-effective provider and won't fall
+ * back to the one it was moved off; a paused feature's call is refused.
+ */
+function routeForBudget(options) {
+  const feature = usageLedger.resolveFeature(options);
+  let provider = options.provider || currentProvider;
+  let model = options.model || (provider === currentProvider ? currentModel : getDefaultModel(provider));
+  let fallbacks = getFallbackProviders(provider);
+  let downgradedFrom;
+
+  const budget = usageLedger.checkBudget(feature);
+  if (budget.state === 'paused') {
+    const error = new Error(`${budget.reason}: ${feature} AI calls are paused until the budget resets or is raised`);
+    error.code = 'AI_BUDGET_PAUSED';
+    throw error;
+  }
+
+  if (budget.state === 'downgrade') {
+    const cheap = getCostEffectiveProvider();
+    if (cheap.provider !== provider || cheap.model !== model) {
+      downgradedFrom = `${provider}:${model}`;
+      fallbacks = getFallbackProviders(cheap.provider).filter(p => p !== provider);
+      provider = cheap.provider;
+      model = cheap.model;
+    }
+  }
+
+  return { provider, model, feature, downgradedFrom, fallbacks };
+}
+
 /**
  * Main chat completion function — BULLETPROOF provider routing
  *
  * Priority: groq (free, fast) → gemini (free) → kimi (free) → openai → claude (expensive, last resort)
  * ALWAYS tries every available provider before giving up.
- * Rate limits get exponential backoff retry (15s, then 30s).
+ * Providers whose circuit is open are skipped (see provider-health.js).
+ * A rate limit opens that provider's circuit and moves on; only the last
+ * usable provider gets exponential backoff retry (15s, then 30s).
  * Never stops at one provider failure.
+ *
+ * Pass options.tools ({ name, description, parameters } with a JSON Schema)
+ * for native function calling; the result then carries toolCalls
+ * ([{ id, name, arguments }]). Tool turns go back in as
+ * { role: 'assistant', content, toolCalls } and
+ * { role: 'tool', toolCallId, name, content } messages.
  */
 export async function chat(messages, options = {}) {
-  const provider = options.provider || currentProvider;
-  const model = options.model || currentModel;
+  const route = routeForBudget(options);
+  const { provider, model, feature, downgradedFrom } = route;
   const maxTokens = options.maxTokens || 1024;
   const temperature = options.temperature || 0.7;
   const systemPrompt = options.systemPrompt || null;
   const agentId = options.agentId || null;
-  const chatOptions = { model, maxTokens, temperature, systemPrompt };
+  const chatOptions = { model, maxTokens, temperature, systemPrompt, tools: options.tools?.length ? options.tools : null };
 
   // Build the full provider chain: primary first, then all available fallbacks
   const primaryProvider = { name: provider, model };
-  const fallbacks = getFallbackProviders(provider).map(p => ({ name: p, model: getDefaultModel(p) }));
-  const allProviders = [primaryProvider, ...fallbacks];
+  const fallbacks = route.fallbacks.map(p => ({ name: p, model: getDefaultModel(p) }));
+  const { usable, forced } = usableProviders([primaryProvider, ...fallbacks]);
 
   const errors = [];
 
-  for (const p of allProviders) {
+  for (const [index, p] of usable.entries()) {
+    // Another call may have taken a half-open circuit's probe meanwhile
+    if (!providerHealth.acquire(p.name) && !forced) continue;
+
     // Try this provider with up to 2 retries for rate limits
     for (let attempt = 0; attempt < 3; attempt++) {
+      const startedAt = Date.now();
       try {
         const result = await callProvider(p.name, messages, { ...chatOptions, model: p.model });
+        providerHealth.recordSuccess(p.name, Date.now() - startedAt);
+        const recorded = usageLedger.recordUsage({
+          feature, agentId, provider: p.name, model: p.model, usage: result.usage,
+          latencyMs: Date.now() - startedAt, messages, systemPrompt, text: result.text, downgradedFrom
+        });
 
         if (agentId) {
           try { logAgentInteraction(agentId, 'chat', { messages, options }, { text: result.text, model: p.model, provider: p.name }, '', true); } catch (e) {}
@@ -420,13 +512,28 @@ export async function chat(messages, options = {}) {
           console.log(`[AI] Used fallback: ${p.name} (primary ${provider} failed)`);
         }
 
-        return { text: result.text, provider: p.name, model: p.model, usage: result.usage, fallbackFrom: p.name !== provider ? provider : undefined };
+        return {
+          text: result.text,
+          toolCalls: result.toolCalls || [],
+          provider: p.name,
+          model: p.model,
+          usage: result.usage,
+          costUsd: recorded?.costUsd,
+          fallbackFrom: p.name !== provider ? provider : undefined,
+          downgradedFrom
+        };
       } catch (error) {
         const parsed = parseProviderError(p.name, error);
+        usageLedger.recordUsage({
+          feature, agentId, provider: p.name, model: p.model,
+          latencyMs: Date.now() - startedAt, success: false, errorType: parsed.type, downgradedFrom
+        });
+        providerHealth.recordFailure(p.name, parsed.type, error.message);
         const isRateLimit = parsed.type === 'rate_limit' || /rate.?limit|quota|429|too many/i.test(error.message || '');
         const isAuthError = parsed.type === 'auth' || /credit|balance|unauthorized|invalid.*key|api.*key/i.test(error.message || '');
+        const hasNextProvider = usable.slice(index + 1).some(next => providerHealth.isAvailable(next.name));
 
-        if (isRateLimit && attempt < 2) {
+        if (isRateLimit && attempt < 2 && !hasNextProvider) {
           // Exponential backoff for rate limits: 15s, then 30s
           const backoffMs = (attempt + 1) * 15000;
           console.log(`[AI] ${p.name} rate limited, waiting ${backoffMs / 1000}s (attempt ${attempt + 1}/3)...`);
@@ -466,15 +573,10 @@ async function chatWithClaude(messages, options) {
     throw new Error('Anthropic client not initialized. Add ANTHROPIC_API_KEY to .env');
   }
 
-  const formattedMessages = messages.map(m => ({
-    role: m.role === 'assistant' ? 'assistant' : 'user',
-    content: m.content
-  }));
-
   const requestParams = {
     model: options.model,
     max_tokens: options.maxTokens,
-    messages: formattedMessages
+    messages: toClaudeMessages(messages)
   };
 
   if (options.systemPrompt) {
@@ -486,6 +588,10 @@ async function chatWithClaude(messages, options) {
     requestParams.temperature = Math.min(options.temperature, 1);
   }
 
+  if (options.tools) {
+    requestParams.tools = options.tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+  }
+
   return await anthropicClient.messages.create(requestParams);
 }
 
@@ -497,29 +603,12 @@ async function chatWithOpenAI(messages, options) {
     throw new Error('OpenAI client not initialized. Add OPENAI_API_KEY to .env');
   }
 
-  const formattedMessages = [];
-
-  // Add system prompt if provided
-  if (options.systemPrompt) {
-    formattedMessages.push({
-      role: 'system',
-      content: options.systemPrompt
-    });
-  }
-
-  // Add conversation messages
-  for (const m of messages) {
-    formattedMessages.push({
-      role: m.role,
-      content: m.content
-    });
-  }
-
   return await openaiClient.chat.completions.create({
     model: options.model,
-    messages: formattedMessages,
+    messages: toOpenAIMessages(messages, options.systemPrompt),
     max_tokens: options.maxTokens,
-    temperature: options.temperature
+    temperature: options.temperature,
+    ...(options.tools && { tools: toOpenAITools(options.tools) })
   });
 }
 
@@ -539,36 +628,23 @@ async function chatWithGemini(messages, options) {
     }
   };
 
-  // Try native systemInstruction (newer SDK), fall back to prepending
-  let systemInstruction = options.systemPrompt || '';
-  try {
-    if (systemInstruction) {
-      modelConfig.systemInstruction = systemInstruction;
-    }
-  } catch {
-    // Older SDK version — will prepend to prompt instead
+  if (options.systemPrompt) {
+    modelConfig.systemInstruction = options.systemPrompt;
   }
 
-  const model = geminiClient.getGenerativeModel(modelConfig);
-
-  // Build conversation history
-  const history = [];
-
-  for (const m of messages.slice(0, -1)) {
-    history.push({
-      role: m.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: m.content }]
-    });
+  if (options.tools) {
+    modelConfig.tools = [{
+      functionDeclarations: options.tools.map(t => ({ name: t.name, description: t.description, parameters: toGeminiParameters(t.parameters) }))
+    }];
   }
 
-  // Get the last message as the current prompt
-  const lastMessage = messages[messages.length - 1];
-  let prompt = lastMessage?.content || '';
+  const model = geminiClient.getGenerativeModel(modelConfig);
 
-  // If systemInstruction wasn't set in config (older SDK), prepend to prompt
-  if (systemInstruction && !modelConfig.systemInstruction) {
-    prompt = `${systemInstruction}\n\n${prompt}`;
-  }
+  // Everything but the last turn is history; the last turn's parts are sent
+  // (tool results go out as functionResponse parts)
+  const contents = toGeminiContents(messages);
+  const history = contents.slice(0, -1);
+  const prompt = contents[contents.length - 1]?.parts || '';
 
   try {
     const chat = model.startChat({ history });
@@ -577,7 +653,8 @@ async function chatWithGemini(messages, options) {
 
     return {
       text: response.text(),
-      usage: null
+      usage: response.usageMetadata || null,
+      toolCalls: (response.functionCalls() || []).map((call, i) => ({ id: `call_${i}`, name: call.name, arguments: call.args || {} }))
     };
   } catch (error) {
     console.error('Gemini chat error:', error);
@@ -594,24 +671,6 @@ async function chatWithKimi(messages, options) {
     throw new Error('Kimi/NVIDIA API key not initialized. Add KIMI_API_KEY or NVIDIA_API_KEY to .env');
   }
 
-  const formattedMessages = [];
-
-  // Add system prompt if provided
-  if (options.systemPrompt) {
-    formattedMessages.push({
-      role: 'system',
-      content: options.systemPrompt
-    });
-  }
-
-  // Add conversation messages
-  for (const m of messages) {
-    formattedMessages.push({
-      role: m.role,
-      content: m.content
-    });
-  }
-
   try {
     // NVIDIA NIM API uses OpenAI-compatible endpoint
     const response = await fetch('https://integrate.api.nvidia.com/v1/chat/completions', {
@@ -622,10 +681,11 @@ async function chatWithKimi(messages, options) {
       },
       body: JSON.stringify({
         model: options.model || 'nvidia/llama-3.1-nemotron-70b-instruct',
-        messages: formattedMessages,
+        messages: toOpenAIMessages(messages, options.systemPrompt),
         max_tokens: options.maxTokens || 1024,
         temperature: options.temperature || 0.7,
-        stream: false
+        stream: false,
+        ...(options.tools && { tools: toOpenAITools(options.tools) })
       })
     });
 
@@ -635,10 +695,12 @@ async function chatWithKimi(messages, options) {
     }
 
     const data = await response.json();
+    const message = data.choices?.[0]?.message;
 
     return {
-      text: data.choices?.[0]?.message?.content || '',
-      usage: data.usage || null
+      text: message?.content || '',
+      usage: data.usage || null,
+      toolCalls: parseOpenAIToolCalls(message)
     };
   } catch (error) {
     console.error('Kimi/NVIDIA chat error:', error);
@@ -655,24 +717,6 @@ async function chatWithGroq(messages, options) {
     throw new Error('Groq API key not initialized. Get a free key at console.groq.com and add GROQ_API_KEY to .env');
   }
 
-  const formattedMessages = [];
-
-  // Add system prompt if provided
-  if (options.systemPrompt) {
-    formattedMessages.push({
-      role: 'system',
-      content: options.systemPrompt
-    });
-  }
-
-  // Add conversation messages
-  for (const m of messages) {
-    formattedMessages.push({
-      role: m.role,
-      content: m.content
-    });
-  }
-
   try {
     const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
       method: 'POST',
@@ -682,10 +726,11 @@ async function chatWithGroq(messages, options) {
       },
       body: JSON.stringify({
         model: options.model || 'llama-3.3-70b-versatile',
-        messages: formattedMessages,
+        messages: toOpenAIMessages(messages, options.systemPrompt),
         max_tokens: options.maxTokens || 1024,
         temperature: options.temperature || 0.7,
-        stream: false
+        stream: false,
+        ...(options.tools && { tools: toOpenAITools(options.tools) })
       })
     });
 
@@ -695,10 +740,12 @@ async function chatWithGroq(messages, options) {
     }
 
     const data = await response.json();
+    const message = data.choices?.[0]?.message;
 
     return {
-      text: data.choices?.[0]?.message?.content || '',
-      usage: data.usage || null
+      text: message?.content || '',
+      usage: data.usage || null,
+      toolCalls: parseOpenAIToolCalls(message)
     };
   } catch (error) {
     console.error('Groq chat error:', error);
@@ -706,6 +753,402 @@ async function chatWithGroq(messages, options) {
   }
 }
 
+// ============================================
+// TOOL CALLING FORMATS
+// ============================================
+
+/**
+ * OpenAI, Groq and Kimi messages; assistant tool calls and tool results map
+ * onto tool_calls / role "tool"
+ */
+function toOpenAIMessages(messages, systemPrompt) {
+  const formatted = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      formatted.push({ role: 'tool', tool_call_id: m.toolCallId, content: m.content });
+    } else if (m.toolCalls?.length) {
+      formatted.push({
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(c => ({
+          id: c.id,
+          type: 'function',
+          function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) }
+        }))
+      });
+    } else {
+      formatted.push({ role: m.role, content: m.content });
+    }
+  }
+  return formatted;
+}
+
+function toOpenAITools(tools) {
+  return tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+}
+
+function parseOpenAIToolCalls(message) {
+  return (message?.tool_calls || []).map(call => {
+    let args = {};
+    try { args = JSON.parse(call.function?.arguments || '{}'); } catch (e) {}
+    return { id: call.id, name: call.function?.name, arguments: args };
+  });
+}
+
+/**
+ * Claude messages; tool results are tool_result blocks in a user turn, and
+ * consecutive results share one turn
+ */
+function toClaudeMessages(messages) {
+  const formatted = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+      const last = formatted[formatted.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        formatted.push({ role: 'user', content: [block] });
+      }
+    } else if (m.toolCalls?.length) {
+      formatted.push({
+        role: 'assistant',
+        content: [
+          ...(m.content ? [{ type: 'text', text: m.content }] : []),
+          ...m.toolCalls.map(c => ({ type: 'tool_use', id: c.id, name: c.name, input: c.arguments || {} }))
+        ]
+      });
+    } else {
+      formatted.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content });
+    }
+  }
+  return formatted;
+}
+
+/**
+ * Gemini contents; tool calls are functionCall parts on the model turn and
+ * results are functionResponse parts in a "function" turn
+ */
+function toGeminiContents(messages) {
+  const contents = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      let response;
+      try { response = JSON.parse(m.content); } catch (e) { response = m.content; }
+      const part = { functionResponse: { name: m.name, response: { result: response } } };
+      const last = contents[contents.length - 1];
+      if (last?.role === 'function') last.parts.push(part);
+      else contents.push({ role: 'function', parts: [part] });
+    } else if (m.toolCalls?.length) {
+      contents.push({
+        role: 'model',
+        parts: [
+          ...(m.content ? [{ text: m.content }] : []),
+          ...m.toolCalls.map(c => ({ functionCall: { name: c.name, args: c.arguments || {} } }))
+        ]
+      });
+    } else {
+      contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] });
+    }
+  }
+  return contents;
+}
+
+/**
+ * Gemini rejects object parameters without declared properties, so a tool
+ * with no parameters declares none and free-form object arguments are taken
+ * as JSON strings instead
+ */
+function toGeminiParameters(schema) {
+  if (!Object.keys(schema?.properties || {}).length) return undefined;
+  return toGeminiSchema(schema);
+}
+
+function toGeminiSchema(schema) {
+  if (schema.type === 'object' && !Object.keys(schema.properties || {}).length) {
+    return { type: 'string', description: `${schema.description || 'Object'} (as a JSON string)` };
+  }
+  const converted = { ...schema };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+}
+
+// ============================================
+// STRUCTURED OUTPUT
+// ============================================
+
+/**
+ * chat() for replies that must match a schema in ai-schemas.js. The reply is
+ * parsed and normalized; if it doesn't validate, the model is shown its
+ * problems and asked once to repair it. Resolves with chat()'s result plus
+ * `data` (the normalized output) and `repaired`; throws AI_OUTPUT_INVALID
+ * when the repaired reply still fails.
+ */
+export async function chatStructured(messages, type, options = {}) {
+  const result = await chat(messages, options);
+  const checked = schemas.parseOutput(type, result.text);
+  if (checked.errors.length === 0) {
+    return { ...result, data: checked.value, repaired: false };
+  }
+
+  console.warn(`[AI] ${type} output invalid from ${result.provider}, asking for a repair: ${checked.errors.slice(0, 3).join('; ')}`);
+  const repair = await chat([
+    ...messages,
+    { role: 'assistant', content: result.text },
+    { role: 'user', content: schemas.repairPrompt(type, checked.errors) }
+  ], options);
+
+  const rechecked = schemas.parseOutput(type, repair.text);
+  if (rechecked.errors.length === 0) {
+    return { ...repair, data: rechecked.value, repaired: true };
+  }
+
+  const error = new Error(`${schemas.SCHEMAS[type].label} output failed validation after repair: ${rechecked.errors.slice(0, 3).join('; ')}`);
+  error.code = 'AI_OUTPUT_INVALID';
+  error.details = rechecked.errors;
+  throw error;
+}
+
+// ============================================
+// STREAMING
+// ============================================
+
+/**
+ * Streaming variant of chat(): calls options.onToken(text) for every chunk
+ * as it arrives and resolves with the same shape as chat().
+ *
+ * Falls back through providers like chat(), but only until the first token
+ * has been sent — a partial answer can't be taken back. Rate limits move
+ * straight to the next provider instead of waiting, since someone is
+ * watching the reply. Pass options.signal to stop when the client leaves.
+ */
+export async function chatStream(messages, options = {}) {
+  const route = routeForBudget(options);
+  const { provider, model, feature, downgradedFrom } = route;
+  const agentId = options.agentId || null;
+  const onToken = options.onToken || (() => {});
+  const chatOptions = {
+    model,
+    maxTokens: options.maxTokens || 1024,
+    temperature: options.temperature || 0.7,
+    systemPrompt: options.systemPrompt || null,
+    signal: options.signal
+  };
+
+  const { usable, forced } = usableProviders([
+    { name: provider, model },
+    ...route.fallbacks.map(p => ({ name: p, model: getDefaultModel(p) }))
+  ]);
+
+  const errors = [];
+
+  for (const p of usable) {
+    if (!providerHealth.acquire(p.name) && !forced) continue;
+
+    let text = '';
+    const startedAt = Date.now();
+    const record = (entry) => usageLedger.recordUsage({
+      feature, agentId, provider: p.name, model: p.model, messages,
+      systemPrompt: chatOptions.systemPrompt, text, latencyMs: Date.now() - startedAt, downgradedFrom, ...entry
+    });
+    try {
+      const usage = await streamProvider(p.name, messages, { ...chatOptions, model: p.model }, (delta) => {
+        if (!delta) return;
+        text += delta;
+        onToken(delta);
+      });
+      // Stream duration depends on reply length, so it doesn't feed latency
+      providerHealth.recordSuccess(p.name);
+      const recorded = record({ usage });
+
+      if (agentId) {
+        try { logAgentInteraction(agentId, 'chat', { messages, options: { ...options, onToken: undefined, signal: undefined } }, { text, model: p.model, provider: p.name }, '', true); } catch (e) {}
+      }
+
+      if (p.name !== provider) {
+        console.log(`[AI] Streamed with fallback: ${p.name} (primary ${provider} failed)`);
+      }
+
+      return {
+        text,
+        provider: p.name,
+        model: p.model,
+        usage,
+        costUsd: recorded?.costUsd,
+        fallbackFrom: p.name !== provider ? provider : undefined,
+        downgradedFrom
+      };
+    } catch (error) {
+      if (chatOptions.signal?.aborted) {
+        // Tokens generated before the client left are still billed
+        record({ errorType: 'aborted' });
+        if (text) providerHealth.recordSuccess(p.name);
+        else providerHealth.release(p.name);
+        return { text, provider: p.name, model: p.model, usage: null, aborted: true };
+      }
+
+      const parsed = parseProviderError(p.name, error);
+      record({ success: !!text, errorType: parsed.type });
+      providerHealth.recordFailure(p.name, parsed.type, error.message);
+      if (text) {
+        throw new Error(`${p.name} stream interrupted: ${parsed.userMessage}`);
+      }
+
+      console.warn(`[AI] ${p.name} stream failed (${parsed.type}): ${parsed.userMessage.substring(0, 100)}`);
+      errors.push({ provider: p.name, error: parsed });
+    }
+  }
+
+  if (agentId) {
+    try { logAgentInteraction(agentId, 'chat', { messages }, { error: 'All providers failed' }, '', false); } catch (e) {}
+  }
+
+  const triedProviders = errors.map(e => `${e.provider}: ${e.error.userMessage.substring(0, 60)}`).join(' | ');
+  throw new Error(`All ${errors.length} AI providers failed. Tried: ${triedProviders}`);
+}
+
+/**
+ * Stream from a specific provider; resolves with usage when available
+ */
+async function streamProvider(provider, messages, options, onToken) {
+  if (provider === 'openai') return streamWithOpenAI(messages, options, onToken);
+  if (provider === 'gemini') return streamWithGemini(messages, options, onToken);
+  if (provider === 'kimi') {
+    if (!kimiApiKey) throw new Error('Kimi/NVIDIA API key not initialized. Add KIMI_API_KEY or NVIDIA_API_KEY to .env');
+    return streamOpenAICompatible('https://integrate.api.nvidia.com/v1/chat/completions', kimiApiKey, 'NVIDIA', messages, options, onToken);
+  }
+  if (provider === 'groq') {
+    if (!groqApiKey) throw new Error('Groq API key not initialized. Get a free key at console.groq.com and add GROQ_API_KEY to .env');
+    return streamOpenAICompatible('https://api.groq.com/openai/v1/chat/completions', groqApiKey, 'Groq', messages, options, onToken);
+  }
+  return streamWithClaude(messages, options, onToken);
+}
+
+async function streamWithClaude(messages, options, onToken) {
+  if (!anthropicClient) {
+    throw new Error('Anthropic client not initialized. Add ANTHROPIC_API_KEY to .env');
+  }
+
+  const requestParams = {
+    model: options.model,
+    max_tokens: options.maxTokens,
+    messages: messages.map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
+    stream: true
+  };
+  if (options.systemPrompt) requestParams.system = options.systemPrompt;
+  if (options.temperature !== undefined) requestParams.temperature = Math.min(options.temperature, 1);
+
+  const stream = await anthropicClient.messages.create(requestParams, { signal: options.signal });
+  const usage = {};
+  for await (const event of stream) {
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      onToken(event.delta.text);
+    } else if (event.type === 'message_start') {
+      Object.assign(usage, event.message?.usage);
+    } else if (event.type === 'message_delta') {
+      Object.assign(usage, event.usage);
+    }
+  }
+  return Object.keys(usage).length ? usage : null;
+}
+
+async function streamWithOpenAI(messages, options, onToken) {
+  if (!openaiClient) {
+    throw new Error('OpenAI client not initialized. Add OPENAI_API_KEY to .env');
+  }
+
+  const stream = await openaiClient.chat.completions.create({
+    model: options.model,
+    messages: toOpenAIMessages(messages, options.systemPrompt),
+    max_tokens: options.maxTokens,
+    temperature: options.temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal: options.signal });
+
+  let usage = null;
+  for await (const chunk of stream) {
+    onToken(chunk.choices?.[0]?.delta?.content);
+    if (chunk.usage) usage = chunk.usage;
+  }
+  return usage;
+}
+
+async function streamWithGemini(messages, options, onToken) {
+  if (!geminiClient) {
+    throw new Error('Gemini client not initialized. Add GEMINI_API_KEY to .env or settings');
+  }
+
+  const modelConfig = {
+    model: options.model || 'gemini-2.0-flash',
+    generationConfig: { maxOutputTokens: options.maxTokens, temperature: options.temperature }
+  };
+  if (options.systemPrompt) modelConfig.systemInstruction = options.systemPrompt;
+
+  const history = messages.slice(0, -1).map(m => ({
+    role: m.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: m.content }]
+  }));
+  const prompt = messages[messages.length - 1]?.content || '';
+
+  const chatSession = geminiClient.getGenerativeModel(modelConfig).startChat({ history });
+  const result = await chatSession.sendMessageStream(prompt, { signal: options.signal });
+  for await (const chunk of result.stream) {
+    onToken(chunk.text());
+  }
+  const response = await result.response;
+  return response.usageMetadata || null;
+}
+
+/**
+ * Kimi (NVIDIA NIM) and Groq share the OpenAI wire format: SSE lines of
+ * "data: {json}" terminated by "data: [DONE]"
+ */
+async function streamOpenAICompatible(url, apiKey, label, messages, options, onToken) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: options.model,
+      messages: toOpenAIMessages(messages, options.systemPrompt),
+      max_tokens: options.maxTokens || 1024,
+      temperature: options.temperature || 0.7,
+      stream: true
+    }),
+    signal: options.signal
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`${label} API error: ${response.status} - ${error}`);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.startsWith('data:') || data === '[DONE]') continue;
+      const chunk = JSON.parse(data);
+      onToken(chunk.choices?.[0]?.delta?.content);
+      // Groq reports usage under x_groq on the final chunk
+      if (chunk.usage || chunk.x_groq?.usage) usage = chunk.usage || chunk.x_groq.usage;
+    }
+  }
+  return usage;
+}
+
 /**
  * Load SOP (Standard Operating Procedures) content for AI context.
  * Cached in memory for 5 minutes to avoid DB reads on every request.
@@ -787,28 +1230,22 @@ Priority: ${ticket.priority || 'Unknown'}
 Status: ${ticket.status || 'Unknown'}
 ${extractedSummary ? `\nEXTRACTED DATA (auto-parsed from ticket):\n${extractedSummary}` : ''}
 
-Respond in JSON format only. No markdown, just the raw JSON object.`;
+Respond with ONLY a JSON object in this shape (no markdown):
+${schemas.describeSchema('ticket_analysis')}`;
 
-  const result = await chat([{ role: 'user', content: prompt }], {
+  const result = await chatStructured([{ role: 'user', content: prompt }], 'ticket_analysis', {
     ...options,
     maxTokens: 1024,
     agentId: options.agentId || 'ticket-analyzer'
   });
 
-  // Parse JSON from response
-  const jsonMatch = result.text.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    const analysis = JSON.parse(jsonMatch[0]);
-    return {
-      ...analysis,
-      // Always include regex-extracted links (even if AI misses them)
-      extracted_links: extractedLinks,
-      provider: result.provider,
-      model: result.model
-    };
-  }
-
-  throw new Error('Failed to parse AI analysis response');
+  return {
+    ...result.data,
+    // Always include regex-extracted links (even if AI misses them)
+    extracted_links: extractedLinks,
+    provider: result.provider,
+    model: result.model
+  };
 }
 
 /**
@@ -850,18 +1287,26 @@ ${similarTickets.map((s, i) => `
 ${i + 1}. Ticket #${s.id}: "${s.subject}"
    ${s.resolution ? `Resolution: ${s.resolution}` : ''}
    Keywords: ${(s.keywords || []).slice(0, 5).join(', ')}
-   Match Score: ${s.score} keywords matched
+   Relevance: ${Math.round((s.score || 0) * 100)}%
 `).join('')}
 
 Use the resolutions and insights from these similar tickets to inform your response. Reference their solutions where applicable.`;
   }
 
-  // Search casebook for human-approved responses to similar issues
+  // Human-approved responses to similar issues (callers that already ran
+  // retrieval pass options.casebookMatches)
   let casebookContext = '';
   try {
-    const { searchCasebook } = await import('./database.js');
-    const searchTerms = ticket.subject.split(/\s+/).filter(w => w.length > 3);
-    const casebookMatches = searchCasebook(searchTerms, 3);
+    let casebookMatches = options.casebookMatches;
+    if (!casebookMatches) {
+      const { search } = await import('./retrieval.js');
+      const results = await search(`${ticket.subject} ${(ticket.description || ticket.description_text || '').substring(0, 500)}`, { limit: 3, sources: ['casebook'] });
+      casebookMatches = results.map(r => ({
+        subject: r.title,
+        approved_response: r.metadata.approvedResponse,
+        sop_references: r.metadata.sopReferences
+      }));
+    }
     if (casebookMatches.length > 0) {
       casebookContext = `\n\nHUMAN-APPROVED CASEBOOK RESPONSES (these are gold-standard — match their tone and approach):\n` +
         casebookMatches.map((c, i) =>
@@ -928,6 +1373,14 @@ CRITICAL STYLE RULES based on your past responses:
     // Past responses not available yet — no style learning
   }
 
+  // Corrections reviewers keep making to AI drafts (see draft-revisions.js)
+  let correctionsContext = '';
+  try {
+    correctionsContext = buildLearningContext(ticket, { excludeTicketId: ticket.id });
+  } catch (e) {
+    // No revision history yet
+  }
+
   // Build signature
   const signatureSection = agentSignature && agentSignature.trim()
     ? `\nYOUR EMAIL SIGNATURE (use this EXACTLY at the end of every response):\n${agentSignature}\n`
@@ -956,7 +1409,7 @@ Description: ${ticket.description || ticket.description_text || 'No description
 Ticket Type: ${ticketType}
 ${analysis?.SUMMARY ? `Issue Summary: ${analysis.SUMMARY}` : ''}
 ${threadContext}${similarContext}
-${casebookContext}${cannedContext}${styleContext}
+${casebookContext}${cannedContext}${styleContext}${correctionsContext}
 RESPONSE GUIDELINES FOR ${ticketType.toUpperCase()} TICKETS:
 ${typeGuidelines[ticketType] || typeGuidelines.general}
 
@@ -969,7 +1422,7 @@ RESPONSE STRUCTURE:
 
 Write a warm, professional response. Do NOT use any markdown formatting.`;
 
-  const result = await chat([{ role: 'user', content: prompt }], {
+  const result = await chatStructured([{ role: 'user', content: prompt }], 'ticket_draft', {
     ...options,
     maxTokens: 1024,
     agentId: options.agentId || 'response-generator'
@@ -1014,7 +1467,7 @@ Provide a proactive analysis in JSON format:
   "summary": "Brief overview of current workload and priorities",
   "urgentItems": ["List of tickets needing immediate attention"],
   "recommendations": [
-    {"ticketId": 123, "action": "specific recommended action", "priority": "high/medium/low"},
+    {"ticketId": "123", "action": "specific recommended action", "priority": "high" | "medium" | "low"},
     ...
   ],
   "patterns": ["Any patterns noticed across tickets"],
@@ -1023,38 +1476,57 @@ Provide a proactive analysis in JSON format:
 
 Respond with ONLY the JSON object, no markdown.`;
 
-  const result = await chat([{ role: 'user', content: prompt }], {
-    ...options,
-    maxTokens: 2048,
-    agentId: options.agentId || 'proactive-analyzer'
-  });
-
-  const jsonMatch = result.text.match(/\{[\s\S]*\}/);
-  if (jsonMatch) {
-    const analysis = JSON.parse(jsonMatch[0]);
+  try {
+    const result = await chatStructured([{ role: 'user', content: prompt }], 'queue_analysis', {
+      ...options,
+      maxTokens: 2048,
+      agentId: options.agentId || 'proactive-analyzer'
+    });
     return {
-      ...analysis,
+      ...result.data,
       provider: result.provider,
       model: result.model
     };
+  } catch (error) {
+    if (error.code !== 'AI_OUTPUT_INVALID') throw error;
+    console.warn(`[AI] ${error.message}`);
+    return {
+      summary: 'Analysis complete',
+      recommendations: [],
+      patterns: []
+    };
   }
-
-  return {
-    summary: 'Analysis complete',
-    recommendations: [],
-    patterns: [],
-    provider: result.provider,
-    model: result.model
-  };
 }
 
 /**
  * Generate a response based on resolved ticket patterns (company standards)
- * Cross-references similar resolved tickets to learn response patterns
+ * Cross-references similar resolved tickets to learn response patterns.
+ * Without resolvedTickets, similar tickets and casebook entries are retrieved.
  */
 export async function generateSmartResponse(ticket, resolvedTickets = [], options = {}) {
   const { agentName, companyStandards } = options;
 
+  let citations = [];
+  if (!resolvedTickets || resolvedTickets.length === 0) {
+    try {
+      const retrieval = await import('./retrieval.js');
+      const results = await retrieval.search(
+        `${ticket.subject} ${(ticket.description || ticket.description_text || '').substring(0, 500)}`,
+        { limit: 5, sources: ['ticket', 'casebook'] }
+      );
+      citations = retrieval.toCitations(results);
+      resolvedTickets = results.map(r => ({
+        subject: r.title,
+        description: r.source === 'casebook' ? r.content.match(/Issue:\s*(.*)/)?.[1] : r.content.split('\nResolution:')[0],
+        resolution: r.source === 'casebook' ? r.metadata.approvedResponse : r.content.match(/Resolution:\s*([\s\S]*)/)?.[1],
+        keywords: []
+      }));
+    } catch (e) {
+      // Retrieval index not available — respond from company standards alone
+      resolvedTickets = [];
+    }
+  }
+
   // Build context from resolved tickets
   let resolvedContext = '';
   if (resolvedTickets && resolvedTickets.length > 0) {
@@ -1072,6 +1544,14 @@ IMPORTANT: Use the tone, structure, and solutions from these resolved tickets as
 Match the company's established response patterns.`;
   }
 
+  // Reviewer corrections and before/after edits as extra few-shot guidance
+  let correctionsContext = '';
+  try {
+    correctionsContext = buildLearningContext(ticket, { excludeTicketId: ticket.id });
+  } catch (e) {
+    // No revision history yet
+  }
+
   // Company standards prompt
   const standardsPrompt = companyStandards || `
 COMPANY RESPONSE STANDARDS:
@@ -1097,7 +1577,7 @@ Subject: ${ticket.subject}
 Description: ${ticket.description || ticket.description_text || 'No description'}
 Customer: ${ticket.requester?.name || ticket.requester_name || 'Customer'}
 Priority: ${ticket.priority || 'Normal'}
-${resolvedContext}
+${resolvedContext}${correctionsContext}
 
 FORMATTING RULES:
 - Plain text only, NO markdown
@@ -1107,7 +1587,7 @@ FORMATTING RULES:
 
 Write your response now:`;
 
-  const result = await chat([{ role: 'user', content: prompt }], {
+  const result = await chatStructured([{ role: 'user', content: prompt }], 'ticket_draft', {
     ...options,
     maxTokens: 800,
     temperature: 0.7,
@@ -1125,6 +1605,7 @@ Write your response now:`;
   return {
     response,
     basedOnTickets: resolvedTickets.length,
+    citations,
     provider: result.provider,
     model: result.model
   };
@@ -1218,9 +1699,18 @@ Respond with ONLY the JSON object.`;
  */
 export async function analyzeImage(imageBase64, prompt, options = {}) {
   const systemPrompt = options.systemPrompt || 'You are a vision AI assistant for the LIV8 Command Center. Analyze images concisely. For voice responses, keep it under 3 sentences.';
+  const { feature } = routeForBudget({ feature: 'vision', ...options });
+  const record = (provider, model, startedAt, entry) => {
+    if (entry.success === false) providerHealth.recordFailure(provider, entry.errorType);
+    else providerHealth.recordSuccess(provider, Date.now() - startedAt);
+    return usageLedger.recordUsage({
+      feature, agentId: options.agentId, provider, model, latencyMs: Date.now() - startedAt, ...entry
+    });
+  };
 
   // Try Gemini first (free + excellent vision)
-  if (geminiClient) {
+  if (geminiClient && providerHealth.acquire('gemini')) {
+    const startedAt = Date.now();
     try {
       const model = geminiClient.getGenerativeModel({
         model: 'gemini-2.0-flash',
@@ -1238,14 +1728,18 @@ export async function analyzeImage(imageBase64, prompt, options = {}) {
       ]);
 
       const response = await result.response;
-      return { text: response.text(), provider: 'gemini', model: 'gemini-2.0-flash' };
+      const text = response.text();
+      record('gemini', 'gemini-2.0-flash', startedAt, { usage: response.usageMetadata, text });
+      return { text, provider: 'gemini', model: 'gemini-2.0-flash' };
     } catch (err) {
+      record('gemini', 'gemini-2.0-flash', startedAt, { success: false, errorType: parseProviderError('gemini', err).type });
       console.warn('Gemini vision failed:', err.message);
     }
   }
 
   // Fallback: GPT-4o (has vision)
-  if (openaiClient) {
+  if (openaiClient && providerHealth.acquire('openai')) {
+    const startedAt = Date.now();
     try {
       const response = await openaiClient.chat.completions.create({
         model: 'gpt-4o',
@@ -1262,18 +1756,21 @@ export async function analyzeImage(imageBase64, prompt, options = {}) {
         ],
       });
 
+      record('openai', 'gpt-4o', startedAt, { usage: response.usage });
       return {
         text: response.choices[0]?.message?.content || '',
         provider: 'openai',
         model: 'gpt-4o',
       };
     } catch (err) {
+      record('openai', 'gpt-4o', startedAt, { success: false, errorType: parseProviderError('openai', err).type });
       console.warn('GPT-4o vision failed:', err.message);
     }
   }
 
   // Fallback: Claude (vision capable)
-  if (anthropicClient) {
+  if (anthropicClient && providerHealth.acquire('claude')) {
+    const startedAt = Date.now();
     try {
       const response = await anthropicClient.messages.create({
         model: 'claude-sonnet-4-20250514',
@@ -1293,12 +1790,14 @@ export async function analyzeImage(imageBase64, prompt, options = {}) {
         ],
       });
 
+      record('claude', 'claude-sonnet-4-20250514', startedAt, { usage: response.usage });
       return {
         text: response.content[0]?.text || '',
         provider: 'claude',
         model: 'claude-sonnet-4-20250514',
       };
     } catch (err) {
+      record('claude', 'claude-sonnet-4-20250514', startedAt, { success: false, errorType: parseProviderError('claude', err).type });
       console.warn('Claude vision failed:', err.message);
     }
   }
@@ -1311,8 +1810,11 @@ export default {
   switchProvider,
   getCurrentProvider,
   getCostEffectiveProvider,
+  getProviderHealth,
   updateApiKey,
   chat,
+  chatStream,
+  chatStructured,
   analyzeImage,
   analyzeTicket,
   generateResponse,
@@ -0,0 +1,323 @@
+/**
+ * AI Output Schemas for LIV8 Command Center
+ *
+ * One schema per structured AI output. Model replies are parsed, coerced and
+ * validated against these before anything reads them (see chatStructured()
+ * in ai-provider.js, which retries once with a repair prompt on failure).
+ *
+ * Normalizing also settles key casing: URGENCY_SCORE, urgency_score,
+ * urgencyScore and "Urgency Score" all come out as the schema's key, so
+ * callers read one name. Keys a schema doesn't declare are passed through.
+ *
+ * Field types: string, integer (min/max clamp), number, boolean, enum
+ * (values), array (items: a field type) and object (fields, or entries: a
+ * field type every value must match, for keys the caller decides). Text
+ * schemas validate plain-text replies instead of JSON.
+ */
+
+export const ESCALATION_TYPES = ['DEV', 'TWILIO', 'BILLING', 'FEATURE', 'BUG', 'SUPPORT', 'PORTING', 'API', 'INTEGRATION'];
+export const EFFORT_LEVELS = ['QUICK_FIX', 'MODERATE', 'INVESTIGATION_NEEDED', 'ESCALATION'];
+
+const QA_CRITERION = {
+  type: 'object',
+  fields: {
+    pass: { type: 'boolean', required: true },
+    notes: { type: 'string' }
+  }
+};
+
+export const SCHEMAS = {
+  ticket_analysis: {
+    label: 'Ticket analysis',
+    fields: {
+      ESCALATION_TYPE: { type: 'enum', values: ESCALATION_TYPES, required: true },
+      URGENCY_SCORE: { type: 'integer', min: 1, max: 10, required: true },
+      SUMMARY: { type: 'string', required: true },
+      SUGGESTED_RESPONSE: { type: 'string' },
+      ACTION_ITEMS: { type: 'array', items: { type: 'string' } },
+      KEY_RESOURCES: { type: 'array' },
+      QUICK_DIAGNOSIS: { type: 'string' },
+      ESTIMATED_EFFORT: { type: 'enum', values: EFFORT_LEVELS },
+      ROOT_CAUSE: { type: 'string' },
+      ISSUE_CATEGORY: { type: 'string' }
+    }
+  },
+
+  queue_analysis: {
+    label: 'Queue analysis',
+    fields: {
+      summary: { type: 'string', required: true },
+      urgentItems: { type: 'array', items: { type: 'string' } },
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            ticketId: { type: 'string' },
+            action: { type: 'string', required: true },
+            priority: { type: 'enum', values: ['high', 'medium', 'low'] }
+          }
+        }
+      },
+      patterns: { type: 'array', items: { type: 'string' } },
+      estimatedWorkload: { type: 'string' }
+    }
+  },
+
+  qa_evaluation: {
+    label: 'QA evaluation',
+    fields: {
+      // Keyed by the rubric's criteria (qa-rubrics.js), which also sets the
+      // score and verdict
+      criteria: { type: 'object', required: true, entries: QA_CRITERION },
+      fixes: { type: 'array', items: { type: 'string' } },
+      sop_citations: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  signal_analysis: {
+    label: 'Signal analysis',
+    fields: {
+      RECOMMENDATION: { type: 'enum', values: ['YES', 'NO', 'WAIT'], required: true },
+      RISK_LEVEL: { type: 'enum', values: ['LOW', 'MEDIUM', 'HIGH'], required: true },
+      CONFIDENCE: { type: 'integer', min: 1, max: 10 },
+      REASONING: { type: 'string', required: true },
+      RISK_REWARD: { type: 'string' }
+    }
+  },
+
+  ticket_draft: {
+    label: 'Ticket draft',
+    text: true,
+    minLength: 40,
+    maxLength: 6000
+  }
+};
+
+// Template placeholders a draft must not be sent with
+const PLACEHOLDER_PATTERN = /\[(?:customer|client|agent|your|insert|name|company|ticket)[^\]]{0,30}\]|\{\{[^}]+\}\}|<(?:customer|agent|your)[^>]{0,30}>/i;
+
+function keyOf(name) {
+  return String(name).replace(/[^a-z0-9]/gi, '').toLowerCase();
+}
+
+// ============================================
+// PARSING & NORMALIZING
+// ============================================
+
+/**
+ * Pull the JSON object out of a model reply (code fences, prose around it)
+ */
+export function extractJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('no JSON object found');
+  }
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+function coerce(field, value, path, errors) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  switch (field.type) {
+    case 'string':
+      if (typeof value === 'string') return value.trim();
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      if (Array.isArray(value) && value.every(v => typeof v !== 'object')) return value.join('\n');
+      if (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(v => typeof v !== 'object')) {
+        return Object.entries(value).map(([k, v]) => `${k}: ${v}`).join('\n');
+      }
+      errors.push(`${path} must be a string`);
+      return undefined;
+
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).match(/-?\d+(?:\.\d+)?/)?.[0]);
+      if (!Number.isFinite(number)) {
+        errors.push(`${path} must be a number`);
+        return undefined;
+      }
+      let result = field.type === 'integer' ? Math.round(number) : number;
+      if (field.min !== undefined) result = Math.max(field.min, result);
+      if (field.max !== undefined) result = Math.min(field.max, result);
+      return result;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|pass|passed|1)$/i.test(String(value).trim())) return true;
+      if (/^(false|no|fail|failed|0)$/i.test(String(value).trim())) return false;
+      errors.push(`${path} must be true or false`);
+      return undefined;
+
+    case 'enum': {
+      const normalized = String(value).trim().replace(/[\s-]+/g, '_');
+      const match = field.values.find(v => v.toLowerCase() === normalized.toLowerCase());
+      if (!match) {
+        errors.push(`${path} must be one of ${field.values.join(', ')} (got "${value}")`);
+        return undefined;
+      }
+      return match;
+    }
+
+    case 'array': {
+      let items = value;
+      if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try { items = JSON.parse(value); } catch (e) {}
+      }
+      if (typeof items === 'string') {
+        items = items.split(/\n+/).map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim()).filter(Boolean);
+      } else if (!Array.isArray(items)) {
+        items = [items];
+      }
+      return items
+        .map((item, i) => (field.items ? coerce(field.items, item, `${path}[${i}]`, errors) : item))
+        .filter(item => item !== undefined);
+    }
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        return undefined;
+      }
+      if (field.entries) {
+        return Object.fromEntries(Object.entries(value)
+          .map(([key, entry]) => [key, coerce(field.entries, entry, `${path}.${key}`, errors)])
+          .filter(([, entry]) => entry !== undefined));
+      }
+      return normalizeFields(field, value, `${path}.`, errors);
+
+    default:
+      return value;
+  }
+}
+
+function normalizeFields(schema, data, path, errors) {
+  const result = {};
+  const declared = new Map(Object.keys(schema.fields || {}).map(name => [keyOf(name), name]));
+
+  for (const [key, value] of Object.entries(data)) {
+    const name = declared.get(keyOf(key));
+    if (!name) {
+      result[key] = value;
+      continue;
+    }
+    const coerced = coerce(schema.fields[name], value, `${path}${name}`, errors);
+    if (coerced !== undefined) result[name] = coerced;
+  }
+
+  for (const [name, field] of Object.entries(schema.fields || {})) {
+    if (field.required && result[name] === undefined && !errors.some(e => e.startsWith(`${path}${name} `))) {
+      errors.push(`${path}${name} is required`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Coerce and validate parsed output; returns { value, errors }
+ */
+export function validate(type, data) {
+  const schema = SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown AI output schema: ${type}`);
+
+  if (schema.text) {
+    const text = String(data || '').trim();
+    const errors = [];
+    if (text.length < schema.minLength) errors.push(`reply is too short (${text.length} characters, need at least ${schema.minLength})`);
+    if (text.length > schema.maxLength) errors.push(`reply is too long (${text.length} characters, at most ${schema.maxLength})`);
+    if (/^\s*[{[]/.test(text)) errors.push('reply must be plain text, not JSON');
+    const placeholder = text.match(PLACEHOLDER_PATTERN);
+    if (placeholder) errors.push(`reply contains an unfilled placeholder: ${placeholder[0]}`);
+    return { value: text, errors };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+
+  const errors = [];
+  const value = normalizeFields(schema, data, '', errors);
+  return { value, errors };
+}
+
+/**
+ * Parse a raw model reply against a schema; returns { value, errors }
+ */
+export function parseOutput(type, text) {
+  if (SCHEMAS[type]?.text) return validate(type, text);
+
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return { value: null, errors: [`reply was not valid JSON (${error.message})`] };
+  }
+  return validate(type, data);
+}
+
+/**
+ * Best-effort normalize stored or legacy data to the schema's keys, without
+ * failing on missing fields (e.g. ticket_analysis rows from the database)
+ */
+export function normalize(type, data) {
+  if (!data || typeof data !== 'object') return data;
+  return validate(type, data).value;
+}
+
+// ============================================
+// PROMPTS
+// ============================================
+
+function describeField(field) {
+  switch (field.type) {
+    case 'enum': return field.values.map(v => `"${v}"`).join(' | ');
+    case 'integer': return field.min !== undefined ? `integer ${field.min}-${field.max}` : 'integer';
+    case 'array': return `[${field.items ? describeField(field.items) : '...'}]`;
+    case 'object':
+      if (field.entries) return `{ "<key>": ${describeField(field.entries)}, ... }`;
+      return field.fields
+        ? `{ ${Object.entries(field.fields).map(([name, f]) => `"${name}": ${describeField(f)}`).join(', ')} }`
+        : 'object';
+    default: return field.type;
+  }
+}
+
+/**
+ * The JSON shape a schema expects, for prompts
+ */
+export function describeSchema(type) {
+  const schema = SCHEMAS[type];
+  const lines = Object.entries(schema.fields).map(([name, field]) =>
+    `  "${name}": ${describeField(field)}${field.required ? '' : ' (optional)'}`
+  );
+  return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * Follow-up asking the model to fix a reply that failed validation
+ */
+export function repairPrompt(type, errors) {
+  const schema = SCHEMAS[type];
+  const problems = errors.map(e => `- ${e}`).join('\n');
+
+  if (schema.text) {
+    return `Your reply has these problems:\n${problems}\n\nRewrite it so it is ready to send as is. Reply with the corrected text only.`;
+  }
+  return `Your reply did not match the required format:\n${problems}\n\nReturn the corrected result as ONLY a JSON object with exactly this shape (no markdown, no commentary):\n${describeSchema(type)}`;
+}
+
+export default {
+  SCHEMAS,
+  ESCALATION_TYPES,
+  EFFORT_LEVELS,
+  extractJson,
+  validate,
+  parseOutput,
+  normalize,
+  describeSchema,
+  repairPrompt
+};
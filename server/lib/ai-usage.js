@@ -0,0 +1,459 @@
+/**
+ * AI Usage Ledger for LIV8 Command Center
+ *
+ * Every provider call made through ai-provider.js is recorded with its
+ * feature tag, agent, token counts, latency and an estimated cost.
+ *
+ * Budgets (USD per day and/or per month) are set per feature and checked
+ * before each call. Once a budget is spent:
+ * - downgrade: the call goes to getCostEffectiveProvider() instead
+ * - pause:     the call is refused. Only non-critical features can be
+ *              paused; critical ones (triage, drafts, live chat) downgrade.
+ * A budget on the feature "all" caps total spend across every feature.
+ */
+
+import * as db from './database.js';
+
+export const FEATURES = {
+  ticket_triage: { label: 'Ticket triage', critical: true },
+  ticket_drafts: { label: 'Ticket drafts', critical: true },
+  qa_review: { label: 'Draft QA review', critical: true },
+  chat: { label: 'Chat & voice', critical: true },
+  agents: { label: 'Agent conversations', critical: true },
+  proactive_engine: { label: 'Proactive engine', critical: false },
+  daily_reports: { label: 'Daily reports & briefings', critical: false },
+  telegram_signals: { label: 'Telegram signal analysis', critical: false },
+  knowledge: { label: 'Knowledge building', critical: false },
+  memory: { label: 'Memory fact extraction', critical: false },
+  workflows: { label: 'Workflows', critical: false },
+  vision: { label: 'Image analysis', critical: false },
+  evals: { label: 'Offline evaluations', critical: false },
+  general: { label: 'Other', critical: false }
+};
+
+export const BUDGET_ACTIONS = ['downgrade', 'pause'];
+
+// Feature for calls that only pass an agentId
+const AGENT_FEATURES = {
+  'ticket-analyzer': 'ticket_triage',
+  'response-generator': 'ticket_drafts',
+  'smart-response-generator': 'ticket_drafts',
+  'proactive-analyzer': 'proactive_engine',
+  'report-summarizer': 'daily_reports',
+  'pattern-extractor': 'knowledge',
+  'knowledge-builder': 'knowledge'
+};
+
+// USD per million tokens [input, output]; first match wins. Estimates from
+// public list prices — free tiers are billed at list price here on purpose
+// so usage stays comparable if a paid plan is needed.
+const MODEL_PRICES = [
+  [/opus/i, 15, 75],
+  [/haiku/i, 0.8, 4],
+  [/claude|sonnet/i, 3, 15],
+  [/gpt-4o-mini/i, 0.15, 0.6],
+  [/gpt-4\.1-mini/i, 0.4, 1.6],
+  [/gpt-4\.1/i, 2, 8],
+  [/gpt-4o/i, 2.5, 10],
+  [/gpt-4-turbo/i, 10, 30],
+  [/gemini-2\.5-pro|gemini-1\.5-pro/i, 1.25, 10],
+  [/gemini-2\.5-flash/i, 0.3, 2.5],
+  [/gemini/i, 0.1, 0.4],
+  [/llama-3\.1-8b|gemma/i, 0.05, 0.08],
+  [/mixtral/i, 0.24, 0.24],
+  [/llama|qwen/i, 0.59, 0.79]
+];
+
+// NVIDIA NIM (Kimi) is on the free endpoint tier
+const PROVIDER_PRICES = { claude: [3, 15], openai: [2.5, 10], gemini: [0.1, 0.4], groq: [0.59, 0.79], kimi: [0, 0] };
+
+const STATE_RANK = { ok: 0, warning: 1, downgrade: 2, paused: 3 };
+const WARNING_RATIO = 0.8;
+
+const warnedStates = new Set();
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Create the usage ledger and budget tables
+ */
+export function initUsageTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS ai_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      feature TEXT NOT NULL,
+      agent_id TEXT,
+      provider TEXT NOT NULL,
+      model TEXT,
+      input_tokens INTEGER DEFAULT 0,
+      output_tokens INTEGER DEFAULT 0,
+      estimated_tokens INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      cost_usd REAL DEFAULT 0,
+      success INTEGER DEFAULT 1,
+      error_type TEXT,
+      downgraded_from TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_feature_created ON ai_usage(feature, created_at);
+    CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+    CREATE TABLE IF NOT EXISTS ai_budgets (
+      feature TEXT PRIMARY KEY,
+      daily_limit_usd REAL,
+      monthly_limit_usd REAL,
+      action TEXT NOT NULL DEFAULT 'downgrade',
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  console.log('[AI Usage] Tables initialized');
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Feature tag for a chat() call: explicit options.feature, else derived from
+ * the agentId, else "general"
+ */
+export function resolveFeature(options = {}) {
+  if (options.feature) return options.feature;
+  if (options.agentId) return AGENT_FEATURES[options.agentId] || 'agents';
+  return 'general';
+}
+
+/**
+ * Input/output token counts from any provider's usage object
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const input = usage.input_tokens ?? usage.prompt_tokens ?? usage.promptTokenCount;
+  const output = usage.output_tokens ?? usage.completion_tokens ?? usage.candidatesTokenCount;
+  if (input === undefined && output === undefined) return null;
+  return { input: input || 0, output: output || 0 };
+}
+
+// Roughly four characters per token
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Estimated USD cost of a call
+ */
+export function estimateCost(provider, model, inputTokens, outputTokens) {
+  const match = MODEL_PRICES.find(([pattern]) => pattern.test(model || ''));
+  const [inputPrice, outputPrice] = provider === 'kimi'
+    ? PROVIDER_PRICES.kimi
+    : match ? match.slice(1) : (PROVIDER_PRICES[provider] || [0, 0]);
+  return (inputTokens * inputPrice + outputTokens * outputPrice) / 1e6;
+}
+
+/**
+ * Record one provider call. Providers that don't report usage get token
+ * counts estimated from the prompt and reply length.
+ * Never throws — the ledger must not break a chat call.
+ */
+export function recordUsage(entry) {
+  try {
+    const store = db.tryGetDb();
+    if (!store) return null;
+
+    let tokens = normalizeUsage(entry.usage);
+    const estimated = !tokens && entry.success !== false;
+    if (!tokens) {
+      tokens = entry.success === false
+        ? { input: 0, output: 0 }
+        : {
+          input: estimateTokens((entry.systemPrompt || '') + (entry.messages || []).map(m => typeof m.content === 'string' ? m.content : '').join('')),
+          output: estimateTokens(entry.text)
+        };
+    }
+
+    const cost = estimateCost(entry.provider, entry.model, tokens.input, tokens.output);
+    store.prepare(`
+      INSERT INTO ai_usage (feature, agent_id, provider, model, input_tokens, output_tokens, estimated_tokens,
+                            latency_ms, cost_usd, success, error_type, downgraded_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entry.feature || 'general',
+      entry.agentId || null,
+      entry.provider,
+      entry.model || null,
+      tokens.input,
+      tokens.output,
+      estimated ? 1 : 0,
+      entry.latencyMs ?? null,
+      cost,
+      entry.success === false ? 0 : 1,
+      entry.errorType || null,
+      entry.downgradedFrom || null
+    );
+    return { inputTokens: tokens.input, outputTokens: tokens.output, costUsd: cost, estimated };
+  } catch (e) {
+    console.warn('[AI Usage] Failed to record usage:', e.message);
+    return null;
+  }
+}
+
+// ============================================
+// BUDGETS
+// ============================================
+
+function getSpend(store, feature) {
+  const filter = feature ? 'AND feature = ?' : '';
+  const params = feature ? [feature] : [];
+  const today = store.prepare(`SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM ai_usage WHERE created_at >= date('now') ${filter}`).get(...params).cost;
+  const month = store.prepare(`SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM ai_usage WHERE created_at >= date('now', 'start of month') ${filter}`).get(...params).cost;
+  return { today, month };
+}
+
+function toBudget(row) {
+  return {
+    feature: row.feature,
+    dailyLimit: row.daily_limit_usd,
+    monthlyLimit: row.monthly_limit_usd,
+    action: row.action,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * All configured budgets
+ */
+export function getBudgets() {
+  const store = db.tryGetDb();
+  if (!store) return [];
+  return store.prepare('SELECT * FROM ai_budgets ORDER BY feature').all().map(toBudget);
+}
+
+/**
+ * Create or replace a feature's budget; with neither limit set it is removed
+ */
+export function setBudget(feature, { dailyLimit = null, monthlyLimit = null, action = 'downgrade' } = {}) {
+  const store = db.tryGetDb();
+  if (!store) throw new Error('Database not available');
+
+  if (dailyLimit === null && monthlyLimit === null) {
+    store.prepare('DELETE FROM ai_budgets WHERE feature = ?').run(feature);
+    return null;
+  }
+
+  store.prepare(`
+    INSERT INTO ai_budgets (feature, daily_limit_usd, monthly_limit_usd, action, updated_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(feature) DO UPDATE SET
+      daily_limit_usd = excluded.daily_limit_usd,
+      monthly_limit_usd = excluded.monthly_limit_usd,
+      action = excluded.action,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(feature, dailyLimit, monthlyLimit, action);
+
+  return toBudget(store.prepare('SELECT * FROM ai_budgets WHERE feature = ?').get(feature));
+}
+
+/**
+ * Validation errors for a budget update (empty when valid)
+ */
+export function validateBudget({ feature, dailyLimit, monthlyLimit, action }) {
+  const errors = [];
+  if (feature !== 'all' && !FEATURES[feature]) {
+    errors.push(`feature must be "all" or one of: ${Object.keys(FEATURES).join(', ')}`);
+  }
+  for (const [name, value] of [['dailyLimit', dailyLimit], ['monthlyLimit', monthlyLimit]]) {
+    if (value !== null && value !== undefined && !(typeof value === 'number' && value >= 0)) {
+      errors.push(`${name} must be a non-negative number or null`);
+    }
+  }
+  if (action !== undefined && !BUDGET_ACTIONS.includes(action)) {
+    errors.push(`action must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Budget state for a feature before a call:
+ * ok | warning (80% spent) | downgrade | paused
+ */
+export function checkBudget(feature) {
+  const store = db.tryGetDb();
+  if (!store) return { state: 'ok', feature };
+
+  const budgets = store.prepare("SELECT * FROM ai_budgets WHERE feature IN (?, 'all')").all(feature);
+  let result = { state: 'ok', feature };
+
+  for (const budget of budgets) {
+    const spend = getSpend(store, budget.feature === 'all' ? null : feature);
+    const periods = [
+      ['daily', spend.today, budget.daily_limit_usd],
+      ['monthly', spend.month, budget.monthly_limit_usd]
+    ].filter(([, , limit]) => limit !== null && limit !== undefined);
+
+    for (const [period, spent, limit] of periods) {
+      let state = 'ok';
+      if (spent >= limit) {
+        state = budget.action === 'pause' && !FEATURES[feature]?.critical ? 'paused' : 'downgrade';
+      } else if (spent >= limit * WARNING_RATIO) {
+        state = 'warning';
+      }
+
+      if (STATE_RANK[state] > STATE_RANK[result.state]) {
+        const scope = budget.feature === 'all' ? 'Total AI' : (FEATURES[feature]?.label || feature);
+        result = {
+          state,
+          feature,
+          budgetFeature: budget.feature,
+          period,
+          spent: Math.round(spent * 10000) / 10000,
+          limit,
+          reason: `${scope} ${period} budget ($${limit}) ${state === 'warning' ? 'is 80% spent' : 'reached'}`
+        };
+      }
+    }
+  }
+
+  if (result.state === 'downgrade' || result.state === 'paused') {
+    const key = `${feature}:${result.state}:${new Date().toISOString().slice(0, 10)}`;
+    if (!warnedStates.has(key)) {
+      warnedStates.add(key);
+      console.warn(`[AI Usage] ${result.reason} — ${result.state === 'paused' ? 'pausing' : 'downgrading'} ${feature}`);
+    }
+  }
+
+  return result;
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Spend per feature and provider, daily totals and budget states
+ */
+export function getUsageSummary(options = {}) {
+  const store = db.tryGetDb();
+  if (!store) return { totals: null, features: [], providers: [], daily: [] };
+
+  const days = Math.min(Math.max(parseInt(options.days) || 30, 1), 366);
+  const periodTotals = (since) => store.prepare(`
+    SELECT COUNT(*) AS calls, COALESCE(SUM(cost_usd), 0) AS cost,
+           COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens,
+           COALESCE(SUM(success = 0), 0) AS failures
+    FROM ai_usage WHERE created_at >= ${since}
+  `).get();
+
+  const byFeature = (since) => new Map(store.prepare(`
+    SELECT feature, COUNT(*) AS calls, SUM(cost_usd) AS cost, SUM(input_tokens + output_tokens) AS tokens,
+           AVG(latency_ms) AS avg_latency, SUM(downgraded_from IS NOT NULL) AS downgraded
+    FROM ai_usage WHERE created_at >= ${since} GROUP BY feature
+  `).all().map(row => [row.feature, row]));
+
+  const today = byFeature("date('now')");
+  const month = byFeature("date('now', 'start of month')");
+  const budgets = new Map(getBudgets().map(b => [b.feature, b]));
+
+  const featureIds = new Set([...month.keys(), ...budgets.keys()]);
+  featureIds.delete('all');
+
+  const features = [...featureIds].map(feature => {
+    const t = today.get(feature) || {};
+    const m = month.get(feature) || {};
+    return {
+      feature,
+      label: FEATURES[feature]?.label || feature,
+      critical: !!FEATURES[feature]?.critical,
+      today: { calls: t.calls || 0, cost: t.cost || 0, tokens: t.tokens || 0 },
+      month: { calls: m.calls || 0, cost: m.cost || 0, tokens: m.tokens || 0, downgraded: m.downgraded || 0 },
+      avgLatencyMs: m.avg_latency ? Math.round(m.avg_latency) : null,
+      budget: budgets.get(feature) || null,
+      budgetState: checkBudget(feature)
+    };
+  }).sort((a, b) => b.month.cost - a.month.cost);
+
+  const providers = store.prepare(`
+    SELECT provider, model, COUNT(*) AS calls, SUM(cost_usd) AS cost,
+           SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens,
+           SUM(success = 0) AS failures, AVG(latency_ms) AS avg_latency
+    FROM ai_usage WHERE created_at >= date('now', 'start of month')
+    GROUP BY provider, model ORDER BY cost DESC
+  `).all().map(row => ({
+    provider: row.provider,
+    model: row.model,
+    calls: row.calls,
+    cost: row.cost,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    failures: row.failures,
+    avgLatencyMs: row.avg_latency ? Math.round(row.avg_latency) : null
+  }));
+
+  const daily = store.prepare(`
+    SELECT date(created_at) AS date, COUNT(*) AS calls, SUM(cost_usd) AS cost
+    FROM ai_usage WHERE created_at >= date('now', ?)
+    GROUP BY date(created_at) ORDER BY date
+  `).all(`-${days - 1} days`);
+
+  return {
+    totals: {
+      today: periodTotals("date('now')"),
+      month: periodTotals("date('now', 'start of month')")
+    },
+    overall: budgets.has('all') ? { budget: budgets.get('all'), budgetState: checkBudget('all') } : null,
+    features,
+    providers,
+    daily,
+    days
+  };
+}
+
+/**
+ * Most recent calls, optionally for one feature
+ */
+export function getRecentCalls(options = {}) {
+  const store = db.tryGetDb();
+  if (!store) return [];
+
+  const { feature, limit = 50 } = options;
+  const rows = feature
+    ? store.prepare('SELECT * FROM ai_usage WHERE feature = ? ORDER BY id DESC LIMIT ?').all(feature, limit)
+    : store.prepare('SELECT * FROM ai_usage ORDER BY id DESC LIMIT ?').all(limit);
+
+  return rows.map(row => ({
+    id: row.id,
+    feature: row.feature,
+    agentId: row.agent_id,
+    provider: row.provider,
+    model: row.model,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    estimatedTokens: !!row.estimated_tokens,
+    latencyMs: row.latency_ms,
+    costUsd: row.cost_usd,
+    success: !!row.success,
+    errorType: row.error_type,
+    downgradedFrom: row.downgraded_from,
+    createdAt: row.created_at
+  }));
+}
+
+export default {
+  FEATURES,
+  BUDGET_ACTIONS,
+  initUsageTables,
+  resolveFeature,
+  estimateCost,
+  recordUsage,
+  getBudgets,
+  setBudget,
+  validateBudget,
+  checkBudget,
+  getUsageSummary,
+  getRecentCalls
+};
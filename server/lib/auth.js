@@ -0,0 +1,529 @@
+/**
+ * LIV8 Command Center - Authentication
+ *
+ * Server-side users and sessions for the Express API.
+ * - Passwords hashed with scrypt (salted, stored in SQLite)
+ * - Opaque bearer tokens, only the SHA-256 of each token is persisted
+ * - Express middleware that guards every /api route except a small public list
+ * - Role policy: admin > operator > viewer, enforced per route
+ */
+
+import crypto from 'crypto';
+import * as db from './database.js';
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+const SCRYPT_KEYLEN = 64;
+
+// Routes reachable without a session. Inbound webhooks and OAuth callbacks are
+// called by third parties that cannot hold a user session.
+const PUBLIC_ROUTES = [
+  { method: 'GET', path: '/health' },
+  { method: 'POST', path: '/api/auth/login' },
+  { method: 'GET', path: '/api/nifty/callback' },
+  { method: 'POST', path: '/api/clickup/webhook' },
+  { method: 'POST', path: '/api/trade-signals/webhook' },
+  { method: 'POST', path: '/api/hs/trading/webhook' },
+  { method: 'POST', path: /^\/api\/events\/webhook\/[^/]+$/ }
+];
+
+// Roles from most to least privileged
+export const ROLES = {
+  admin: {
+    label: 'Administrator',
+    level: 3,
+    description: 'Full access, including outbound messages, credentials and user management'
+  },
+  operator: {
+    label: 'Operator',
+    level: 2,
+    description: 'Day-to-day work: approve drafts, run workflows, manage tasks'
+  },
+  viewer: {
+    label: 'Viewer',
+    level: 1,
+    description: 'Read-only access to dashboards, tickets and reports'
+  }
+};
+
+// Settings keys holding credentials, webhook secrets or AI policy
+const PROTECTED_SETTING = /(_key|_secret|_token|_password|_webhook)$|^embedding_provider$|budget/;
+
+function isProtectedSetting(key) {
+  return typeof key === 'string' && PROTECTED_SETTING.test(key);
+}
+
+// Actions that send data out of the system, destroy data or touch secrets.
+// RegExp paths carry a `display` path for the admin UI.
+const ADMIN_ONLY_ROUTES = [
+  { method: 'POST', path: '/api/ghl/sms', action: 'Send SMS through GoHighLevel' },
+  { method: 'POST', path: '/api/ghl/email', action: 'Send email through GoHighLevel' },
+  { method: 'POST', path: '/api/telegram/send', action: 'Send Telegram messages' },
+  { method: 'POST', path: '/api/supabase/delete', action: 'Delete Supabase records' },
+  { method: 'POST', path: '/api/ai/key', action: 'Change AI provider API keys' },
+  { method: 'PUT', path: '/api/ai/budgets', action: 'Change AI budgets' },
+  { method: 'PUT', path: '/api/rag/embeddings', action: 'Change the embedding provider' },
+  { method: 'POST', path: '/api/qa/rubrics', action: 'Change QA rubrics' },
+  { method: 'DELETE', path: /^\/api\/qa\/rubrics\/\d+$/, display: '/api/qa/rubrics/:id', action: 'Delete QA rubrics' },
+  { method: 'POST', path: '/api/integrations/credential', action: 'Store integration credentials' },
+  { method: 'POST', path: '/api/settings', when: (req) => isProtectedSetting(req.body?.key), action: 'Change API keys, webhook secrets and AI policy settings' },
+  { method: 'POST', path: '/api/settings/bulk', when: (req) => Object.keys(req.body?.settings || {}).some(isProtectedSetting), action: 'Change API keys, webhook secrets and AI policy settings' },
+  { method: 'GET', path: '/api/webhooks/status', action: 'View webhook security settings' },
+  { method: 'GET', path: '/api/webhooks/rejections', action: 'View rejected webhook attempts' }
+];
+
+// Writes a viewer may still make: managing their own session and profile
+const VIEWER_WRITE_ROUTES = [
+  { method: 'POST', path: '/api/auth/logout' },
+  { method: 'POST', path: '/api/auth/password' },
+  { method: 'PUT', path: /^\/api\/users\/\d+$/ }
+];
+
+// POSTs that only read (the query is in the body), open to viewers. `when`
+// narrows a route to the requests that don't store anything.
+const READ_ONLY_POST_ROUTES = [
+  { method: 'POST', path: '/api/knowledge/search' },
+  { method: 'POST', path: '/api/retrieval/search' },
+  { method: 'POST', path: '/api/casebook/search' },
+  { method: 'POST', path: '/api/memory/search' },
+  { method: 'POST', path: /^\/api\/agents\/[^/]+\/knowledge\/search$/ },
+  { method: 'POST', path: '/api/find-similar' },
+  { method: 'POST', path: '/api/supabase/query' },
+  // Loose text only; grading a queued draft stores the result on it
+  { method: 'POST', path: '/api/qa/evaluate', when: (req) => !req.body?.draftId },
+  { method: 'POST', path: '/api/workflows/validate' },
+  { method: 'POST', path: '/api/workflows/dry-run' },
+  { method: 'POST', path: '/api/events/chains/validate' },
+  // A simulated emit runs chains against recording clients and logs nothing
+  { method: 'POST', path: '/api/events/emit', when: (req) => !!req.body?.simulate }
+];
+
+// Per-process token used when the server calls its own endpoints (cron jobs)
+const INTERNAL_TOKEN = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Create users and sessions tables, and seed the first admin account
+ */
+export function initAuthTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT,
+      role TEXT NOT NULL DEFAULT 'operator',
+      agent_name TEXT,
+      permissions TEXT,
+      last_login TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+  `);
+
+  // Accounts created before roles existed were plain members
+  dbInstance.prepare("UPDATE users SET role = 'operator' WHERE role = 'member'").run();
+
+  seedAdminUser();
+  purgeExpiredSessions();
+
+  console.log('Auth: Tables initialized');
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist.
+ * Without ADMIN_PASSWORD a random one is generated and printed once.
+ */
+function seedAdminUser() {
+  const { count } = db.getDb().prepare('SELECT COUNT(*) as count FROM users').get();
+  if (count > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString('base64url');
+    console.log(`Auth: Created admin "${username}" with generated password: ${password}`);
+    console.log('Auth: Set ADMIN_PASSWORD in server/.env or change it after first login');
+  }
+
+  createUser({
+    username,
+    password,
+    name: process.env.ADMIN_NAME || 'Admin',
+    email: process.env.ADMIN_EMAIL || '',
+    role: 'admin'
+  });
+}
+
+// ============================================
+// PASSWORD HASHING
+// ============================================
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * Strip the password hash and map columns to the shape the frontend uses
+ */
+export function toPublicUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    name: row.name,
+    email: row.email || '',
+    role: row.role,
+    agentName: row.agent_name || row.name,
+    permissions: row.permissions ? JSON.parse(row.permissions) : [],
+    lastLogin: row.last_login,
+    createdAt: row.created_at
+  };
+}
+
+export function getUsers() {
+  return db.getDb().prepare('SELECT * FROM users ORDER BY created_at ASC').all().map(toPublicUser);
+}
+
+export function getUserById(id) {
+  return toPublicUser(db.getDb().prepare('SELECT * FROM users WHERE id = ?').get(id));
+}
+
+export function createUser(userData) {
+  const { username, password, name } = userData;
+  if (!username || !password || !name) {
+    throw new Error('Username, password and name are required');
+  }
+
+  const dbInstance = db.getDb();
+  if (dbInstance.prepare('SELECT id FROM users WHERE username = ?').get(username)) {
+    throw new Error('Username already exists');
+  }
+
+  const role = userData.role || 'operator';
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const result = dbInstance.prepare(`
+    INSERT INTO users (username, password_hash, name, email, role, agent_name, permissions)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    username,
+    hashPassword(password),
+    name,
+    userData.email || '',
+    role,
+    userData.agentName || name,
+    JSON.stringify(userData.permissions || ['tickets', 'dashboard'])
+  );
+
+  return getUserById(result.lastInsertRowid);
+}
+
+export function updateUser(id, updates) {
+  if (updates.role !== undefined && !ROLES[updates.role]) {
+    throw new Error(`Unknown role: ${updates.role}`);
+  }
+
+  const fields = {
+    name: updates.name,
+    email: updates.email,
+    role: updates.role,
+    agent_name: updates.agentName,
+    permissions: updates.permissions ? JSON.stringify(updates.permissions) : undefined
+  };
+
+  const sets = [];
+  const values = [];
+  for (const [column, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    sets.push(`${column} = ?`);
+    values.push(value);
+  }
+
+  if (sets.length > 0) {
+    db.getDb().prepare(`
+      UPDATE users SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(...values, id);
+  }
+
+  return getUserById(id);
+}
+
+export function deleteUser(id) {
+  const dbInstance = db.getDb();
+  dbInstance.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+  return dbInstance.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Set a new password and end every other session of that user
+ */
+export function setPassword(id, newPassword, keepTokenHash = null) {
+  if (!newPassword || newPassword.length < 6) {
+    throw new Error('Password must be at least 6 characters');
+  }
+
+  const dbInstance = db.getDb();
+  dbInstance.prepare(`
+    UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(hashPassword(newPassword), id);
+  dbInstance.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash IS NOT ?').run(id, keepTokenHash);
+}
+
+export function checkPassword(id, password) {
+  const row = db.getDb().prepare('SELECT password_hash FROM users WHERE id = ?').get(id);
+  return !!row && verifyPassword(password, row.password_hash);
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Verify credentials and issue a session token
+ */
+export function login(username, password, meta = {}) {
+  const dbInstance = db.getDb();
+  const row = dbInstance.prepare('SELECT * FROM users WHERE username = ?').get(username || '');
+
+  if (!row || !verifyPassword(password || '', row.password_hash)) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  dbInstance.prepare(`
+    INSERT INTO sessions (token_hash, user_id, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(hashToken(token), row.id, meta.userAgent || null, meta.ip || null, expiresAt);
+
+  dbInstance.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+
+  return { token, expiresAt, user: getUserById(row.id) };
+}
+
+export function logout(token) {
+  if (!token) return;
+  db.getDb().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * Resolve a token to its user, or null if missing/expired
+ */
+export function getSessionUser(token) {
+  if (!token) return null;
+
+  const dbInstance = db.getDb();
+  const tokenHash = hashToken(token);
+  const row = dbInstance.prepare(`
+    SELECT u.*, s.expires_at as session_expires_at
+    FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ?
+  `).get(tokenHash);
+
+  if (!row) return null;
+  if (new Date(row.session_expires_at) < new Date()) {
+    dbInstance.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+    return null;
+  }
+
+  dbInstance.prepare('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE token_hash = ?').run(tokenHash);
+  return { ...toPublicUser(row), tokenHash };
+}
+
+export function purgeExpiredSessions() {
+  return db.getDb().prepare('DELETE FROM sessions WHERE expires_at < ?').run(new Date().toISOString()).changes;
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Token from "Authorization: Bearer <token>", or ?access_token= for clients
+ * that cannot set headers (WebSocket, file downloads)
+ */
+export function getRequestToken(req) {
+  const header = req.headers?.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('access_token');
+}
+
+export function getInternalToken() {
+  return INTERNAL_TOKEN;
+}
+
+function matchRoute(routes, req) {
+  return routes.find(route =>
+    route.method === req.method &&
+    (route.path instanceof RegExp ? route.path.test(req.path) : route.path === req.path) &&
+    (!route.when || route.when(req))
+  );
+}
+
+function isPublicRoute(req) {
+  return !!matchRoute(PUBLIC_ROUTES, req);
+}
+
+/**
+ * Resolve the caller for a raw HTTP request (also used for WebSocket upgrades)
+ */
+export function authenticateRequest(req) {
+  if (req.headers?.['x-internal-token'] === INTERNAL_TOKEN) {
+    return { id: 0, username: 'system', name: 'System', role: 'admin' };
+  }
+  try {
+    return getSessionUser(getRequestToken(req));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Express middleware: every request needs a valid session unless public
+ */
+export function requireAuth(req, res, next) {
+  if (req.method === 'OPTIONS' || isPublicRoute(req)) {
+    return next();
+  }
+
+  const user = authenticateRequest(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+}
+
+// ============================================
+// ROLES
+// ============================================
+
+export function hasRole(user, role) {
+  const userLevel = ROLES[user?.role]?.level || 0;
+  return userLevel >= (ROLES[role]?.level || Infinity);
+}
+
+function forbidden(res, user, requiredRole, action) {
+  return res.status(403).json({
+    error: `Forbidden: ${action || 'this action'} requires the ${ROLES[requiredRole].label} role`,
+    requiredRole,
+    role: user?.role || null
+  });
+}
+
+/**
+ * Express middleware factory: caller needs at least the given role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return forbidden(res, req.user, role);
+    }
+    next();
+  };
+}
+
+export const requireAdmin = requireRole('admin');
+
+/**
+ * Express middleware: apply the route-level role policy after requireAuth.
+ * Admin-only routes need admin; viewers may only read.
+ */
+export function enforceRolePolicy(req, res, next) {
+  if (!req.user) return next();
+
+  const adminRoute = matchRoute(ADMIN_ONLY_ROUTES, req);
+  if (adminRoute && !hasRole(req.user, 'admin')) {
+    return forbidden(res, req.user, 'admin', adminRoute.action);
+  }
+
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+  if (!isRead && !hasRole(req.user, 'operator') &&
+      !matchRoute(VIEWER_WRITE_ROUTES, req) && !matchRoute(READ_ONLY_POST_ROUTES, req)) {
+    return forbidden(res, req.user, 'operator', `${req.method} ${req.path}`);
+  }
+
+  next();
+}
+
+/**
+ * Role definitions and the admin-only action list, for the admin UI
+ */
+export function getRolePolicy() {
+  return {
+    roles: Object.entries(ROLES).map(([id, role]) => ({ id, ...role })),
+    adminOnly: ADMIN_ONLY_ROUTES.map(({ method, path, display, action }) => ({
+      method,
+      path: typeof path === 'string' ? path : display || String(path),
+      action
+    }))
+  };
+}
+
+export default {
+  initAuthTables,
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+  getUsers,
+  getUserById,
+  createUser,
+  updateUser,
+  deleteUser,
+  setPassword,
+  checkPassword,
+  login,
+  logout,
+  getSessionUser,
+  purgeExpiredSessions,
+  getRequestToken,
+  getInternalToken,
+  authenticateRequest,
+  requireAuth,
+  hasRole,
+  requireRole,
+  requireAdmin,
+  enforceRolePolicy,
+  getRolePolicy
+};
@@ -0,0 +1,263 @@
+/**
+ * Chain Expressions for the Cross-Platform Event Bus
+ *
+ * A small JSON expression language so chain conditions, transforms and
+ * templates can be stored and sent over the API instead of living in
+ * closures. Everything is evaluated against the triggering event
+ * ({ type, source, data, timestamp }) without running any user code.
+ *
+ * Conditions:
+ *   { "field": "data.urgency", "op": ">=", "value": 8 }
+ *   { "all": [ ...conditions ] }   { "any": [ ...conditions ] }   { "not": condition }
+ *
+ * Templates:
+ *   "URGENT: Ticket #{{data.id}} - {{data.subject}}"
+ *   "{{data.title || data.id}}"          first non-empty path wins
+ *   "{{data.project || 'Inbox'}}"        quoted literal fallback
+ *
+ * Transforms map output keys to templates (or nested objects/arrays of them).
+ * A value that is exactly one "{{path}}" keeps the original type.
+ */
+
+export const OPERATORS = [
+  '==', '!=', '>', '>=', '<', '<=',
+  'in', 'not_in', 'contains', 'starts_with', 'ends_with',
+  'exists', 'not_exists'
+];
+
+// Operators that only look at the field, never at `value`
+const UNARY_OPERATORS = ['exists', 'not_exists'];
+
+// Keys that would walk into prototypes instead of event data
+const BLOCKED_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const MAX_DEPTH = 10;
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+const TEMPLATE_PATTERN = /\{\{\s*([^}]*?)\s*\}\}/g;
+const LITERAL_PATTERN = /^(['"])(.*)\1$/;
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Read a dotted path ("data.customer.name", "data.tags.0") from the context
+ */
+export function getPath(context, path) {
+  let value = context;
+  for (const part of String(path).split('.')) {
+    if (value === null || value === undefined || BLOCKED_KEYS.includes(part)) {
+      return undefined;
+    }
+    value = Object.prototype.hasOwnProperty.call(Object(value), part) ? value[part] : undefined;
+  }
+  return value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    // Loose on purpose: webhook payloads mix "12" and 12
+    case '==':
+      return actual == expected;
+    case '!=':
+      return actual != expected;
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.includes(actual);
+    case 'not_in':
+      return Array.isArray(expected) && !expected.includes(actual);
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+    case 'starts_with':
+      return typeof actual === 'string' && actual.startsWith(String(expected));
+    case 'ends_with':
+      return typeof actual === 'string' && actual.endsWith(String(expected));
+    case 'exists':
+      return !isEmpty(actual);
+    case 'not_exists':
+      return isEmpty(actual);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition against the event. A missing condition always passes.
+ */
+export function evaluateCondition(condition, context, depth = 0) {
+  if (condition === undefined || condition === null) return true;
+  if (depth > MAX_DEPTH) return false;
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every(c => evaluateCondition(c, context, depth + 1));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(c => evaluateCondition(c, context, depth + 1));
+  }
+  if (condition.not !== undefined) {
+    return !evaluateCondition(condition.not, context, depth + 1);
+  }
+
+  return compare(condition.op || '==', getPath(context, condition.field), condition.value);
+}
+
+function resolveExpression(expression, context) {
+  for (const alternative of expression.split('||').map(a => a.trim())) {
+    const literal = alternative.match(LITERAL_PATTERN);
+    const value = literal ? literal[2] : getPath(context, alternative);
+    if (!isEmpty(value)) return value;
+  }
+  return undefined;
+}
+
+function stringify(value) {
+  if (isEmpty(value)) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Fill {{path}} placeholders. Missing values render as empty strings.
+ */
+export function renderTemplate(template, context) {
+  if (typeof template !== 'string') return template;
+  return template.replace(TEMPLATE_PATTERN, (match, expression) =>
+    stringify(resolveExpression(expression, context))
+  );
+}
+
+/**
+ * Build an object (or any JSON value) from a transform definition
+ */
+export function applyTransform(transform, context, depth = 0) {
+  if (depth > MAX_DEPTH) return undefined;
+
+  if (typeof transform === 'string') {
+    const whole = transform.match(/^\{\{\s*([^}]*?)\s*\}\}$/);
+    return whole ? resolveExpression(whole[1], context) : renderTemplate(transform, context);
+  }
+  if (Array.isArray(transform)) {
+    return transform.map(item => applyTransform(item, context, depth + 1));
+  }
+  if (transform && typeof transform === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(transform)) {
+      result[key] = applyTransform(value, context, depth + 1);
+    }
+    return result;
+  }
+  return transform;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function validatePath(path, at, errors) {
+  if (typeof path !== 'string' || !PATH_PATTERN.test(path)) {
+    errors.push({ path: at, message: `Invalid field path: ${JSON.stringify(path)}` });
+  } else if (path.split('.').some(part => BLOCKED_KEYS.includes(part))) {
+    errors.push({ path: at, message: `Field path may not reference ${path}` });
+  }
+}
+
+/**
+ * Check a condition. Returns a list of { path, message } errors.
+ */
+export function validateCondition(condition, at = 'condition', depth = 0, errors = []) {
+  if (condition === undefined || condition === null) return errors;
+
+  if (depth > MAX_DEPTH) {
+    errors.push({ path: at, message: `Conditions may be nested at most ${MAX_DEPTH} levels deep` });
+    return errors;
+  }
+  if (typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push({ path: at, message: 'Condition must be an object' });
+    return errors;
+  }
+
+  for (const group of ['all', 'any']) {
+    if (condition[group] !== undefined) {
+      if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+        errors.push({ path: `${at}.${group}`, message: `"${group}" must be a non-empty array of conditions` });
+      } else {
+        condition[group].forEach((c, i) => validateCondition(c, `${at}.${group}[${i}]`, depth + 1, errors));
+      }
+      return errors;
+    }
+  }
+
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, `${at}.not`, depth + 1, errors);
+  }
+
+  validatePath(condition.field, `${at}.field`, errors);
+
+  const op = condition.op || '==';
+  if (!OPERATORS.includes(op)) {
+    errors.push({ path: `${at}.op`, message: `Unknown operator "${op}". Use one of: ${OPERATORS.join(', ')}` });
+  } else if (!UNARY_OPERATORS.includes(op) && condition.value === undefined) {
+    errors.push({ path: `${at}.value`, message: `Operator "${op}" needs a value` });
+  } else if (['in', 'not_in'].includes(op) && !Array.isArray(condition.value)) {
+    errors.push({ path: `${at}.value`, message: `Operator "${op}" needs an array value` });
+  }
+
+  return errors;
+}
+
+/**
+ * Check the {{...}} placeholders of a template string
+ */
+export function validateTemplate(template, at = 'template', errors = []) {
+  if (typeof template !== 'string') {
+    errors.push({ path: at, message: 'Template must be a string' });
+    return errors;
+  }
+
+  const opens = (template.match(/\{\{/g) || []).length;
+  const closes = (template.match(/\}\}/g) || []).length;
+  if (opens !== closes) {
+    errors.push({ path: at, message: 'Unbalanced {{ }} in template' });
+  }
+
+  for (const [, expression] of template.matchAll(TEMPLATE_PATTERN)) {
+    for (const alternative of expression.split('||').map(a => a.trim())) {
+      if (!LITERAL_PATTERN.test(alternative)) validatePath(alternative, at, errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a transform definition (templates nested in objects/arrays)
+ */
+export function validateTransform(transform, at = 'transform', depth = 0, errors = []) {
+  if (depth > MAX_DEPTH) {
+    errors.push({ path: at, message: `Transforms may be nested at most ${MAX_DEPTH} levels deep` });
+  } else if (typeof transform === 'string') {
+    validateTemplate(transform, at, errors);
+  } else if (Array.isArray(transform)) {
+    transform.forEach((item, i) => validateTransform(item, `${at}[${i}]`, depth + 1, errors));
+  } else if (transform && typeof transform === 'object') {
+    for (const [key, value] of Object.entries(transform)) {
+      if (BLOCKED_KEYS.includes(key)) {
+        errors.push({ path: `${at}.${key}`, message: `Key "${key}" is not allowed` });
+      } else {
+        validateTransform(value, `${at}.${key}`, depth + 1, errors);
+      }
+    }
+  }
+  return errors;
+}
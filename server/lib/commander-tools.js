@@ -0,0 +1,492 @@
+/**
+ * Commander Tools for LIV8 Command Center
+ *
+ * The actions the commander can take from chat, exposed to the model through
+ * native tool calling (see chat() options.tools in ai-provider.js). Each tool
+ * wraps an existing capability — Taskade/Nifty tasks, GHL contacts, calendar,
+ * drafts, parking lot, pomodoro and workflows.
+ *
+ * Read-only and low-stakes tools run as soon as the model calls them.
+ * Dangerous tools (they write to another system or send something) are held
+ * as a pending action until the user confirms it in chat; pending actions
+ * live in memory and expire after PENDING_TTL_MS.
+ */
+
+import crypto from 'crypto';
+import * as ai from './ai-provider.js';
+import * as db from './database.js';
+import * as draftRevisions from './draft-revisions.js';
+import * as calendarService from './calendar-service.js';
+import * as briefing from './proactive-briefing.js';
+import * as workflowOrchestrator from './unified-workflow-orchestrator.js';
+import { ghl } from './integrations.js';
+import { unifiedTasks } from './unified-tasks.js';
+
+// Model round-trips per message before the commander has to answer
+const MAX_TOOL_STEPS = 5;
+
+// How long a dangerous call waits for the user's confirmation
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+// Tool results are cut to this many characters before going back to the model
+const MAX_RESULT_CHARS = 4000;
+
+const DRAFT_STATUSES = ['APPROVED', 'REJECTED', 'NEEDS_EDIT'];
+
+const pendingActions = new Map();
+
+function summarizeContact(contact) {
+  return {
+    id: contact.id,
+    name: contact.contactName || [contact.firstName, contact.lastName].filter(Boolean).join(' ') || null,
+    email: contact.email || null,
+    phone: contact.phone || null,
+    companyName: contact.companyName || null,
+    tags: contact.tags || []
+  };
+}
+
+function parseInputs(inputs) {
+  if (typeof inputs !== 'string') return inputs || {};
+  try {
+    return JSON.parse(inputs);
+  } catch (e) {
+    throw new Error('inputs must be a JSON object');
+  }
+}
+
+// ============================================
+// TOOL REGISTRY
+// ============================================
+
+const TOOLS = [
+  {
+    name: 'list_task_projects',
+    description: 'List the Taskade and Nifty projects tasks can be created in, with their ids.',
+    parameters: { type: 'object', properties: {} },
+    handler: () => unifiedTasks.getProjects()
+  },
+  {
+    name: 'create_task',
+    description: 'Create a task in a Taskade or Nifty project. Look up the project id with list_task_projects first.',
+    dangerous: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        platform: { type: 'string', enum: ['taskade', 'nifty'], description: 'Where to create the task' },
+        projectId: { type: 'string', description: 'Project id from list_task_projects' },
+        title: { type: 'string', description: 'Task title' },
+        description: { type: 'string', description: 'Task details (Nifty only)' },
+        dueDate: { type: 'string', description: 'Due date as YYYY-MM-DD (Nifty only)' }
+      },
+      required: ['platform', 'projectId', 'title']
+    },
+    describe: (args) => `Create ${args.platform} task "${args.title}" in project ${args.projectId}`,
+    handler: (args) => unifiedTasks.createTask(args.platform, args.projectId, {
+      title: args.title,
+      description: args.description,
+      dueDate: args.dueDate
+    })
+  },
+  {
+    name: 'find_contacts',
+    description: 'Search GoHighLevel contacts by name, email or phone.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Name, email or phone to search for' },
+        limit: { type: 'integer', description: 'Maximum contacts to return (default 5)' }
+      },
+      required: ['query']
+    },
+    handler: async (args) => {
+      const result = await ghl.getContacts(args.query, Math.min(args.limit || 5, 20));
+      return { contacts: (result.contacts || []).map(summarizeContact), total: result.meta?.total };
+    }
+  },
+  {
+    name: 'get_contact',
+    description: 'Get one GoHighLevel contact by id.',
+    parameters: {
+      type: 'object',
+      properties: {
+        contactId: { type: 'string', description: 'GHL contact id' }
+      },
+      required: ['contactId']
+    },
+    handler: async (args) => {
+      const result = await ghl.getContact(args.contactId);
+      return result.contact || result;
+    }
+  },
+  {
+    name: 'get_free_time',
+    description: "Get today's free time blocks (until 6 PM) and upcoming meetings from the calendar.",
+    parameters: { type: 'object', properties: {} },
+    handler: () => {
+      const summary = calendarService.getCalendarSummary();
+      return {
+        freeBlocks: calendarService.getFreeTimeBlocks(),
+        freeTimeMinutes: summary.freeTimeMinutes,
+        meetingsToday: summary.todayEventCount,
+        nextMeeting: summary.nextMeeting,
+        isInMeeting: summary.isInMeeting
+      };
+    }
+  },
+  {
+    name: 'list_drafts',
+    description: 'List ticket reply drafts, newest first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'NEEDS_EDIT', 'ESCALATION_RECOMMENDED'],
+          description: 'Only drafts with this status (default PENDING_REVIEW)'
+        },
+        limit: { type: 'integer', description: 'Maximum drafts to return (default 10)' }
+      }
+    },
+    handler: (args) => db.getAllDrafts({ status: args.status || 'PENDING_REVIEW', limit: Math.min(args.limit || 10, 50) })
+      .map(d => ({
+        id: d.id,
+        ticketId: d.ticket_id,
+        subject: d.ticket_subject,
+        status: d.status,
+        preview: (d.draft_text || '').substring(0, 200),
+        createdAt: d.created_at
+      }))
+  },
+  {
+    name: 'review_draft',
+    description: 'Approve, reject or send back for edits a ticket reply draft.',
+    dangerous: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        draftId: { type: 'integer', description: 'Draft id from list_drafts' },
+        status: { type: 'string', enum: DRAFT_STATUSES, description: 'The review decision' },
+        reason: { type: 'string', description: 'Why the draft is rejected (required to reject)' }
+      },
+      required: ['draftId', 'status']
+    },
+    describe: (args) => {
+      const draft = db.getDb().prepare('SELECT ticket_id, ticket_subject FROM drafts WHERE id = ?').get(args.draftId);
+      const verb = { APPROVED: 'Approve', REJECTED: 'Reject', NEEDS_EDIT: 'Send back for edits' }[args.status];
+      const reason = args.status === 'REJECTED' && args.reason ? ` (${args.reason})` : '';
+      return draft
+        ? `${verb} draft #${args.draftId} for ticket #${draft.ticket_id}${draft.ticket_subject ? ` "${draft.ticket_subject}"` : ''}${reason}`
+        : `${verb} draft #${args.draftId}${reason}`;
+    },
+    handler: (args, { user }) => draftRevisions.reviewDraft(args.draftId, args.status, {
+      reason: args.reason,
+      user: user || 'commander'
+    })
+  },
+  {
+    name: 'add_to_parking_lot',
+    description: 'Park a thought or idea for later so it does not derail current focus.',
+    parameters: {
+      type: 'object',
+      properties: {
+        thought: { type: 'string', description: 'The thought to park' },
+        context: { type: 'string', description: 'What the user was doing when it came up' },
+        priority: { type: 'integer', description: 'Higher comes first (default 0)' }
+      },
+      required: ['thought']
+    },
+    handler: (args) => briefing.addToParkingLot(args.thought, args.context || null, args.priority || 0)
+  },
+  {
+    name: 'list_parking_lot',
+    description: 'List unprocessed parking lot items.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'Maximum items to return (default 20)' }
+      }
+    },
+    handler: (args) => briefing.getParkingLotItems(Math.min(args.limit || 20, 50))
+  },
+  {
+    name: 'start_pomodoro',
+    description: 'Start a focus (pomodoro) session on a task.',
+    parameters: {
+      type: 'object',
+      properties: {
+        task: { type: 'string', description: 'What the session is for' },
+        durationMinutes: { type: 'integer', description: 'Session length (default 25)' }
+      },
+      required: ['task']
+    },
+    handler: (args) => {
+      const active = briefing.getActivePomodoro();
+      if (active) return { error: 'A pomodoro is already running', active };
+      return briefing.startPomodoro(args.task, null, args.durationMinutes || 25);
+    }
+  },
+  {
+    name: 'get_active_pomodoro',
+    description: 'Get the running pomodoro session, if any, with time remaining.',
+    parameters: { type: 'object', properties: {} },
+    handler: () => briefing.getActivePomodoro() || { active: false }
+  },
+  {
+    name: 'end_pomodoro',
+    description: 'End the running pomodoro session.',
+    parameters: {
+      type: 'object',
+      properties: {
+        completed: { type: 'boolean', description: 'Whether the task got done (default true)' }
+      }
+    },
+    handler: (args) => {
+      const active = briefing.getActivePomodoro();
+      if (!active) return { error: 'No pomodoro is running' };
+      briefing.endPomodoro(active.id, args.completed !== false);
+      return { ended: active.id, completed: args.completed !== false };
+    }
+  },
+  {
+    name: 'list_workflows',
+    description: 'List the workflow templates that can be run, with their inputs.',
+    parameters: { type: 'object', properties: {} },
+    handler: () => workflowOrchestrator.getWorkflowTemplates()
+      .map(({ id, name, description, trigger, inputs }) => ({ id, name, description, trigger, inputs }))
+  },
+  {
+    name: 'run_workflow',
+    description: 'Run a workflow template. Use simulate to preview the steps without running them.',
+    dangerous: (args) => !args.simulate,
+    parameters: {
+      type: 'object',
+      properties: {
+        templateId: { type: 'string', description: 'Template id from list_workflows' },
+        inputs: { type: 'object', description: 'Input values keyed by input name' },
+        simulate: { type: 'boolean', description: 'Preview only (default false)' }
+      },
+      required: ['templateId']
+    },
+    describe: (args) => {
+      const template = workflowOrchestrator.getWorkflowTemplates().find(t => t.id === args.templateId);
+      return `Run workflow "${template?.name || args.templateId}"`;
+    },
+    handler: (args) => workflowOrchestrator.executeWorkflow(args.templateId, parseInputs(args.inputs), { simulate: !!args.simulate })
+  }
+];
+
+const toolsByName = new Map(TOOLS.map(t => [t.name, t]));
+
+/**
+ * Tool declarations in the shape chat() takes
+ */
+export function getToolDefinitions() {
+  return TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Registry summary for the UI: which tools exist and which need confirmation
+ */
+export function listTools() {
+  return TOOLS.map(t => ({
+    name: t.name,
+    description: t.description,
+    confirmation: typeof t.dangerous === 'function' ? 'conditional' : !!t.dangerous
+  }));
+}
+
+function isDangerous(tool, args) {
+  return typeof tool.dangerous === 'function' ? tool.dangerous(args) : !!tool.dangerous;
+}
+
+/**
+ * Check arguments against the tool's declared parameters; returns error strings
+ */
+function validateArgs(tool, args) {
+  const errors = [];
+  const { properties = {}, required = [] } = tool.parameters;
+
+  for (const key of required) {
+    if (args[key] === undefined || args[key] === null || args[key] === '') errors.push(`${key} is required`);
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const schema = properties[key];
+    if (!schema) {
+      errors.push(`unknown argument ${key}`);
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${key} must be one of: ${schema.enum.join(', ')}`);
+    if (schema.type === 'integer' && !Number.isInteger(value)) errors.push(`${key} must be an integer`);
+    if (schema.type === 'string' && typeof value !== 'string') errors.push(`${key} must be a string`);
+    if (schema.type === 'boolean' && typeof value !== 'boolean') errors.push(`${key} must be true or false`);
+  }
+
+  return errors;
+}
+
+/**
+ * Models often send numbers as strings; coerce where the schema is clear
+ */
+function coerceArgs(tool, args) {
+  const coerced = { ...args };
+  for (const [key, schema] of Object.entries(tool.parameters.properties || {})) {
+    const value = coerced[key];
+    if (schema.type === 'integer' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) coerced[key] = parseInt(value, 10);
+    if (schema.type === 'string' && typeof value === 'number') coerced[key] = String(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) coerced[key] = value === 'true';
+  }
+  return coerced;
+}
+
+async function runTool(tool, args, context) {
+  try {
+    const result = await tool.handler(args, context);
+    return { ok: !result?.error, result };
+  } catch (error) {
+    console.warn(`[Commander] ${tool.name} failed: ${error.message}`);
+    return { ok: false, result: { error: error.message } };
+  }
+}
+
+function toToolMessage(call, payload) {
+  let content = JSON.stringify(payload ?? null);
+  if (content.length > MAX_RESULT_CHARS) content = `${content.substring(0, MAX_RESULT_CHARS)}... (truncated)`;
+  return { role: 'tool', toolCallId: call.id, name: call.name, content };
+}
+
+// ============================================
+// PENDING CONFIRMATIONS
+// ============================================
+
+function prunePending() {
+  const now = Date.now();
+  for (const [id, action] of pendingActions) {
+    if (action.expiresAt <= now) pendingActions.delete(id);
+  }
+}
+
+function holdForConfirmation(tool, args, requestedBy) {
+  prunePending();
+  const action = {
+    id: crypto.randomUUID(),
+    tool: tool.name,
+    args,
+    summary: tool.describe ? tool.describe(args) : tool.name,
+    requestedBy: requestedBy || null,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + PENDING_TTL_MS
+  };
+  pendingActions.set(action.id, action);
+  return action;
+}
+
+function publicAction(action) {
+  return {
+    id: action.id,
+    tool: action.tool,
+    args: action.args,
+    summary: action.summary,
+    requestedBy: action.requestedBy,
+    expiresAt: new Date(action.expiresAt).toISOString()
+  };
+}
+
+/**
+ * A pending action by id, or null once it has run, been cancelled or expired
+ */
+export function getPendingAction(id) {
+  prunePending();
+  const action = pendingActions.get(id);
+  return action ? publicAction(action) : null;
+}
+
+/**
+ * Run (approved) or drop a pending action. Returns null for an unknown or
+ * expired id; each action resolves at most once.
+ */
+export async function resolvePendingAction(id, approved, { user } = {}) {
+  prunePending();
+  const action = pendingActions.get(id);
+  if (!action) return null;
+  pendingActions.delete(id);
+
+  if (!approved) {
+    console.log(`[Commander] ${action.tool} cancelled by ${user || 'user'}`);
+    return { ...publicAction(action), status: 'cancelled' };
+  }
+
+  const { ok, result } = await runTool(toolsByName.get(action.tool), action.args, { user });
+  console.log(`[Commander] ${action.tool} confirmed by ${user || 'user'}: ${ok ? 'done' : result?.error}`);
+  return { ...publicAction(action), status: ok ? 'executed' : 'failed', result };
+}
+
+// ============================================
+// COMMANDER LOOP
+// ============================================
+
+/**
+ * Answer a conversation with tools available. Safe tools run inline and
+ * their results go back to the model; dangerous ones are held for
+ * confirmation and the model is told so. Resolves with chat()'s result plus
+ * `actions` (tools that ran) and `pendingActions` (awaiting confirmation).
+ */
+export async function runCommander(messages, options = {}) {
+  const { user, ...chatOptions } = options;
+  const tools = getToolDefinitions();
+  const conversation = [...messages];
+  const actions = [];
+  const pending = [];
+
+  for (let step = 1; ; step++) {
+    const result = await ai.chat(conversation, { ...chatOptions, tools });
+    const done = { actions, pendingActions: pending.map(publicAction) };
+
+    if (!result.toolCalls?.length) return { ...result, ...done };
+    if (step === MAX_TOOL_STEPS) {
+      console.warn(`[Commander] Stopped after ${MAX_TOOL_STEPS} tool rounds`);
+      return { ...result, toolCalls: [], text: result.text || 'I stopped before finishing — that needed more steps than I can take at once. Try breaking it into smaller requests.', ...done };
+    }
+
+    conversation.push({ role: 'assistant', content: result.text || '', toolCalls: result.toolCalls });
+
+    for (const call of result.toolCalls) {
+      const tool = toolsByName.get(call.name);
+      if (!tool) {
+        conversation.push(toToolMessage(call, { error: `Unknown tool: ${call.name}` }));
+        continue;
+      }
+
+      const args = coerceArgs(tool, call.arguments || {});
+      const errors = validateArgs(tool, args);
+      if (errors.length > 0) {
+        conversation.push(toToolMessage(call, { error: 'Invalid arguments', details: errors }));
+        continue;
+      }
+
+      if (isDangerous(tool, args)) {
+        const action = holdForConfirmation(tool, args, user);
+        pending.push(action);
+        conversation.push(toToolMessage(call, {
+          status: 'awaiting_confirmation',
+          message: `Not done yet. The user has been asked to confirm: ${action.summary}. Tell them it is waiting for their confirmation; do not say it is done.`
+        }));
+        continue;
+      }
+
+      const { ok, result: output } = await runTool(tool, args, { user });
+      actions.push({ tool: tool.name, args, ok });
+      conversation.push(toToolMessage(call, output));
+    }
+  }
+}
+
+export default {
+  getToolDefinitions,
+  listTools,
+  getPendingAction,
+  resolvePendingAction,
+  runCommander
+};
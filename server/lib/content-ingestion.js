@@ -304,7 +304,8 @@ export async function generateSummaryWithAI(content, aiProvider) {
     const prompt = `Summarize the following content in 2-3 sentences, focusing on the key points and actionable information:\n\n${content.substring(0, 5000)}`;
 
     const response = await aiProvider.chat([{ role: 'user', content: prompt }], {
-      maxTokens: 200
+      maxTokens: 200,
+      feature: 'knowledge'
     });
 
     return response.text;
@@ -1,13 +1,36 @@
 /**
  * LIV8 Command Center - Conversational Memory System
  * Provides persistent memory for AI conversations with context awareness
+ *
+ * Facts are extracted by an AI pass over each conversation once it goes
+ * quiet (falling back to simple patterns when no provider is available).
+ * New facts are merged into duplicates, facts that change a known one are
+ * flagged to supersede it, and anything not confidently new waits in a
+ * review queue. Only approved facts are used as context.
+ *
+ * Each conversation keeps a rolling summary, and each week gets one too.
+ * When history exceeds the token budget, older messages are replaced by the
+ * summary; summaries are full-text searchable for questions about the past.
  */
 
 import * as db from './database.js';
+import * as ai from './ai-provider.js';
+import * as jobQueue from './job-queue.js';
 
 // In-memory session cache for fast access
 const sessionCache = new Map();
 
+export const FACT_CATEGORIES = ['personal', 'work', 'preferences', 'business', 'trading', 'contact', 'schedule', 'other'];
+export const FACT_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+// Extraction runs this long after the first unprocessed user message
+const EXTRACTION_DELAY_MS = parseInt(process.env.MEMORY_EXTRACTION_DELAY_MS) || 2 * 60 * 1000;
+// New facts at or above this confidence skip review unless they conflict
+const AUTO_APPROVE_CONFIDENCE = parseFloat(process.env.MEMORY_AUTO_APPROVE_CONFIDENCE) || 0.9;
+// Word overlap at which two facts in a category count as the same fact
+const DUPLICATE_SIMILARITY = 0.8;
+const MAX_TRANSCRIPT_MESSAGES = 40;
+
 /**
  * Initialize conversation tables
  */
@@ -63,6 +86,85 @@ export function initConversationTables() {
     CREATE INDEX IF NOT EXISTS idx_messages_created ON conversation_messages(created_at);
     CREATE INDEX IF NOT EXISTS idx_facts_category ON memory_facts(category);
   `);
+
+  // Review queue and provenance for facts; existing facts stay approved
+  const factColumns = dbInstance.prepare('PRAGMA table_info(memory_facts)').all().map(c => c.name);
+  const newFactColumns = [
+    ['status', "TEXT DEFAULT 'approved'"],
+    ['subject_key', 'TEXT'],
+    ['conversation_id', 'TEXT'],
+    ['source_message_id', 'INTEGER'],
+    ['evidence', 'TEXT'],
+    ['mentions', 'INTEGER DEFAULT 1'],
+    ['supersedes_id', 'INTEGER'],
+    ['superseded_by', 'INTEGER'],
+    ['review_note', 'TEXT'],
+    ['reviewed_by', 'TEXT'],
+    ['reviewed_at', 'TEXT'],
+    ['updated_at', 'TEXT']
+  ];
+  for (const [name, type] of newFactColumns) {
+    if (!factColumns.includes(name)) {
+      dbInstance.exec(`ALTER TABLE memory_facts ADD COLUMN ${name} ${type}`);
+    }
+  }
+  dbInstance.exec(`
+    CREATE INDEX IF NOT EXISTS idx_facts_status ON memory_facts(status);
+    CREATE INDEX IF NOT EXISTS idx_facts_subject ON memory_facts(subject_key);
+  `);
+
+  const conversationColumns = dbInstance.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+  if (!conversationColumns.includes('facts_extracted_through')) {
+    dbInstance.exec('ALTER TABLE conversations ADD COLUMN facts_extracted_through INTEGER DEFAULT 0');
+  }
+  if (!conversationColumns.includes('summary_through')) {
+    dbInstance.exec('ALTER TABLE conversations ADD COLUMN summary_through INTEGER DEFAULT 0');
+  }
+
+  // Rolling summaries per conversation (scope_key = conversation id) and per
+  // week (scope_key = the Monday, YYYY-MM-DD)
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS memory_summaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,
+      scope_key TEXT NOT NULL,
+      user_id TEXT DEFAULT 'default',
+      title TEXT,
+      summary TEXT NOT NULL,
+      decisions TEXT,
+      open_items TEXT,
+      topics TEXT,
+      period_start TEXT,
+      period_end TEXT,
+      message_count INTEGER DEFAULT 0,
+      through_message_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(scope, scope_key, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_summaries_period ON memory_summaries(user_id, period_end);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS memory_summaries_fts USING fts5(
+      title, summary, decisions, topics,
+      content='memory_summaries', content_rowid='id', tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS memory_summaries_ai AFTER INSERT ON memory_summaries BEGIN
+      INSERT INTO memory_summaries_fts(rowid, title, summary, decisions, topics)
+      VALUES (new.id, new.title, new.summary, new.decisions, new.topics);
+    END;
+    CREATE TRIGGER IF NOT EXISTS memory_summaries_ad AFTER DELETE ON memory_summaries BEGIN
+      INSERT INTO memory_summaries_fts(memory_summaries_fts, rowid, title, summary, decisions, topics)
+      VALUES ('delete', old.id, old.title, old.summary, old.decisions, old.topics);
+    END;
+    CREATE TRIGGER IF NOT EXISTS memory_summaries_au AFTER UPDATE ON memory_summaries BEGIN
+      INSERT INTO memory_summaries_fts(memory_summaries_fts, rowid, title, summary, decisions, topics)
+      VALUES ('delete', old.id, old.title, old.summary, old.decisions, old.topics);
+      INSERT INTO memory_summaries_fts(rowid, title, summary, decisions, topics)
+      VALUES (new.id, new.title, new.summary, new.decisions, new.topics);
+    END;
+  `);
 }
 
 /**
@@ -118,7 +220,7 @@ export function addMessage(conversationId, role, content, metadata = {}) {
     VALUES (?, ?, ?, ?)
   `);
 
-  stmt.run(conversationId, role, content, JSON.stringify(metadata));
+  const { lastInsertRowid } = stmt.run(conversationId, role, content, JSON.stringify(metadata));
 
   // Update conversation
   const updateStmt = dbInstance.prepare(`
@@ -134,10 +236,13 @@ export function addMessage(conversationId, role, content, metadata = {}) {
     sessionCache.get(conversationId).messages.push({ role, content, metadata });
   }
 
-  // Extract and store any facts from user messages
+  // Queue a fact extraction pass and a summary update once the conversation goes quiet
   if (role === 'user') {
-    extractAndStoreFacts(content);
+    scheduleFactExtraction(conversationId);
+    scheduleConversationSummary(conversationId);
   }
+
+  return Number(lastInsertRowid);
 }
 
 /**
@@ -165,9 +270,10 @@ export function getConversationHistory(conversationId, limit = 50) {
 }
 
 /**
- * Get recent context for AI (last N messages across conversations)
+ * Get recent context for AI (last N messages across conversations),
+ * stopping early once tokenBudget is used up
  */
-export function getRecentContext(userId = 'default', messageCount = 20) {
+export function getRecentContext(userId = 'default', messageCount = 20, tokenBudget = null) {
   const dbInstance = db.getDb();
 
   const stmt = dbInstance.prepare(`
@@ -175,85 +281,346 @@ export function getRecentContext(userId = 'default', messageCount = 20) {
     FROM conversation_messages cm
     JOIN conversations c ON cm.conversation_id = c.id
     WHERE c.user_id = ?
-    ORDER BY cm.created_at DESC
+    ORDER BY cm.created_at DESC, cm.id DESC
     LIMIT ?
   `);
 
-  return stmt.all(userId, messageCount).reverse();
+  const rows = stmt.all(userId, messageCount);
+  if (!tokenBudget) return rows.reverse();
+
+  const kept = [];
+  let tokens = 0;
+  for (const row of rows) {
+    tokens += estimateTokens(row.content);
+    if (kept.length > 0 && tokens > tokenBudget) break;
+    kept.push(row);
+  }
+  return kept.reverse();
 }
 
+// ============================================
+// FACT EXTRACTION
+// ============================================
+
+// Fallback when no AI provider can run the extraction pass
+const FACT_PATTERNS = [
+  { regex: /my name is (\w+)/i, category: 'personal', key: 'user.name', template: 'User name is: $1' },
+  { regex: /i work at ([^.]+)/i, category: 'work', key: 'work.employer', template: 'Works at: $1' },
+  { regex: /i am (?:a|an) ([^.]+)/i, category: 'personal', key: 'user.role', template: 'User is: $1' },
+  { regex: /i prefer ([^.]+)/i, category: 'preferences', template: 'Prefers: $1' },
+  { regex: /i like ([^.]+)/i, category: 'preferences', template: 'Likes: $1' },
+  { regex: /i don't like ([^.]+)/i, category: 'preferences', template: 'Dislikes: $1' },
+  { regex: /my (?:business|company) (?:is|called) ([^.]+)/i, category: 'business', key: 'business.name', template: 'Business: $1' },
+  { regex: /i trade ([^.]+)/i, category: 'trading', template: 'Trades: $1' },
+  { regex: /my email is ([^\s]+)/i, category: 'contact', key: 'contact.email', template: 'Email: $1' },
+  { regex: /my calendar is ([^\s]+)/i, category: 'contact', key: 'contact.calendar', template: 'Calendar: $1' },
+];
+
+jobQueue.registerJobHandler('memory_fact_extraction', ({ conversationId }) => extractFactsFromConversation(conversationId));
+
 /**
- * Extract facts from user messages (simple pattern matching)
+ * Queue one extraction pass per batch of new messages in a conversation
  */
-function extractAndStoreFacts(content) {
-  const dbInstance = db.getDb();
-  const lowerContent = content.toLowerCase();
-
-  // Pattern matching for common fact statements
-  const patterns = [
-    { regex: /my name is (\w+)/i, category: 'personal', template: 'User name is: $1' },
-    { regex: /i work at ([^.]+)/i, category: 'work', template: 'Works at: $1' },
-    { regex: /i am (?:a|an) ([^.]+)/i, category: 'personal', template: 'User is: $1' },
-    { regex: /i prefer ([^.]+)/i, category: 'preferences', template: 'Prefers: $1' },
-    { regex: /i like ([^.]+)/i, category: 'preferences', template: 'Likes: $1' },
-    { regex: /i don't like ([^.]+)/i, category: 'preferences', template: 'Dislikes: $1' },
-    { regex: /my (?:business|company) (?:is|called) ([^.]+)/i, category: 'business', template: 'Business: $1' },
-    { regex: /i trade ([^.]+)/i, category: 'trading', template: 'Trades: $1' },
-    { regex: /my email is ([^\s]+)/i, category: 'contact', template: 'Email: $1' },
-    { regex: /my calendar is ([^\s]+)/i, category: 'contact', template: 'Calendar: $1' },
-  ];
+function scheduleFactExtraction(conversationId) {
+  try {
+    const row = db.getDb().prepare('SELECT facts_extracted_through FROM conversations WHERE id = ?').get(conversationId);
+    jobQueue.enqueueJob('memory_fact_extraction', { conversationId }, {
+      delayMs: EXTRACTION_DELAY_MS,
+      idempotencyKey: `memory_facts:${conversationId}:${row?.facts_extracted_through || 0}`
+    });
+  } catch (e) {
+    console.warn('[Memory] Could not schedule fact extraction:', e.message);
+  }
+}
+
+function normalizeFact(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9@.\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function similarity(a, b) {
+  const wordsA = new Set(normalizeFact(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeFact(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function normalizeKey(key) {
+  const cleaned = String(key || '').toLowerCase().replace(/[^a-z0-9_.]/g, '_').replace(/_+/g, '_').replace(/^[._]+|[._]+$/g, '');
+  return cleaned ? cleaned.substring(0, 80) : null;
+}
+
+/**
+ * Ask the AI for facts in the messages; null when no provider could answer
+ */
+async function proposeFactsWithAI(messages, knownFacts) {
+  const known = knownFacts.length > 0
+    ? knownFacts.map(f => `${f.id} | ${f.subject_key || '-'} | ${f.fact}`).join('\n')
+    : '(none)';
+  const transcript = messages
+    .map(m => `[${m.id}] ${m.role}: ${m.content.substring(0, 500)}`)
+    .join('\n');
+
+  const prompt = `Known facts (id | key | fact):
+${known}
+
+Transcript ([message id] role: text):
+${transcript}
+
+Extract facts the USER stated about themselves, their preferences, their work or their business that will still be true next week. Ignore small talk, one-off requests, questions and anything the assistant said.
+
+Return JSON: {"facts":[{"category":"${FACT_CATEGORIES.join('|')}","key":"short.dotted.key","fact":"one self-contained sentence","confidence":0.0-1.0,"sourceMessageId":123,"supersedes":null}]}
+- key names one attribute, e.g. "user.name" or "business.timezone". For things that can have many values put the value in the key, e.g. "preference.likes.coffee".
+- If a fact restates a known fact, reuse its key. If it changes or contradicts a known fact, reuse its key and set supersedes to that fact's id.
+- Return {"facts":[]} when there is nothing worth remembering.`;
+
+  let result;
+  try {
+    result = await ai.chat([{ role: 'user', content: prompt }], {
+      systemPrompt: 'You extract durable facts about a user from chat transcripts. Return only valid JSON.',
+      maxTokens: 1000,
+      temperature: 0.1,
+      feature: 'memory'
+    });
+  } catch (error) {
+    console.warn('[Memory] AI fact extraction unavailable, using patterns:', error.message);
+    return null;
+  }
+
+  try {
+    const jsonMatch = result.text.match(/\{[\s\S]*\}/);
+    const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : { facts: [] };
+    return Array.isArray(parsed.facts) ? parsed.facts : [];
+  } catch (error) {
+    console.warn('[Memory] Could not parse extracted facts:', error.message);
+    return [];
+  }
+}
+
+function proposeFactsByPattern(messages) {
+  const proposals = [];
+  for (const message of messages) {
+    for (const pattern of FACT_PATTERNS) {
+      const match = message.content.match(pattern.regex);
+      if (!match) continue;
+      const value = match[1].trim();
+      proposals.push({
+        category: pattern.category,
+        key: pattern.key || `${pattern.category}.${normalizeFact(value).replace(/ /g, '_')}`,
+        fact: pattern.template.replace('$1', value),
+        confidence: 0.6,
+        sourceMessageId: message.id
+      });
+    }
+  }
+  return proposals;
+}
 
-  for (const pattern of patterns) {
-    const match = content.match(pattern.regex);
-    if (match) {
-      const fact = pattern.template.replace('$1', match[1].trim());
-
-      // Check if fact already exists
-      const existingStmt = dbInstance.prepare(`
-        SELECT id FROM memory_facts WHERE fact = ? AND category = ?
-      `);
-      const existing = existingStmt.get(fact, pattern.category);
-
-      if (!existing) {
-        const insertStmt = dbInstance.prepare(`
-          INSERT INTO memory_facts (category, fact, source)
-          VALUES (?, ?, 'conversation')
-        `);
-        insertStmt.run(pattern.category, fact);
+/**
+ * Run the extraction pass over a conversation's messages since the last pass
+ */
+export async function extractFactsFromConversation(conversationId) {
+  const dbInstance = db.getDb();
+  const conversation = dbInstance.prepare('SELECT id, facts_extracted_through FROM conversations WHERE id = ?').get(conversationId);
+  if (!conversation) throw new Error(`Conversation not found: ${conversationId}`);
+
+  const messages = dbInstance.prepare(`
+    SELECT id, role, content FROM conversation_messages
+    WHERE conversation_id = ? AND id > ?
+    ORDER BY id DESC LIMIT ?
+  `).all(conversationId, conversation.facts_extracted_through || 0, MAX_TRANSCRIPT_MESSAGES).reverse();
+
+  const summary = { conversationId, messages: messages.length, method: null, proposed: 0, merged: 0, skipped: 0, pending: 0, approved: 0 };
+  if (messages.length === 0) return summary;
+
+  const userMessages = messages.filter(m => m.role === 'user');
+  if (userMessages.length > 0) {
+    const knownFacts = dbInstance.prepare(`
+      SELECT id, subject_key, fact FROM memory_facts
+      WHERE status IN ('approved', 'pending')
+      ORDER BY updated_at DESC, created_at DESC LIMIT 60
+    `).all();
+
+    let proposals = await proposeFactsWithAI(messages, knownFacts);
+    summary.method = proposals ? 'ai' : 'patterns';
+    if (!proposals) proposals = proposeFactsByPattern(userMessages);
+
+    const userMessageIds = new Map(userMessages.map(m => [m.id, m]));
+    for (const proposal of proposals) {
+      const source = userMessageIds.get(Number(proposal.sourceMessageId));
+      const fact = typeof proposal.fact === 'string' ? proposal.fact.trim().substring(0, 300) : '';
+      // Only what the user said counts as a fact about them
+      if (!fact || !source) {
+        summary.skipped++;
+        continue;
       }
+
+      const outcome = consolidateFact({
+        category: FACT_CATEGORIES.includes(proposal.category) ? proposal.category : 'other',
+        subjectKey: normalizeKey(proposal.key),
+        fact,
+        confidence: Math.min(Math.max(Number(proposal.confidence) || 0.5, 0), 1),
+        supersedesId: Number.isInteger(proposal.supersedes) ? proposal.supersedes : null,
+        conversationId,
+        sourceMessageId: source.id,
+        evidence: source.content.substring(0, 500)
+      });
+      summary[outcome.action]++;
+      if (outcome.action === 'proposed') summary[outcome.status]++;
     }
   }
+
+  dbInstance.prepare('UPDATE conversations SET facts_extracted_through = ? WHERE id = ?')
+    .run(messages[messages.length - 1].id, conversationId);
+
+  if (summary.proposed || summary.merged) {
+    console.log(`[Memory] ${conversationId}: ${summary.proposed} new fact(s) (${summary.pending} for review), ${summary.merged} merged via ${summary.method}`);
+  }
+  return summary;
 }
 
+// ============================================
+// CONSOLIDATION & REVIEW
+// ============================================
+
 /**
- * Store a specific fact
+ * Merge a proposed fact into an existing duplicate, or store it as approved
+ * or pending. A fact that changes a known one is never auto-approved; it
+ * supersedes the old fact once approved.
+ */
+export function consolidateFact(candidate) {
+  const dbInstance = db.getDb();
+  const { category, subjectKey = null, fact, confidence = 0.5, supersedesId = null } = candidate;
+
+  const live = dbInstance.prepare(`
+    SELECT * FROM memory_facts
+    WHERE status IN ('approved', 'pending') AND (category = ? OR (subject_key IS NOT NULL AND subject_key = ?))
+  `).all(category, subjectKey);
+
+  const duplicate = live.find(f => similarity(f.fact, fact) >= DUPLICATE_SIMILARITY);
+  if (duplicate) {
+    dbInstance.prepare(`
+      UPDATE memory_facts
+      SET mentions = COALESCE(mentions, 1) + 1, confidence = MAX(confidence, ?), updated_at = CURRENT_TIMESTAMP,
+          subject_key = COALESCE(subject_key, ?)
+      WHERE id = ?
+    `).run(confidence, subjectKey, duplicate.id);
+    return { action: 'merged', id: duplicate.id };
+  }
+
+  // Don't propose again what a reviewer already turned down
+  const rejected = dbInstance.prepare("SELECT id, fact FROM memory_facts WHERE status = 'rejected' AND category = ?").all(category);
+  if (rejected.some(f => similarity(f.fact, fact) >= DUPLICATE_SIMILARITY)) {
+    return { action: 'skipped' };
+  }
+
+  const conflict = live.find(f => f.status === 'approved' && (f.id === supersedesId || (subjectKey && f.subject_key === subjectKey)));
+  const status = !conflict && confidence >= AUTO_APPROVE_CONFIDENCE ? 'approved' : 'pending';
+
+  const { lastInsertRowid } = dbInstance.prepare(`
+    INSERT INTO memory_facts (category, fact, source, confidence, status, subject_key, conversation_id,
+                              source_message_id, evidence, supersedes_id, updated_at)
+    VALUES (?, ?, 'conversation', ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(category, fact, confidence, status, subjectKey, candidate.conversationId || null,
+    candidate.sourceMessageId || null, candidate.evidence || null, conflict?.id || null);
+
+  return { action: 'proposed', status, id: Number(lastInsertRowid), supersedesId: conflict?.id || null };
+}
+
+function supersedeOlderFacts(dbInstance, fact) {
+  const result = dbInstance.prepare(`
+    UPDATE memory_facts
+    SET status = 'superseded', superseded_by = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'approved' AND id != ? AND (id = ? OR (subject_key IS NOT NULL AND subject_key = ?))
+  `).run(fact.id, fact.id, fact.supersedes_id, fact.subject_key);
+  return result.changes;
+}
+
+/**
+ * Approve a fact (optionally correcting its text or category first)
+ */
+export function approveFact(id, options = {}) {
+  const dbInstance = db.getDb();
+  const existing = dbInstance.prepare('SELECT * FROM memory_facts WHERE id = ?').get(id);
+  if (!existing) return null;
+
+  dbInstance.prepare(`
+    UPDATE memory_facts
+    SET status = 'approved', fact = ?, category = ?, superseded_by = NULL, review_note = ?,
+        reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(options.fact || existing.fact, options.category || existing.category, options.note || null, options.reviewedBy || null, id);
+
+  const fact = dbInstance.prepare('SELECT * FROM memory_facts WHERE id = ?').get(id);
+  const superseded = supersedeOlderFacts(dbInstance, fact);
+  return { fact, superseded };
+}
+
+/**
+ * Reject a fact so it isn't used or proposed again
+ */
+export function rejectFact(id, options = {}) {
+  const dbInstance = db.getDb();
+  const result = dbInstance.prepare(`
+    UPDATE memory_facts
+    SET status = 'rejected', review_note = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(options.note || null, options.reviewedBy || null, id);
+  if (result.changes === 0) return null;
+  return dbInstance.prepare('SELECT * FROM memory_facts WHERE id = ?').get(id);
+}
+
+/**
+ * Fact counts per review status
+ */
+export function getFactCounts() {
+  const counts = Object.fromEntries(FACT_STATUSES.map(status => [status, 0]));
+  const rows = db.getDb().prepare('SELECT status, COUNT(*) AS count FROM memory_facts GROUP BY status').all();
+  for (const row of rows) counts[row.status || 'approved'] = row.count;
+  return counts;
+}
+
+/**
+ * Store a specific fact (approved — it was entered by hand)
  */
 export function storeFact(category, fact, source = 'manual', confidence = 1.0) {
   const dbInstance = db.getDb();
 
   const stmt = dbInstance.prepare(`
-    INSERT INTO memory_facts (category, fact, source, confidence)
-    VALUES (?, ?, ?, ?)
-    ON CONFLICT DO NOTHING
+    INSERT INTO memory_facts (category, fact, source, confidence, status, updated_at)
+    VALUES (?, ?, ?, ?, 'approved', CURRENT_TIMESTAMP)
   `);
 
-  stmt.run(category, fact, source, confidence);
+  return Number(stmt.run(category, fact, source, confidence).lastInsertRowid);
 }
 
 /**
- * Get all remembered facts
+ * Get remembered facts; approved ones unless another status (or "all") is asked for
  */
-export function getAllFacts(category = null) {
+export function getAllFacts(category = null, status = 'approved') {
   const dbInstance = db.getDb();
 
-  let query = 'SELECT * FROM memory_facts';
+  const conditions = [];
+  const params = [];
   if (category) {
-    query += ` WHERE category = '${category}'`;
+    conditions.push('category = ?');
+    params.push(category);
+  }
+  if (status !== 'all') {
+    conditions.push('status = ?');
+    params.push(status);
   }
-  query += ' ORDER BY times_referenced DESC, created_at DESC';
+
+  let query = 'SELECT * FROM memory_facts';
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  query += status === 'pending'
+    ? ' ORDER BY created_at ASC'
+    : ' ORDER BY times_referenced DESC, created_at DESC';
 
   const stmt = dbInstance.prepare(query);
-  return stmt.all();
+  return stmt.all(...params);
 }
 
 /**
@@ -266,16 +633,16 @@ export function getRelevantFacts(query, limit = 10) {
   if (words.length === 0) return [];
 
   // Simple keyword matching
-  const likeConditions = words.map(w => `LOWER(fact) LIKE '%${w}%'`).join(' OR ');
+  const likeConditions = words.map(() => 'LOWER(fact) LIKE ?').join(' OR ');
 
   const stmt = dbInstance.prepare(`
     SELECT * FROM memory_facts
-    WHERE ${likeConditions}
+    WHERE status = 'approved' AND (${likeConditions})
     ORDER BY times_referenced DESC
     LIMIT ?
   `);
 
-  const facts = stmt.all(limit);
+  const facts = stmt.all(...words.map(w => `%${w}%`), limit);
 
   // Update reference count
   for (const fact of facts) {
@@ -331,13 +698,23 @@ export function getUserContext(key = null) {
 }
 
 /**
- * Build context prompt for AI with memory
+ * Build context prompt for AI with memory.
+ * options.conversationSummary covers history left out of the prompt (see
+ * getHistoryWithinBudget); past summaries matching the query are added too.
  */
-export function buildMemoryContext(userId = 'default', currentQuery = '') {
+export function buildMemoryContext(userId = 'default', currentQuery = '', options = {}) {
   const facts = getAllFacts();
-  const recentMessages = getRecentContext(userId, 10);
+  const recentMessages = getRecentContext(userId, 10, 600);
   const relevantFacts = currentQuery ? getRelevantFacts(currentQuery, 5) : [];
   const userContext = getUserContext();
+  let pastSummaries = [];
+  if (currentQuery) {
+    try {
+      pastSummaries = searchSummaries(currentQuery, { userId, limit: 2, excludeConversationId: options.conversationId }).summaries;
+    } catch (e) {
+      // Summary search is optional context
+    }
+  }
 
   let contextPrompt = '';
 
@@ -369,6 +746,20 @@ export function buildMemoryContext(userId = 'default', currentQuery = '') {
     relevantFacts.forEach(f => contextPrompt += `- ${f.fact}\n`);
   }
 
+  // Add the summary of this conversation's older messages
+  if (options.conversationSummary) {
+    contextPrompt += `\n## Earlier in This Conversation (summary):\n${options.conversationSummary}\n`;
+  }
+
+  // Add past discussions related to the query
+  if (pastSummaries.length > 0) {
+    contextPrompt += '\n## Related Past Discussions:\n';
+    pastSummaries.forEach(s => {
+      contextPrompt += `\n### ${s.title || s.scope} (${(s.periodStart || '').slice(0, 10)} – ${(s.periodEnd || '').slice(0, 10)}):\n${s.summary}\n`;
+      if (s.decisions.length > 0) contextPrompt += `Decisions:\n${s.decisions.map(d => `- ${d}`).join('\n')}\n`;
+    });
+  }
+
   // Add recent conversation summary
   if (recentMessages.length > 0) {
     contextPrompt += '\n## Recent Conversation:\n';
@@ -380,6 +771,426 @@ export function buildMemoryContext(userId = 'default', currentQuery = '') {
   return contextPrompt;
 }
 
+// ============================================
+// SUMMARIES & COMPACTION
+// ============================================
+
+// Recent messages sent verbatim with each chat; older ones come from the summary
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_HISTORY_TOKENS) || 3000;
+// Input per summarization call; longer backlogs are folded in over several calls
+const SUMMARY_INPUT_TOKENS = 6000;
+// New messages a conversation needs before its summary is rolled forward
+const SUMMARY_MIN_MESSAGES = 4;
+
+const SEARCH_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'are', 'was', 'were', 'our', 'your', 'you', 'but', 'any', 'all', 'what', 'when', 'how', 'did', 'does', 'about', 'we', 'decide', 'decided', 'discuss', 'discussed', 'talk', 'talked', 'say', 'said', 'last', 'week', 'month', 'today', 'yesterday', 'ago', 'days']);
+
+jobQueue.registerJobHandler('memory_conversation_summary', ({ conversationId, force }) => summarizeConversation(conversationId, { force }));
+jobQueue.registerJobHandler('memory_week_summary', ({ userId, weekStart }) => summarizeWeek(userId, weekStart));
+
+/**
+ * Rough token count (about 4 characters per token)
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function scheduleConversationSummary(conversationId) {
+  try {
+    const row = db.getDb().prepare('SELECT summary_through, message_count FROM conversations WHERE id = ?').get(conversationId);
+    if (!row) return;
+    // One job per batch of messages since the last summary
+    const batch = Math.floor((row.message_count || 0) / (SUMMARY_MIN_MESSAGES * 2));
+    jobQueue.enqueueJob('memory_conversation_summary', { conversationId }, {
+      delayMs: EXTRACTION_DELAY_MS,
+      idempotencyKey: `memory_summary:${conversationId}:${row.summary_through || 0}:${batch}`
+    });
+  } catch (e) {
+    console.warn('[Memory] Could not schedule conversation summary:', e.message);
+  }
+}
+
+function formatTranscript(messages, maxChars) {
+  return messages.map(m => {
+    const content = m.content.length > maxChars ? `${m.content.substring(0, maxChars)}...` : m.content;
+    return `[${m.created_at}] ${m.role}: ${content}`;
+  }).join('\n');
+}
+
+function parseSummaryResponse(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return { summary: text.trim(), decisions: [], openItems: [], topics: [] };
+  const parsed = JSON.parse(jsonMatch[0]);
+  const list = (value) => (Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()) : []);
+  return {
+    summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : '',
+    decisions: list(parsed.decisions),
+    openItems: list(parsed.openItems),
+    topics: list(parsed.topics)
+  };
+}
+
+async function requestSummary(instructions, previous, transcript) {
+  const prompt = `${previous ? `Summary so far:\n${previous}\n\n` : ''}${instructions}
+
+Messages:
+${transcript}
+
+Return JSON: {"summary":"what was discussed, in at most 150 words","decisions":["each decision or agreed plan, with the date if known"],"openItems":["unresolved questions or follow-ups"],"topics":["short topic keywords"]}`;
+
+  const result = await ai.chat([{ role: 'user', content: prompt }], {
+    systemPrompt: 'You condense chat history into compact summaries that keep names, numbers, dates and decisions. Return only valid JSON.',
+    maxTokens: 800,
+    temperature: 0.2,
+    feature: 'memory'
+  });
+  return parseSummaryResponse(result.text);
+}
+
+// Summary, decisions and open items as one block for prompts and conversations.summary
+function renderSummary({ summary, decisions, openItems }) {
+  let text = summary;
+  if (decisions.length > 0) text += `\nDecisions:\n${decisions.map(d => `- ${d}`).join('\n')}`;
+  if (openItems.length > 0) text += `\nOpen items:\n${openItems.map(o => `- ${o}`).join('\n')}`;
+  return text.trim();
+}
+
+function saveSummary(dbInstance, entry) {
+  dbInstance.prepare(`
+    INSERT INTO memory_summaries (scope, scope_key, user_id, title, summary, decisions, open_items, topics,
+                                  period_start, period_end, message_count, through_message_id, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(scope, scope_key, user_id) DO UPDATE SET
+      title = excluded.title, summary = excluded.summary, decisions = excluded.decisions,
+      open_items = excluded.open_items, topics = excluded.topics, period_start = excluded.period_start,
+      period_end = excluded.period_end, message_count = excluded.message_count,
+      through_message_id = excluded.through_message_id, updated_at = CURRENT_TIMESTAMP
+  `).run(
+    entry.scope, entry.scopeKey, entry.userId, entry.title, entry.summary,
+    entry.decisions.join('\n'), entry.openItems.join('\n'), entry.topics.join(', '),
+    entry.periodStart, entry.periodEnd, entry.messageCount, entry.throughMessageId
+  );
+}
+
+/**
+ * Roll a conversation's summary forward over the messages it doesn't cover yet
+ */
+export async function summarizeConversation(conversationId, options = {}) {
+  const dbInstance = db.getDb();
+  const conversation = dbInstance.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+  if (!conversation) throw new Error(`Conversation not found: ${conversationId}`);
+
+  let through = conversation.summary_through || 0;
+  const pending = dbInstance.prepare('SELECT COUNT(*) AS count FROM conversation_messages WHERE conversation_id = ? AND id > ?')
+    .get(conversationId, through).count;
+  if (pending === 0 || (pending < SUMMARY_MIN_MESSAGES && !options.force)) {
+    return { conversationId, summarized: 0, skipped: true };
+  }
+
+  let rendered = conversation.summary_through ? conversation.summary : null;
+  let summarized = 0;
+  let parts = null;
+  const weeks = new Set();
+
+  // Fold the backlog in oldest first, one token-bounded batch per call
+  while (true) {
+    const batch = [];
+    let tokens = 0;
+    for (const message of dbInstance.prepare(`
+      SELECT id, role, content, created_at FROM conversation_messages
+      WHERE conversation_id = ? AND id > ? ORDER BY id LIMIT 200
+    `).all(conversationId, through)) {
+      const cost = estimateTokens(message.content.substring(0, 1000)) + 10;
+      if (batch.length > 0 && tokens + cost > SUMMARY_INPUT_TOKENS) break;
+      batch.push(message);
+      tokens += cost;
+    }
+    if (batch.length === 0) break;
+
+    parts = await requestSummary(
+      'Update the summary of this conversation to also cover the new messages below. Keep earlier decisions unless the new messages change them.',
+      rendered,
+      formatTranscript(batch, 1000)
+    );
+    if (!parts.summary) throw new Error('Summary response was empty');
+
+    rendered = renderSummary(parts);
+    through = batch[batch.length - 1].id;
+    summarized += batch.length;
+    for (const message of batch) weeks.add(weekStartOf(message.created_at));
+  }
+
+  const span = dbInstance.prepare(`
+    SELECT MIN(created_at) AS first, MAX(created_at) AS last, COUNT(*) AS count
+    FROM conversation_messages WHERE conversation_id = ? AND id <= ?
+  `).get(conversationId, through);
+
+  saveSummary(dbInstance, {
+    scope: 'conversation',
+    scopeKey: conversationId,
+    userId: conversation.user_id,
+    title: conversation.title,
+    ...parts,
+    periodStart: span.first,
+    periodEnd: span.last,
+    messageCount: span.count,
+    throughMessageId: through
+  });
+  dbInstance.prepare('UPDATE conversations SET summary = ?, summary_through = ? WHERE id = ?')
+    .run(rendered, through, conversationId);
+
+  // The weeks these messages fall in need their summaries rolled forward too
+  for (const weekStart of weeks) {
+    jobQueue.enqueueJob('memory_week_summary', { userId: conversation.user_id, weekStart }, {
+      idempotencyKey: `memory_week:${conversation.user_id}:${weekStart}:${conversationId}:${through}`
+    });
+  }
+
+  console.log(`[Memory] Summarized ${summarized} message(s) of ${conversationId}`);
+  return { conversationId, summarized, through, summary: rendered };
+}
+
+/**
+ * Monday (YYYY-MM-DD, UTC) of the week a timestamp falls in
+ */
+function weekStartOf(timestamp) {
+  const date = new Date(`${String(timestamp).replace(' ', 'T')}Z`);
+  const day = (date.getUTCDay() + 6) % 7;
+  date.setUTCDate(date.getUTCDate() - day);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Summarize everything a user discussed in one week (weekStart is a Monday)
+ */
+export async function summarizeWeek(userId, weekStart) {
+  const dbInstance = db.getDb();
+  const start = `${weekStart} 00:00:00`;
+  const endDate = new Date(`${weekStart}T00:00:00Z`);
+  endDate.setUTCDate(endDate.getUTCDate() + 7);
+  const end = toSqlTime(endDate);
+
+  const messages = dbInstance.prepare(`
+    SELECT cm.id, cm.role, cm.content, cm.created_at, c.title
+    FROM conversation_messages cm
+    JOIN conversations c ON cm.conversation_id = c.id
+    WHERE c.user_id = ? AND cm.created_at >= ? AND cm.created_at < ?
+    ORDER BY cm.id
+  `).all(userId, start, end);
+  if (messages.length === 0) return { userId, weekStart, messages: 0 };
+
+  // A long week keeps user messages whole and trims replies to fit one call
+  const perMessage = Math.max(120, Math.floor((SUMMARY_INPUT_TOKENS * 4) / messages.length));
+  let transcript = formatTranscript(messages.map(m => ({
+    ...m, content: m.role === 'user' ? m.content.substring(0, 600) : m.content.substring(0, perMessage)
+  })), 600);
+  if (estimateTokens(transcript) > SUMMARY_INPUT_TOKENS) {
+    transcript = transcript.slice(-SUMMARY_INPUT_TOKENS * 4);
+  }
+
+  const parts = await requestSummary(
+    `Summarize this week's conversations (week of ${weekStart}).`,
+    null,
+    transcript
+  );
+  if (!parts.summary) throw new Error('Summary response was empty');
+
+  saveSummary(dbInstance, {
+    scope: 'week',
+    scopeKey: weekStart,
+    userId,
+    title: `Week of ${weekStart}`,
+    ...parts,
+    periodStart: messages[0].created_at,
+    periodEnd: messages[messages.length - 1].created_at,
+    messageCount: messages.length,
+    throughMessageId: messages[messages.length - 1].id
+  });
+
+  console.log(`[Memory] Summarized week of ${weekStart} for ${userId} (${messages.length} messages)`);
+  return { userId, weekStart, messages: messages.length };
+}
+
+/**
+ * Recent messages of a conversation that fit the token budget, plus the
+ * conversation's summary when older messages had to be left out
+ */
+export function getHistoryWithinBudget(conversationId, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const dbInstance = db.getDb();
+  const rows = dbInstance.prepare(`
+    SELECT id, role, content, metadata, created_at FROM conversation_messages
+    WHERE conversation_id = ? ORDER BY id DESC LIMIT 200
+  `).all(conversationId);
+
+  const messages = [];
+  let tokens = 0;
+  for (const row of rows) {
+    const cost = estimateTokens(row.content);
+    if (messages.length > 0 && tokens + cost > tokenBudget) break;
+    messages.unshift({
+      role: row.role,
+      content: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      timestamp: row.created_at
+    });
+    tokens += cost;
+  }
+
+  const total = dbInstance.prepare('SELECT COUNT(*) AS count FROM conversation_messages WHERE conversation_id = ?').get(conversationId).count;
+  const omitted = total - messages.length;
+  let summary = null;
+  if (omitted > 0) {
+    summary = dbInstance.prepare('SELECT summary FROM conversations WHERE id = ? AND summary_through > 0').get(conversationId)?.summary || null;
+    // Make sure the part that no longer fits gets summarized
+    scheduleConversationSummary(conversationId);
+  }
+
+  return { messages, summary, omitted, tokens };
+}
+
+// ============================================
+// SUMMARY SEARCH
+// ============================================
+
+/**
+ * Date range named in a query ("last month", "this week", "last 10 days"...)
+ */
+export function parseTimeRange(query, now = new Date()) {
+  const text = String(query || '').toLowerCase();
+  const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const today = startOfDay(now);
+  const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+  const monday = addDays(today, -((today.getUTCDay() + 6) % 7));
+  const monthStart = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+
+  let range = null;
+  const lastN = text.match(/\b(?:last|past) (\d+) (day|week|month)s?\b/);
+  if (lastN) {
+    const days = parseInt(lastN[1]) * { day: 1, week: 7, month: 30 }[lastN[2]];
+    range = { since: addDays(today, -days), until: null, label: lastN[0] };
+  } else if (/\btoday\b/.test(text)) {
+    range = { since: today, until: null, label: 'today' };
+  } else if (/\byesterday\b/.test(text)) {
+    range = { since: addDays(today, -1), until: today, label: 'yesterday' };
+  } else if (/\bthis week\b/.test(text)) {
+    range = { since: monday, until: null, label: 'this week' };
+  } else if (/\blast week\b/.test(text)) {
+    range = { since: addDays(monday, -7), until: monday, label: 'last week' };
+  } else if (/\bthis month\b/.test(text)) {
+    range = { since: monthStart, until: null, label: 'this month' };
+  } else if (/\blast month\b/.test(text)) {
+    range = { since: new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - 1, 1)), until: monthStart, label: 'last month' };
+  }
+
+  if (!range) return null;
+  return {
+    since: toSqlTime(range.since),
+    until: range.until ? toSqlTime(range.until) : null,
+    label: range.label
+  };
+}
+
+function buildSummaryMatch(query) {
+  const terms = [...new Set(
+    (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(t => t.length > 1 && !SEARCH_STOP_WORDS.has(t))
+  )].slice(0, 24);
+  return terms.map(t => `"${t}"`).join(' OR ');
+}
+
+function toSummaryResult(row) {
+  const lines = (value) => (value ? value.split('\n').filter(Boolean) : []);
+  return {
+    id: row.id,
+    scope: row.scope,
+    conversationId: row.scope === 'conversation' ? row.scope_key : null,
+    weekStart: row.scope === 'week' ? row.scope_key : null,
+    title: row.title,
+    summary: row.summary,
+    decisions: lines(row.decisions),
+    openItems: lines(row.open_items),
+    topics: row.topics ? row.topics.split(', ').filter(Boolean) : [],
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    messageCount: row.message_count,
+    snippet: row.snippet || null,
+    score: row.rank !== undefined ? Number((-row.rank).toPrecision(4)) : null,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Search conversation and weekly summaries. A time phrase in the query
+ * ("last month") limits the period unless since/until are given.
+ */
+export function searchSummaries(query, options = {}) {
+  const dbInstance = db.getDb();
+  const { userId = 'default', scope = null, excludeConversationId = null } = options;
+  const limit = Math.min(parseInt(options.limit) || 5, 50);
+  const range = options.since || options.until
+    ? { since: options.since || null, until: options.until || null, label: 'custom' }
+    : parseTimeRange(query);
+
+  const conditions = ['s.user_id = ?'];
+  const params = [userId];
+  if (scope) {
+    conditions.push('s.scope = ?');
+    params.push(scope);
+  }
+  if (excludeConversationId) {
+    conditions.push("NOT (s.scope = 'conversation' AND s.scope_key = ?)");
+    params.push(excludeConversationId);
+  }
+  if (range?.since) {
+    conditions.push('s.period_end >= ?');
+    params.push(range.since);
+  }
+  if (range?.until) {
+    conditions.push('s.period_start < ?');
+    params.push(range.until);
+  }
+
+  const match = buildSummaryMatch(query);
+  let rows = [];
+  if (match) {
+    rows = dbInstance.prepare(`
+      SELECT s.*, bm25(memory_summaries_fts, 1.0, 2.0, 3.0, 2.0) AS rank,
+             snippet(memory_summaries_fts, -1, '', '', '…', 24) AS snippet
+      FROM memory_summaries_fts
+      JOIN memory_summaries s ON s.id = memory_summaries_fts.rowid
+      WHERE memory_summaries_fts MATCH ? AND ${conditions.join(' AND ')}
+      ORDER BY rank
+      LIMIT ?
+    `).all(match, ...params, limit);
+  }
+  if (rows.length === 0 && range) {
+    // Nothing matched beyond the time phrase ("what happened last week"): the period's summaries, newest first
+    rows = dbInstance.prepare(`
+      SELECT s.* FROM memory_summaries s
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY s.scope = 'week' DESC, s.period_end DESC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  return { summaries: rows.map(toSummaryResult), range };
+}
+
+/**
+ * Stored summaries, newest first
+ */
+export function getSummaries(options = {}) {
+  const { userId = 'default', scope = null } = options;
+  const limit = Math.min(parseInt(options.limit) || 20, 200);
+  const rows = scope
+    ? db.getDb().prepare('SELECT * FROM memory_summaries WHERE user_id = ? AND scope = ? ORDER BY period_end DESC LIMIT ?').all(userId, scope, limit)
+    : db.getDb().prepare('SELECT * FROM memory_summaries WHERE user_id = ? ORDER BY period_end DESC LIMIT ?').all(userId, limit);
+  return rows.map(toSummaryResult);
+}
+
 /**
  * Get conversation list
  */
@@ -417,27 +1228,59 @@ export function updateConversation(conversationId, updates) {
 }
 
 /**
- * Delete old conversations (cleanup)
+ * Delete old conversations (cleanup). Only conversations whose summary
+ * covers every message are deleted; the rest are queued for summarization
+ * and go on a later run, so old context is condensed rather than lost.
  */
 export function cleanupOldConversations(daysOld = 30) {
   const dbInstance = db.getDb();
 
-  const stmt = dbInstance.prepare(`
-    DELETE FROM conversations
-    WHERE datetime(updated_at) < datetime('now', '-' || ? || ' days')
-    AND is_active = 0
-  `);
+  const old = dbInstance.prepare(`
+    SELECT c.id, c.summary_through, MAX(cm.id) AS last_message_id
+    FROM conversations c
+    LEFT JOIN conversation_messages cm ON cm.conversation_id = c.id
+    WHERE datetime(c.updated_at) < datetime('now', '-' || ? || ' days')
+    AND c.is_active = 0
+    GROUP BY c.id
+  `).all(daysOld);
+
+  const summarized = old.filter(c => !c.last_message_id || (c.summary_through || 0) >= c.last_message_id);
+  for (const conversation of old) {
+    if (!summarized.includes(conversation)) {
+      jobQueue.enqueueJob('memory_conversation_summary', { conversationId: conversation.id, force: true }, {
+        idempotencyKey: `memory_summary:${conversation.id}:${conversation.summary_through || 0}:cleanup`
+      });
+    }
+  }
+
+  const stmt = dbInstance.prepare('DELETE FROM conversations WHERE id = ?');
+  const deleteAll = dbInstance.transaction(ids => ids.reduce((n, id) => n + stmt.run(id).changes, 0));
+  const changes = deleteAll(summarized.map(c => c.id));
 
-  return stmt.run(daysOld);
+  return { changes, pendingSummary: old.length - summarized.length };
 }
 
 export default {
+  FACT_CATEGORIES,
+  FACT_STATUSES,
   initConversationTables,
   createConversation,
   getActiveConversation,
   addMessage,
   getConversationHistory,
   getRecentContext,
+  extractFactsFromConversation,
+  consolidateFact,
+  approveFact,
+  rejectFact,
+  getFactCounts,
+  estimateTokens,
+  summarizeConversation,
+  summarizeWeek,
+  getHistoryWithinBudget,
+  parseTimeRange,
+  searchSummaries,
+  getSummaries,
   storeFact,
   getAllFacts,
   getRelevantFacts,
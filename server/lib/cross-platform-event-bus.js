@@ -11,12 +11,25 @@
  * - Event-driven architecture
  * - Automatic event routing
  * - Cross-platform action chains
+ * - Chain definitions persisted in SQLite with version history
+ * - Declarative JSON conditions/transforms/templates (see chain-expressions.js)
+ * - Chain actions queued as durable jobs with retries (see job-queue.js)
+ * - Simulation mode that records the API calls a chain would make
  * - Webhook integration for external triggers
  */
 
 import { taskade, taskmagic } from './integrations.js';
 import { nifty } from './nifty-integration.js';
 import * as db from './database.js';
+import * as jobQueue from './job-queue.js';
+import {
+  evaluateCondition,
+  renderTemplate,
+  applyTransform,
+  validateCondition,
+  validateTemplate,
+  validateTransform
+} from './chain-expressions.js';
 
 // Event Bus State
 const eventBus = {
@@ -66,6 +79,7 @@ export const EVENTS = {
   DRAFT_CREATED: 'draft.created',
   DRAFT_APPROVED: 'draft.approved',
   DRAFT_REJECTED: 'draft.rejected',
+  DRAFT_SENT: 'draft.sent',
 
   // System Events
   PLATFORM_CONNECTED: 'platform.connected',
@@ -83,6 +97,67 @@ export const PLATFORMS = {
   INTERNAL: 'internal'
 };
 
+/**
+ * Initialize chain persistence tables
+ */
+export function initEventBusTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS event_chains (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      trigger_event TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      is_builtin INTEGER DEFAULT 0,
+      current_version INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS event_chain_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chain_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      definition TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(chain_id, version),
+      FOREIGN KEY (chain_id) REFERENCES event_chains(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_event_chains_trigger ON event_chains(trigger_event);
+  `);
+
+  console.log('[EventBus] Chain tables initialized');
+}
+
+/**
+ * Serializable part of a chain
+ */
+function serializeChain(chain) {
+  return JSON.stringify({
+    name: chain.name,
+    trigger: chain.trigger,
+    condition: chain.condition,
+    actions: chain.actions,
+    platforms: chain.platforms
+  });
+}
+
+function saveChainVersion(store, chainId, chain, createdBy) {
+  const row = store.prepare('SELECT MAX(version) as version FROM event_chain_versions WHERE chain_id = ?').get(chainId);
+  const version = (row?.version || 0) + 1;
+
+  store.prepare(`
+    INSERT INTO event_chain_versions (chain_id, version, definition, created_by)
+    VALUES (?, ?, ?, ?)
+  `).run(chainId, version, serializeChain(chain), createdBy || null);
+
+  return version;
+}
+
 /**
  * Subscribe to an event
  */
@@ -129,7 +204,10 @@ export function off(event, handlerId) {
 }
 
 /**
- * Emit an event
+ * Emit an event. With options.simulate nothing is logged, handled or
+ * queued; the result carries the trace of what matching chains would do.
+ * options.sourceId names what caused the event (a webhook delivery id, a
+ * draft id) so re-emitting it doesn't queue its chain actions again.
  */
 export async function emit(event, data, options = {}) {
   const eventObj = {
@@ -137,9 +215,22 @@ export async function emit(event, data, options = {}) {
     data,
     source: options.source || PLATFORMS.INTERNAL,
     timestamp: new Date().toISOString(),
-    id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    sourceId: options.sourceId ? String(options.sourceId) : null
   };
 
+  if (options.simulate) {
+    const handlers = [...(eventBus.handlers.get(event) || []), ...(eventBus.handlers.get('*') || [])]
+      .filter(h => h.platform === 'all' || h.platform === eventObj.source);
+
+    return {
+      event: eventObj,
+      simulated: true,
+      handlers: handlers.map(h => h.id),
+      trace: await processChainedActions(eventObj, { simulate: true })
+    };
+  }
+
   // Log event to history
   eventBus.history.push(eventObj);
   if (eventBus.history.length > 1000) {
@@ -181,20 +272,147 @@ export async function emit(event, data, options = {}) {
   return { event: eventObj, results };
 }
 
+// Action types understood by executeChainAction
+export const ACTION_TYPES = [
+  'create_task',
+  'sync_task',
+  'trigger_automation',
+  'notify',
+  'update_task',
+  'complete_task',
+  'emit_event'
+];
+
 /**
- * Register a chained action (event -> action -> event)
+ * Check a chain definition before it is saved.
+ * Returns a list of { path, message } errors; empty when the chain is valid.
  */
-export function registerChain(config) {
-  const chain = {
-    id: `chain_${Date.now()}`,
+export function validateChain(config = {}) {
+  const errors = [];
+
+  if (!config.trigger || typeof config.trigger !== 'string') {
+    errors.push({ path: 'trigger', message: 'Chain trigger is required' });
+  }
+  if (config.name !== undefined && typeof config.name !== 'string') {
+    errors.push({ path: 'name', message: 'Name must be a string' });
+  }
+  if (config.platforms !== undefined && !Array.isArray(config.platforms)) {
+    errors.push({ path: 'platforms', message: 'Platforms must be an array' });
+  }
+
+  validateCondition(config.condition, 'condition', 0, errors);
+
+  if (!Array.isArray(config.actions) || config.actions.length === 0) {
+    errors.push({ path: 'actions', message: 'Chain needs at least one action' });
+    return errors;
+  }
+
+  config.actions.forEach((action, i) => {
+    const at = `actions[${i}]`;
+    if (!action || typeof action !== 'object' || Array.isArray(action)) {
+      errors.push({ path: at, message: 'Action must be an object' });
+      return;
+    }
+    if (!ACTION_TYPES.includes(action.type)) {
+      errors.push({ path: `${at}.type`, message: `Unknown action type "${action.type}". Use one of: ${ACTION_TYPES.join(', ')}` });
+    }
+    if (action.type === 'emit_event' && !action.event) {
+      errors.push({ path: `${at}.event`, message: 'emit_event actions need an event' });
+    }
+    if (action.type === 'trigger_automation' && !action.automation) {
+      errors.push({ path: `${at}.automation`, message: 'trigger_automation actions need an automation name' });
+    }
+    if (action.platforms !== undefined && !Array.isArray(action.platforms)) {
+      errors.push({ path: `${at}.platforms`, message: 'Platforms must be an array' });
+    }
+    if (action.template !== undefined) {
+      validateTemplate(action.template, `${at}.template`, errors);
+    }
+    if (action.transform !== undefined) {
+      validateTransform(action.transform, `${at}.transform`, 0, errors);
+    }
+    if (action.data !== undefined) {
+      validateTransform(action.data, `${at}.data`, 0, errors);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Dry evaluation of a chain against a sample event: whether the condition
+ * matches and what each action's template/transform would produce.
+ */
+export function previewChain(config, sampleEvent = {}) {
+  const event = {
+    type: config.trigger,
+    source: 'api',
+    timestamp: new Date().toISOString(),
+    ...sampleEvent,
+    data: sampleEvent.data || {}
+  };
+
+  return {
+    conditionMet: evaluateCondition(config.condition, event),
+    actions: config.actions.map(action => ({
+      type: action.type,
+      ...(action.template !== undefined && { message: renderTemplate(action.template, event) }),
+      ...(action.transform !== undefined && { payload: applyTransform(action.transform, event) }),
+      ...(action.data !== undefined && { data: applyTransform(action.data, event) })
+    }))
+  };
+}
+
+function buildChain(id, config) {
+  const errors = validateChain(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid chain: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  return {
+    id,
     trigger: config.trigger, // Event type that triggers this chain
-    condition: config.condition, // Optional function to check if action should run
+    condition: config.condition, // Optional JSON condition evaluated against the event
     actions: config.actions, // Array of actions to perform
-    platforms: config.platforms, // Which platforms this affects
+    platforms: config.platforms || [], // Which platforms this affects
     enabled: config.enabled !== false,
+    builtin: !!config.builtin,
+    version: config.version || 1,
     name: config.name || 'Unnamed chain'
   };
+}
 
+/**
+ * Register a chained action (event -> action -> event)
+ *
+ * Custom chains are stored as version 1 in SQLite. Built-in chains (defined in
+ * code with a stable id) are recorded once and keep their stored enabled flag.
+ */
+export function registerChain(config, options = {}) {
+  const id = config.id || `chain_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+  const chain = buildChain(id, config);
+  const store = db.tryGetDb();
+
+  if (store) {
+    const existing = store.prepare('SELECT * FROM event_chains WHERE id = ?').get(id);
+
+    if (existing && chain.builtin) {
+      chain.enabled = !!existing.enabled;
+      chain.version = existing.current_version;
+    } else if (!existing) {
+      store.transaction(() => {
+        store.prepare(`
+          INSERT INTO event_chains (id, name, trigger_event, enabled, is_builtin, current_version)
+          VALUES (?, ?, ?, ?, ?, 1)
+        `).run(id, chain.name, chain.trigger, chain.enabled ? 1 : 0, chain.builtin ? 1 : 0);
+        saveChainVersion(store, id, chain, options.createdBy);
+      })();
+    }
+  }
+
+  eventBus.chainedActions = eventBus.chainedActions.filter(c => c.id !== id);
   eventBus.chainedActions.push(chain);
   console.log(`[EventBus] Registered chain: ${chain.name}`);
 
@@ -202,83 +420,286 @@ export function registerChain(config) {
 }
 
 /**
- * Process chained actions for an event
+ * Replace a custom chain's definition, keeping the previous one as a version
+ */
+export function updateChain(chainId, config, options = {}) {
+  const current = eventBus.chainedActions.find(c => c.id === chainId);
+  if (!current) {
+    throw new Error(`Chain not found: ${chainId}`);
+  }
+  if (current.builtin) {
+    throw new Error('Built-in chains cannot be edited; register a custom chain instead');
+  }
+
+  const chain = buildChain(chainId, {
+    name: current.name,
+    trigger: current.trigger,
+    condition: current.condition,
+    actions: current.actions,
+    platforms: current.platforms,
+    ...config,
+    enabled: config.enabled !== undefined ? config.enabled : current.enabled
+  });
+
+  const store = db.tryGetDb();
+  if (store) {
+    store.transaction(() => {
+      chain.version = saveChainVersion(store, chainId, chain, options.createdBy);
+      store.prepare(`
+        UPDATE event_chains
+        SET name = ?, trigger_event = ?, enabled = ?, current_version = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(chain.name, chain.trigger, chain.enabled ? 1 : 0, chain.version, chainId);
+    })();
+  } else {
+    chain.version = current.version + 1;
+  }
+
+  eventBus.chainedActions = eventBus.chainedActions.map(c => c.id === chainId ? chain : c);
+  console.log(`[EventBus] Updated chain: ${chain.name} (v${chain.version})`);
+
+  return getChain(chainId);
+}
+
+/**
+ * Stored versions of a chain, newest first
+ */
+export function getChainVersions(chainId) {
+  const store = db.tryGetDb();
+  if (!store) return [];
+
+  return store.prepare(`
+    SELECT version, definition, created_by, created_at
+    FROM event_chain_versions WHERE chain_id = ? ORDER BY version DESC
+  `).all(chainId).map(row => ({
+    version: row.version,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    definition: JSON.parse(row.definition)
+  }));
+}
+
+/**
+ * Make an earlier version current again (recorded as a new version)
+ */
+export function restoreChainVersion(chainId, version, options = {}) {
+  const stored = getChainVersions(chainId).find(v => v.version === Number(version));
+  if (!stored) {
+    throw new Error(`Version ${version} not found for chain ${chainId}`);
+  }
+  return updateChain(chainId, stored.definition, options);
+}
+
+/**
+ * Load custom chains saved by earlier runs
+ */
+export function loadPersistedChains() {
+  const store = db.tryGetDb();
+  if (!store) return 0;
+
+  const rows = store.prepare(`
+    SELECT c.*, v.definition
+    FROM event_chains c
+    JOIN event_chain_versions v ON v.chain_id = c.id AND v.version = c.current_version
+    WHERE c.is_builtin = 0 AND c.deleted_at IS NULL
+  `).all();
+
+  let loaded = 0;
+  for (const row of rows) {
+    try {
+      const chain = buildChain(row.id, {
+        ...JSON.parse(row.definition),
+        enabled: !!row.enabled,
+        version: row.current_version
+      });
+      eventBus.chainedActions = eventBus.chainedActions.filter(c => c.id !== row.id);
+      eventBus.chainedActions.push(chain);
+      loaded++;
+    } catch (e) {
+      console.error(`[EventBus] Could not load chain ${row.id}:`, e.message);
+    }
+  }
+
+  console.log(`[EventBus] Loaded ${loaded} saved chains`);
+  return loaded;
+}
+
+/**
+ * Process chained actions for an event.
+ *
+ * With options.simulate the actions run against recording clients instead
+ * of being queued, and a per-chain trace is returned. Disabled chains are
+ * simulated too (flagged enabled: false) so they can be checked before
+ * being switched on.
  */
-async function processChainedActions(event) {
+async function processChainedActions(event, options = {}) {
+  const { simulate = false, depth = 0 } = options;
   const matchingChains = eventBus.chainedActions.filter(
-    c => c.enabled && c.trigger === event.type
+    c => (c.enabled || simulate) && c.trigger === event.type
   );
+  const trace = [];
 
   for (const chain of matchingChains) {
+    const conditionMet = evaluateCondition(chain.condition, event);
+
+    if (simulate) {
+      const actions = [];
+      if (conditionMet) {
+        for (const action of chain.actions) {
+          actions.push(await simulateChainAction(action, event, depth));
+        }
+      }
+      trace.push({ chainId: chain.id, chainName: chain.name, enabled: chain.enabled, conditionMet, actions });
+      continue;
+    }
+
     // Check condition if specified
-    if (chain.condition && !chain.condition(event)) {
+    if (!conditionMet) {
       continue;
     }
 
     console.log(`[EventBus] Executing chain: ${chain.name}`);
 
-    for (const action of chain.actions) {
-      try {
-        await executeChainAction(action, event);
-      } catch (error) {
-        console.error(`[EventBus] Chain action failed:`, error.message);
-
-        // Emit error event
-        await emit(EVENTS.ERROR, {
-          chain: chain.name,
-          action: action.type,
-          error: error.message
-        });
-      }
+    // Each action is a job. Only an event with a sourceId can be recognised
+    // when it comes round again; without one every emit runs the chain.
+    const runKey = event.sourceId ? `${event.type}:${event.sourceId}` : event.id;
+    chain.actions.forEach((action, index) => {
+      jobQueue.enqueueJob('chain_action', {
+        chainId: chain.id,
+        chainName: chain.name,
+        action,
+        event
+      }, {
+        idempotencyKey: `${runKey}:${chain.id}:${index}`
+      });
+    });
+  }
+
+  return trace;
+}
+
+jobQueue.registerJobHandler('chain_action', ({ action, event }) => executeChainAction(action, event), {
+  // Retries used up: report it like an inline failure used to be
+  onDeadLetter: (job, error) => emit(EVENTS.ERROR, {
+    chain: job.payload.chainName,
+    action: job.payload.action.type,
+    jobId: job.id,
+    attempts: job.attempts,
+    error: error.message
+  })
+});
+
+// ============================================
+// SIMULATION
+// ============================================
+
+// Clients used by chain actions; a simulation swaps in recorders
+const LIVE_CLIENTS = { taskade, nifty, taskmagic, emit };
+
+// Read-only client methods a simulation still calls for real
+const SIMULATION_PASSTHROUGH = ['getTokenStatus'];
+
+// How many levels of chain-emitted events a simulation follows
+const MAX_SIMULATION_DEPTH = 3;
+
+function recordingClient(platform, client, calls) {
+  return new Proxy(client, {
+    get(target, method) {
+      const value = Reflect.get(target, method);
+      if (typeof value !== 'function') return value;
+      if (SIMULATION_PASSTHROUGH.includes(method)) return value.bind(target);
+
+      return async (...args) => {
+        calls.push({ platform, method, args });
+        return { id: `simulated_${platform}_${calls.length}`, simulated: true };
+      };
     }
+  });
+}
+
+/**
+ * Run one chain action with recording clients: API calls are captured
+ * instead of sent, and emitted events are simulated in turn.
+ */
+async function simulateChainAction(action, triggerEvent, depth) {
+  const calls = [];
+  const events = [];
+
+  const clients = {
+    taskade: recordingClient(PLATFORMS.TASKADE, taskade, calls),
+    nifty: recordingClient(PLATFORMS.NIFTY, nifty, calls),
+    taskmagic: recordingClient(PLATFORMS.TASKMAGIC, taskmagic, calls),
+    emit: async (type, data, options = {}) => {
+      const event = {
+        type,
+        data,
+        source: options.source || PLATFORMS.INTERNAL,
+        timestamp: new Date().toISOString(),
+        id: `simulated_event_${events.length + 1}`
+      };
+      events.push({
+        type,
+        source: event.source,
+        data,
+        chains: depth < MAX_SIMULATION_DEPTH
+          ? await processChainedActions(event, { simulate: true, depth: depth + 1 })
+          : []
+      });
+      return { event, results: [] };
+    }
+  };
+
+  try {
+    const result = await executeChainAction(action, triggerEvent, clients);
+    return { type: action.type, success: true, calls, events, result };
+  } catch (error) {
+    return { type: action.type, success: false, calls, events, error: error.message };
   }
 }
 
 /**
  * Execute a single chain action
  */
-async function executeChainAction(action, triggerEvent) {
+async function executeChainAction(action, triggerEvent, clients = LIVE_CLIENTS) {
   switch (action.type) {
     case 'create_task':
-      await createCrossPlattformTask(action, triggerEvent);
-      break;
+      return createCrossPlattformTask(action, triggerEvent, clients);
 
     case 'sync_task':
-      await syncTaskAcrossPlatforms(action, triggerEvent);
-      break;
+      return syncTaskAcrossPlatforms(action, triggerEvent, clients);
 
     case 'trigger_automation':
-      await triggerTaskMagicAutomation(action, triggerEvent);
-      break;
+      return triggerTaskMagicAutomation(action, triggerEvent, clients);
 
     case 'notify':
-      await sendCrossPatformNotification(action, triggerEvent);
-      break;
+      return sendCrossPatformNotification(action, triggerEvent, clients);
 
     case 'update_task':
-      await updateCrossPlatformTask(action, triggerEvent);
-      break;
+      return updateCrossPlatformTask(action, triggerEvent, clients);
 
     case 'complete_task':
-      await completeCrossPlatformTask(action, triggerEvent);
-      break;
+      return completeCrossPlatformTask(action, triggerEvent, clients);
 
-    case 'emit_event':
-      await emit(action.event, { ...action.data, trigger: triggerEvent });
-      break;
+    case 'emit_event': {
+      const { event } = await clients.emit(action.event, { ...applyTransform(action.data, triggerEvent), trigger: triggerEvent });
+      return { eventId: event.id };
+    }
 
-    default:
-      console.warn(`[EventBus] Unknown action type: ${action.type}`);
+    default: {
+      const error = new Error(`Unknown action type: ${action.type}`);
+      error.retryable = false;
+      throw error;
+    }
   }
 }
 
 /**
  * Create task across platforms
  */
-async function createCrossPlattformTask(action, triggerEvent) {
+async function createCrossPlattformTask(action, triggerEvent, { taskade, nifty, emit } = LIVE_CLIENTS) {
   const platforms = action.platforms || [PLATFORMS.TASKADE];
   const taskData = action.transform
-    ? action.transform(triggerEvent.data)
+    ? applyTransform(action.transform, triggerEvent)
     : triggerEvent.data;
 
   const results = [];
@@ -331,7 +752,7 @@ async function createCrossPlattformTask(action, triggerEvent) {
 /**
  * Sync task across platforms
  */
-async function syncTaskAcrossPlatforms(action, triggerEvent) {
+async function syncTaskAcrossPlatforms(action, triggerEvent, { taskade, nifty, emit } = LIVE_CLIENTS) {
   const sourcePlatform = triggerEvent.source;
   const targetPlatforms = action.platforms.filter(p => p !== sourcePlatform);
   const taskData = triggerEvent.data;
@@ -380,10 +801,10 @@ async function syncTaskAcrossPlatforms(action, triggerEvent) {
 /**
  * Trigger TaskMagic automation
  */
-async function triggerTaskMagicAutomation(action, triggerEvent) {
+async function triggerTaskMagicAutomation(action, triggerEvent, { taskmagic, emit } = LIVE_CLIENTS) {
   const automationName = action.automation;
   const payload = action.transform
-    ? action.transform(triggerEvent.data)
+    ? applyTransform(action.transform, triggerEvent)
     : triggerEvent.data;
 
   try {
@@ -409,24 +830,21 @@ async function triggerTaskMagicAutomation(action, triggerEvent) {
 /**
  * Send cross-platform notification
  */
-async function sendCrossPatformNotification(action, triggerEvent) {
+async function sendCrossPatformNotification(action, triggerEvent, { taskmagic } = LIVE_CLIENTS) {
   const message = action.template
-    ? action.template(triggerEvent.data)
+    ? renderTemplate(action.template, triggerEvent)
     : `${triggerEvent.type}: ${JSON.stringify(triggerEvent.data)}`;
 
-  try {
-    await taskmagic.sendNotification(message, action.channel || 'default');
-  } catch (e) {
-    console.warn('Notification failed:', e.message);
-  }
+  // Failures propagate so the job queue can retry them
+  return taskmagic.sendNotification(message, action.channel || 'default');
 }
 
 /**
  * Update task across platforms
  */
-async function updateCrossPlatformTask(action, triggerEvent) {
+async function updateCrossPlatformTask(action, triggerEvent, { taskade, nifty, emit } = LIVE_CLIENTS) {
   const updates = action.transform
-    ? action.transform(triggerEvent.data)
+    ? applyTransform(action.transform, triggerEvent)
     : triggerEvent.data.updates;
 
   const platforms = action.platforms || [PLATFORMS.TASKADE];
@@ -461,7 +879,7 @@ async function updateCrossPlatformTask(action, triggerEvent) {
 /**
  * Complete task across platforms
  */
-async function completeCrossPlatformTask(action, triggerEvent) {
+async function completeCrossPlatformTask(action, triggerEvent, { taskade, nifty, emit } = LIVE_CLIENTS) {
   const platforms = action.platforms || [PLATFORMS.TASKADE];
 
   for (const platform of platforms) {
@@ -522,11 +940,29 @@ export function getChains() {
     name: c.name,
     trigger: c.trigger,
     enabled: c.enabled,
+    builtin: c.builtin,
+    version: c.version,
     platforms: c.platforms,
     actionCount: c.actions.length
   }));
 }
 
+/**
+ * Get a single chain with its serializable definition
+ */
+export function getChain(chainId) {
+  const chain = eventBus.chainedActions.find(c => c.id === chainId);
+  if (!chain) return null;
+
+  return {
+    id: chain.id,
+    enabled: chain.enabled,
+    builtin: chain.builtin,
+    version: chain.version,
+    ...JSON.parse(serializeChain(chain))
+  };
+}
+
 /**
  * Enable/disable a chain
  */
@@ -534,16 +970,27 @@ export function toggleChain(chainId, enabled) {
   const chain = eventBus.chainedActions.find(c => c.id === chainId);
   if (chain) {
     chain.enabled = enabled;
+    db.tryGetDb()?.prepare(`
+      UPDATE event_chains SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(enabled ? 1 : 0, chainId);
     return true;
   }
   return false;
 }
 
 /**
- * Remove a chain
+ * Remove a chain. The row is soft-deleted so its versions stay on record.
  */
 export function removeChain(chainId) {
+  const chain = eventBus.chainedActions.find(c => c.id === chainId);
+  if (chain?.builtin) {
+    throw new Error('Built-in chains cannot be deleted; disable them instead');
+  }
+
   eventBus.chainedActions = eventBus.chainedActions.filter(c => c.id !== chainId);
+  db.tryGetDb()?.prepare(`
+    UPDATE event_chains SET deleted_at = CURRENT_TIMESTAMP, enabled = 0 WHERE id = ?
+  `).run(chainId);
 }
 
 /**
@@ -552,64 +999,77 @@ export function removeChain(chainId) {
 export function initializeDefaultChains() {
   // When a task is completed in Taskade, sync to Nifty
   registerChain({
+    id: 'default_taskade_nifty_complete_sync',
+    builtin: true,
     name: 'Taskade -> Nifty Task Complete Sync',
     trigger: EVENTS.TASK_COMPLETED,
-    condition: (event) => event.source === PLATFORMS.TASKADE,
+    condition: { field: 'source', op: '==', value: PLATFORMS.TASKADE },
     platforms: [PLATFORMS.NIFTY],
     actions: [
       {
         type: 'notify',
         channel: 'sync',
-        template: (data) => `Task completed in Taskade: ${data.title || data.id}`
+        template: 'Task completed in Taskade: {{data.title || data.id}}'
       }
     ]
   });
 
   // When a task is created in Nifty, trigger TaskMagic
   registerChain({
+    id: 'default_nifty_task_taskmagic',
+    builtin: true,
     name: 'Nifty Task -> TaskMagic Notification',
     trigger: EVENTS.TASK_CREATED,
-    condition: (event) => event.source === PLATFORMS.NIFTY,
+    condition: { field: 'source', op: '==', value: PLATFORMS.NIFTY },
     platforms: [PLATFORMS.TASKMAGIC],
     actions: [
       {
         type: 'trigger_automation',
         automation: 'new_task_notification',
-        transform: (data) => ({
-          taskName: data.name || data.title,
-          project: data.projectName,
+        transform: {
+          taskName: '{{data.name || data.title}}',
+          project: '{{data.projectName}}',
           source: 'nifty'
-        })
+        }
       }
     ]
   });
 
   // When ticket is escalated, create tasks in both platforms
   registerChain({
+    id: 'default_escalated_ticket_tasks',
+    builtin: true,
     name: 'Escalated Ticket -> Multi-Platform Tasks',
     trigger: EVENTS.TICKET_ESCALATED,
-    condition: (event) => event.data.urgency >= 8,
+    condition: { field: 'data.urgency', op: '>=', value: 8 },
     platforms: [PLATFORMS.TASKADE, PLATFORMS.NIFTY],
     actions: [
       {
         type: 'notify',
         channel: 'escalation',
-        template: (data) => `URGENT: Ticket #${data.id} escalated - ${data.subject}`
+        template: 'URGENT: Ticket #{{data.id}} escalated - {{data.subject}}'
       }
     ]
   });
 
   // AI suggestion -> Auto-create task
   registerChain({
+    id: 'default_ai_suggestion_auto_execute',
+    builtin: true,
     name: 'AI Suggestion Auto-Execute',
     trigger: EVENTS.AI_SUGGESTION,
-    condition: (event) => event.data.autoExecutable === true && event.data.priority === 'high',
+    condition: {
+      all: [
+        { field: 'data.autoExecutable', op: '==', value: true },
+        { field: 'data.priority', op: '==', value: 'high' }
+      ]
+    },
     platforms: [PLATFORMS.TASKADE],
     actions: [
       {
         type: 'notify',
         channel: 'ai',
-        template: (data) => `AI Auto-Action: ${data.title}`
+        template: 'AI Auto-Action: {{data.title}}'
       }
     ]
   });
@@ -702,14 +1162,23 @@ export default {
   once,
   off,
   emit,
+  initEventBusTables,
   registerChain,
+  validateChain,
+  previewChain,
+  updateChain,
+  getChainVersions,
+  restoreChainVersion,
+  loadPersistedChains,
   toggleChain,
   removeChain,
   getChains,
+  getChain,
   getEventHistory,
   handleWebhook,
   getStatus,
   initializeDefaultChains,
   EVENTS,
-  PLATFORMS
+  PLATFORMS,
+  ACTION_TYPES
 };
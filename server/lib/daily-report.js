@@ -8,97 +8,16 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import * as ai from './ai-provider.js';
+import * as freshdesk from './freshdesk-client.js';
+import * as freshdeskSync from './freshdesk-sync.js';
+import * as retrieval from './retrieval.js';
 import {
   getAllTicketsWithAnalysis,
-  searchKnowledgeBase,
+  saveAnalysis,
   getKnowledgeBaseStats,
   getRecentRuns
 } from './database.js';
 
-// Freshdesk config (populated by scheduler init or env vars)
-function getFreshdeskConfig() {
-  return {
-    domain: process.env.FRESHDESK_DOMAIN,
-    apiKey: process.env.FRESHDESK_API_KEY,
-    agentId: process.env.FRESHDESK_AGENT_ID
-  };
-}
-
-/**
- * Fetch tickets directly from Freshdesk API (fallback when DB is empty)
- */
-async function fetchFreshdeskTicketsDirect(statuses = [2, 3, 6, 7]) {
-  const config = getFreshdeskConfig();
-  if (!config.domain || !config.apiKey) {
-    console.log('Freshdesk not configured for direct fetch');
-    return [];
-  }
-
-  const allTickets = [];
-  const baseUrl = `https://${config.domain}.freshdesk.com/api/v2`;
-  const auth = Buffer.from(`${config.apiKey}:X`).toString('base64');
-
-  for (const status of statuses) {
-    try {
-      let query = `"status:${status}"`;
-      if (config.agentId) {
-        query = `"agent_id:${config.agentId} AND status:${status}"`;
-      }
-
-      const url = `${baseUrl}/search/tickets?query=${encodeURIComponent(query)}`;
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Basic ${auth}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        allTickets.push(...(data.results || []));
-      } else {
-        console.error(`Freshdesk fetch status ${status} failed:`, response.status);
-      }
-
-      // Rate limit
-      await new Promise(r => setTimeout(r, 300));
-    } catch (error) {
-      console.error(`Freshdesk fetch error for status ${status}:`, error.message);
-    }
-  }
-
-  // Deduplicate
-  const seen = new Set();
-  return allTickets.filter(t => {
-    if (seen.has(t.id)) return false;
-    seen.add(t.id);
-    return true;
-  });
-}
-
-/**
- * Normalize Freshdesk API ticket to match DB ticket format
- */
-function normalizeFreshdeskTicket(ticket) {
-  return {
-    freshdesk_id: ticket.id,
-    subject: ticket.subject || 'No subject',
-    description: ticket.description_text || ticket.description || '',
-    status: ticket.status,
-    priority: ticket.priority,
-    requester_name: ticket.requester?.name || '',
-    requester_email: ticket.requester?.email || ticket.requester_id?.toString() || '',
-    created_at: ticket.created_at,
-    updated_at: ticket.updated_at,
-    // These will be filled by AI analysis
-    escalation_type: null,
-    urgency_score: ticket.priority === 4 ? 8 : (ticket.priority === 3 ? 6 : 4),
-    summary: null,
-    suggested_response: null,
-    action_items: null
-  };
-}
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -139,37 +58,36 @@ export async function generateReportData() {
   // Get all open/pending tickets with their analysis
   let tickets = getAllTicketsWithAnalysis([2, 3, 6, 7]) || [];
 
-  // FALLBACK: If DB is empty, fetch directly from Freshdesk API
-  if (tickets.length === 0) {
-    console.log('No tickets in database, fetching directly from Freshdesk...');
+  // FALLBACK: If DB is empty, sync from Freshdesk and read it back
+  if (tickets.length === 0 && freshdesk.isConfigured()) {
+    console.log('No tickets in database, syncing from Freshdesk...');
     try {
-      const freshdeskTickets = await fetchFreshdeskTicketsDirect([2, 3, 6, 7]);
-      if (freshdeskTickets.length > 0) {
-        console.log(`Fetched ${freshdeskTickets.length} tickets directly from Freshdesk`);
-        tickets = freshdeskTickets.map(normalizeFreshdeskTicket);
-
-        // Quick AI analysis for each ticket
-        for (const ticket of tickets) {
-          try {
-            const analysis = await ai.analyzeTicket({
-              id: ticket.freshdesk_id,
-              subject: ticket.subject,
-              description_text: ticket.description,
-              priority: ticket.priority,
-              status: ticket.status
-            });
-            ticket.escalation_type = analysis.ESCALATION_TYPE || 'SUPPORT';
-            ticket.urgency_score = analysis.URGENCY_SCORE || ticket.urgency_score;
-            ticket.summary = analysis.SUMMARY || null;
-            // Rate limit
-            await new Promise(r => setTimeout(r, 300));
-          } catch (e) {
-            console.log(`Quick analysis failed for #${ticket.freshdesk_id}:`, e.message);
-          }
+      await freshdeskSync.syncTickets();
+      tickets = getAllTicketsWithAnalysis([2, 3, 6, 7]) || [];
+      console.log(`Synced ${tickets.length} active tickets from Freshdesk`);
+
+      // Quick AI analysis for tickets the scheduler hasn't analyzed yet
+      for (const ticket of tickets.filter(t => !t.escalation_type)) {
+        try {
+          const analysis = await ai.analyzeTicket({
+            id: ticket.freshdesk_id,
+            subject: ticket.subject,
+            description_text: ticket.description,
+            priority: ticket.priority,
+            status: ticket.status
+          });
+          saveAnalysis(ticket.freshdesk_id, analysis, analysis.provider, analysis.model);
+          ticket.escalation_type = analysis.ESCALATION_TYPE || 'SUPPORT';
+          ticket.urgency_score = analysis.URGENCY_SCORE || ticket.urgency_score;
+          ticket.summary = analysis.SUMMARY || null;
+          // Rate limit
+          await new Promise(r => setTimeout(r, 300));
+        } catch (e) {
+          console.log(`Quick analysis failed for #${ticket.freshdesk_id}:`, e.message);
         }
       }
     } catch (e) {
-      console.error('Freshdesk direct fetch failed:', e.message);
+      console.error('Freshdesk sync failed:', e.message);
     }
   }
 
@@ -241,12 +159,14 @@ export async function generateReportData() {
 
   for (const ticket of topTickets) {
     try {
-      // Find similar resolved tickets for context
-      const keywords = extractKeywords(ticket.subject + ' ' + (ticket.description || ''));
-      const similarTickets = searchKnowledgeBase(keywords, 3);
+      // Find similar resolved tickets for context (the ticket's own history excluded)
+      const query = `${ticket.subject} ${(ticket.description || '').substring(0, 500)}`;
+      const similarTickets = retrieval.toSimilarTickets(await retrieval.search(query, { limit: 4, sources: ['ticket'] }))
+        .filter(t => String(t.id) !== String(ticket.freshdesk_id))
+        .slice(0, 3);
 
       // Generate AI response
-      const response = await ai.generateResponse(ticket, similarTickets);
+      const response = await ai.generateResponse(ticket, { similarTickets });
 
       ticketSolutions.push({
         ticket,
@@ -288,29 +208,6 @@ export async function generateReportData() {
   };
 }
 
-/**
- * Extract keywords from text for knowledge base search
- */
-function extractKeywords(text) {
-  if (!text) return [];
-
-  const stopWords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been',
-    'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would',
-    'could', 'should', 'may', 'might', 'must', 'shall', 'can', 'need',
-    'i', 'you', 'he', 'she', 'it', 'we', 'they', 'my', 'your', 'his',
-    'her', 'its', 'our', 'their', 'this', 'that', 'these', 'those'
-  ]);
-
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/)
-    .filter(word => word.length > 2 && !stopWords.has(word))
-    .slice(0, 10);
-}
-
 /**
  * Format ticket for report display
  */
@@ -9,6 +9,7 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import * as supabaseDb from './supabase-db.js';
+import { normalize as normalizeOutput } from './ai-schemas.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -88,6 +89,16 @@ function createTables() {
     )
   `);
 
+  // Time spent pending or waiting on someone else (statuses 3, 6, 7), kept by
+  // upsertTicket from status changes so SLA resolution clocks can stop on it
+  const ticketColumns = db.prepare('PRAGMA table_info(tickets)').all().map(c => c.name);
+  if (!ticketColumns.includes('paused_since')) {
+    db.exec('ALTER TABLE tickets ADD COLUMN paused_since TEXT');
+  }
+  if (!ticketColumns.includes('paused_ms')) {
+    db.exec('ALTER TABLE tickets ADD COLUMN paused_ms INTEGER DEFAULT 0');
+  }
+
   // Ticket analysis table - stores AI-generated analysis
   db.exec(`
     CREATE TABLE IF NOT EXISTS ticket_analysis (
@@ -146,10 +157,18 @@ function createTables() {
       metadata TEXT,
       source_type TEXT,
       source_id INTEGER,
+      embedding_model TEXT,
       created_at TEXT DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Databases created before pluggable embeddings: rows without a model are
+  // legacy word-frequency maps and get re-embedded by the RAG module
+  const embeddingColumns = db.prepare('PRAGMA table_info(embeddings)').all().map(c => c.name);
+  if (!embeddingColumns.includes('embedding_model')) {
+    db.exec('ALTER TABLE embeddings ADD COLUMN embedding_model TEXT');
+  }
+
   // Scheduled runs log - tracks automated polling runs
   db.exec(`
     CREATE TABLE IF NOT EXISTS scheduled_runs (
@@ -231,6 +250,37 @@ function createTables() {
     )
   `);
 
+  // Posting approved drafts to Freshdesk: send_status is NULL (unsent),
+  // 'sending', 'sent' or 'failed'
+  const draftColumns = db.prepare('PRAGMA table_info(drafts)').all().map(c => c.name);
+  const sendColumns = [
+    ['send_status', 'TEXT'],
+    ['sent_as', 'TEXT'],
+    ['freshdesk_conversation_id', 'INTEGER'],
+    ['sent_by', 'TEXT'],
+    ['sent_at', 'TEXT'],
+    ['send_error', 'TEXT']
+  ];
+  for (const [name, type] of sendColumns) {
+    if (!draftColumns.includes(name)) {
+      db.exec(`ALTER TABLE drafts ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  // QA result details: the weighted score, the rubric it was graded with and
+  // a hash of the text graded, so edited drafts are re-checked before approval
+  const qaColumns = [
+    ['qa_score', 'INTEGER'],
+    ['qa_rubric_id', 'INTEGER'],
+    ['qa_text_hash', 'TEXT'],
+    ['qa_evaluated_at', 'TEXT']
+  ];
+  for (const [name, type] of qaColumns) {
+    if (!draftColumns.includes(name)) {
+      db.exec(`ALTER TABLE drafts ADD COLUMN ${name} ${type}`);
+    }
+  }
+
   // SOP change log — tracks ClickUp doc updates
   db.exec(`
     CREATE TABLE IF NOT EXISTS sop_log (
@@ -282,19 +332,38 @@ export function getDb() {
   return db;
 }
 
+/**
+ * Database instance, or null when running without a database (modules that
+ * keep working in memory)
+ */
+export function tryGetDb() {
+  return db || null;
+}
+
 // ============================================
 // TICKET OPERATIONS
 // ============================================
 
 /**
- * Upsert a ticket (insert or update)
+ * Upsert a ticket (insert or update). A status change into or out of a paused
+ * status (pending, waiting on customer or third party) is dated by the
+ * ticket's updated_at, which is when Freshdesk recorded the change.
  */
 export function upsertTicket(ticket) {
   const stmt = db.prepare(`
     INSERT INTO tickets (freshdesk_id, subject, description, status, priority,
-                        requester_name, requester_email, created_at, updated_at, raw_data, synced_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                        requester_name, requester_email, created_at, updated_at, resolved_at, raw_data, synced_at,
+                        paused_since)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP,
+            CASE WHEN ? IN (3, 6, 7) THEN ? END)
     ON CONFLICT(freshdesk_id) DO UPDATE SET
+      paused_ms = COALESCE(tickets.paused_ms, 0) + CASE
+        WHEN tickets.paused_since IS NOT NULL AND excluded.status NOT IN (3, 6, 7)
+        THEN MAX(0, CAST(ROUND((julianday(excluded.updated_at) - julianday(tickets.paused_since)) * 86400000) AS INTEGER))
+        ELSE 0 END,
+      paused_since = CASE
+        WHEN excluded.status NOT IN (3, 6, 7) THEN NULL
+        ELSE COALESCE(tickets.paused_since, excluded.updated_at) END,
       subject = excluded.subject,
       description = excluded.description,
       status = excluded.status,
@@ -302,6 +371,7 @@ export function upsertTicket(ticket) {
       requester_name = excluded.requester_name,
       requester_email = excluded.requester_email,
       updated_at = excluded.updated_at,
+      resolved_at = COALESCE(excluded.resolved_at, tickets.resolved_at),
       raw_data = excluded.raw_data,
       synced_at = CURRENT_TIMESTAMP
   `);
@@ -316,7 +386,10 @@ export function upsertTicket(ticket) {
     ticket.requester?.email || '',
     ticket.created_at,
     ticket.updated_at,
-    JSON.stringify(ticket)
+    ticket.stats?.resolved_at || ticket.stats?.closed_at || null,
+    JSON.stringify(ticket),
+    ticket.status,
+    ticket.updated_at
   );
 }
 
@@ -406,13 +479,16 @@ export function saveAnalysis(ticketId, analysis, provider = 'claude', model = ''
     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
+  // Callers pass analyzeTicket() output; normalizing again settles any other casing
+  const normalized = normalizeOutput('ticket_analysis', analysis);
+
   return stmt.run(
     ticketId,
-    analysis.ESCALATION_TYPE || analysis.escalation_type,
-    analysis.URGENCY_SCORE || analysis.urgency_score,
-    analysis.SUMMARY || analysis.summary,
-    analysis.SUGGESTED_RESPONSE || analysis.suggested_response,
-    JSON.stringify(analysis.ACTION_ITEMS || analysis.action_items || []),
+    normalized.ESCALATION_TYPE ?? null,
+    normalized.URGENCY_SCORE ?? null,
+    normalized.SUMMARY ?? null,
+    normalized.SUGGESTED_RESPONSE ?? null,
+    JSON.stringify(normalized.ACTION_ITEMS || []),
     provider,
     model
   );
@@ -839,16 +915,17 @@ export function getAgentHistory(agentId, limit = 50) {
 // ============================================
 
 /**
- * Store an embedding
+ * Store an embedding (modelId records which embedding model produced it)
  */
-export function storeEmbedding(id, content, embedding, metadata = {}, sourceType = '', sourceId = null) {
+export function storeEmbedding(id, content, embedding, metadata = {}, sourceType = '', sourceId = null, modelId = null) {
   const stmt = db.prepare(`
-    INSERT INTO embeddings (id, content, embedding, metadata, source_type, source_id)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO embeddings (id, content, embedding, metadata, source_type, source_id, embedding_model)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(id) DO UPDATE SET
       content = excluded.content,
       embedding = excluded.embedding,
       metadata = excluded.metadata,
+      embedding_model = excluded.embedding_model,
       created_at = CURRENT_TIMESTAMP
   `);
 
@@ -858,10 +935,19 @@ export function storeEmbedding(id, content, embedding, metadata = {}, sourceType
     JSON.stringify(embedding),
     JSON.stringify(metadata),
     sourceType,
-    sourceId
+    sourceId,
+    modelId
   );
 }
 
+/**
+ * Replace the vector of a stored embedding (model migration)
+ */
+export function updateEmbeddingVector(id, embedding, modelId) {
+  return db.prepare('UPDATE embeddings SET embedding = ?, embedding_model = ? WHERE id = ?')
+    .run(JSON.stringify(embedding), modelId, id);
+}
+
 /**
  * Get embeddings by source
  */
@@ -906,32 +992,6 @@ export function addToCasebook(entry) {
   return result.lastInsertRowid;
 }
 
-/**
- * Search casebook by keywords
- */
-export function searchCasebook(searchTerms, limit = 5) {
-  const stmt = db.prepare(`
-    SELECT * FROM casebook
-    ORDER BY created_at DESC
-    LIMIT ?
-  `);
-
-  const results = stmt.all(limit * 3);
-  const terms = Array.isArray(searchTerms) ? searchTerms : [searchTerms];
-
-  const scored = results.map(row => {
-    const rowKeywords = JSON.parse(row.keywords || '[]');
-    const searchText = `${row.subject} ${row.issue_type} ${row.approved_response} ${rowKeywords.join(' ')}`.toLowerCase();
-    const score = terms.filter(t => t.length > 2 && searchText.includes(t.toLowerCase())).length;
-    return { ...row, score, keywords: rowKeywords };
-  });
-
-  return scored
-    .filter(r => r.score > 0)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
-}
-
 /**
  * Get casebook entries with optional filters
  */
@@ -988,8 +1048,9 @@ export function getCasebookStats() {
  */
 export function saveDraft(draft) {
   const stmt = db.prepare(`
-    INSERT INTO drafts (ticket_id, ticket_subject, draft_text, status, qa_result, qa_passed, sop_citations, similar_tickets_used, casebook_entries_used, pipeline_metadata, created_by)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO drafts (ticket_id, ticket_subject, draft_text, status, qa_result, qa_passed, qa_score, qa_rubric_id, qa_text_hash, qa_evaluated_at,
+                        sop_citations, similar_tickets_used, casebook_entries_used, pipeline_metadata, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP END, ?, ?, ?, ?, ?)
   `);
 
   const result = stmt.run(
@@ -999,6 +1060,10 @@ export function saveDraft(draft) {
     draft.status || 'PENDING_REVIEW',
     draft.qa_result || null,
     draft.qa_passed != null ? draft.qa_passed : null,
+    draft.qa_score ?? null,
+    draft.qa_rubric_id ?? null,
+    draft.qa_text_hash || null,
+    draft.qa_result || null,
     draft.sop_citations || null,
     draft.similar_tickets_used || null,
     draft.casebook_entries_used || null,
@@ -1050,6 +1115,71 @@ export function updateDraftStatus(id, status, reviewedBy = 'human') {
   return stmt.run(status, reviewedBy, id);
 }
 
+/**
+ * Store a QA result for a draft's current text
+ */
+export function updateDraftQA(id, { qaResult, textHash }) {
+  const stmt = db.prepare(`
+    UPDATE drafts
+    SET qa_result = ?, qa_passed = ?, qa_score = ?, qa_rubric_id = ?, qa_text_hash = ?,
+        qa_evaluated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  return stmt.run(
+    JSON.stringify(qaResult),
+    qaResult.overall === 'PASS' ? 1 : 0,
+    qaResult.score ?? null,
+    qaResult.rubric?.id ?? null,
+    textHash,
+    id
+  );
+}
+
+/**
+ * Replace a draft's text (reviewer edits before approving or sending)
+ */
+export function updateDraftText(id, draftText) {
+  const stmt = db.prepare(`
+    UPDATE drafts SET draft_text = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+
+  return stmt.run(draftText, id);
+}
+
+/**
+ * Claim an approved, unsent draft for sending. Returns false when it is
+ * missing, not approved, already sent or being sent — so a draft can only
+ * ever be posted once. Failed sends can be claimed again.
+ */
+export function claimDraftSend(id, sentBy) {
+  const stmt = db.prepare(`
+    UPDATE drafts
+    SET send_status = 'sending', sent_by = ?, send_error = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'APPROVED' AND (send_status IS NULL OR send_status = 'failed')
+  `);
+
+  return stmt.run(sentBy, id).changes > 0;
+}
+
+/**
+ * Record the outcome of a send claimed with claimDraftSend
+ */
+export function finishDraftSend(id, { sentAs = null, conversationId = null, error = null } = {}) {
+  const stmt = error
+    ? db.prepare(`
+        UPDATE drafts SET send_status = 'failed', send_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `)
+    : db.prepare(`
+        UPDATE drafts
+        SET send_status = 'sent', sent_as = ?, freshdesk_conversation_id = ?, sent_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+  return error ? stmt.run(error, id) : stmt.run(sentAs, conversationId, id);
+}
+
 /**
  * Get all drafts with optional filters
  */
@@ -1146,6 +1276,7 @@ export default {
   initDatabase,
   isUsingSupabase,
   getDb,
+  tryGetDb,
   upsertTicket,
   upsertTickets,
   getTicketsByStatus,
@@ -1170,9 +1301,9 @@ export default {
   logAgentInteraction,
   getAgentHistory,
   storeEmbedding,
+  updateEmbeddingVector,
   getEmbeddingsBySource,
   addToCasebook,
-  searchCasebook,
   getCasebookEntries,
   deleteCasebookEntry,
   getCasebookStats,
@@ -1181,6 +1312,10 @@ export default {
   getDraftForTicket,
   getResolvedDrafts,
   updateDraftStatus,
+  updateDraftQA,
+  updateDraftText,
+  claimDraftSend,
+  finishDraftSend,
   getAllDrafts,
   getDraftStats,
   deleteDraft,
@@ -0,0 +1,544 @@
+/**
+ * Draft Revisions for LIV8 Command Center
+ *
+ * Keeps what reviewers do to AI drafts instead of only the latest text:
+ * - the AI's original text (revision 0), saved the first time a draft changes
+ * - every edit and the sent version, each as a word diff against the original
+ * - rejections, with the reviewer's reason
+ *
+ * The recurring corrections across drafts (phrases reviewers keep replacing,
+ * removing or adding, and why drafts get rejected) plus a few before/after
+ * examples are turned into prompt context for draft generation. A draft that
+ * was edited and then approved or sent is also added to the casebook.
+ *
+ * reviewDraft is the one place a review decision is applied, for the drafts
+ * API and the commander alike.
+ */
+
+import * as db from './database.js';
+import * as qaEvaluator from './qa-evaluator.js';
+import { EVENTS, emit } from './cross-platform-event-bus.js';
+
+export const REVISION_KINDS = ['ai', 'edit', 'sent', 'rejected'];
+export const REVIEW_STATUSES = ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'NEEDS_EDIT', 'ESCALATION_RECOMMENDED'];
+
+// Word diffs above this many words per side fall back to a whole replacement
+const MAX_DIFF_WORDS = 1500;
+// A correction has to show up on this many drafts before it is taught
+const MIN_PATTERN_DRAFTS = 2;
+// Changed words / total words at which an edited draft counts as a correction
+const MIN_CHANGE_RATIO = 0.05;
+// Edited drafts looked at when mining patterns
+const PATTERN_WINDOW = 200;
+const MAX_PHRASE_WORDS = 15;
+
+/**
+ * Create the revisions table and the draft columns it relies on
+ */
+export function initDraftRevisionTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS draft_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      draft_id INTEGER NOT NULL,
+      ticket_id INTEGER,
+      revision INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      draft_text TEXT,
+      diff TEXT,
+      words_added INTEGER DEFAULT 0,
+      words_removed INTEGER DEFAULT 0,
+      change_ratio REAL DEFAULT 0,
+      reason TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (draft_id, revision)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_draft_revisions_draft ON draft_revisions(draft_id);
+    CREATE INDEX IF NOT EXISTS idx_draft_revisions_kind ON draft_revisions(kind, created_at);
+  `);
+
+  const draftColumns = dbInstance.prepare('PRAGMA table_info(drafts)').all().map(c => c.name);
+  if (!draftColumns.includes('rejection_reason')) {
+    dbInstance.exec('ALTER TABLE drafts ADD COLUMN rejection_reason TEXT');
+  }
+  if (!draftColumns.includes('casebook_id')) {
+    dbInstance.exec('ALTER TABLE drafts ADD COLUMN casebook_id INTEGER');
+  }
+
+  console.log('[Draft Revisions] Tables initialized');
+}
+
+function getDraft(id) {
+  return db.getDb().prepare('SELECT * FROM drafts WHERE id = ?').get(id);
+}
+
+// ============================================
+// DIFFS
+// ============================================
+
+/**
+ * Word-level diff from before to after as [{ op: 'equal' | 'delete' | 'insert', text }]
+ */
+export function diffText(before, after) {
+  const a = String(before || '').match(/\S+\s*/g) || [];
+  const b = String(after || '').match(/\S+\s*/g) || [];
+  const ops = [];
+  const push = (op, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += token;
+    else ops.push({ op, text: token });
+  };
+
+  if (a.length > MAX_DIFF_WORDS || b.length > MAX_DIFF_WORDS) {
+    if (a.length) ops.push({ op: 'delete', text: a.join('') });
+    if (b.length) ops.push({ op: 'insert', text: b.join('') });
+    return ops;
+  }
+
+  // Longest common subsequence over words (whitespace ignored when comparing)
+  const key = token => token.trim();
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = key(a[i]) === key(b[j])
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (key(a[i]) === key(b[j])) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+  return ops;
+}
+
+/**
+ * Words added and removed, and the share of all words that changed
+ */
+export function diffStats(ops) {
+  const count = text => (text.match(/\S+/g) || []).length;
+  let added = 0;
+  let removed = 0;
+  let kept = 0;
+  for (const { op, text } of ops) {
+    if (op === 'insert') added += count(text);
+    else if (op === 'delete') removed += count(text);
+    else kept += count(text);
+  }
+  const total = added + removed + 2 * kept;
+  return {
+    wordsAdded: added,
+    wordsRemoved: removed,
+    changeRatio: total ? Math.round(((added + removed) / total) * 1000) / 1000 : 0
+  };
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+function insertRevision(draft, kind, { text = null, reason = null, user = null } = {}) {
+  const dbInstance = db.getDb();
+  const original = dbInstance.prepare(
+    "SELECT draft_text FROM draft_revisions WHERE draft_id = ? AND kind = 'ai'"
+  ).get(draft.id);
+  const next = dbInstance.prepare(
+    'SELECT COALESCE(MAX(revision), 0) + 1 AS revision FROM draft_revisions WHERE draft_id = ?'
+  ).get(draft.id).revision;
+
+  const ops = text !== null && original ? diffText(original.draft_text, text) : null;
+  const stats = ops ? diffStats(ops) : { wordsAdded: 0, wordsRemoved: 0, changeRatio: 0 };
+
+  dbInstance.prepare(`
+    INSERT INTO draft_revisions (draft_id, ticket_id, revision, kind, draft_text, diff, words_added, words_removed,
+      change_ratio, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    draft.id, draft.ticket_id, next, kind, text, ops ? JSON.stringify(ops) : null,
+    stats.wordsAdded, stats.wordsRemoved, stats.changeRatio, reason, user
+  );
+  return { revision: next, kind, ...stats };
+}
+
+// The AI's text, saved once before anything changes it
+function ensureOriginal(draft) {
+  const dbInstance = db.getDb();
+  const exists = dbInstance.prepare("SELECT 1 FROM draft_revisions WHERE draft_id = ? AND kind = 'ai'").get(draft.id);
+  if (exists) return;
+  dbInstance.prepare(`
+    INSERT INTO draft_revisions (draft_id, ticket_id, revision, kind, draft_text, created_by)
+    VALUES (?, ?, 0, 'ai', ?, ?)
+  `).run(draft.id, draft.ticket_id, draft.draft_text, draft.created_by || 'pipeline');
+}
+
+/**
+ * Replace a draft's text and record the edit; returns the revision, or null
+ * when the text did not change
+ */
+export function reviseDraft(draftId, newText, { user = null } = {}) {
+  const draft = getDraft(draftId);
+  const text = String(newText || '').trim();
+  if (!draft || !text || text === draft.draft_text) return null;
+
+  ensureOriginal(draft);
+  db.updateDraftText(draftId, text);
+  return insertRevision(draft, 'edit', { text, user });
+}
+
+/**
+ * Record the version that went to the customer
+ */
+export function recordSent(draftId, { user = null } = {}) {
+  const draft = getDraft(draftId);
+  if (!draft) return null;
+  ensureOriginal(draft);
+  return insertRevision(draft, 'sent', { text: draft.draft_text, user });
+}
+
+/**
+ * Record a rejection and its reason
+ */
+export function recordRejection(draftId, reason, { user = null } = {}) {
+  const draft = getDraft(draftId);
+  if (!draft) return null;
+
+  db.getDb().prepare('UPDATE drafts SET rejection_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(reason, draftId);
+  ensureOriginal(draft);
+  return insertRevision(draft, 'rejected', { text: draft.draft_text, reason, user });
+}
+
+/**
+ * A draft's revisions, oldest first
+ */
+export function getRevisions(draftId) {
+  return db.getDb().prepare('SELECT * FROM draft_revisions WHERE draft_id = ? ORDER BY revision').all(draftId)
+    .map(row => ({
+      revision: row.revision,
+      kind: row.kind,
+      draftText: row.draft_text,
+      diff: row.diff ? JSON.parse(row.diff) : null,
+      wordsAdded: row.words_added,
+      wordsRemoved: row.words_removed,
+      changeRatio: row.change_ratio,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+}
+
+// ============================================
+// CASEBOOK
+// ============================================
+
+function describeCorrections(ops) {
+  const changes = extractCorrections(ops).slice(0, 5).map(c =>
+    c.type === 'replaced' ? `replaced "${c.from}" with "${c.to}"`
+      : c.type === 'removed' ? `removed "${c.from}"`
+      : `added "${c.to}"`
+  );
+  return changes.length ? `Reviewer corrections to the AI draft: ${changes.join('; ')}` : '';
+}
+
+/**
+ * Add an edited, approved draft to the casebook, or refresh the entry it
+ * already made. Tickets that already have a hand-made entry are left alone.
+ * Returns the casebook id, or null when nothing was learned.
+ */
+export function learnFromDraft(draftId) {
+  const dbInstance = db.getDb();
+  const draft = getDraft(draftId);
+  if (!draft) return null;
+
+  const latest = dbInstance.prepare(`
+    SELECT diff, change_ratio FROM draft_revisions
+    WHERE draft_id = ? AND kind IN ('edit', 'sent') ORDER BY revision DESC LIMIT 1
+  `).get(draftId);
+  if (!latest || latest.change_ratio < MIN_CHANGE_RATIO) return null;
+
+  const notes = describeCorrections(JSON.parse(latest.diff || '[]'));
+  if (draft.casebook_id && dbInstance.prepare('SELECT 1 FROM casebook WHERE id = ?').get(draft.casebook_id)) {
+    dbInstance.prepare(`
+      UPDATE casebook SET approved_response = ?, resolution_notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(draft.draft_text, notes, draft.casebook_id);
+    return draft.casebook_id;
+  }
+
+  if (draft.ticket_id && dbInstance.prepare('SELECT 1 FROM casebook WHERE ticket_id = ?').get(draft.ticket_id)) {
+    return null;
+  }
+
+  const ticket = draft.ticket_id ? db.getTicketWithAnalysis(draft.ticket_id) : null;
+  const casebookId = db.addToCasebook({
+    ticket_id: draft.ticket_id,
+    subject: draft.ticket_subject || ticket?.subject || `Ticket #${draft.ticket_id}`,
+    issue_type: ticket?.escalation_type ? ticket.escalation_type.toLowerCase() : 'general',
+    customer_message: (ticket?.description || '').substring(0, 2000),
+    approved_response: draft.draft_text,
+    keywords: (draft.ticket_subject || '').split(/\s+/).filter(w => w.length > 3),
+    resolution_notes: notes,
+    approved_by: draft.sent_by || draft.reviewed_by || 'human'
+  });
+  dbInstance.prepare('UPDATE drafts SET casebook_id = ? WHERE id = ?').run(casebookId, draftId);
+  console.log(`[Draft Revisions] Draft ${draftId} added to casebook #${casebookId}`);
+  return casebookId;
+}
+
+// ============================================
+// REVIEW
+// ============================================
+
+function reviewError(message, code, status, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Apply a reviewer's decision to a queued draft: save their edit, hold
+ * approval to the QA floor (re-grading edited text), keep rejection reasons
+ * and edited approvals for learning, and announce the change. Throws errors
+ * carrying code and an HTTP status.
+ * @param {number} draftId
+ * @param {string} status - one of REVIEW_STATUSES
+ * @param {Object} options - { reason (required to reject), draftText, user }
+ * @returns {Object} - { draftId, status }
+ */
+export async function reviewDraft(draftId, status, { reason = null, draftText, user = 'human' } = {}) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw reviewError(`Invalid status. Must be one of: ${REVIEW_STATUSES.join(', ')}`, 'INVALID_STATUS', 400);
+  }
+  const rejectionReason = typeof reason === 'string' ? reason.trim() : '';
+  if (status === 'REJECTED' && !rejectionReason) {
+    throw reviewError('A reason is required when rejecting a draft', 'REASON_REQUIRED', 400);
+  }
+
+  const draft = getDraft(draftId);
+  if (!draft) throw reviewError('Draft not found', 'DRAFT_NOT_FOUND', 404);
+  if (draft.send_status === 'sent' || draft.send_status === 'sending') {
+    throw reviewError('Draft has already been sent to Freshdesk', 'DRAFT_ALREADY_SENT', 409);
+  }
+
+  if (typeof draftText === 'string') {
+    reviseDraft(draftId, draftText, { user });
+  }
+  if (status === 'APPROVED') {
+    const gate = await qaEvaluator.checkApproval(draftId);
+    if (!gate.allowed) {
+      throw reviewError(
+        `QA score ${gate.score}/100 is below the ${gate.minScore} needed to approve — edit the draft and try again`,
+        'QA_BELOW_THRESHOLD', 422, { qa: gate.qa }
+      );
+    }
+  }
+  db.updateDraftStatus(draftId, status, user);
+
+  // Keep the reviewer's signal: rejection reasons and edited approvals
+  if (status === 'REJECTED') {
+    recordRejection(draftId, rejectionReason, { user });
+  } else if (status === 'APPROVED') {
+    learnFromDraft(draftId);
+  }
+
+  const eventType = status === 'APPROVED' ? EVENTS.DRAFT_APPROVED
+    : status === 'REJECTED' ? EVENTS.DRAFT_REJECTED
+    : EVENTS.DRAFT_CREATED;
+  try {
+    await emit(eventType, { draftId, status, ...(status === 'REJECTED' && { reason: rejectionReason }) });
+  } catch (e) {
+    // Event bus might not be initialized
+  }
+
+  return { draftId, status };
+}
+
+// ============================================
+// EDIT PATTERNS
+// ============================================
+
+// Changed text as a phrase: one line, without edge punctuation
+function toPhrase(text) {
+  return text.replace(/\s+/g, ' ').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').trim();
+}
+
+function isTeachable(phrase) {
+  const words = phrase.split(' ').length;
+  return phrase.length >= 3 && words <= MAX_PHRASE_WORDS;
+}
+
+/**
+ * Replacements, removals and additions in a diff (a delete next to an insert
+ * is a replacement)
+ */
+export function extractCorrections(ops) {
+  const corrections = [];
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    if (op.op === 'equal') continue;
+
+    const next = ops[i + 1];
+    if (next && next.op !== 'equal' && next.op !== op.op) {
+      const [removed, added] = op.op === 'delete' ? [op, next] : [next, op];
+      const from = toPhrase(removed.text);
+      const to = toPhrase(added.text);
+      if (from.toLowerCase() !== to.toLowerCase() && (isTeachable(from) || isTeachable(to))) {
+        corrections.push({ type: 'replaced', from, to });
+      }
+      i++;
+      continue;
+    }
+
+    const phrase = toPhrase(op.text);
+    if (isTeachable(phrase)) {
+      corrections.push(op.op === 'delete' ? { type: 'removed', from: phrase } : { type: 'added', to: phrase });
+    }
+  }
+  return corrections;
+}
+
+/**
+ * Corrections reviewers made on several drafts, plus recent rejection reasons
+ */
+export function getEditPatterns({ minDrafts = MIN_PATTERN_DRAFTS, limit = 8 } = {}) {
+  const dbInstance = db.getDb();
+
+  // Each draft's latest human version against the AI original
+  const finals = dbInstance.prepare(`
+    SELECT r.draft_id, r.diff FROM draft_revisions r
+    JOIN (
+      SELECT draft_id, MAX(revision) AS revision FROM draft_revisions
+      WHERE kind IN ('edit', 'sent') GROUP BY draft_id
+    ) latest ON latest.draft_id = r.draft_id AND latest.revision = r.revision
+    WHERE r.change_ratio >= ?
+    ORDER BY r.id DESC LIMIT ?
+  `).all(MIN_CHANGE_RATIO, PATTERN_WINDOW);
+
+  const counts = new Map();
+  for (const row of finals) {
+    // One count per draft, however often it repeats within one
+    const seen = new Set();
+    for (const c of extractCorrections(JSON.parse(row.diff || '[]'))) {
+      const key = `${c.type}|${c.from || ''}|${c.to || ''}`.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { ...c, drafts: 0 };
+      entry.drafts++;
+      counts.set(key, entry);
+    }
+  }
+
+  const corrections = [...counts.values()]
+    .filter(c => c.drafts >= minDrafts)
+    .sort((a, b) => b.drafts - a.drafts)
+    .slice(0, limit);
+
+  const rejectionReasons = dbInstance.prepare(`
+    SELECT reason, COUNT(*) AS count, MAX(created_at) AS last_at FROM draft_revisions
+    WHERE kind = 'rejected' AND reason IS NOT NULL AND reason != ''
+    GROUP BY LOWER(TRIM(reason)) ORDER BY count DESC, last_at DESC LIMIT ?
+  `).all(limit).map(r => ({ reason: r.reason, count: r.count, lastAt: r.last_at }));
+
+  return { editedDrafts: finals.length, corrections, rejectionReasons };
+}
+
+function subjectTerms(text) {
+  return new Set((String(text || '').toLowerCase().match(/[a-z0-9]{4,}/g) || []));
+}
+
+/**
+ * Before/after pairs from edited drafts on the most similar subjects
+ */
+export function getCorrectionExamples(ticket, { limit = 2, excludeTicketId = null } = {}) {
+  const candidates = db.getDb().prepare(`
+    SELECT d.ticket_id, d.ticket_subject, ai.draft_text AS ai_text, r.draft_text AS final_text
+    FROM draft_revisions r
+    JOIN (
+      SELECT draft_id, MAX(revision) AS revision FROM draft_revisions
+      WHERE kind IN ('edit', 'sent') GROUP BY draft_id
+    ) latest ON latest.draft_id = r.draft_id AND latest.revision = r.revision
+    JOIN draft_revisions ai ON ai.draft_id = r.draft_id AND ai.kind = 'ai'
+    JOIN drafts d ON d.id = r.draft_id
+    WHERE r.change_ratio >= ?
+    ORDER BY r.id DESC LIMIT ?
+  `).all(MIN_CHANGE_RATIO, PATTERN_WINDOW);
+
+  const terms = subjectTerms(`${ticket.subject} ${ticket.description || ''}`);
+  return candidates
+    .filter(c => !excludeTicketId || String(c.ticket_id) !== String(excludeTicketId))
+    .map(c => ({ ...c, overlap: [...subjectTerms(c.ticket_subject)].filter(t => terms.has(t)).length }))
+    .filter(c => c.overlap > 0)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, limit)
+    .map(c => ({ subject: c.ticket_subject, aiText: c.ai_text, finalText: c.final_text }));
+}
+
+/**
+ * Prompt context teaching recurring reviewer corrections ('' when there are none)
+ */
+export function buildLearningContext(ticket, { excludeTicketId = null } = {}) {
+  const patterns = getEditPatterns();
+  const examples = getCorrectionExamples(ticket, { excludeTicketId });
+  const sections = [];
+
+  if (patterns.corrections.length > 0) {
+    sections.push(`REVIEWER CORRECTIONS (human reviewers keep making these edits to AI drafts — write it their way the first time):
+${patterns.corrections.map(c => {
+      const what = c.type === 'replaced' ? `Replace "${c.from}" with "${c.to}"`
+        : c.type === 'removed' ? `Do not write "${c.from}"`
+        : `Include "${c.to}" where it fits`;
+      return `- ${what} (corrected on ${c.drafts} drafts)`;
+    }).join('\n')}`);
+  }
+
+  if (patterns.rejectionReasons.length > 0) {
+    sections.push(`WHY PAST DRAFTS WERE REJECTED (avoid these):
+${patterns.rejectionReasons.map(r => `- ${r.reason}${r.count > 1 ? ` (${r.count} times)` : ''}`).join('\n')}`);
+  }
+
+  if (examples.length > 0) {
+    sections.push(`EXAMPLES OF REVIEWER EDITS ON SIMILAR TICKETS:
+${examples.map((e, i) => `--- Example ${i + 1} ("${e.subject}") ---
+AI draft:
+${(e.aiText || '').substring(0, 600)}
+What the reviewer approved:
+${(e.finalText || '').substring(0, 600)}`).join('\n')}`);
+  }
+
+  return sections.length ? `\n\n${sections.join('\n\n')}\n` : '';
+}
+
+export default {
+  REVISION_KINDS,
+  REVIEW_STATUSES,
+  initDraftRevisionTables,
+  diffText,
+  diffStats,
+  reviseDraft,
+  recordSent,
+  recordRejection,
+  getRevisions,
+  learnFromDraft,
+  reviewDraft,
+  extractCorrections,
+  getEditPatterns,
+  getCorrectionExamples,
+  buildLearningContext
+};
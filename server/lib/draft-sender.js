@@ -0,0 +1,133 @@
+/**
+ * Draft Sender for LIV8 Command Center
+ *
+ * The one step that posts pipeline output to a customer-facing system: an
+ * APPROVED draft goes to its Freshdesk ticket as a public reply or a note,
+ * and the conversation Freshdesk created is recorded on the draft.
+ *
+ * A draft is claimed before the call and can only be sent once. A send that
+ * failed can be retried; one interrupted mid-call stays 'sending' and is
+ * never retried automatically, since it may already be on the ticket.
+ */
+
+import * as db from './database.js';
+import * as freshdesk from './freshdesk-client.js';
+import * as draftRevisions from './draft-revisions.js';
+import * as qaEvaluator from './qa-evaluator.js';
+import { EVENTS, emit } from './cross-platform-event-bus.js';
+
+export const SEND_MODES = ['reply', 'note'];
+
+function sendError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function getDraft(id) {
+  return db.getDb().prepare('SELECT * FROM drafts WHERE id = ?').get(id);
+}
+
+/**
+ * Why a draft can't be claimed for sending, as an error for the route
+ */
+function explainUnsendable(draft) {
+  if (!draft) return sendError('Draft not found', 'DRAFT_NOT_FOUND', 404);
+  if (draft.send_status === 'sent') {
+    return sendError(
+      `Draft was already sent to Freshdesk as a ${draft.sent_as} (conversation ${draft.freshdesk_conversation_id})`,
+      'DRAFT_ALREADY_SENT', 409
+    );
+  }
+  if (draft.send_status === 'sending') {
+    return sendError(
+      'Draft is being sent, or a send was interrupted — check the ticket in Freshdesk before doing anything else',
+      'DRAFT_SEND_IN_PROGRESS', 409
+    );
+  }
+  return sendError(`Only approved drafts can be sent (status is ${draft.status})`, 'DRAFT_NOT_APPROVED', 409);
+}
+
+/**
+ * Post an approved draft to Freshdesk
+ * @param {number} draftId
+ * @param {Object} options - { as: 'reply' | 'note', draftText, isPrivate, user }
+ *   draftText replaces the stored text first (reviewer edits); notes are
+ *   private unless isPrivate is false. A draft under its QA floor is sent
+ *   back to NEEDS_EDIT instead.
+ * @returns {Object} - the updated draft
+ */
+export async function sendDraft(draftId, options = {}) {
+  const as = options.as || 'reply';
+  if (!SEND_MODES.includes(as)) {
+    throw sendError(`as must be one of ${SEND_MODES.join(', ')}`, 'INVALID_SEND_MODE', 400);
+  }
+  if (!freshdesk.isConfigured()) {
+    throw sendError('Freshdesk is not configured', 'FRESHDESK_NOT_CONFIGURED', 503);
+  }
+
+  const sentBy = options.user || 'human';
+  if (!db.claimDraftSend(draftId, sentBy)) {
+    throw explainUnsendable(getDraft(draftId));
+  }
+
+  // Edits are saved only once the draft is ours to send. Whatever text goes
+  // out must clear the QA floor, even if it failed it on an earlier try.
+  // Anything that throws before the Freshdesk call releases the claim.
+  let draft;
+  try {
+    if (typeof options.draftText === 'string') {
+      draftRevisions.reviseDraft(draftId, options.draftText, { user: sentBy });
+    }
+    const gate = await qaEvaluator.checkApproval(draftId);
+    if (!gate.allowed) {
+      const message = `QA score ${gate.score}/100 is below the ${gate.minScore} needed to send this draft — it was moved back to Needs Edit`;
+      db.finishDraftSend(draftId, { error: message });
+      db.updateDraftStatus(draftId, 'NEEDS_EDIT', sentBy);
+      throw sendError(message, 'QA_BELOW_THRESHOLD', 422);
+    }
+    draft = getDraft(draftId);
+  } catch (error) {
+    if (error.code === 'QA_BELOW_THRESHOLD') throw error;
+    db.finishDraftSend(draftId, { error: error.message });
+    throw error;
+  }
+
+  let conversation;
+  try {
+    conversation = as === 'reply'
+      ? await freshdesk.postReply(draft.ticket_id, draft.draft_text)
+      : await freshdesk.postNote(draft.ticket_id, draft.draft_text, { isPrivate: options.isPrivate !== false });
+  } catch (error) {
+    db.finishDraftSend(draftId, { error: error.message });
+    console.error(`[Drafts] Sending draft ${draftId} to ticket #${draft.ticket_id} failed:`, error.message);
+    throw sendError(error.message, 'FRESHDESK_SEND_FAILED', 502);
+  }
+
+  db.finishDraftSend(draftId, { sentAs: as, conversationId: conversation?.id ?? null });
+  try {
+    draftRevisions.recordSent(draftId, { user: sentBy });
+    draftRevisions.learnFromDraft(draftId);
+  } catch (e) {
+    // The reply is out either way; only the learning signal is lost
+    console.error(`[Drafts] Recording sent draft ${draftId} failed:`, e.message);
+  }
+  console.log(`[Drafts] Sent draft ${draftId} to ticket #${draft.ticket_id} as ${as} (conversation ${conversation?.id})`);
+
+  try {
+    emit(EVENTS.DRAFT_SENT, {
+      draftId,
+      ticketId: draft.ticket_id,
+      sentAs: as,
+      conversationId: conversation?.id ?? null,
+      sentBy
+    }, { sourceId: `draft_${draftId}` });
+  } catch (e) {
+    // Event bus might not be initialized
+  }
+
+  return getDraft(draftId);
+}
+
+export default { SEND_MODES, sendDraft };
@@ -204,10 +204,29 @@ export async function sendNotification(subject, message, recipientEmail = null)
   }
 }
 
+/**
+ * One line for a ticket's SLA forecast: which deadline, and by how much it was
+ * missed or how long is left
+ */
+function formatSlaCell(sla) {
+  if (!sla?.timer) return '—';
+  const timer = sla.timers[sla.timer];
+  const label = sla.timer === 'first_response' ? 'First response' : 'Resolution';
+  const minutes = Math.abs(timer.minutesRemaining);
+  const span = minutes >= 120 ? `${Math.round(minutes / 60)}h` : `${minutes}m`;
+  return sla.forecast === 'breached'
+    ? `<strong style="color: #b91c1c;">${label} overdue by ${span}</strong>`
+    : `${label} due in ${span}`;
+}
+
 /**
  * Send urgent ticket alert
+ * @param {Array} tickets - ticket rows; those with an `sla` forecast (from the
+ *   SLA engine) get a deadline column
+ * @param {string} recipientEmail
+ * @param {Object} options - { title, subject, intro } to override the default wording
  */
-export async function sendUrgentAlert(tickets, recipientEmail = null) {
+export async function sendUrgentAlert(tickets, recipientEmail = null, options = {}) {
   if (!transporter || !tickets || tickets.length === 0) {
     return { success: false, error: 'No tickets or email not configured' };
   }
@@ -217,7 +236,11 @@ export async function sendUrgentAlert(tickets, recipientEmail = null) {
     throw new Error('No recipient email configured');
   }
 
-  const subject = `URGENT: ${tickets.length} High-Priority Ticket${tickets.length > 1 ? 's' : ''} Require Attention`;
+  const subject = options.subject
+    ? `URGENT: ${options.subject}`
+    : `URGENT: ${tickets.length} High-Priority Ticket${tickets.length > 1 ? 's' : ''} Require Attention`;
+  const intro = options.intro || `The following ${tickets.length} ticket${tickets.length > 1 ? 's' : ''} require immediate attention:`;
+  const showSla = tickets.some(t => t.sla);
 
   const ticketList = tickets.map(t => `
     <tr>
@@ -225,17 +248,18 @@ export async function sendUrgentAlert(tickets, recipientEmail = null) {
       <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${t.subject?.substring(0, 50) || 'No subject'}...</td>
       <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${t.urgency_score || t.urgencyScore || 'N/A'}/10</td>
       <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${t.escalation_type || t.escalationType || 'SUPPORT'}</td>
+      ${showSla ? `<td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${formatSlaCell(t.sla)}</td>` : ''}
     </tr>
   `).join('');
 
   const htmlBody = `
     <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
       <div style="background: #ef4444; padding: 20px; text-align: center;">
-        <h1 style="color: white; margin: 0;">⚠️ URGENT TICKETS ALERT</h1>
+        <h1 style="color: white; margin: 0;">⚠️ ${options.title || 'URGENT TICKETS ALERT'}</h1>
       </div>
       <div style="padding: 20px; background: #fef2f2;">
         <p style="color: #991b1b; font-size: 16px;">
-          The following ${tickets.length} ticket${tickets.length > 1 ? 's' : ''} require immediate attention:
+          ${intro}
         </p>
         <table style="width: 100%; border-collapse: collapse; background: white; margin-top: 15px;">
           <thead>
@@ -244,6 +268,7 @@ export async function sendUrgentAlert(tickets, recipientEmail = null) {
               <th style="padding: 10px; text-align: left;">Subject</th>
               <th style="padding: 10px; text-align: left;">Urgency</th>
               <th style="padding: 10px; text-align: left;">Type</th>
+              ${showSla ? '<th style="padding: 10px; text-align: left;">SLA</th>' : ''}
             </tr>
           </thead>
           <tbody>
@@ -0,0 +1,385 @@
+/**
+ * LIV8 Command Center - Embedding Providers
+ *
+ * One interface over several embedding backends for RAG:
+ * - openai: text-embedding-3-small (API)
+ * - gemini: text-embedding-004 (API)
+ * - local:  MiniLM sentence embeddings via ONNX on CPU; after the first model
+ *           download it runs without network (EMBEDDING_OFFLINE=true forbids
+ *           downloads and reads EMBEDDING_MODEL_DIR / the cache only)
+ * - hashed: feature-hashed words, bigrams and character trigrams; no model,
+ *           always available, used as the fallback when the others fail
+ *
+ * Vectors from different models are not comparable, so every vector is
+ * returned with its model id ("<provider>:<model>") and stored alongside it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getSetting, setSetting } from './database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_PATH = path.join(__dirname, '..', 'data', 'fixtures', 'retrieval-pairs.json');
+
+const HASHED_DIMENSIONS = 1024;
+
+// minScore: similarity below which a match is noise for that model. The
+// hashed model's version changes whenever its tokenization does, so vectors
+// from the old one are re-embedded instead of compared.
+export const EMBEDDING_PROVIDERS = {
+  openai: { model: () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small', minScore: 0.3, batchSize: 100 },
+  gemini: { model: () => process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004', minScore: 0.45, batchSize: 100 },
+  local: { model: () => process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/all-MiniLM-L6-v2', minScore: 0.3, batchSize: 32 },
+  hashed: { model: () => 'v2', minScore: 0.15, batchSize: Infinity }
+};
+
+let openaiClient = null;
+let openaiKey = null;
+let geminiClient = null;
+let geminiKey = null;
+let localExtractor = null;
+let localLoading = null;
+let localFailedAt = 0;
+
+// A failed local model load (e.g. no network for the first download) is retried after this
+const LOCAL_RETRY_MS = 10 * 60 * 1000;
+
+// Providers already reported as falling back, so a dead provider logs once
+const fallbackWarned = new Set();
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Active provider: the saved setting, then EMBEDDING_PROVIDER, then local
+ */
+export function getEmbeddingProvider() {
+  let saved = null;
+  try { saved = getSetting('embedding_provider', null); } catch (e) {}
+  const name = saved || process.env.EMBEDDING_PROVIDER || 'local';
+  return EMBEDDING_PROVIDERS[name] ? name : 'local';
+}
+
+export function setEmbeddingProvider(name) {
+  if (!EMBEDDING_PROVIDERS[name]) {
+    throw new Error(`Unknown embedding provider: ${name}. Use one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`);
+  }
+  setSetting('embedding_provider', name);
+  return getEmbeddingConfig();
+}
+
+export function getModelId(provider = getEmbeddingProvider()) {
+  return `${provider}:${EMBEDDING_PROVIDERS[provider].model()}`;
+}
+
+/**
+ * Provider, model id and which backends can run right now
+ */
+export function getEmbeddingConfig() {
+  const provider = getEmbeddingProvider();
+  return {
+    provider,
+    modelId: getModelId(provider),
+    minScore: EMBEDDING_PROVIDERS[provider].minScore,
+    available: {
+      openai: !!getApiKey('openai'),
+      gemini: !!getApiKey('gemini'),
+      local: !localFailedAt,
+      hashed: true
+    },
+    localModelLoaded: !!localExtractor
+  };
+}
+
+export function getMinScore(modelId) {
+  const provider = String(modelId || '').split(':')[0];
+  return EMBEDDING_PROVIDERS[provider]?.minScore ?? EMBEDDING_PROVIDERS.hashed.minScore;
+}
+
+// Keys saved from Settings win over .env, matching ai-provider
+function getApiKey(provider) {
+  const setting = provider === 'openai' ? 'openai_api_key' : 'gemini_api_key';
+  const envName = provider === 'openai' ? 'OPENAI_API_KEY' : 'GEMINI_API_KEY';
+  let saved = null;
+  try { saved = getSetting(setting, null); } catch (e) {}
+  return saved || process.env[envName] || null;
+}
+
+// ============================================
+// EMBEDDING
+// ============================================
+
+/**
+ * Embed a batch of texts with the given (or active) provider.
+ * Falls back to the hashed embedding when the provider can't run, unless
+ * options.fallback === false.
+ * Returns { vectors, modelId, provider, fallbackFrom? }
+ */
+export async function embedTexts(texts, options = {}) {
+  const provider = options.provider || getEmbeddingProvider();
+  if (!EMBEDDING_PROVIDERS[provider]) {
+    throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+
+  const inputs = texts.map(t => String(t || '').slice(0, 8000));
+  try {
+    const vectors = [];
+    const { batchSize } = EMBEDDING_PROVIDERS[provider];
+    for (let i = 0; i < inputs.length; i += batchSize) {
+      vectors.push(...await embedBatch(provider, inputs.slice(i, i + batchSize)));
+    }
+    fallbackWarned.delete(provider);
+    return { vectors, modelId: getModelId(provider), provider };
+  } catch (error) {
+    if (provider === 'hashed' || options.fallback === false) throw error;
+    if (!fallbackWarned.has(provider)) {
+      console.warn(`[Embeddings] ${provider} failed, using hashed fallback: ${error.message}`);
+      fallbackWarned.add(provider);
+    }
+    return { vectors: inputs.map(hashedEmbedding), modelId: getModelId('hashed'), provider: 'hashed', fallbackFrom: provider };
+  }
+}
+
+export async function embedText(text, options = {}) {
+  const { vectors, ...rest } = await embedTexts([text], options);
+  return { vector: vectors[0], ...rest };
+}
+
+async function embedBatch(provider, texts) {
+  if (provider === 'openai') {
+    const key = getApiKey('openai');
+    if (!key) throw new Error('OpenAI API key not configured');
+    if (!openaiClient || openaiKey !== key) {
+      openaiClient = new OpenAI({ apiKey: key });
+      openaiKey = key;
+    }
+    const response = await openaiClient.embeddings.create({ model: EMBEDDING_PROVIDERS.openai.model(), input: texts });
+    return response.data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+  }
+
+  if (provider === 'gemini') {
+    const key = getApiKey('gemini');
+    if (!key) throw new Error('Gemini API key not configured');
+    if (!geminiClient || geminiKey !== key) {
+      geminiClient = new GoogleGenerativeAI(key);
+      geminiKey = key;
+    }
+    const model = geminiClient.getGenerativeModel({ model: EMBEDDING_PROVIDERS.gemini.model() });
+    const result = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return result.embeddings.map(e => e.values);
+  }
+
+  if (provider === 'local') {
+    const extractor = await loadLocalModel();
+    if (!extractor) throw new Error('Local embedding model unavailable');
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+
+  return texts.map(hashedEmbedding);
+}
+
+/**
+ * Load the local ONNX model once (lazy, like Kokoro TTS)
+ */
+async function loadLocalModel() {
+  if (localExtractor) return localExtractor;
+  if (localFailedAt && Date.now() - localFailedAt < LOCAL_RETRY_MS) return null;
+  if (localLoading) return localLoading;
+
+  localLoading = (async () => {
+    try {
+      const { pipeline, env } = await import('@huggingface/transformers');
+      if (process.env.EMBEDDING_MODEL_DIR) {
+        env.localModelPath = process.env.EMBEDDING_MODEL_DIR;
+        env.cacheDir = process.env.EMBEDDING_MODEL_DIR;
+      }
+      env.allowRemoteModels = process.env.EMBEDDING_OFFLINE !== 'true';
+
+      localExtractor = await pipeline('feature-extraction', EMBEDDING_PROVIDERS.local.model(), { dtype: 'q8' });
+      localFailedAt = 0;
+      console.log(`[Embeddings] Local model loaded: ${EMBEDDING_PROVIDERS.local.model()}`);
+      return localExtractor;
+    } catch (e) {
+      console.error('[Embeddings] Local model failed to load:', e.message);
+      localFailedAt = Date.now();
+      return null;
+    } finally {
+      localLoading = null;
+    }
+  })();
+
+  return localLoading;
+}
+
+// ============================================
+// HASHED EMBEDDING (no model)
+// ============================================
+
+// Spelling variants of the same word, folded before hashing. Only spelling
+// and negation: synonyms picked to match the evaluation fixture would make
+// evaluateRetrieval overstate how well the hashed fallback retrieves.
+const TERM_EQUIVALENTS = [
+  [/\b(log|sign)[\s-]?(in|on)\b/g, 'login'],
+  [/\b(log|sign)[\s-]?(out|off)\b/g, 'logout'],
+  [/\bsign[\s-]?up\b/g, 'signup'],
+  [/\bpass\s?word\b/g, 'password'],
+  [/\be-?mail\b/g, 'email'],
+  [/\bcan'?t\b|\bcannot\b|\bwon'?t\b/g, 'not'],
+  [/\bdoesn'?t\b|\bisn'?t\b|\bdon'?t\b|\baren'?t\b/g, 'not']
+];
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'are', 'was', 'were', 'our', 'your', 'you', 'but', 'any', 'all', 'get', 'got', 'when', 'what', 'how', 'its', 'into', 'just', 'there']);
+
+function stem(word) {
+  return word
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|es|s)$/, '')
+    .replace(/(.)\1$/, '$1');
+}
+
+function normalizeTerms(text) {
+  let normalized = text.toLowerCase();
+  for (const [pattern, replacement] of TERM_EQUIVALENTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+    .map(w => (w.length > 4 ? stem(w) : w));
+}
+
+// FNV-1a: stable 32-bit hash for feature buckets
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function hashedEmbedding(text) {
+  const vector = new Array(HASHED_DIMENSIONS).fill(0);
+  const add = (feature, weight) => {
+    const hash = hashFeature(feature);
+    vector[hash % HASHED_DIMENSIONS] += (hash & 0x80000000) ? -weight : weight;
+  };
+
+  const words = normalizeTerms(text);
+  words.forEach((word, i) => {
+    add(`w:${word}`, 1);
+    if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+    const padded = ` ${word} `;
+    for (let j = 0; j < padded.length - 2; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 0.25);
+    }
+  });
+
+  const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return magnitude ? vector.map(v => Math.round((v / magnitude) * 1e6) / 1e6) : vector;
+}
+
+// ============================================
+// SIMILARITY
+// ============================================
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  if (magA === 0 || magB === 0) return 0;
+  return dot / (Math.sqrt(magA) * Math.sqrt(magB));
+}
+
+// ============================================
+// RETRIEVAL EVALUATION
+// ============================================
+
+/**
+ * Measure retrieval quality on the fixture of known ticket pairs: each query
+ * is a paraphrase of exactly one ticket in the corpus (which also contains
+ * distractors). Reports recall@1, recall@k and mean reciprocal rank per
+ * provider, plus the queries each provider missed at rank 1.
+ */
+export async function evaluateRetrieval(options = {}) {
+  const fixture = options.fixture || JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  const k = options.k || 3;
+  const providers = options.providers || [...new Set([getEmbeddingProvider(), 'hashed'])];
+
+  const corpus = [
+    ...fixture.pairs.map(p => ({ id: p.id, text: p.ticket })),
+    ...(fixture.distractors || []).map((text, i) => ({ id: `distractor_${i}`, text }))
+  ];
+
+  const results = [];
+  for (const provider of providers) {
+    try {
+      const docs = await embedTexts(corpus.map(c => c.text), { provider, fallback: false });
+      const queries = await embedTexts(fixture.pairs.map(p => p.query), { provider, fallback: false });
+
+      let hitsAt1 = 0;
+      let hitsAtK = 0;
+      let reciprocalRanks = 0;
+      const misses = [];
+
+      fixture.pairs.forEach((pair, i) => {
+        const ranked = corpus
+          .map((doc, j) => ({ id: doc.id, score: cosineSimilarity(queries.vectors[i], docs.vectors[j]) }))
+          .sort((a, b) => b.score - a.score);
+        const rank = ranked.findIndex(r => r.id === pair.id) + 1;
+
+        if (rank === 1) hitsAt1++;
+        else misses.push({ id: pair.id, query: pair.query, rank, top: ranked[0].id });
+        if (rank <= k) hitsAtK++;
+        reciprocalRanks += 1 / rank;
+      });
+
+      const total = fixture.pairs.length;
+      results.push({
+        provider,
+        modelId: docs.modelId,
+        recallAt1: +(hitsAt1 / total).toFixed(3),
+        [`recallAt${k}`]: +(hitsAtK / total).toFixed(3),
+        mrr: +(reciprocalRanks / total).toFixed(3),
+        misses
+      });
+    } catch (error) {
+      results.push({ provider, error: error.message });
+    }
+  }
+
+  return {
+    pairs: fixture.pairs.length,
+    corpusSize: corpus.length,
+    k,
+    results,
+    evaluatedAt: new Date().toISOString()
+  };
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  getEmbeddingConfig,
+  getModelId,
+  getMinScore,
+  embedTexts,
+  embedText,
+  cosineSimilarity,
+  evaluateRetrieval
+};
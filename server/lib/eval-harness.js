@@ -0,0 +1,671 @@
+/**
+ * Offline Evaluation Harness for LIV8 Command Center
+ *
+ * A golden set of past tickets with a known escalation type, urgency and
+ * accepted resolution, replayed through processTicket() as dry runs (nothing
+ * is saved, emitted or sent) with a chosen provider and model. Each run
+ * scores triage accuracy, QA pass rate and how much of the accepted
+ * resolution the draft covers, is stored with its per-case results, and can
+ * be diffed against the run before it.
+ *
+ * Runs record a fingerprint of the prompt code and SOP content they ran
+ * against, so a diff shows whether prompts changed between two runs.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as db from './database.js';
+import * as jobQueue from './job-queue.js';
+import { processTicket } from './ticket-pipeline.js';
+import { ESCALATION_TYPES } from './ai-schemas.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROVIDERS = ['groq', 'gemini', 'kimi', 'openai', 'claude'];
+
+// Files whose contents shape triage, drafts and QA
+const PROMPT_FILES = ['ai-provider.js', 'ai-schemas.js', 'ticket-pipeline.js', 'qa-evaluator.js', 'qa-rubrics.js'];
+
+// A case counts as regressed when its urgency error grows by at least this
+const URGENCY_REGRESSION = 2;
+
+const RESOLUTION_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'are', 'was', 'were', 'your', 'you', 'our', 'will', 'can', 'please', 'thanks', 'thank', 'hi', 'hello', 'regards', 'best', 'let', 'know', 'any', 'should', 'would', 'could', 'just', 'also', 'into', 'they', 'them', 'then', 'there', 'here', 'what', 'when', 'been', 'which', 'about', 'team', 'support']);
+
+/**
+ * Create golden set, run and result tables
+ */
+export function initEvalTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS eval_golden_cases (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticket_id INTEGER UNIQUE,
+      subject TEXT NOT NULL,
+      description TEXT,
+      priority INTEGER,
+      expected_escalation_type TEXT NOT NULL,
+      expected_urgency INTEGER NOT NULL,
+      accepted_resolution TEXT,
+      tags TEXT DEFAULT '[]',
+      notes TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS eval_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      label TEXT,
+      provider TEXT,
+      model TEXT,
+      status TEXT DEFAULT 'queued',
+      case_count INTEGER DEFAULT 0,
+      completed_count INTEGER DEFAULT 0,
+      skip_qa INTEGER DEFAULT 0,
+      summary TEXT,
+      prompt_version TEXT,
+      prompt_files TEXT,
+      job_id TEXT,
+      error TEXT,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      completed_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS eval_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      case_id INTEGER NOT NULL,
+      ticket_id INTEGER,
+      expected_escalation_type TEXT,
+      predicted_escalation_type TEXT,
+      escalation_match INTEGER,
+      expected_urgency INTEGER,
+      predicted_urgency INTEGER,
+      urgency_error INTEGER,
+      qa_overall TEXT,
+      qa_score INTEGER,
+      draft_status TEXT,
+      draft_text TEXT,
+      resolution_overlap REAL,
+      provider_used TEXT,
+      model_used TEXT,
+      latency_ms INTEGER,
+      error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES eval_runs(id),
+      UNIQUE (run_id, case_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_eval_results_run ON eval_results(run_id);
+  `);
+
+  console.log('[Evals] Tables initialized');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// ============================================
+// GOLDEN SET
+// ============================================
+
+function rowToCase(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ticketId: row.ticket_id,
+    subject: row.subject,
+    description: row.description,
+    priority: row.priority,
+    expectedEscalationType: row.expected_escalation_type,
+    expectedUrgency: row.expected_urgency,
+    acceptedResolution: row.accepted_resolution,
+    tags: parseJson(row.tags, []),
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * The resolution a human accepted for a ticket: its casebook entry, else its
+ * latest approved draft
+ */
+function findAcceptedResolution(ticketId) {
+  const dbInstance = db.getDb();
+  const casebook = dbInstance.prepare(
+    'SELECT approved_response FROM casebook WHERE ticket_id = ? ORDER BY updated_at DESC LIMIT 1'
+  ).get(ticketId);
+  if (casebook) return casebook.approved_response;
+
+  const draft = dbInstance.prepare(
+    "SELECT draft_text FROM drafts WHERE ticket_id = ? AND status = 'APPROVED' ORDER BY updated_at DESC LIMIT 1"
+  ).get(ticketId);
+  return draft?.draft_text || null;
+}
+
+/**
+ * Validate a golden case; with a ticketId, subject, description and the
+ * accepted resolution are filled in from the local ticket when missing.
+ * Returns { value, details }.
+ */
+export function validateCase(input = {}) {
+  const details = [];
+  const value = {
+    ticketId: input.ticketId ? parseInt(input.ticketId) : null,
+    subject: input.subject,
+    description: input.description,
+    priority: input.priority ?? null,
+    expectedEscalationType: String(input.expectedEscalationType || '').trim().toUpperCase(),
+    expectedUrgency: Number(input.expectedUrgency),
+    acceptedResolution: input.acceptedResolution,
+    tags: Array.isArray(input.tags) ? input.tags.map(String) : [],
+    notes: input.notes || null
+  };
+
+  if (input.ticketId && !Number.isInteger(value.ticketId)) {
+    details.push('ticketId must be a Freshdesk ticket number');
+  } else if (value.ticketId) {
+    const ticket = db.getTicketWithAnalysis(value.ticketId);
+    if (ticket) {
+      value.subject = value.subject || ticket.subject;
+      value.description = value.description || ticket.description;
+      value.priority = value.priority ?? ticket.priority;
+    }
+    value.acceptedResolution = value.acceptedResolution || findAcceptedResolution(value.ticketId);
+  }
+
+  if (!value.subject) details.push('subject is required (or a ticketId synced locally)');
+  if (!ESCALATION_TYPES.includes(value.expectedEscalationType)) {
+    details.push(`expectedEscalationType must be one of ${ESCALATION_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(value.expectedUrgency) || value.expectedUrgency < 1 || value.expectedUrgency > 10) {
+    details.push('expectedUrgency must be an integer from 1 to 10');
+  }
+
+  return { value, details };
+}
+
+/**
+ * Add a golden case, or replace the one for the same ticket
+ */
+export function saveCase(value, createdBy = null) {
+  const dbInstance = db.getDb();
+  const params = [
+    value.subject,
+    value.description || null,
+    value.priority,
+    value.expectedEscalationType,
+    value.expectedUrgency,
+    value.acceptedResolution || null,
+    JSON.stringify(value.tags || []),
+    value.notes
+  ];
+
+  const existing = value.ticketId
+    ? dbInstance.prepare('SELECT id FROM eval_golden_cases WHERE ticket_id = ?').get(value.ticketId)
+    : null;
+
+  if (existing) {
+    dbInstance.prepare(`
+      UPDATE eval_golden_cases SET subject = ?, description = ?, priority = ?, expected_escalation_type = ?,
+        expected_urgency = ?, accepted_resolution = ?, tags = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...params, existing.id);
+    return getCase(existing.id);
+  }
+
+  const result = dbInstance.prepare(`
+    INSERT INTO eval_golden_cases (subject, description, priority, expected_escalation_type, expected_urgency,
+      accepted_resolution, tags, notes, ticket_id, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(...params, value.ticketId, createdBy);
+  return getCase(result.lastInsertRowid);
+}
+
+export function getCase(id) {
+  return rowToCase(db.getDb().prepare('SELECT * FROM eval_golden_cases WHERE id = ?').get(id));
+}
+
+/**
+ * Golden cases, optionally only those with a tag
+ */
+export function listCases({ tag = null } = {}) {
+  const cases = db.getDb().prepare('SELECT * FROM eval_golden_cases ORDER BY id').all().map(rowToCase);
+  return tag ? cases.filter(c => c.tags.includes(tag)) : cases;
+}
+
+export function deleteCase(id) {
+  return db.getDb().prepare('DELETE FROM eval_golden_cases WHERE id = ?').run(id).changes > 0;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+function resolutionTerms(text) {
+  return new Set(
+    String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9'-]{2,}/g)?.filter(w => !RESOLUTION_STOP_WORDS.has(w)) || []
+  );
+}
+
+/**
+ * Share of the accepted resolution's key terms the draft covers (0-1), or
+ * null when the case has no accepted resolution
+ */
+export function resolutionOverlap(draftText, acceptedResolution) {
+  const expected = resolutionTerms(acceptedResolution);
+  if (expected.size === 0) return null;
+  const drafted = resolutionTerms(draftText);
+  const covered = [...expected].filter(term => drafted.has(term)).length;
+  return Math.round((covered / expected.size) * 1000) / 1000;
+}
+
+function average(values) {
+  const present = values.filter(v => typeof v === 'number');
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, v) => sum + v, 0) / present.length) * 1000) / 1000;
+}
+
+function rate(results, predicate) {
+  if (results.length === 0) return null;
+  return Math.round((results.filter(predicate).length / results.length) * 1000) / 1000;
+}
+
+/**
+ * Run-level metrics from per-case results
+ */
+export function summarizeResults(results, requestedProvider = null) {
+  const scored = results.filter(r => !r.error);
+  const reviewed = scored.filter(r => r.qaOverall);
+  const statusCounts = {};
+  for (const r of scored) {
+    statusCounts[r.draftStatus] = (statusCounts[r.draftStatus] || 0) + 1;
+  }
+
+  return {
+    cases: results.length,
+    scored: scored.length,
+    errors: results.length - scored.length,
+    escalationAccuracy: rate(scored, r => r.escalationMatch),
+    urgencyMae: average(scored.map(r => r.urgencyError)),
+    urgencyWithinOne: rate(scored, r => r.urgencyError <= 1),
+    qaPassRate: rate(reviewed, r => r.qaOverall === 'PASS'),
+    avgQaScore: average(reviewed.map(r => r.qaScore)),
+    avgResolutionOverlap: average(scored.map(r => r.resolutionOverlap)),
+    avgLatencyMs: average(scored.map(r => r.latencyMs)),
+    fallbacks: requestedProvider ? scored.filter(r => r.providerUsed && r.providerUsed !== requestedProvider).length : 0,
+    statusCounts
+  };
+}
+
+// ============================================
+// RUNS
+// ============================================
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hash per prompt-shaping file plus the SOP content, and one version over all
+ */
+export function getPromptFingerprint() {
+  const files = {};
+  for (const file of PROMPT_FILES) {
+    try {
+      files[file] = hashText(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+    } catch (e) {
+      files[file] = null;
+    }
+  }
+  files.sop_documents = hashText(db.getSetting('sop_documents', '[]'));
+  return { version: hashText(JSON.stringify(files)), files };
+}
+
+function rowToRun(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    label: row.label,
+    provider: row.provider,
+    model: row.model,
+    status: row.status,
+    caseCount: row.case_count,
+    completedCount: row.completed_count,
+    skipQA: !!row.skip_qa,
+    summary: parseJson(row.summary, null),
+    promptVersion: row.prompt_version,
+    promptFiles: parseJson(row.prompt_files, {}),
+    jobId: row.job_id,
+    error: row.error,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+function rowToResult(row) {
+  return {
+    caseId: row.case_id,
+    ticketId: row.ticket_id,
+    expectedEscalationType: row.expected_escalation_type,
+    predictedEscalationType: row.predicted_escalation_type,
+    escalationMatch: row.escalation_match === null ? null : !!row.escalation_match,
+    expectedUrgency: row.expected_urgency,
+    predictedUrgency: row.predicted_urgency,
+    urgencyError: row.urgency_error,
+    qaOverall: row.qa_overall,
+    qaScore: row.qa_score,
+    draftStatus: row.draft_status,
+    draftText: row.draft_text,
+    resolutionOverlap: row.resolution_overlap,
+    providerUsed: row.provider_used,
+    modelUsed: row.model_used,
+    latencyMs: row.latency_ms,
+    error: row.error
+  };
+}
+
+/**
+ * Validate run options; returns details (empty when valid)
+ */
+export function validateRunOptions({ provider, caseIds } = {}) {
+  const details = [];
+  if (provider && !PROVIDERS.includes(provider)) {
+    details.push(`provider must be one of ${PROVIDERS.join(', ')}`);
+  }
+  if (caseIds !== undefined && (!Array.isArray(caseIds) || caseIds.some(id => !Number.isInteger(id)))) {
+    details.push('caseIds must be an array of golden case ids');
+  }
+  return details;
+}
+
+/**
+ * Create a run over the golden set (or some of it) and queue it
+ */
+export function startRun({ provider = null, model = null, label = null, caseIds, skipQA = false, createdBy = null } = {}) {
+  const dbInstance = db.getDb();
+  const cases = listCases().filter(c => !caseIds || caseIds.includes(c.id));
+  if (cases.length === 0) {
+    throw new Error('No golden cases to run');
+  }
+
+  const fingerprint = getPromptFingerprint();
+  const result = dbInstance.prepare(`
+    INSERT INTO eval_runs (label, provider, model, case_count, skip_qa, prompt_version, prompt_files, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(label, provider, model, cases.length, skipQA ? 1 : 0, fingerprint.version, JSON.stringify(fingerprint.files), createdBy);
+  const runId = result.lastInsertRowid;
+
+  // One attempt: a retry would replay (and bill) every case again
+  const job = jobQueue.enqueueJob('eval_run', { runId, caseIds: cases.map(c => c.id) }, {
+    maxAttempts: 1,
+    idempotencyKey: `eval_run:${runId}`
+  });
+  dbInstance.prepare('UPDATE eval_runs SET job_id = ? WHERE id = ?').run(job.id, runId);
+
+  return getRun(runId);
+}
+
+/**
+ * Replay one golden case through the pipeline and score it
+ */
+async function evaluateCase(run, golden) {
+  const startedAt = Date.now();
+  const result = {
+    caseId: golden.id,
+    ticketId: golden.ticketId,
+    expectedEscalationType: golden.expectedEscalationType,
+    expectedUrgency: golden.expectedUrgency
+  };
+
+  try {
+    const outcome = await processTicket(golden.ticketId || `eval-${golden.id}`, {
+      dryRun: true,
+      skipQA: run.skipQA,
+      provider: run.provider || undefined,
+      model: run.model || undefined,
+      feature: 'evals',
+      ticket: {
+        freshdesk_id: golden.ticketId,
+        subject: golden.subject,
+        description: golden.description,
+        priority: golden.priority,
+        status: 5
+      }
+    });
+    const analysis = outcome.analysis || {};
+    // The pipeline falls back to a default triage; scoring that would be noise
+    const triage = outcome.pipelineResult.steps.find(step => step.step === 'triage');
+    if (triage?.result === 'fallback') {
+      throw new Error(`Triage failed: ${triage.error}`);
+    }
+
+    Object.assign(result, {
+      predictedEscalationType: analysis.ESCALATION_TYPE || null,
+      escalationMatch: analysis.ESCALATION_TYPE === golden.expectedEscalationType,
+      predictedUrgency: analysis.URGENCY_SCORE ?? null,
+      urgencyError: typeof analysis.URGENCY_SCORE === 'number' ? Math.abs(analysis.URGENCY_SCORE - golden.expectedUrgency) : null,
+      qaOverall: outcome.qaResult?.overall || null,
+      qaScore: outcome.qaResult?.score ?? null,
+      draftStatus: outcome.status,
+      draftText: outcome.draftText,
+      resolutionOverlap: resolutionOverlap(outcome.draftText, golden.acceptedResolution),
+      providerUsed: analysis.provider || null,
+      modelUsed: analysis.model || null
+    });
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  result.latencyMs = Date.now() - startedAt;
+  return result;
+}
+
+function saveResult(runId, r) {
+  db.getDb().prepare(`
+    INSERT OR REPLACE INTO eval_results (run_id, case_id, ticket_id, expected_escalation_type, predicted_escalation_type,
+      escalation_match, expected_urgency, predicted_urgency, urgency_error, qa_overall, qa_score, draft_status,
+      draft_text, resolution_overlap, provider_used, model_used, latency_ms, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    runId, r.caseId, r.ticketId, r.expectedEscalationType, r.predictedEscalationType ?? null,
+    r.escalationMatch === undefined ? null : (r.escalationMatch ? 1 : 0),
+    r.expectedUrgency, r.predictedUrgency ?? null, r.urgencyError ?? null,
+    r.qaOverall ?? null, r.qaScore ?? null, r.draftStatus ?? null, r.draftText ?? null,
+    r.resolutionOverlap ?? null, r.providerUsed ?? null, r.modelUsed ?? null, r.latencyMs, r.error ?? null
+  );
+}
+
+/**
+ * Job handler: replay a run's cases one at a time, saving as it goes. A run
+ * interrupted by a restart picks up after the cases it already scored.
+ */
+async function executeRun({ runId, caseIds }) {
+  const dbInstance = db.getDb();
+  const run = getRunWithResults(runId);
+  if (!run) throw new Error(`Eval run ${runId} not found`);
+
+  dbInstance.prepare(`
+    UPDATE eval_runs SET status = 'running', error = NULL, started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?
+  `).run(runId);
+  console.log(`[Evals] Run ${runId} started: ${caseIds.length} cases on ${run.provider || 'default provider'}`);
+
+  try {
+    const results = [...run.results];
+    const done = new Set(results.map(r => r.caseId));
+    for (const caseId of caseIds) {
+      const golden = getCase(caseId);
+      // Deleted since the run was queued
+      if (!golden || done.has(caseId)) continue;
+
+      const result = await evaluateCase(run, golden);
+      saveResult(runId, result);
+      results.push(result);
+      dbInstance.prepare('UPDATE eval_runs SET completed_count = ? WHERE id = ?').run(results.length, runId);
+    }
+
+    const summary = summarizeResults(results, run.provider);
+    dbInstance.prepare(`
+      UPDATE eval_runs SET status = 'completed', summary = ?, case_count = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(JSON.stringify(summary), results.length, runId);
+    console.log(`[Evals] Run ${runId} completed: triage ${summary.escalationAccuracy}, QA pass ${summary.qaPassRate}`);
+    return { runId, summary };
+  } catch (error) {
+    dbInstance.prepare(`
+      UPDATE eval_runs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(error.message, runId);
+    throw error;
+  }
+}
+
+jobQueue.registerJobHandler('eval_run', executeRun);
+
+export function getRun(id) {
+  return rowToRun(db.getDb().prepare('SELECT * FROM eval_runs WHERE id = ?').get(id));
+}
+
+/**
+ * A run with its per-case results
+ */
+export function getRunWithResults(id) {
+  const run = getRun(id);
+  if (!run) return null;
+  run.results = db.getDb().prepare('SELECT * FROM eval_results WHERE run_id = ? ORDER BY case_id').all(id).map(rowToResult);
+  return run;
+}
+
+export function listRuns({ limit = 20 } = {}) {
+  return db.getDb().prepare('SELECT * FROM eval_runs ORDER BY id DESC LIMIT ?').all(limit).map(rowToRun);
+}
+
+// ============================================
+// DIFFS
+// ============================================
+
+// Metrics where a lower value is better
+const LOWER_IS_BETTER = new Set(['urgencyMae', 'avgLatencyMs', 'errors', 'fallbacks']);
+const DIFF_METRICS = ['escalationAccuracy', 'urgencyMae', 'urgencyWithinOne', 'qaPassRate', 'avgQaScore', 'avgResolutionOverlap', 'avgLatencyMs', 'errors', 'fallbacks'];
+
+/**
+ * How a case moved between two runs: 'regressed', 'improved' or null
+ */
+function compareCase(base, current) {
+  if (!base.error && current.error) return 'regressed';
+  if (base.error && !current.error) return 'improved';
+  if (base.error && current.error) return null;
+
+  let worse = 0;
+  let better = 0;
+  if (base.escalationMatch !== current.escalationMatch) (current.escalationMatch ? better++ : worse++);
+  if (base.qaOverall && current.qaOverall && base.qaOverall !== current.qaOverall) {
+    (current.qaOverall === 'PASS' ? better++ : worse++);
+  }
+  if (typeof base.urgencyError === 'number' && typeof current.urgencyError === 'number') {
+    if (current.urgencyError - base.urgencyError >= URGENCY_REGRESSION) worse++;
+    if (base.urgencyError - current.urgencyError >= URGENCY_REGRESSION) better++;
+  }
+
+  if (worse > better) return 'regressed';
+  if (better > worse) return 'improved';
+  return null;
+}
+
+/**
+ * Compare a run with another (default: the completed run before it) —
+ * metric deltas, prompt files that changed and per-case regressions
+ */
+export function diffRuns(runId, againstId = null) {
+  const run = getRunWithResults(runId);
+  if (!run) return null;
+
+  const baseId = againstId || db.getDb().prepare(
+    "SELECT id FROM eval_runs WHERE id < ? AND status = 'completed' ORDER BY id DESC LIMIT 1"
+  ).get(runId)?.id;
+  const base = baseId ? getRunWithResults(baseId) : null;
+  if (!base) {
+    return { run: { id: run.id, label: run.label }, base: null, message: 'No earlier completed run to compare against' };
+  }
+
+  const metrics = {};
+  for (const name of DIFF_METRICS) {
+    const before = base.summary?.[name] ?? null;
+    const after = run.summary?.[name] ?? null;
+    const delta = before !== null && after !== null ? Math.round((after - before) * 1000) / 1000 : null;
+    metrics[name] = {
+      base: before,
+      run: after,
+      delta,
+      trend: !delta ? 'same' : (delta > 0) !== LOWER_IS_BETTER.has(name) ? 'better' : 'worse'
+    };
+  }
+
+  const promptChanges = Object.keys({ ...base.promptFiles, ...run.promptFiles })
+    .filter(file => base.promptFiles[file] !== run.promptFiles[file]);
+
+  const baseResults = new Map(base.results.map(r => [r.caseId, r]));
+  const cases = { regressed: [], improved: [], added: [], removed: [] };
+  for (const current of run.results) {
+    const before = baseResults.get(current.caseId);
+    if (!before) {
+      cases.added.push(current.caseId);
+      continue;
+    }
+    baseResults.delete(current.caseId);
+
+    const movement = compareCase(before, current);
+    if (movement) {
+      cases[movement].push({
+        caseId: current.caseId,
+        ticketId: current.ticketId,
+        escalation: { base: before.predictedEscalationType, run: current.predictedEscalationType, expected: current.expectedEscalationType },
+        urgency: { base: before.predictedUrgency, run: current.predictedUrgency, expected: current.expectedUrgency },
+        qa: { base: before.qaOverall, run: current.qaOverall },
+        error: current.error || null
+      });
+    }
+  }
+  cases.removed = [...baseResults.keys()];
+
+  const describe = r => ({ id: r.id, label: r.label, provider: r.provider, model: r.model, promptVersion: r.promptVersion, completedAt: r.completedAt });
+  return {
+    run: describe(run),
+    base: describe(base),
+    metrics,
+    promptChanged: base.promptVersion !== run.promptVersion,
+    promptChanges,
+    cases
+  };
+}
+
+export default {
+  PROVIDERS,
+  initEvalTables,
+  validateCase,
+  saveCase,
+  getCase,
+  listCases,
+  deleteCase,
+  resolutionOverlap,
+  summarizeResults,
+  getPromptFingerprint,
+  validateRunOptions,
+  startRun,
+  getRun,
+  getRunWithResults,
+  listRuns,
+  diffRuns
+};
@@ -0,0 +1,232 @@
+/**
+ * Freshdesk Client for LIV8 Command Center
+ *
+ * Authenticated calls to the Freshdesk v2 API: incremental ticket listing
+ * and conversation threads for the local sync, and replies and notes posted
+ * from approved drafts. Configured with FRESHDESK_DOMAIN, FRESHDESK_API_KEY
+ * and (optionally) FRESHDESK_AGENT_ID, whose tickets are synced and whom posts
+ * are attributed to.
+ *
+ * Freshdesk meters calls per minute. Background reads (the sync) pause when
+ * the remaining budget gets low, leaving room for replies sent from the
+ * draft queue; anything rate-limited outright waits out Retry-After.
+ */
+
+// Attempts for a rate-limited request before giving up
+const MAX_RATE_LIMIT_RETRIES = 2;
+const DEFAULT_RETRY_AFTER_S = 5;
+
+// Freshdesk rate limits reset every minute
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+// Share of the per-minute budget background reads leave for interactive calls
+const RATE_LIMIT_RESERVE = 0.1;
+const MIN_RATE_LIMIT_RESERVE = 5;
+
+// Freshdesk's page size cap for list endpoints
+const PAGE_SIZE = 100;
+
+// Last rate-limit headers seen
+const rateLimit = { total: null, remaining: null, seenAt: null };
+
+/**
+ * Freshdesk settings from the environment
+ */
+export function getFreshdeskConfig() {
+  return {
+    domain: process.env.FRESHDESK_DOMAIN,
+    apiKey: process.env.FRESHDESK_API_KEY,
+    agentId: process.env.FRESHDESK_AGENT_ID ? parseInt(process.env.FRESHDESK_AGENT_ID) : null
+  };
+}
+
+export function isConfigured() {
+  const config = getFreshdeskConfig();
+  return !!(config.domain && config.apiKey);
+}
+
+/**
+ * Rate-limit budget from the last response
+ */
+export function getRateLimitStatus() {
+  return { ...rateLimit, windowMs: RATE_LIMIT_WINDOW_MS };
+}
+
+function recordRateLimit(headers) {
+  const total = parseInt(headers.get('x-ratelimit-total'));
+  const remaining = parseInt(headers.get('x-ratelimit-remaining'));
+  if (Number.isNaN(remaining)) return;
+  rateLimit.total = Number.isNaN(total) ? rateLimit.total : total;
+  rateLimit.remaining = remaining;
+  rateLimit.seenAt = Date.now();
+}
+
+/**
+ * Wait for the next window when the budget is down to the reserve
+ */
+async function yieldToInteractiveCalls(apiPath) {
+  if (rateLimit.remaining === null) return;
+  const reserve = Math.max(MIN_RATE_LIMIT_RESERVE, Math.ceil((rateLimit.total || 0) * RATE_LIMIT_RESERVE));
+  const waitMs = rateLimit.seenAt + RATE_LIMIT_WINDOW_MS - Date.now();
+  if (rateLimit.remaining > reserve || waitMs <= 0) return;
+
+  console.warn(`[Freshdesk] ${rateLimit.remaining} calls left this minute, pausing ${Math.ceil(waitMs / 1000)}s before ${apiPath}`);
+  await new Promise(r => setTimeout(r, waitMs));
+}
+
+/**
+ * Call the Freshdesk API and return { data, headers }. Rate-limited calls
+ * wait out Retry-After; options.background calls also pause while the
+ * minute's budget is low. Failures throw with error.status (the HTTP status,
+ * when there was a response).
+ */
+async function request(method, apiPath, body = null, options = {}) {
+  const config = getFreshdeskConfig();
+  if (!config.domain || !config.apiKey) {
+    throw new Error('Freshdesk not configured (FRESHDESK_DOMAIN and FRESHDESK_API_KEY)');
+  }
+
+  const url = `https://${config.domain}.freshdesk.com/api/v2${apiPath}`;
+  const auth = Buffer.from(`${config.apiKey}:X`).toString('base64');
+
+  for (let attempt = 0; ; attempt++) {
+    if (options.background) await yieldToInteractiveCalls(apiPath);
+
+    const response = await fetch(url, {
+      method,
+      headers: { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    recordRateLimit(response.headers);
+
+    if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+      const waitS = parseInt(response.headers.get('retry-after')) || DEFAULT_RETRY_AFTER_S;
+      console.warn(`[Freshdesk] Rate limited on ${method} ${apiPath}, retrying in ${waitS}s`);
+      await new Promise(r => setTimeout(r, waitS * 1000));
+      continue;
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`Freshdesk ${method} ${apiPath} failed (${response.status}): ${detail.substring(0, 300)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      data: response.status === 204 ? null : await response.json(),
+      headers: response.headers
+    };
+  }
+}
+
+/**
+ * Call the Freshdesk API and return the parsed body
+ */
+export async function freshdeskRequest(method, apiPath, body = null, options = {}) {
+  const { data } = await request(method, apiPath, body, options);
+  return data;
+}
+
+/**
+ * Every page of a list endpoint, following Freshdesk's Link header. Yields
+ * one array per page; stops after options.maxPages.
+ */
+export async function* listPages(apiPath, options = {}) {
+  const maxPages = options.maxPages || Infinity;
+  const separator = apiPath.includes('?') ? '&' : '?';
+
+  for (let page = 1; page <= maxPages; page++) {
+    const { data, headers } = await request('GET', `${apiPath}${separator}per_page=${PAGE_SIZE}&page=${page}`, null, { background: true });
+    const items = Array.isArray(data) ? data : (data?.results || []);
+    if (items.length > 0) yield items;
+    if (!/rel="next"/.test(headers.get('link') || '') || items.length < PAGE_SIZE) return;
+  }
+}
+
+// ============================================
+// TICKETS & CONVERSATIONS
+// ============================================
+
+/**
+ * Tickets changed at or after `since` (ISO), oldest change first, with
+ * description, requester and stats (first response and resolution times)
+ * @param {string} since
+ * @param {Object} options - { maxPages }
+ */
+export function listTicketsUpdatedSince(since, options = {}) {
+  const query = new URLSearchParams({
+    updated_since: since,
+    order_by: 'updated_at',
+    order_type: 'asc',
+    include: 'description,requester,stats'
+  });
+  return listPages(`/tickets?${query}`, options);
+}
+
+/**
+ * A ticket's full conversation thread: replies, notes and customer messages
+ */
+export async function fetchTicketConversations(ticketId) {
+  const conversations = [];
+  for await (const page of listPages(`/tickets/${ticketId}/conversations`)) {
+    conversations.push(...page);
+  }
+  return conversations;
+}
+
+// ============================================
+// REPLIES & NOTES
+// ============================================
+
+/**
+ * Plain draft text to the HTML body Freshdesk expects
+ */
+export function textToHtml(text) {
+  const escaped = String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return escaped
+    .trim()
+    .split(/\n\s*\n/)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+/**
+ * Post a public reply to the customer; returns the created conversation
+ */
+export async function postReply(ticketId, text) {
+  const { agentId } = getFreshdeskConfig();
+  return freshdeskRequest('POST', `/tickets/${ticketId}/reply`, {
+    body: textToHtml(text),
+    ...(agentId && { user_id: agentId })
+  });
+}
+
+/**
+ * Add a note to the ticket (private unless isPrivate is false); returns the
+ * created conversation
+ */
+export async function postNote(ticketId, text, { isPrivate = true } = {}) {
+  const { agentId } = getFreshdeskConfig();
+  return freshdeskRequest('POST', `/tickets/${ticketId}/notes`, {
+    body: textToHtml(text),
+    private: isPrivate,
+    ...(agentId && { user_id: agentId })
+  });
+}
+
+export default {
+  getFreshdeskConfig,
+  isConfigured,
+  getRateLimitStatus,
+  freshdeskRequest,
+  listPages,
+  listTicketsUpdatedSince,
+  fetchTicketConversations,
+  textToHtml,
+  postReply,
+  postNote
+};
@@ -0,0 +1,303 @@
+/**
+ * Freshdesk Sync for LIV8 Command Center
+ *
+ * Keeps the local tickets table current so nothing else has to call
+ * Freshdesk: each run lists only the tickets changed since the last one
+ * (updated_since, oldest change first, so a run cut short resumes where it
+ * stopped) and queues their conversation threads for storage. The scheduler,
+ * daily report, briefing and knowledge builder read tickets and threads from
+ * the database.
+ *
+ * With FRESHDESK_AGENT_ID set only that agent's tickets are kept; one
+ * reassigned to someone else is closed locally, as the old full re-pull did.
+ */
+
+import * as db from './database.js';
+import * as freshdesk from './freshdesk-client.js';
+import * as jobQueue from './job-queue.js';
+
+// How far back the first sync (or a full resync) reaches
+const DEFAULT_LOOKBACK_DAYS = 30;
+// Pages of 100 tickets per run; the cursor carries the rest to the next run
+const MAX_PAGES_PER_RUN = 20;
+
+const CURSOR_KEY = 'freshdesk_sync_cursor';
+const LAST_SYNC_KEY = 'freshdesk_sync_last';
+
+// The run in progress, shared by concurrent callers
+let currentSync = null;
+
+/**
+ * Create the conversations table and the tickets thread-sync column
+ */
+export function initFreshdeskSyncTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS ticket_conversations (
+      id INTEGER PRIMARY KEY,
+      ticket_id INTEGER NOT NULL,
+      user_id INTEGER,
+      incoming INTEGER DEFAULT 0,
+      private INTEGER DEFAULT 0,
+      source INTEGER,
+      from_email TEXT,
+      body_text TEXT,
+      created_at TEXT,
+      updated_at TEXT,
+      raw_data TEXT,
+      synced_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ticket_conversations_ticket ON ticket_conversations(ticket_id, created_at);
+  `);
+
+  // The ticket updated_at its stored thread was fetched at
+  const ticketColumns = dbInstance.prepare('PRAGMA table_info(tickets)').all().map(c => c.name);
+  if (!ticketColumns.includes('conversations_synced_for')) {
+    dbInstance.exec('ALTER TABLE tickets ADD COLUMN conversations_synced_for TEXT');
+  }
+
+  console.log('[Freshdesk Sync] Tables initialized');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function getLookbackStart() {
+  const days = parseInt(process.env.FRESHDESK_SYNC_LOOKBACK_DAYS) || DEFAULT_LOOKBACK_DAYS;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Whether a ticket belongs in the local table (FRESHDESK_AGENT_ID's, when set)
+ */
+function isOurs(ticket) {
+  const { agentId } = freshdesk.getFreshdeskConfig();
+  return !agentId || ticket.responder_id === agentId;
+}
+
+// ============================================
+// TICKETS
+// ============================================
+
+/**
+ * Pull tickets changed since the last sync into the database, and queue a
+ * thread refresh for each. Concurrent calls share one run.
+ * @param {Object} options - { full: restart from the lookback window }
+ * @returns {Object} - { updated, closedLocally, conversationsQueued, pages, cursor, partial }
+ */
+export function syncTickets(options = {}) {
+  if (!currentSync) {
+    currentSync = runSync(options).finally(() => { currentSync = null; });
+  }
+  return currentSync;
+}
+
+async function runSync({ full = false } = {}) {
+  if (!freshdesk.isConfigured()) {
+    throw new Error('Freshdesk not configured (FRESHDESK_DOMAIN and FRESHDESK_API_KEY)');
+  }
+
+  const since = (!full && db.getSetting(CURSOR_KEY)) || getLookbackStart();
+  const startedAt = new Date().toISOString();
+  const stats = { since, updated: 0, closedLocally: 0, conversationsQueued: 0, pages: 0, changedIds: [] };
+  const dbInstance = db.getDb();
+  const exists = dbInstance.prepare('SELECT 1 FROM tickets WHERE freshdesk_id = ?');
+  const closeLocally = dbInstance.prepare(`
+    UPDATE tickets
+    SET status = 5, synced_at = CURRENT_TIMESTAMP,
+        paused_ms = COALESCE(paused_ms, 0) + COALESCE(CAST(ROUND((julianday('now') - julianday(paused_since)) * 86400000) AS INTEGER), 0),
+        paused_since = NULL
+    WHERE freshdesk_id = ? AND status NOT IN (4, 5)
+  `);
+  let cursor = since;
+
+  console.log(`[Freshdesk Sync] Fetching tickets updated since ${since}`);
+  for await (const page of freshdesk.listTicketsUpdatedSince(since, { maxPages: MAX_PAGES_PER_RUN })) {
+    stats.pages++;
+    const ours = page.filter(isOurs);
+    const reassigned = page.filter(t => !isOurs(t) && exists.get(t.id));
+
+    dbInstance.transaction(() => {
+      db.upsertTickets(ours);
+      for (const ticket of reassigned) {
+        stats.closedLocally += closeLocally.run(ticket.id).changes;
+      }
+    })();
+
+    for (const ticket of ours) {
+      queueConversationSync(ticket);
+      stats.conversationsQueued++;
+      stats.changedIds.push(ticket.id);
+    }
+    stats.updated += ours.length;
+
+    // Tickets arrive oldest change first, so everything up to here is stored
+    cursor = page[page.length - 1].updated_at || cursor;
+    db.setSetting(CURSOR_KEY, cursor);
+  }
+
+  const result = {
+    ...stats,
+    cursor,
+    partial: stats.pages >= MAX_PAGES_PER_RUN,
+    startedAt,
+    completedAt: new Date().toISOString()
+  };
+  db.setSetting(LAST_SYNC_KEY, JSON.stringify({ ...result, changedIds: undefined }));
+  console.log(`[Freshdesk Sync] ${stats.updated} tickets updated, ${stats.closedLocally} closed locally (reassigned), cursor ${cursor}`);
+  return result;
+}
+
+/**
+ * Stored tickets in the Freshdesk API shape consumers already handle
+ * @param {number[]} statuses
+ * @param {Object} options - { ids: only these Freshdesk ids, limit: the most
+ *   recently updated only }
+ */
+export function getLocalTickets(statuses = [2, 3, 6, 7], options = {}) {
+  const placeholders = statuses.map(() => '?').join(',');
+  let query = `SELECT * FROM tickets WHERE status IN (${placeholders})`;
+  const params = [...statuses];
+  if (options.ids) {
+    if (options.ids.length === 0) return [];
+    query += ` AND freshdesk_id IN (${options.ids.map(() => '?').join(',')})`;
+    params.push(...options.ids);
+  }
+  if (options.limit) {
+    query += ' ORDER BY updated_at DESC LIMIT ?';
+    params.push(options.limit);
+  } else {
+    query += ' ORDER BY priority DESC, created_at DESC';
+  }
+
+  return db.getDb().prepare(query).all(...params).map(row => ({
+    ...parseJson(row.raw_data, {}),
+    id: row.freshdesk_id,
+    subject: row.subject,
+    description_text: row.description,
+    status: row.status,
+    priority: row.priority,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  }));
+}
+
+// ============================================
+// CONVERSATIONS
+// ============================================
+
+function queueConversationSync(ticket) {
+  jobQueue.enqueueJob('freshdesk_conversations', { ticketId: ticket.id }, {
+    idempotencyKey: `freshdesk_conversations:${ticket.id}:${ticket.updated_at}`,
+    maxAttempts: 3
+  });
+}
+
+/**
+ * Fetch and store a ticket's full thread
+ * @returns {number} - conversations stored
+ */
+export async function syncConversations(ticketId) {
+  const conversations = await freshdesk.fetchTicketConversations(ticketId);
+  const dbInstance = db.getDb();
+  const upsert = dbInstance.prepare(`
+    INSERT INTO ticket_conversations (id, ticket_id, user_id, incoming, private, source, from_email, body_text, created_at, updated_at, raw_data, synced_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      body_text = excluded.body_text,
+      private = excluded.private,
+      updated_at = excluded.updated_at,
+      raw_data = excluded.raw_data,
+      synced_at = CURRENT_TIMESTAMP
+  `);
+
+  dbInstance.transaction(() => {
+    for (const c of conversations) {
+      upsert.run(
+        c.id,
+        ticketId,
+        c.user_id ?? null,
+        c.incoming ? 1 : 0,
+        c.private ? 1 : 0,
+        c.source ?? null,
+        c.from_email || null,
+        c.body_text || '',
+        c.created_at,
+        c.updated_at,
+        JSON.stringify(c)
+      );
+    }
+    dbInstance.prepare('UPDATE tickets SET conversations_synced_for = updated_at WHERE freshdesk_id = ?').run(ticketId);
+  })();
+
+  return conversations.length;
+}
+
+/**
+ * A ticket's stored thread, oldest first, in the Freshdesk API shape. A
+ * ticket whose thread was never stored is fetched once when Freshdesk is
+ * configured.
+ */
+export async function getConversations(ticketId) {
+  const ticket = db.getDb().prepare('SELECT conversations_synced_for FROM tickets WHERE freshdesk_id = ?').get(ticketId);
+  if (!ticket?.conversations_synced_for && freshdesk.isConfigured()) {
+    try {
+      await syncConversations(ticketId);
+    } catch (e) {
+      console.log(`[Freshdesk Sync] Could not fetch conversations for ticket ${ticketId}:`, e.message);
+    }
+  }
+
+  return db.getDb()
+    .prepare('SELECT raw_data FROM ticket_conversations WHERE ticket_id = ? ORDER BY created_at ASC')
+    .all(ticketId)
+    .map(row => parseJson(row.raw_data, {}));
+}
+
+/**
+ * When the first public agent reply went out, per ticket
+ * @returns {Map<number, string>}
+ */
+export function getFirstAgentReplyTimes() {
+  const rows = db.getDb().prepare(`
+    SELECT ticket_id, MIN(created_at) as first_reply_at FROM ticket_conversations
+    WHERE incoming = 0 AND private = 0
+    GROUP BY ticket_id
+  `).all();
+  return new Map(rows.map(r => [r.ticket_id, r.first_reply_at]));
+}
+
+jobQueue.registerJobHandler('freshdesk_conversations', ({ ticketId }) => syncConversations(ticketId));
+
+// ============================================
+// STATUS
+// ============================================
+
+export function getSyncStatus() {
+  const { count } = db.getDb().prepare('SELECT COUNT(*) as count FROM ticket_conversations').get();
+  return {
+    configured: freshdesk.isConfigured(),
+    running: !!currentSync,
+    cursor: db.getSetting(CURSOR_KEY),
+    lastSync: parseJson(db.getSetting(LAST_SYNC_KEY), null),
+    conversationsStored: count,
+    rateLimit: freshdesk.getRateLimitStatus()
+  };
+}
+
+export default {
+  initFreshdeskSyncTables,
+  syncTickets,
+  getLocalTickets,
+  syncConversations,
+  getConversations,
+  getFirstAgentReplyTimes,
+  getSyncStatus
+};
@@ -95,6 +95,20 @@ export const taskade = {
     });
   },
 
+  // Mark a completed task as open again
+  async uncompleteTask(projectId, taskId) {
+    return taskadeRequest(`/projects/${projectId}/tasks/${taskId}/uncomplete`, {
+      method: 'POST'
+    });
+  },
+
+  // Delete task
+  async deleteTask(projectId, taskId) {
+    return taskadeRequest(`/projects/${projectId}/tasks/${taskId}`, {
+      method: 'DELETE'
+    });
+  },
+
   // Update task
   async updateTask(projectId, taskId, content) {
     return taskadeRequest(`/projects/${projectId}/tasks/${taskId}`, {
@@ -329,6 +343,13 @@ export const ghl = {
     });
   },
 
+  // Delete contact
+  async deleteContact(contactId) {
+    return ghlRequest(`/contacts/${contactId}`, {
+      method: 'DELETE'
+    });
+  },
+
   // Add tag to contact
   async addTag(contactId, tag) {
     return ghlRequest(`/contacts/${contactId}/tags`, {
@@ -337,6 +358,14 @@ export const ghl = {
     });
   },
 
+  // Remove tag from contact
+  async removeTag(contactId, tag) {
+    return ghlRequest(`/contacts/${contactId}/tags`, {
+      method: 'DELETE',
+      body: JSON.stringify({ tags: [tag] })
+    });
+  },
+
   // Get pipelines
   async getPipelines() {
     return ghlRequest('/pipelines');
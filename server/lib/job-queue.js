@@ -0,0 +1,449 @@
+/**
+ * Durable Job Queue for LIV8 Command Center
+ *
+ * SQLite-backed queue for calls to external platforms (workflow steps,
+ * event-bus chain actions). Jobs survive restarts and are retried with
+ * exponential backoff; jobs that use up their attempts move to the
+ * dead-letter list, where they can be retried by hand or discarded.
+ *
+ * Jobs may carry an idempotency key: enqueueing the same key again returns
+ * the existing job (and its stored result) instead of calling out twice.
+ * Finished jobs are swept after JOB_RETENTION_DAYS, and their keys with them.
+ */
+
+import * as db from './database.js';
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const DEFAULT_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 3;
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Queue state
+const queue = {
+  handlers: new Map(),
+  waiters: new Map(),
+  running: new Set(),
+  timer: null,
+  wakeTimer: null,
+  sweepTimer: null
+};
+
+/**
+ * Create the jobs table
+ */
+export function initJobTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload TEXT,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      backoff_ms INTEGER DEFAULT 1000,
+      run_at TEXT NOT NULL,
+      idempotency_key TEXT UNIQUE,
+      execution_id TEXT,
+      step_id TEXT,
+      result TEXT,
+      last_error TEXT,
+      attempt_log TEXT DEFAULT '[]',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      completed_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_execution ON jobs(execution_id);
+  `);
+
+  console.log('[Jobs] Tables initialized');
+}
+
+function rowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    payload: JSON.parse(row.payload || 'null'),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextRunAt: row.status === 'pending' ? row.run_at : null,
+    idempotencyKey: row.idempotency_key,
+    executionId: row.execution_id,
+    stepId: row.step_id,
+    result: row.result ? JSON.parse(row.result) : null,
+    lastError: row.last_error,
+    attemptLog: JSON.parse(row.attempt_log || '[]'),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Register the function that runs jobs of a type.
+ * options.onDeadLetter(job, error) is called once a job has used up its attempts.
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  queue.handlers.set(type, { handler, onDeadLetter: options.onDeadLetter });
+}
+
+/**
+ * Add a job to the queue. Returns the stored job; with an idempotency key
+ * that is already known, returns the existing job unchanged.
+ */
+export function enqueueJob(type, payload, options = {}) {
+  const store = db.tryGetDb();
+  const job = {
+    id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 8)}`,
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS,
+    runAt: new Date(Date.now() + (options.delayMs || 0)).toISOString()
+  };
+
+  if (!store) {
+    // No database: run once in the background, nothing to persist
+    runWithoutStore(job);
+    return job;
+  }
+
+  store.prepare(`
+    INSERT INTO jobs (id, type, payload, max_attempts, backoff_ms, run_at, idempotency_key, execution_id, step_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(idempotency_key) DO NOTHING
+  `).run(
+    job.id,
+    type,
+    JSON.stringify(payload ?? null),
+    job.maxAttempts,
+    job.backoffMs,
+    job.runAt,
+    options.idempotencyKey || null,
+    options.executionId || null,
+    options.stepId || null
+  );
+
+  const stored = options.idempotencyKey
+    ? store.prepare('SELECT * FROM jobs WHERE idempotency_key = ?').get(options.idempotencyKey)
+    : store.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id);
+
+  wake();
+  return rowToJob(stored);
+}
+
+/**
+ * Resolve once a job is completed or dead-lettered
+ */
+export function waitForJob(jobId) {
+  const job = getJob(jobId);
+  if (!job || job.status === 'completed' || job.status === 'dead') {
+    return Promise.resolve(job);
+  }
+
+  return new Promise(resolve => {
+    const waiting = queue.waiters.get(jobId) || [];
+    waiting.push(resolve);
+    queue.waiters.set(jobId, waiting);
+  });
+}
+
+/**
+ * Enqueue a job and wait for its outcome. Resolves with the completed job;
+ * rejects with the last error (error.job set) when it was dead-lettered.
+ */
+export async function runJob(type, payload, options = {}) {
+  const store = db.tryGetDb();
+  if (!store) {
+    const { handler } = getHandler(type);
+    const result = await handler(payload, { type, attempts: 1 });
+    return { type, status: 'completed', attempts: 1, result };
+  }
+
+  const job = await waitForJob(enqueueJob(type, payload, options).id);
+  if (job.status === 'dead') {
+    const error = new Error(job.lastError || 'Job failed');
+    error.job = job;
+    throw error;
+  }
+  return job;
+}
+
+function getHandler(type) {
+  const entry = queue.handlers.get(type);
+  if (!entry) {
+    throw new Error(`No job handler registered for: ${type}`);
+  }
+  return entry;
+}
+
+async function runWithoutStore(job) {
+  try {
+    await getHandler(job.type).handler(job.payload, job);
+  } catch (error) {
+    console.error(`[Jobs] ${job.type} failed:`, error.message);
+  }
+}
+
+function backoffFor(job) {
+  return Math.min(job.backoff_ms * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+}
+
+function settle(job) {
+  const waiting = queue.waiters.get(job.id) || [];
+  queue.waiters.delete(job.id);
+  waiting.forEach(resolve => resolve(job));
+}
+
+/**
+ * Run one claimed job and record the attempt
+ */
+async function executeJob(row) {
+  const store = db.tryGetDb();
+  const entry = queue.handlers.get(row.type);
+  const attempt = row.attempts + 1;
+  const startedAt = new Date();
+  const log = JSON.parse(row.attempt_log || '[]');
+
+  try {
+    const result = await entry.handler(JSON.parse(row.payload || 'null'), rowToJob({ ...row, attempts: attempt }));
+
+    log.push({ attempt, startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), success: true });
+    store.prepare(`
+      UPDATE jobs SET status = 'completed', attempts = ?, result = ?, last_error = NULL, attempt_log = ?,
+        updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempt, JSON.stringify(result ?? null), JSON.stringify(log), row.id);
+
+  } catch (error) {
+    log.push({ attempt, startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), success: false, error: error.message });
+
+    const exhausted = attempt >= row.max_attempts || error.retryable === false;
+    const runAt = new Date(Date.now() + backoffFor({ ...row, attempts: attempt })).toISOString();
+
+    store.prepare(`
+      UPDATE jobs SET status = ?, attempts = ?, run_at = ?, last_error = ?, attempt_log = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(exhausted ? 'dead' : 'pending', attempt, runAt, error.message, JSON.stringify(log), row.id);
+
+    if (exhausted) {
+      console.error(`[Jobs] ${row.type} ${row.id} dead-lettered after ${attempt} attempts: ${error.message}`);
+      try {
+        await entry.onDeadLetter?.(getJob(row.id), error);
+      } catch (e) {
+        console.error('[Jobs] Dead-letter hook failed:', e.message);
+      }
+    } else {
+      console.warn(`[Jobs] ${row.type} ${row.id} attempt ${attempt} failed, retrying at ${runAt}: ${error.message}`);
+    }
+  }
+
+  const job = getJob(row.id);
+  if (job.status !== 'pending') settle(job);
+}
+
+/**
+ * Claim and start due jobs up to the concurrency limit
+ */
+function processDueJobs() {
+  const store = db.tryGetDb();
+  const types = Array.from(queue.handlers.keys());
+  if (!store || types.length === 0) return;
+
+  while (queue.running.size < CONCURRENCY) {
+    const row = store.prepare(`
+      SELECT * FROM jobs
+      WHERE status = 'pending' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+      ORDER BY run_at, created_at LIMIT 1
+    `).get(new Date().toISOString(), ...types);
+    if (!row) break;
+
+    const claimed = store.prepare(`
+      UPDATE jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'
+    `).run(row.id).changes;
+    if (!claimed) continue;
+
+    queue.running.add(row.id);
+    executeJob(row)
+      .catch(error => console.error(`[Jobs] ${row.id} crashed:`, error.message))
+      .finally(() => {
+        queue.running.delete(row.id);
+        wake();
+      });
+  }
+}
+
+// Check for work on the next tick instead of waiting for the poll
+function wake() {
+  if (queue.wakeTimer) return;
+  queue.wakeTimer = setImmediate(() => {
+    queue.wakeTimer = null;
+    processDueJobs();
+  });
+}
+
+/**
+ * Start polling for due jobs. Jobs left 'running' by a crash are put back
+ * in the queue; the interrupted attempt still counts.
+ */
+export function startJobWorker() {
+  const store = db.tryGetDb();
+  if (!store || queue.timer) return;
+
+  const recovered = store.prepare(`
+    UPDATE jobs SET status = 'pending', attempts = attempts + 1, run_at = ?,
+      last_error = 'Interrupted by server restart', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `).run(new Date().toISOString()).changes;
+  if (recovered > 0) {
+    console.log(`[Jobs] Requeued ${recovered} jobs interrupted by restart`);
+  }
+
+  queue.timer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+  queue.timer.unref?.();
+  wake();
+
+  sweepFinishedJobs();
+  queue.sweepTimer = setInterval(sweepFinishedJobs, SWEEP_INTERVAL_MS);
+  queue.sweepTimer.unref?.();
+
+  console.log(`[Jobs] Worker started (concurrency ${CONCURRENCY})`);
+}
+
+export function stopJobWorker() {
+  clearInterval(queue.timer);
+  clearInterval(queue.sweepTimer);
+  queue.timer = null;
+  queue.sweepTimer = null;
+}
+
+/**
+ * Delete completed and dead-lettered jobs last touched more than
+ * `days` ago. Returns the number of jobs removed.
+ */
+export function sweepFinishedJobs(days = RETENTION_DAYS) {
+  const store = db.tryGetDb();
+  if (!store) return 0;
+
+  const removed = store.prepare(`
+    DELETE FROM jobs
+    WHERE status IN ('completed', 'dead') AND COALESCE(completed_at, updated_at) < datetime('now', ?)
+  `).run(`-${days} days`).changes;
+  if (removed > 0) {
+    console.log(`[Jobs] Swept ${removed} jobs finished more than ${days} days ago`);
+  }
+  return removed;
+}
+
+/**
+ * Get a job by id
+ */
+export function getJob(jobId) {
+  const store = db.tryGetDb();
+  if (!store) return null;
+  return rowToJob(store.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId));
+}
+
+/**
+ * List jobs, newest first
+ */
+export function getJobs(options = {}) {
+  const store = db.tryGetDb();
+  if (!store) return [];
+
+  const where = [];
+  const params = [];
+  if (options.status) {
+    where.push('status = ?');
+    params.push(options.status);
+  }
+  if (options.type) {
+    where.push('type = ?');
+    params.push(options.type);
+  }
+  if (options.executionId) {
+    where.push('execution_id = ?');
+    params.push(options.executionId);
+  }
+
+  return store.prepare(`
+    SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, rowid DESC LIMIT ?
+  `).all(...params, options.limit || 50).map(rowToJob);
+}
+
+/**
+ * Jobs that used up their attempts
+ */
+export function getDeadLetterJobs(limit = 50) {
+  return getJobs({ status: 'dead', limit });
+}
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh set of attempts
+ */
+export function retryJob(jobId) {
+  const store = db.tryGetDb();
+  const job = getJob(jobId);
+  if (!job) return null;
+  if (job.status !== 'dead') {
+    throw new Error(`Only dead-lettered jobs can be retried (job is ${job.status})`);
+  }
+
+  store.prepare(`
+    UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(new Date().toISOString(), jobId);
+
+  wake();
+  return getJob(jobId);
+}
+
+/**
+ * Remove a dead-lettered job
+ */
+export function discardJob(jobId) {
+  const store = db.tryGetDb();
+  if (!store) return false;
+  return store.prepare(`DELETE FROM jobs WHERE id = ? AND status = 'dead'`).run(jobId).changes > 0;
+}
+
+/**
+ * Counts per status
+ */
+export function getQueueStats() {
+  const store = db.tryGetDb();
+  const stats = { pending: 0, running: 0, completed: 0, dead: 0 };
+  if (!store) return stats;
+
+  for (const row of store.prepare('SELECT status, COUNT(*) as count FROM jobs GROUP BY status').all()) {
+    stats[row.status] = row.count;
+  }
+  return { ...stats, workerRunning: !!queue.timer, concurrency: CONCURRENCY };
+}
+
+export default {
+  initJobTables,
+  registerJobHandler,
+  enqueueJob,
+  waitForJob,
+  runJob,
+  startJobWorker,
+  stopJobWorker,
+  sweepFinishedJobs,
+  getJob,
+  getJobs,
+  getDeadLetterJobs,
+  retryJob,
+  discardJob,
+  getQueueStats
+};
@@ -6,6 +6,11 @@
 import * as db from './database.js';
 import * as ai from './ai-provider.js';
 import * as rag from './langchain-rag.js';
+import * as freshdesk from './freshdesk-client.js';
+import * as freshdeskSync from './freshdesk-sync.js';
+
+// Start of the history import
+const HISTORY_START = '2015-01-01T00:00:00Z';
 
 // Common ticket categories for GoHighLevel support
 const TICKET_CATEGORIES = {
@@ -45,95 +50,47 @@ export function categorizeTicket(subject, description) {
 }
 
 /**
- * Fetch ALL historical tickets from Freshdesk
+ * Import ALL historical tickets from Freshdesk into the local database and
+ * return them. Goes back further than the regular sync's lookback window.
  */
-export async function fetchAllHistoricalTickets(config) {
-  const { domain, apiKey, agentId } = config;
-
-  if (!domain || !apiKey) {
+export async function fetchAllHistoricalTickets() {
+  if (!freshdesk.isConfigured()) {
     throw new Error('Freshdesk not configured');
   }
 
   console.log('Fetching all historical tickets...');
 
+  const { agentId } = freshdesk.getFreshdeskConfig();
   const allTickets = [];
-  const authHeader = Buffer.from(`${apiKey}:X`).toString('base64');
-
-  // Fetch tickets page by page (Freshdesk API paginates at 30 per page)
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore && page <= 50) { // Max 50 pages = 1500 tickets
-    try {
-      // Use list endpoint for historical data (search has date limits)
-      let url = `https://${domain}.freshdesk.com/api/v2/tickets?per_page=100&page=${page}`;
-
-      if (agentId) {
-        // Filter by agent if specified
-        url = `https://${domain}.freshdesk.com/api/v2/search/tickets?query="agent_id:${agentId}"&page=${page}`;
-      }
-
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Basic ${authHeader}`,
-          'Content-Type': 'application/json'
-        }
-      });
 
-      if (!response.ok) {
-        console.log(`Fetch stopped at page ${page}: ${response.status}`);
-        break;
-      }
-
-      const data = await response.json();
-      const tickets = data.results || data || [];
-
-      if (tickets.length === 0) {
-        hasMore = false;
-      } else {
-        allTickets.push(...tickets);
-        console.log(`Fetched page ${page}: ${tickets.length} tickets (total: ${allTickets.length})`);
-        page++;
-
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    } catch (error) {
-      console.error(`Error fetching page ${page}:`, error.message);
-      hasMore = false;
+  if (agentId) {
+    // Search pages hold 30 tickets, and Freshdesk stops at page 10
+    const query = encodeURIComponent(`"agent_id:${agentId}"`);
+    for (let page = 1; page <= 10; page++) {
+      const data = await freshdesk.freshdeskRequest('GET', `/search/tickets?query=${query}&page=${page}`, null, { background: true });
+      const tickets = data?.results || [];
+      allTickets.push(...tickets);
+      console.log(`Fetched page ${page}: ${tickets.length} tickets (total: ${allTickets.length})`);
+      if (tickets.length < 30) break;
+    }
+  } else {
+    for await (const page of freshdesk.listTicketsUpdatedSince(HISTORY_START, { maxPages: 50 })) {
+      allTickets.push(...page);
+      console.log(`Fetched ${allTickets.length} tickets`);
     }
   }
 
+  db.upsertTickets(allTickets);
   console.log(`Total tickets fetched: ${allTickets.length}`);
   return allTickets;
 }
 
 /**
- * Fetch ticket conversations (to get agent responses)
+ * A ticket's conversation thread (to get agent responses), from the local
+ * store; fetched and stored on first use
  */
-export async function fetchTicketConversations(ticketId, config) {
-  const { domain, apiKey } = config;
-  const authHeader = Buffer.from(`${apiKey}:X`).toString('base64');
-
-  try {
-    const response = await fetch(
-      `https://${domain}.freshdesk.com/api/v2/tickets/${ticketId}/conversations`,
-      {
-        headers: {
-          'Authorization': `Basic ${authHeader}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.ok) {
-      return await response.json();
-    }
-  } catch (e) {
-    console.log(`Could not fetch conversations for ticket ${ticketId}`);
-  }
-
-  return [];
+export async function fetchTicketConversations(ticketId) {
+  return freshdeskSync.getConversations(ticketId);
 }
 
 /**
@@ -243,7 +200,7 @@ function extractBasicKeywords(text) {
 /**
  * Build the knowledge base from historical tickets
  */
-export async function buildKnowledgeBase(config, options = {}) {
+export async function buildKnowledgeBase(options = {}) {
   const { onProgress } = options;
 
   console.log('\n========================================');
@@ -251,7 +208,7 @@ export async function buildKnowledgeBase(config, options = {}) {
   console.log('========================================\n');
 
   // 1. Fetch all historical tickets
-  const allTickets = await fetchAllHistoricalTickets(config);
+  const allTickets = await fetchAllHistoricalTickets();
 
   // 2. Filter to resolved/closed tickets
   const resolvedTickets = allTickets.filter(t => t.status === 4 || t.status === 5);
@@ -281,7 +238,7 @@ export async function buildKnowledgeBase(config, options = {}) {
       }
 
       // Fetch conversations for this ticket
-      const conversations = await fetchTicketConversations(ticket.id, config);
+      const conversations = await fetchTicketConversations(ticket.id);
 
       // Create smart summary
       const summary = await createTicketSummary(ticket, conversations);
@@ -300,7 +257,7 @@ export async function buildKnowledgeBase(config, options = {}) {
 
       // Index into RAG vector store for semantic similarity search
       try {
-        rag.indexTicketForRAG(
+        await rag.indexTicketForRAG(
           { id: ticket.id, subject: ticket.subject, description_text: summary.issue, status: ticket.status, priority: ticket.priority },
           summary.solution || ''
         );
@@ -338,11 +295,11 @@ export async function buildKnowledgeBase(config, options = {}) {
 /**
  * Process a single newly resolved ticket (for auto-updates)
  */
-export async function processResolvedTicket(ticket, config) {
+export async function processResolvedTicket(ticket) {
   console.log(`Processing newly resolved ticket: ${ticket.id}`);
 
   try {
-    const conversations = await fetchTicketConversations(ticket.id, config);
+    const conversations = await fetchTicketConversations(ticket.id);
     const summary = await createTicketSummary(ticket, conversations);
 
     db.addToKnowledgeBase(
@@ -354,7 +311,7 @@ export async function processResolvedTicket(ticket, config) {
 
     // Index into RAG vector store for semantic similarity search
     try {
-      rag.indexTicketForRAG(ticket, summary.solution || summary.issue || '');
+      await rag.indexTicketForRAG(ticket, summary.solution || summary.issue || '');
     } catch (e) {
       console.log(`RAG indexing failed for ticket ${ticket.id}:`, e.message);
     }
@@ -409,31 +366,6 @@ export function getKnowledgeInsights() {
   }
 }
 
-/**
- * Search knowledge base with smart matching
- */
-export function smartSearch(query, limit = 5) {
-  // Extract keywords from query
-  const keywords = extractBasicKeywords(query);
-
-  // Determine likely category
-  const category = categorizeTicket(query, '');
-
-  // Search database
-  const results = db.searchKnowledgeBase(keywords, limit * 2);
-
-  // Boost results that match the category
-  const scored = results.map(r => ({
-    ...r,
-    categoryMatch: r.category === category,
-    finalScore: r.score + (r.category === category ? 2 : 0)
-  }));
-
-  return scored
-    .sort((a, b) => b.finalScore - a.finalScore)
-    .slice(0, limit);
-}
-
 export default {
   categorizeTicket,
   fetchAllHistoricalTickets,
@@ -442,6 +374,5 @@ export default {
   buildKnowledgeBase,
   processResolvedTicket,
   getKnowledgeInsights,
-  smartSearch,
   TICKET_CATEGORIES
 };
@@ -10,6 +10,8 @@ import { StringOutputParser } from '@langchain/core/output_parsers';
 import { PromptTemplate } from '@langchain/core/prompts';
 import { RunnableSequence } from '@langchain/core/runnables';
 import * as db from './database.js';
+import * as embeddings from './embeddings.js';
+import * as retrieval from './retrieval.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // LLM instances
@@ -17,8 +19,13 @@ let claudeModel = null;
 let openaiModel = null;
 let currentModel = null;
 
-// Simple in-memory vector store (using cosine similarity)
+// In-memory vector store (cosine similarity); each entry keeps the id of the
+// embedding model that produced its vector
 let vectorStore = [];
+let migration = null;
+
+// Rows stored before pluggable embeddings hold word-frequency maps
+const LEGACY_MODEL_ID = 'legacy:word-frequency';
 
 /**
  * Initialize LangChain with AI providers
@@ -48,8 +55,10 @@ export function initLangChain(config = {}) {
   // Set default model
   currentModel = claudeModel || openaiModel;
 
-  // Load existing embeddings from database
+  // Load existing embeddings from database, then re-embed any stored with
+  // a different model than the active one
   loadVectorStore();
+  migrateEmbeddings().catch(e => console.log('LangChain: Embedding migration failed:', e.message));
 
   return {
     claude: !!claudeModel,
@@ -73,56 +82,17 @@ export function switchLangChainModel(provider) {
   return false;
 }
 
-/**
- * Simple text embedding using TF-IDF-like approach
- * (For production, use OpenAI embeddings or similar)
- */
-function createSimpleEmbedding(text) {
-  const words = text.toLowerCase()
-    .replace(/[^\w\s]/g, '')
-    .split(/\s+/)
-    .filter(w => w.length > 2);
-
-  // Create a simple word frequency vector
-  const wordFreq = {};
-  for (const word of words) {
-    wordFreq[word] = (wordFreq[word] || 0) + 1;
-  }
-
-  return wordFreq;
-}
-
-/**
- * Calculate cosine similarity between two word frequency vectors
- */
-function cosineSimilarity(vec1, vec2) {
-  const allWords = new Set([...Object.keys(vec1), ...Object.keys(vec2)]);
-  let dotProduct = 0;
-  let mag1 = 0;
-  let mag2 = 0;
-
-  for (const word of allWords) {
-    const v1 = vec1[word] || 0;
-    const v2 = vec2[word] || 0;
-    dotProduct += v1 * v2;
-    mag1 += v1 * v1;
-    mag2 += v2 * v2;
-  }
-
-  if (mag1 === 0 || mag2 === 0) return 0;
-  return dotProduct / (Math.sqrt(mag1) * Math.sqrt(mag2));
-}
-
 /**
  * Load vector store from database
  */
 function loadVectorStore() {
   try {
-    const embeddings = db.getEmbeddingsBySource('knowledge_base');
-    vectorStore = embeddings.map(e => ({
+    const rows = db.getEmbeddingsBySource('knowledge_base');
+    vectorStore = rows.map(e => ({
       id: e.id,
       content: e.content,
       embedding: JSON.parse(e.embedding),
+      modelId: e.embedding_model || LEGACY_MODEL_ID,
       metadata: JSON.parse(e.metadata || '{}'),
       sourceId: e.source_id
     }));
@@ -136,44 +106,36 @@ function loadVectorStore() {
 /**
  * Add document to vector store
  */
-export function addDocument(content, metadata = {}, sourceId = null) {
-  // Prevent duplicate entries for the same source (ticket/casebook)
-  if (sourceId) {
-    const existing = vectorStore.findIndex(doc => doc.sourceId === sourceId);
-    if (existing !== -1) {
-      // Update existing instead of adding duplicate
-      vectorStore[existing].content = content;
-      vectorStore[existing].embedding = createSimpleEmbedding(content);
-      vectorStore[existing].metadata = metadata;
-      return vectorStore[existing].id;
-    }
-  }
-
-  const id = uuidv4();
-  const embedding = createSimpleEmbedding(content);
+export async function addDocument(content, metadata = {}, sourceId = null) {
+  const { vector, modelId } = await embeddings.embedText(content);
 
-  vectorStore.push({
-    id,
-    content,
-    embedding,
-    metadata,
-    sourceId
-  });
+  // Prevent duplicate entries for the same source (ticket/casebook)
+  const existing = sourceId ? vectorStore.find(doc => doc.sourceId === sourceId) : null;
+  const doc = existing || { id: uuidv4(), sourceId };
+  Object.assign(doc, { content, embedding: vector, modelId, metadata });
+  if (!existing) vectorStore.push(doc);
 
   // Persist to database
   try {
-    db.storeEmbedding(id, content, embedding, metadata, 'knowledge_base', sourceId);
+    db.storeEmbedding(doc.id, content, vector, metadata, 'knowledge_base', sourceId, modelId);
   } catch (e) {
     console.log('Failed to persist embedding:', e.message);
   }
 
-  return id;
+  return doc.id;
+}
+
+/**
+ * Whether a ticket or casebook entry is already in the vector store
+ */
+export function hasDocument(sourceId) {
+  return vectorStore.some(doc => String(doc.sourceId) === String(sourceId));
 }
 
 /**
  * Add ticket to knowledge base with embedding
  */
-export function indexTicketForRAG(ticket, resolution = '') {
+export async function indexTicketForRAG(ticket, resolution = '') {
   const content = `
 Ticket: ${ticket.subject}
 Description: ${ticket.description_text || ticket.description || ''}
@@ -194,7 +156,7 @@ Resolution: ${resolution}
 /**
  * Index a casebook entry for RAG retrieval
  */
-export function indexCasebookEntry(entry) {
+export async function indexCasebookEntry(entry) {
   const content = `Approved Response for: ${entry.subject}
 Issue: ${entry.customer_message || ''}
 Response: ${entry.approved_response}
@@ -212,51 +174,24 @@ SOP: ${entry.sop_references || ''}`.trim();
 }
 
 /**
- * Search similar documents using vector similarity
- */
-export function searchSimilar(query, limit = 5, threshold = 0.1) {
-  const queryEmbedding = createSimpleEmbedding(query);
-
-  const scored = vectorStore.map(doc => ({
-    ...doc,
-    score: cosineSimilarity(queryEmbedding, doc.embedding)
-  }));
-
-  // Deduplicate by ticket ID — keep only the highest-scoring entry per ticket
-  const seen = new Set();
-  return scored
-    .filter(doc => doc.score >= threshold)
-    .sort((a, b) => b.score - a.score)
-    .filter(doc => {
-      const ticketId = doc.metadata?.ticketId || doc.metadata?.casebookId || doc.content;
-      if (seen.has(ticketId)) return false;
-      seen.add(ticketId);
-      return true;
-    })
-    .slice(0, limit);
-}
-
-/**
- * RAG-enhanced ticket response generation
+ * RAG-enhanced ticket response generation, grounded in the resolved tickets
+ * and casebook entries unified retrieval ranks highest
  */
 export async function generateRAGResponse(ticket, options = {}) {
   if (!currentModel) {
     throw new Error('No LangChain model initialized');
   }
 
-  // 1. Search for similar tickets
-  const query = `${ticket.subject} ${ticket.description_text || ticket.description || ''}`;
-  const similarDocs = searchSimilar(query, 3);
+  // 1. Search for similar tickets and approved responses
+  const query = `${ticket.subject} ${(ticket.description_text || ticket.description || '').substring(0, 500)}`;
+  const similarDocs = await retrieval.search(query, { limit: 3, sources: ['ticket', 'casebook'] });
 
   // 2. Build context from similar documents
   let context = '';
   if (similarDocs.length > 0) {
     context = `
 SIMILAR RESOLVED TICKETS FROM KNOWLEDGE BASE:
-${similarDocs.map((doc, i) => `
-${i + 1}. (Relevance: ${(doc.score * 100).toFixed(1)}%)
-${doc.content}
-`).join('\n')}
+${retrieval.formatContext(similarDocs)}
 `;
   }
 
@@ -300,40 +235,44 @@ Response:
     response,
     similarTickets: similarDocs.map(d => ({
       id: d.metadata.ticketId,
-      subject: d.metadata.subject,
+      subject: d.title,
       score: d.score
     })),
+    citations: retrieval.toCitations(similarDocs),
     model: currentModel === claudeModel ? 'claude' : 'openai'
   };
 }
 
 /**
- * RAG-enhanced question answering about ticket history
+ * RAG-enhanced question answering over tickets, the casebook and (with
+ * options.agentId) an agent's own knowledge. Answers cite sources as [n].
  */
 export async function askKnowledgeBase(question, options = {}) {
   if (!currentModel) {
     throw new Error('No LangChain model initialized');
   }
 
-  // Search for relevant documents
-  const relevantDocs = searchSimilar(question, 5);
+  const relevantDocs = await retrieval.search(question, {
+    limit: options.limit || 5,
+    sources: options.sources,
+    agentId: options.agentId
+  });
 
   if (relevantDocs.length === 0) {
     return {
       answer: "I couldn't find any relevant information in the knowledge base.",
-      sources: []
+      sources: [],
+      citations: []
     };
   }
 
-  // Build context
-  const context = relevantDocs.map((doc, i) =>
-    `Source ${i + 1} (Relevance: ${(doc.score * 100).toFixed(1)}%):\n${doc.content}`
-  ).join('\n\n');
+  const context = retrieval.formatContext(relevantDocs);
 
   // Create QA prompt
   const qaPrompt = PromptTemplate.fromTemplate(`
 Based on the following knowledge base entries, answer the question.
 If the answer is not in the provided context, say so.
+Cite the entries you used with their bracketed number, e.g. [1] or [2][3].
 
 KNOWLEDGE BASE:
 {context}
@@ -357,10 +296,11 @@ ANSWER:
   return {
     answer,
     sources: relevantDocs.map(d => ({
-      ticketId: d.metadata.ticketId,
-      subject: d.metadata.subject,
+      ticketId: d.metadata.ticketId || null,
+      subject: d.title,
       relevance: d.score
-    }))
+    })),
+    citations: retrieval.toCitations(relevantDocs)
   };
 }
 
@@ -425,6 +365,61 @@ YOUR OUTPUT:
   };
 }
 
+/**
+ * Re-embed documents whose vectors came from another model (legacy
+ * word-frequency rows, or a provider switch). Runs in batches; documents that
+ * can't be re-embedded yet (provider down) stay as they are for the next run.
+ */
+export async function migrateEmbeddings(options = {}) {
+  if (migration) return migration;
+
+  migration = (async () => {
+    const targetModel = embeddings.getModelId();
+    const provider = embeddings.getEmbeddingProvider();
+    const stale = vectorStore.filter(doc => doc.modelId !== targetModel);
+    const batchSize = options.batchSize || 50;
+    let migrated = 0;
+
+    for (let i = 0; i < stale.length; i += batchSize) {
+      const batch = stale.slice(i, i + batchSize);
+      let result;
+      try {
+        result = await embeddings.embedTexts(batch.map(doc => doc.content), { provider, fallback: false });
+      } catch (e) {
+        console.log(`LangChain: Embedding migration paused (${provider}): ${e.message}`);
+        break;
+      }
+
+      batch.forEach((doc, j) => {
+        doc.embedding = result.vectors[j];
+        doc.modelId = result.modelId;
+        try { db.updateEmbeddingVector(doc.id, doc.embedding, doc.modelId); } catch (e) {}
+      });
+      migrated += batch.length;
+    }
+
+    if (stale.length > 0) {
+      console.log(`LangChain: Migrated ${migrated}/${stale.length} embeddings to ${targetModel}`);
+    }
+    return { modelId: targetModel, migrated, remaining: stale.length - migrated };
+  })();
+
+  try {
+    return await migration;
+  } finally {
+    migration = null;
+  }
+}
+
+/**
+ * Switch the embedding provider and re-embed the store for it
+ */
+export async function setEmbeddingProvider(provider) {
+  const config = embeddings.setEmbeddingProvider(provider);
+  const result = await migrateEmbeddings();
+  return { ...config, migration: result };
+}
+
 /**
  * Sync resolved tickets to knowledge base
  */
@@ -436,9 +431,9 @@ export async function syncKnowledgeBase() {
     let indexed = 0;
     for (const ticket of resolvedTickets) {
       // Check if already indexed
-      const existing = vectorStore.find(v => v.sourceId === ticket.freshdesk_id);
-      if (!existing) {
-        indexTicketForRAG(ticket);
+      if (!hasDocument(ticket.freshdesk_id)) {
+        // Database rows carry the local row id in `id`; key by the Freshdesk id
+        await indexTicketForRAG({ ...ticket, id: ticket.freshdesk_id });
         indexed++;
       }
     }
@@ -455,8 +450,20 @@ export async function syncKnowledgeBase() {
  * Get knowledge base stats
  */
 export function getRAGStats() {
+  const embeddingConfig = embeddings.getEmbeddingConfig();
+  const byModel = {};
+  for (const doc of vectorStore) {
+    byModel[doc.modelId] = (byModel[doc.modelId] || 0) + 1;
+  }
+
   return {
     totalDocuments: vectorStore.length,
+    embeddings: {
+      ...embeddingConfig,
+      byModel,
+      pendingMigration: vectorStore.length - (byModel[embeddingConfig.modelId] || 0),
+      migrating: !!migration
+    },
     models: {
       claude: !!claudeModel,
       openai: !!openaiModel,
@@ -469,8 +476,11 @@ export default {
   initLangChain,
   switchLangChainModel,
   addDocument,
+  hasDocument,
   indexTicketForRAG,
-  searchSimilar,
+  indexCasebookEntry,
+  migrateEmbeddings,
+  setEmbeddingProvider,
   generateRAGResponse,
   askKnowledgeBase,
   runAgentChain,
@@ -270,6 +270,21 @@ export const nifty = {
     });
   },
 
+  // Reopen a completed task
+  async reopenTask(taskId) {
+    return niftyRequest(`/tasks/${taskId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ completed: false })
+    });
+  },
+
+  // Delete task
+  async deleteTask(taskId) {
+    return niftyRequest(`/tasks/${taskId}`, {
+      method: 'DELETE'
+    });
+  },
+
   // Assign task
   async assignTask(taskId, memberIds) {
     return niftyRequest(`/tasks/${taskId}`, {
@@ -15,6 +15,7 @@ import { taskade, taskmagic, ghl } from './integrations.js';
 import { nifty } from './nifty-integration.js';
 import { unifiedTasks } from './unified-tasks.js';
 import * as taskSync from './task-sync-service.js';
+import * as slaEngine from './sla-engine.js';
 
 // In-memory store for proactive state
 const proactiveState = {
@@ -73,6 +74,20 @@ const PROACTIVE_RULES = {
     priority: 'critical'
   },
 
+  SLA_BREACH: {
+    name: 'SLA Breach',
+    check: (ticket) => ticket.sla?.forecast === 'breached',
+    action: 'notify_and_escalate',
+    priority: 'critical'
+  },
+
+  SLA_AT_RISK: {
+    name: 'SLA Breach Forecast',
+    check: (ticket) => ticket.sla?.forecast === 'at_risk',
+    action: 'send_reminder',
+    priority: 'high'
+  },
+
   TICKET_PATTERN: {
     name: 'Repeated Issue Pattern',
     check: (tickets) => {
@@ -195,6 +210,15 @@ async function runProactiveCheck() {
       await executeAutoActions(detectedIssues);
     }
 
+    // Email newly breached and at-risk SLA deadlines (once per ticket and state)
+    if (process.env.SLA_ALERTS !== 'false') {
+      try {
+        await slaEngine.sendSlaAlerts();
+      } catch (e) {
+        console.log('  Proactive SLA alerts skipped:', e.message);
+      }
+    }
+
     // Auto-draft responses for any open tickets missing drafts
     let autoDraftCount = 0;
     try {
@@ -378,8 +402,31 @@ async function runProactiveRules(data) {
     }
   }
 
-  // Check for ticket patterns
+  // Check SLA deadlines
   const activeTickets = data.tickets.filter(t => [2, 3, 6, 7].includes(t.status));
+  try {
+    for (const ticket of slaEngine.annotateTickets(activeTickets)) {
+      for (const type of ['SLA_BREACH', 'SLA_AT_RISK']) {
+        if (!PROACTIVE_RULES[type].check(ticket)) continue;
+        const timer = ticket.sla.timers[ticket.sla.timer];
+        const label = ticket.sla.timer === 'first_response' ? 'first response' : 'resolution';
+        issues.push({
+          type,
+          platform: 'freshdesk',
+          item: ticket,
+          priority: PROACTIVE_RULES[type].priority,
+          action: PROACTIVE_RULES[type].action,
+          message: type === 'SLA_BREACH'
+            ? `Ticket #${ticket.freshdesk_id} "${ticket.subject}" breached its ${label} SLA (${ticket.sla.policy.name}, due ${timer.dueAt})`
+            : `Ticket #${ticket.freshdesk_id} "${ticket.subject}" will breach its ${label} SLA in ${timer.minutesRemaining} minutes`
+        });
+      }
+    }
+  } catch (e) {
+    console.warn('SLA check skipped:', e.message);
+  }
+
+  // Check for ticket patterns
   const patterns = PROACTIVE_RULES.TICKET_PATTERN.check(activeTickets);
   for (const [category, count] of patterns) {
     issues.push({
@@ -437,7 +484,8 @@ Focus on:
 
     const response = await ai.chat([{ role: 'user', content: prompt }], {
       systemPrompt: 'You are a proactive AI that helps optimize task management across multiple platforms. Return only valid JSON.',
-      maxTokens: 1000
+      maxTokens: 1000,
+      feature: 'proactive_engine'
     });
 
     // Parse AI response
@@ -719,7 +767,8 @@ Be specific and actionable.`;
   try {
     const response = await ai.chat([{ role: 'user', content: prompt }], {
       systemPrompt: 'You are a productivity expert creating actionable plans. Be concise and specific.',
-      maxTokens: 1000
+      maxTokens: 1000,
+      feature: 'proactive_engine'
     });
 
     return {
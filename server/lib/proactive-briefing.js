@@ -12,6 +12,7 @@
 
 import * as db from './database.js';
 import * as ai from './ai-provider.js';
+import * as slaEngine from './sla-engine.js';
 import calendarService from './calendar-service.js';
 import { marketData } from './market-data.js';
 
@@ -176,35 +177,7 @@ ETH: $${eth?.price?.toLocaleString() || 'N/A'} (${eth?.change24h?.toFixed(2) ||
 }
 
 async function getTicketContext() {
-  // Try fresh Freshdesk data first, fall back to DB
-  try {
-    const domain = process.env.FRESHDESK_DOMAIN;
-    const apiKey = process.env.FRESHDESK_API_KEY;
-    const agentId = process.env.FRESHDESK_AGENT_ID;
-
-    if (domain && apiKey) {
-      const baseUrl = `https://${domain}.freshdesk.com/api/v2`;
-      const auth = Buffer.from(`${apiKey}:X`).toString('base64');
-      const headers = { 'Authorization': `Basic ${auth}`, 'Content-Type': 'application/json' };
-
-      const counts = { open: 0, pending: 0, waiting: 0 };
-      for (const [status, key] of [[2, 'open'], [3, 'pending'], [6, 'waiting']]) {
-        try {
-          let query = `"status:${status}"`;
-          if (agentId) query = `"agent_id:${agentId} AND status:${status}"`;
-          const resp = await fetch(`${baseUrl}/search/tickets?query=${encodeURIComponent(query)}`, { headers });
-          if (resp.ok) {
-            const data = await resp.json();
-            counts[key] = data.total || (data.results || []).length;
-          }
-          await new Promise(r => setTimeout(r, 300));
-        } catch (e) {}
-      }
-      return `${counts.open} open, ${counts.pending} pending, ${counts.waiting} waiting on customer`;
-    }
-  } catch (e) {}
-
-  // Fallback to DB
+  // Read from the local copy kept current by the Freshdesk sync
   try {
     const dbInstance = db.getDb();
     const stmt = dbInstance.prepare(`
@@ -462,31 +435,32 @@ export async function generateSmartDailyReport() {
   }
 
   try {
-    const result = await ai.chat([{ role: 'user', content: 'Give 3 quick tips for handling ' + tickets.length + ' support tickets with ' + critical.length + ' critical.' }], { maxTokens: 200 });
+    const result = await ai.chat([{ role: 'user', content: 'Give 3 quick tips for handling ' + tickets.length + ' support tickets with ' + critical.length + ' critical.' }], { maxTokens: 200, feature: 'daily_reports' });
     report.aiInsights = result.text;
   } catch (e) { report.aiInsights = 'unavailable'; }
 
   return report;
 }
 
+/**
+ * Open tickets bucketed by urgency, with SLA forecasts. nextUp works the
+ * deadlines first: breached, then at risk, then by urgency.
+ */
 export function getSmartTicketQueue() {
-  const dbInstance = db.getDb();
   try {
-    const stmt = dbInstance.prepare(`
-      SELECT t.*, a.escalation_type, a.urgency_score, a.summary as ai_summary
-      FROM tickets t LEFT JOIN ticket_analysis a ON t.id = a.ticket_id
-      WHERE t.status IN (2, 3, 6, 7)
-      ORDER BY a.urgency_score DESC NULLS LAST
-    `);
-    const tickets = stmt.all();
+    const tickets = slaEngine.annotateTickets(db.getAllTicketsWithAnalysis([2, 3, 6, 7]))
+      .map(t => ({ ...t, ai_summary: t.summary }))
+      .sort((a, b) => (b.urgency_score ?? -1) - (a.urgency_score ?? -1));
     return {
       total: tickets.length,
       critical: tickets.filter(t => t.urgency_score >= 8),
       high: tickets.filter(t => t.urgency_score >= 5 && t.urgency_score < 8),
       other: tickets.filter(t => !t.urgency_score || t.urgency_score < 5),
-      nextUp: tickets.slice(0, 5)
+      slaBreached: tickets.filter(t => t.sla?.forecast === 'breached'),
+      slaAtRisk: tickets.filter(t => t.sla?.forecast === 'at_risk'),
+      nextUp: [...tickets].sort(slaEngine.compareBySla).slice(0, 5)
     };
-  } catch (e) { return { total: 0, critical: [], high: [], other: [], nextUp: [] }; }
+  } catch (e) { return { total: 0, critical: [], high: [], other: [], slaBreached: [], slaAtRisk: [], nextUp: [] }; }
 }
 
 export default {
@@ -0,0 +1,268 @@
+/**
+ * AI Provider Health for LIV8 Command Center
+ *
+ * A circuit breaker per provider, fed by the outcome of every call made
+ * through ai-provider.js (errors classified by parseProviderError):
+ * - closed:    calls go through; failures are counted
+ * - open:      the provider is skipped until its cooldown passes
+ * - half_open: one probe call is let through; success closes the circuit,
+ *              failure re-opens it with a longer cooldown
+ *
+ * Health is kept in memory — it describes this process's recent view of
+ * each provider and starts fresh on restart.
+ */
+
+// Outcomes kept per provider, and how far back they count
+const WINDOW_SIZE = 20;
+const WINDOW_MS = 5 * 60 * 1000;
+
+// When a closed circuit opens
+const CONSECUTIVE_FAILURES_TO_OPEN = 3;
+const ERROR_RATE_TO_OPEN = 0.5;
+const MIN_CALLS_FOR_RATE = 5;
+
+// Cooldown before a half-open probe; doubles per failed probe
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+const AUTH_COOLDOWN_MS = 10 * 60 * 1000;
+
+// A probe that never reported back stops blocking the next one
+const PROBE_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Error rate above which a closed provider counts as degraded
+const DEGRADED_ERROR_RATE = 0.25;
+
+// Latency EWMA weight for the newest sample
+const LATENCY_ALPHA = 0.3;
+
+export const ROUTING_MODES = ['cost', 'health'];
+
+const circuits = new Map();
+
+function getCircuit(provider) {
+  if (!circuits.has(provider)) {
+    circuits.set(provider, {
+      state: 'closed',
+      outcomes: [],
+      consecutiveFailures: 0,
+      cooldownMs: BASE_COOLDOWN_MS,
+      openedAt: null,
+      retryAt: null,
+      probeStartedAt: null,
+      avgLatencyMs: null,
+      lastError: null,
+      lastSuccessAt: null,
+      totals: { calls: 0, failures: 0, opened: 0 }
+    });
+  }
+  return circuits.get(provider);
+}
+
+function recentOutcomes(circuit) {
+  const cutoff = Date.now() - WINDOW_MS;
+  circuit.outcomes = circuit.outcomes.filter(o => o.at >= cutoff).slice(-WINDOW_SIZE);
+  return circuit.outcomes;
+}
+
+function errorRate(circuit) {
+  const outcomes = recentOutcomes(circuit);
+  if (outcomes.length === 0) return 0;
+  return outcomes.filter(o => !o.ok).length / outcomes.length;
+}
+
+function openCircuit(provider, circuit, cooldownMs, reason) {
+  circuit.state = 'open';
+  circuit.openedAt = Date.now();
+  circuit.cooldownMs = cooldownMs;
+  circuit.retryAt = circuit.openedAt + cooldownMs;
+  circuit.probeStartedAt = null;
+  circuit.totals.opened++;
+  console.warn(`[AI Health] ${provider} circuit open for ${Math.round(cooldownMs / 1000)}s (${reason})`);
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+/**
+ * Whether a call to the provider would currently be let through (no side effects)
+ */
+export function isAvailable(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state === 'closed') return true;
+  if (circuit.state === 'open') return Date.now() >= circuit.retryAt;
+  return !circuit.probeStartedAt || Date.now() - circuit.probeStartedAt > PROBE_TIMEOUT_MS;
+}
+
+/**
+ * Claim a call slot: false for an open circuit, and a past-cooldown circuit
+ * moves to half_open with this call as its single probe
+ */
+export function acquire(provider) {
+  if (!isAvailable(provider)) return false;
+
+  const circuit = getCircuit(provider);
+  if (circuit.state !== 'closed') {
+    if (circuit.state === 'open') {
+      circuit.state = 'half_open';
+      console.log(`[AI Health] ${provider} half-open, probing`);
+    }
+    circuit.probeStartedAt = Date.now();
+  }
+  return true;
+}
+
+/**
+ * Give back a claimed slot without an outcome (e.g. the caller went away)
+ */
+export function release(provider) {
+  getCircuit(provider).probeStartedAt = null;
+}
+
+/**
+ * Record a successful call; latency is optional (streams skip it)
+ */
+export function recordSuccess(provider, latencyMs = null) {
+  const circuit = getCircuit(provider);
+  circuit.outcomes.push({ at: Date.now(), ok: true });
+  circuit.consecutiveFailures = 0;
+  circuit.lastSuccessAt = new Date().toISOString();
+  circuit.totals.calls++;
+
+  if (typeof latencyMs === 'number') {
+    circuit.avgLatencyMs = circuit.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * circuit.avgLatencyMs);
+  }
+
+  if (circuit.state !== 'closed') {
+    console.log(`[AI Health] ${provider} recovered, circuit closed`);
+    circuit.state = 'closed';
+    circuit.cooldownMs = BASE_COOLDOWN_MS;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    circuit.probeStartedAt = null;
+  }
+}
+
+/**
+ * Record a failed call with its parseProviderError type
+ */
+export function recordFailure(provider, errorType = 'unknown', message = '') {
+  const circuit = getCircuit(provider);
+  circuit.outcomes.push({ at: Date.now(), ok: false });
+  circuit.consecutiveFailures++;
+  circuit.lastError = { type: errorType, message: String(message).substring(0, 200), at: new Date().toISOString() };
+  circuit.totals.calls++;
+  circuit.totals.failures++;
+
+  if (circuit.state === 'half_open') {
+    const cooldown = errorType === 'auth' ? AUTH_COOLDOWN_MS : Math.min(circuit.cooldownMs * 2, MAX_COOLDOWN_MS);
+    openCircuit(provider, circuit, cooldown, `probe failed: ${errorType}`);
+    return;
+  }
+  if (circuit.state === 'open') return;
+
+  // A bad key or exhausted quota won't fix itself on the next call
+  if (errorType === 'auth') {
+    openCircuit(provider, circuit, AUTH_COOLDOWN_MS, 'auth error');
+  } else if (errorType === 'rate_limit') {
+    openCircuit(provider, circuit, BASE_COOLDOWN_MS, 'rate limited');
+  } else if (circuit.consecutiveFailures >= CONSECUTIVE_FAILURES_TO_OPEN) {
+    openCircuit(provider, circuit, BASE_COOLDOWN_MS, `${circuit.consecutiveFailures} failures in a row`);
+  } else if (recentOutcomes(circuit).length >= MIN_CALLS_FOR_RATE && errorRate(circuit) >= ERROR_RATE_TO_OPEN) {
+    openCircuit(provider, circuit, BASE_COOLDOWN_MS, `${Math.round(errorRate(circuit) * 100)}% error rate`);
+  }
+}
+
+/**
+ * Close a provider's circuit and forget its history (e.g. after a new API key)
+ */
+export function resetProvider(provider) {
+  circuits.delete(provider);
+}
+
+// ============================================
+// SCORING & ROUTING
+// ============================================
+
+/**
+ * Health score 0-100 from recent error rate and latency (100 when untested)
+ */
+export function getScore(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.state === 'open' && !isAvailable(provider)) return 0;
+
+  const reliability = 1 - errorRate(circuit);
+  // 0ms → 1.0, 5s → 0.67, 20s → 0.33
+  const speed = circuit.avgLatencyMs === null ? 1 : 1 / (1 + circuit.avgLatencyMs / 10000);
+  const score = 100 * (0.75 * reliability + 0.25 * speed);
+  return Math.round(circuit.state === 'half_open' ? score / 2 : score);
+}
+
+/**
+ * Routing mode: "cost" keeps the cheapest-first order and only moves degraded
+ * providers back; "health" orders by score. Set with AI_ROUTING.
+ */
+export function getRoutingMode() {
+  const mode = (process.env.AI_ROUTING || 'cost').toLowerCase();
+  return ROUTING_MODES.includes(mode) ? mode : 'cost';
+}
+
+/**
+ * Order fallback providers (already in cost order) by observed health
+ */
+export function rankProviders(providers, mode = getRoutingMode()) {
+  const ranked = providers.map((provider, index) => {
+    const circuit = getCircuit(provider);
+    const degraded = circuit.state !== 'closed' || errorRate(circuit) >= DEGRADED_ERROR_RATE;
+    return { provider, index, degraded, score: getScore(provider) };
+  });
+
+  ranked.sort((a, b) => {
+    if (mode === 'health' && a.score !== b.score) return b.score - a.score;
+    if (a.degraded !== b.degraded) return a.degraded ? 1 : -1;
+    return a.index - b.index;
+  });
+
+  return ranked.map(r => r.provider);
+}
+
+/**
+ * Live health for each provider, for /api/ai/provider
+ */
+export function getHealth(providers) {
+  const report = {};
+  for (const provider of providers) {
+    const circuit = getCircuit(provider);
+    const outcomes = recentOutcomes(circuit);
+    const state = circuit.state === 'open' && isAvailable(provider) ? 'half_open' : circuit.state;
+    report[provider] = {
+      state,
+      score: getScore(provider),
+      recentCalls: outcomes.length,
+      errorRate: Math.round(errorRate(circuit) * 100) / 100,
+      avgLatencyMs: circuit.avgLatencyMs,
+      consecutiveFailures: circuit.consecutiveFailures,
+      retryAt: circuit.state === 'open' ? new Date(circuit.retryAt).toISOString() : null,
+      lastError: circuit.lastError,
+      lastSuccessAt: circuit.lastSuccessAt,
+      totals: { ...circuit.totals }
+    };
+  }
+  return report;
+}
+
+export default {
+  ROUTING_MODES,
+  isAvailable,
+  acquire,
+  release,
+  recordSuccess,
+  recordFailure,
+  resetProvider,
+  getScore,
+  getRoutingMode,
+  rankProviders,
+  getHealth
+};
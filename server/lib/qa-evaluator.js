@@ -1,16 +1,20 @@
 /**
  * QA Evaluator Agent
- * Evaluates draft responses against SOPs, citation requirements, tone, and completeness.
- * Returns PASS/FAIL with detailed criteria scores and fix suggestions.
+ * Evaluates draft responses against the ticket's QA rubric (qa-rubrics.js):
+ * the AI judges each criterion pass/fail, and the rubric's weights and
+ * thresholds turn that into the score, PASS/FAIL and whether a draft may be
+ * approved. Also revises failing drafts toward the rubric for the pipeline.
  */
 
+import crypto from 'crypto';
 import * as ai from './ai-provider.js';
-import { getSetting } from './database.js';
+import * as db from './database.js';
+import * as qaRubrics from './qa-rubrics.js';
 
 // Reuse the SOP context loader from ai-provider (or load directly)
 function getSOPContent() {
   try {
-    const sopsJson = getSetting('sop_documents', '[]');
+    const sopsJson = db.getSetting('sop_documents', '[]');
     const sops = JSON.parse(sopsJson);
     if (sops.length === 0) return '';
     return sops.map(s => s.content || '').join('\n---\n').substring(0, 4000);
@@ -19,25 +23,36 @@ function getSOPContent() {
   }
 }
 
+/**
+ * Fingerprint of the text a QA result was for
+ */
+export function hashText(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex').slice(0, 16);
+}
+
 /**
  * Evaluate a draft response for quality and compliance
  * @param {Object} draft - { draft_text: string }
- * @param {Object} ticket - { subject, description }
- * @returns {Object} - { overall, score, criteria, fixes, sop_citations }
+ * @param {Object} ticket - { subject, description, escalation_type }
+ * @param {Object} options - { rubric, provider, model, feature }; without a
+ *   rubric the one for the ticket's escalation type is used
+ * @returns {Object} - { overall, score, criteria, fixes, sop_citations, rubric }
  */
-export async function evaluateDraft(draft, ticket) {
+export async function evaluateDraft(draft, ticket, options = {}) {
+  const { rubric: givenRubric, ...aiOptions } = options;
+  const rubric = givenRubric || qaRubrics.getRubricFor(ticket.escalation_type || ticket.ESCALATION_TYPE);
   const sopContent = getSOPContent();
   const hasSOP = sopContent.length > 0;
 
+  const criteriaList = rubric.criteria
+    .map((c, i) => `${i + 1}. ${c.key.toUpperCase()}: ${c.description}`)
+    .join('\n');
+
   const prompt = `You are a QA evaluator for customer support ticket responses. Evaluate this draft response against the criteria below.
 
 EVALUATION CRITERIA:
-1. SOP_COMPLIANCE: Does the response follow company SOPs? ${hasSOP ? '(SOPs are provided below - check against them)' : '(No SOPs loaded - skip this check, mark as pass)'}
-2. NO_HALLUCINATION: Does it only promise things within realistic support capabilities? Does it avoid making up features or timelines?
-3. PROPER_TONE: Is it professional, empathetic, and not defensive? Does it acknowledge the customer's frustration?
-4. CLEAR_NEXT_STEPS: Does it include specific, actionable steps for the customer?
-5. COMPLETENESS: Does it address all parts of the customer's issue?
-6. NO_SENSITIVE_DATA: Does it avoid exposing internal systems, credentials, or internal-only information?
+${criteriaList}
+${hasSOP ? '(SOPs are provided below - check against them)' : '(No SOPs loaded - mark SOP checks as pass)'}
 
 TICKET:
 Subject: ${ticket.subject || 'N/A'}
@@ -50,47 +65,27 @@ ${hasSOP ? `COMPANY SOPs (check compliance against these):\n${sopContent}` : ''}
 
 Return ONLY valid JSON (no markdown, no backticks):
 {
-  "overall": "PASS" or "FAIL",
-  "score": 0-100,
   "criteria": {
-    "sop_compliance": { "pass": true/false, "notes": "brief note" },
-    "no_hallucination": { "pass": true/false, "notes": "brief note" },
-    "proper_tone": { "pass": true/false, "notes": "brief note" },
-    "clear_next_steps": { "pass": true/false, "notes": "brief note" },
-    "completeness": { "pass": true/false, "notes": "brief note" },
-    "no_sensitive_data": { "pass": true/false, "notes": "brief note" }
+${rubric.criteria.map(c => `    "${c.key}": { "pass": true/false, "notes": "brief note" }`).join(',\n')}
   },
-  "fixes": ["list of specific fixes if FAIL"],
+  "fixes": ["list of specific fixes for every failed criterion"],
   "sop_citations": ["SOP sections referenced in the response"]
 }`;
 
   try {
-    const result = await ai.chat(
+    const result = await ai.chatStructured(
       [{ role: 'user', content: prompt }],
-      { maxTokens: 1024 }
+      'qa_evaluation',
+      { ...aiOptions, maxTokens: 1024, feature: aiOptions.feature || 'qa_review' }
     );
 
-    // Parse JSON from response
-    const jsonMatch = result.text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return {
-        overall: parsed.overall || 'FAIL',
-        score: parsed.score || 0,
-        criteria: parsed.criteria || {},
-        fixes: parsed.fixes || [],
-        sop_citations: parsed.sop_citations || [],
-        provider: result.provider,
-        model: result.model
-      };
-    }
-
     return {
-      overall: 'FAIL',
-      score: 0,
-      criteria: {},
-      fixes: ['QA evaluator could not parse response'],
-      sop_citations: []
+      ...qaRubrics.scoreCriteria(rubric, result.data.criteria),
+      fixes: result.data.fixes || [],
+      sop_citations: result.data.sop_citations || [],
+      rubric: qaRubrics.summarizeRubric(rubric),
+      provider: result.provider,
+      model: result.model
     };
   } catch (error) {
     console.error('QA evaluation error:', error.message);
@@ -100,9 +95,120 @@ Return ONLY valid JSON (no markdown, no backticks):
       criteria: {},
       fixes: [`QA evaluation failed: ${error.message}`],
       sop_citations: [],
+      rubric: qaRubrics.summarizeRubric(rubric),
       error: error.message
     };
   }
 }
 
-export default { evaluateDraft };
+/**
+ * Rewrite a draft to fix what QA failed it on
+ * @param {string} draftText
+ * @param {Object} qaResult - from evaluateDraft
+ * @param {Object} ticket - { subject, description }
+ * @param {Object} options - { rubric, provider, model, feature }
+ * @returns {string} - the revised draft
+ */
+export async function reviseDraft(draftText, qaResult, ticket, options = {}) {
+  const { rubric, ...aiOptions } = options;
+  const labels = Object.fromEntries((rubric?.criteria || []).map(c => [c.key, `${c.label} (${c.description})`]));
+  const failed = Object.entries(qaResult.criteria || {})
+    .filter(([, verdict]) => !verdict.pass)
+    .map(([key, verdict]) => `- ${labels[key] || key}: ${verdict.notes || 'failed'}`)
+    .join('\n');
+
+  const prompt = `You wrote the customer support reply below and QA failed it. Revise it so it passes.
+
+FAILED QA CRITERIA:
+${failed || '- none listed'}
+
+REQUIRED FIXES:
+${(qaResult.fixes || []).map(f => `- ${f}`).join('\n') || '- none listed'}
+
+TICKET:
+Subject: ${ticket.subject || 'N/A'}
+Description: ${(ticket.description || ticket.description_text || 'N/A').substring(0, 2000)}
+
+CURRENT REPLY:
+${draftText}
+
+RULES:
+- Fix every failed criterion; keep everything that already works, including the greeting and signature
+- Write PLAIN TEXT only - no markdown, asterisks, hashtags or backticks
+- NEVER invent ticket numbers, case IDs, features or timelines
+- Reply with the revised response only, ready to paste into Freshdesk`;
+
+  const result = await ai.chatStructured([{ role: 'user', content: prompt }], 'ticket_draft', {
+    ...aiOptions,
+    maxTokens: 1024,
+    feature: aiOptions.feature || 'qa_review'
+  });
+  return result.text.trim();
+}
+
+// ============================================
+// STORED DRAFTS
+// ============================================
+
+function getDraftAndTicket(draftId) {
+  const draft = db.getDb().prepare('SELECT * FROM drafts WHERE id = ?').get(draftId);
+  if (!draft) return {};
+  const ticket = db.getTicketWithAnalysis(draft.ticket_id) || { subject: draft.ticket_subject, description: '' };
+  return { draft, ticket };
+}
+
+/**
+ * Evaluate a queued draft's current text and store the result on it
+ * @returns {Object|null} - the QA result, or null when the draft doesn't exist
+ */
+export async function evaluateStoredDraft(draftId, options = {}) {
+  const { draft, ticket } = getDraftAndTicket(draftId);
+  if (!draft) return null;
+
+  const qaResult = await evaluateDraft(draft, ticket, options);
+  db.updateDraftQA(draftId, { qaResult, textHash: hashText(draft.draft_text) });
+  return qaResult;
+}
+
+/**
+ * A queued draft's approval gate as it stands, without grading anything:
+ * blocked when its score is under the approval floor of the ticket's rubric
+ * and the text hasn't changed since. Null for drafts that never went through
+ * QA (written by hand, or piped with skipQA), which aren't gated.
+ * @returns {Object|null} - { score, minScore, stale, blocked }
+ */
+export function describeGate(draft, ticket = db.getTicketWithAnalysis(draft.ticket_id)) {
+  if (!draft.qa_result || draft.qa_score == null) return null;
+  const { approveMinScore } = qaRubrics.getRubricFor(ticket?.escalation_type);
+  const stale = draft.qa_text_hash !== hashText(draft.draft_text);
+  return {
+    score: draft.qa_score,
+    minScore: approveMinScore,
+    stale,
+    blocked: !stale && draft.qa_score < approveMinScore
+  };
+}
+
+/**
+ * Whether a draft may be approved. A draft edited since it was graded is
+ * graded again first.
+ * @returns {Object} - { allowed, score, minScore, reevaluated, qa }
+ */
+export async function checkApproval(draftId) {
+  const { draft, ticket } = getDraftAndTicket(draftId);
+  const gate = draft && describeGate(draft, ticket);
+  if (!gate) {
+    return { allowed: true, score: null, minScore: null, reevaluated: false, qa: null };
+  }
+
+  if (gate.stale) {
+    const qa = await evaluateStoredDraft(draftId);
+    return { allowed: qa.score >= gate.minScore, score: qa.score, minScore: gate.minScore, reevaluated: true, qa };
+  }
+
+  let qa;
+  try { qa = JSON.parse(draft.qa_result); } catch (e) { qa = { score: gate.score }; }
+  return { allowed: !gate.blocked, score: gate.score, minScore: gate.minScore, reevaluated: false, qa };
+}
+
+export default { evaluateDraft, reviseDraft, hashText, evaluateStoredDraft, describeGate, checkApproval };
@@ -0,0 +1,323 @@
+/**
+ * QA Rubrics for LIV8 Command Center
+ *
+ * What the QA evaluator grades drafts against. A rubric is a list of weighted
+ * pass/fail criteria plus two thresholds: passScore (QA PASS, and the target
+ * the pipeline revises drafts toward) and approveMinScore (below it a draft
+ * can't be approved). A draft's score is the share of criterion weight it
+ * passes, so weights decide how much each check matters.
+ *
+ * Each escalation type can have its own rubric; tickets without one use the
+ * default rubric (escalation_type NULL), which is seeded on first start and
+ * can be edited but not deleted.
+ */
+
+import * as db from './database.js';
+import { ESCALATION_TYPES } from './ai-schemas.js';
+
+// Seeded as the default rubric; the six checks QA has always run
+const DEFAULT_CRITERIA = [
+  {
+    key: 'sop_compliance',
+    label: 'SOP compliance',
+    description: 'Follows company SOPs (pass when no SOPs are provided)',
+    weight: 15
+  },
+  {
+    key: 'no_hallucination',
+    label: 'No hallucination',
+    description: 'Only promises things within realistic support capabilities; no made-up features, timelines or ticket numbers',
+    weight: 20
+  },
+  {
+    key: 'proper_tone',
+    label: 'Proper tone',
+    description: "Professional, empathetic and not defensive; acknowledges the customer's frustration",
+    weight: 15
+  },
+  {
+    key: 'clear_next_steps',
+    label: 'Clear next steps',
+    description: 'Gives specific, actionable steps for the customer',
+    weight: 15
+  },
+  {
+    key: 'completeness',
+    label: 'Completeness',
+    description: "Addresses every part of the customer's issue",
+    weight: 15
+  },
+  {
+    key: 'no_sensitive_data',
+    label: 'No sensitive data',
+    description: 'Does not expose internal systems, credentials or internal-only information',
+    weight: 20
+  }
+];
+
+const DEFAULT_RUBRIC = {
+  name: 'Default',
+  escalationType: null,
+  criteria: DEFAULT_CRITERIA,
+  passScore: 85,
+  approveMinScore: 70,
+  maxRevisions: 2,
+  enabled: true
+};
+
+const MAX_REVISIONS_LIMIT = 5;
+
+/**
+ * Create the rubrics table, seeding the default rubric
+ */
+export function initQaRubricTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS qa_rubrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      escalation_type TEXT,
+      criteria TEXT NOT NULL,
+      pass_score INTEGER NOT NULL,
+      approve_min_score INTEGER NOT NULL,
+      max_revisions INTEGER DEFAULT 2,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_qa_rubrics_scope ON qa_rubrics(COALESCE(escalation_type, ''));
+  `);
+
+  const { count } = dbInstance.prepare('SELECT COUNT(*) as count FROM qa_rubrics').get();
+  if (count === 0) {
+    saveRubric(DEFAULT_RUBRIC);
+  }
+
+  console.log('[QA Rubrics] Tables initialized');
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function rowToRubric(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    escalationType: row.escalation_type,
+    criteria: parseJson(row.criteria, []),
+    passScore: row.pass_score,
+    approveMinScore: row.approve_min_score,
+    maxRevisions: row.max_revisions,
+    enabled: !!row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ============================================
+// RUBRICS
+// ============================================
+
+export function listRubrics() {
+  return db.getDb()
+    .prepare('SELECT * FROM qa_rubrics ORDER BY escalation_type IS NOT NULL, escalation_type')
+    .all()
+    .map(rowToRubric);
+}
+
+export function getRubric(id) {
+  return rowToRubric(db.getDb().prepare('SELECT * FROM qa_rubrics WHERE id = ?').get(id));
+}
+
+/**
+ * The rubric a ticket's drafts are graded against: its escalation type's,
+ * else the default one
+ */
+export function getRubricFor(escalationType) {
+  const dbInstance = db.getDb();
+  const type = escalationType ? String(escalationType).toUpperCase() : null;
+  const row = (type && dbInstance.prepare('SELECT * FROM qa_rubrics WHERE escalation_type = ? AND enabled = 1').get(type))
+    || dbInstance.prepare('SELECT * FROM qa_rubrics WHERE escalation_type IS NULL').get();
+  return rowToRubric(row) || { id: null, ...DEFAULT_RUBRIC };
+}
+
+/**
+ * Check a rubric from the API; escalationType left out (or null) is the
+ * default rubric
+ * @returns {{ value: Object, details: string[] }}
+ */
+export function validateRubric(input = {}) {
+  const details = [];
+  const value = {
+    name: String(input.name || '').trim(),
+    escalationType: input.escalationType ? String(input.escalationType).trim().toUpperCase() : null,
+    criteria: [],
+    passScore: input.passScore === undefined ? DEFAULT_RUBRIC.passScore : Number(input.passScore),
+    approveMinScore: input.approveMinScore === undefined ? DEFAULT_RUBRIC.approveMinScore : Number(input.approveMinScore),
+    maxRevisions: input.maxRevisions === undefined ? DEFAULT_RUBRIC.maxRevisions : Number(input.maxRevisions),
+    enabled: input.enabled !== false
+  };
+
+  if (value.escalationType && !ESCALATION_TYPES.includes(value.escalationType)) {
+    details.push(`escalationType must be one of ${ESCALATION_TYPES.join(', ')}, or null for the default rubric`);
+  }
+  if (!value.escalationType && !value.enabled) {
+    details.push('The default rubric cannot be disabled');
+  }
+
+  if (!Array.isArray(input.criteria) || input.criteria.length === 0) {
+    details.push('criteria must be a non-empty array of { key, label, description, weight }');
+  } else {
+    const seen = new Set();
+    input.criteria.forEach((criterion, i) => {
+      const key = String(criterion?.key || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+      const weight = Number(criterion?.weight ?? 1);
+      const description = String(criterion?.description || '').trim();
+      if (!key) details.push(`criteria[${i}].key is required`);
+      else if (seen.has(key)) details.push(`criteria[${i}].key "${key}" is used twice`);
+      if (!description) details.push(`criteria[${i}].description is required (it is what the evaluator checks)`);
+      if (!Number.isFinite(weight) || weight <= 0) details.push(`criteria[${i}].weight must be a positive number`);
+      seen.add(key);
+      value.criteria.push({
+        key,
+        label: String(criterion?.label || '').trim() || key.replace(/_/g, ' '),
+        description,
+        weight
+      });
+    });
+  }
+
+  for (const field of ['passScore', 'approveMinScore']) {
+    if (!Number.isInteger(value[field]) || value[field] < 0 || value[field] > 100) {
+      details.push(`${field} must be a whole number from 0 to 100`);
+    }
+  }
+  if (value.approveMinScore > value.passScore) {
+    details.push('approveMinScore cannot be higher than passScore');
+  }
+  if (!Number.isInteger(value.maxRevisions) || value.maxRevisions < 0 || value.maxRevisions > MAX_REVISIONS_LIMIT) {
+    details.push(`maxRevisions must be a whole number from 0 to ${MAX_REVISIONS_LIMIT}`);
+  }
+
+  if (!value.name) {
+    value.name = value.escalationType || 'Default';
+  }
+
+  return { value, details };
+}
+
+/**
+ * Add a rubric, or replace the one for the same escalation type
+ */
+export function saveRubric(value) {
+  const dbInstance = db.getDb();
+  const params = [
+    value.name,
+    JSON.stringify(value.criteria),
+    value.passScore,
+    value.approveMinScore,
+    value.maxRevisions,
+    value.enabled ? 1 : 0
+  ];
+
+  const existing = dbInstance.prepare(`
+    SELECT id FROM qa_rubrics WHERE COALESCE(escalation_type, '') = COALESCE(?, '')
+  `).get(value.escalationType);
+
+  if (existing) {
+    dbInstance.prepare(`
+      UPDATE qa_rubrics
+      SET name = ?, criteria = ?, pass_score = ?, approve_min_score = ?, max_revisions = ?, enabled = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...params, existing.id);
+    return getRubric(existing.id);
+  }
+
+  const result = dbInstance.prepare(`
+    INSERT INTO qa_rubrics (name, criteria, pass_score, approve_min_score, max_revisions, enabled, escalation_type)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(...params, value.escalationType);
+  return getRubric(result.lastInsertRowid);
+}
+
+/**
+ * Remove an escalation type's rubric (its tickets fall back to the default)
+ * @returns {boolean|null} - null when the rubric is the default one
+ */
+export function deleteRubric(id) {
+  const rubric = getRubric(id);
+  if (!rubric) return false;
+  if (!rubric.escalationType) return null;
+  return db.getDb().prepare('DELETE FROM qa_rubrics WHERE id = ?').run(id).changes > 0;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+function keyOf(name) {
+  return String(name).replace(/[^a-z0-9]/gi, '').toLowerCase();
+}
+
+/**
+ * Grade evaluator verdicts against a rubric. Criteria the evaluator left
+ * out count as failed.
+ * @param {Object} rubric
+ * @param {Object} verdicts - { [key]: { pass, notes } }
+ * @returns {Object} - { overall, score, criteria }
+ */
+export function scoreCriteria(rubric, verdicts = {}) {
+  const byKey = new Map(Object.entries(verdicts).map(([key, verdict]) => [keyOf(key), verdict]));
+  const criteria = {};
+  let totalWeight = 0;
+  let passedWeight = 0;
+
+  for (const criterion of rubric.criteria) {
+    const verdict = byKey.get(keyOf(criterion.key));
+    const pass = verdict?.pass === true;
+    criteria[criterion.key] = {
+      pass,
+      notes: verdict ? verdict.notes || '' : 'Not assessed by the evaluator',
+      weight: criterion.weight
+    };
+    totalWeight += criterion.weight;
+    if (pass) passedWeight += criterion.weight;
+  }
+
+  const score = totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) : 0;
+  return { overall: score >= rubric.passScore ? 'PASS' : 'FAIL', score, criteria };
+}
+
+/**
+ * The rubric fields stored with each QA result
+ */
+export function summarizeRubric(rubric) {
+  return {
+    id: rubric.id,
+    name: rubric.name,
+    escalationType: rubric.escalationType,
+    passScore: rubric.passScore,
+    approveMinScore: rubric.approveMinScore
+  };
+}
+
+export default {
+  initQaRubricTables,
+  listRubrics,
+  getRubric,
+  getRubricFor,
+  validateRubric,
+  saveRubric,
+  deleteRubric,
+  scoreCriteria,
+  summarizeRubric
+};
@@ -0,0 +1,614 @@
+/**
+ * Unified Retrieval for LIV8 Command Center
+ *
+ * One search over every knowledge source the drafting and Q&A features use:
+ * - ticket:          resolved tickets (knowledge_base rows and RAG documents)
+ * - casebook:        human-approved responses
+ * - agent_knowledge: per-agent documents, only searched for that agent
+ *
+ * Each source is chunked into retrieval_documents, indexed twice (SQLite FTS5
+ * for BM25 keyword ranking, plus an embedding vector) and the two rankings
+ * are fused with reciprocal rank fusion. Results carry numbered citations so
+ * prompts can cite [n] and callers can show where an answer came from.
+ *
+ * The index is rebuilt incrementally from the source tables whenever their
+ * row counts or newest timestamps change: unchanged chunks (same content
+ * hash and embedding model) are skipped.
+ */
+
+import crypto from 'crypto';
+import * as db from './database.js';
+import * as embeddings from './embeddings.js';
+import * as agentKnowledge from './agent-knowledge.js';
+
+export const RETRIEVAL_SOURCES = ['ticket', 'casebook', 'agent_knowledge'];
+
+// Casebook entries were approved by a human, so they win close calls
+const SOURCE_WEIGHTS = { ticket: 1.0, casebook: 1.2, agent_knowledge: 1.0 };
+
+const CHUNK_CHARS = 1500;
+const CANDIDATES = 50;
+const RRF_K = 60;
+const EMBED_BATCH = 64;
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'are', 'was', 'were', 'our', 'your', 'you', 'but', 'any', 'all', 'get', 'got', 'when', 'what', 'how', 'its', 'into', 'just', 'there', 'can', 'not', 'please', 'thanks', 'hello', 'help', 'need']);
+
+let lastSyncAt = 0;
+let syncedFingerprint = null;
+let syncing = null;
+let vectorCache = null;
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Create the document table and its FTS5 index
+ */
+export function initRetrievalTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS retrieval_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      source_id TEXT NOT NULL,
+      chunk INTEGER NOT NULL DEFAULT 0,
+      agent_id TEXT,
+      title TEXT,
+      content TEXT NOT NULL,
+      url TEXT,
+      metadata TEXT,
+      content_hash TEXT NOT NULL,
+      embedding TEXT,
+      embedding_model TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (source, source_id, chunk)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_retrieval_documents_model ON retrieval_documents(embedding_model);
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS retrieval_fts USING fts5(
+      title, content,
+      content='retrieval_documents', content_rowid='id',
+      tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS retrieval_documents_ai AFTER INSERT ON retrieval_documents BEGIN
+      INSERT INTO retrieval_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS retrieval_documents_ad AFTER DELETE ON retrieval_documents BEGIN
+      INSERT INTO retrieval_fts(retrieval_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS retrieval_documents_au AFTER UPDATE OF title, content ON retrieval_documents BEGIN
+      INSERT INTO retrieval_fts(retrieval_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+      INSERT INTO retrieval_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+    END;
+  `);
+
+  console.log('[Retrieval] Tables initialized');
+}
+
+// ============================================
+// SOURCES
+// ============================================
+
+function ticketUrl(ticketId) {
+  const domain = process.env.FRESHDESK_DOMAIN;
+  return domain ? `https://${domain}.freshdesk.com/a/tickets/${ticketId}` : null;
+}
+
+/**
+ * Resolved tickets: knowledge_base rows, plus tickets that only made it into
+ * the RAG store (e.g. indexed by the scheduler)
+ */
+function collectTickets(store) {
+  const tickets = new Map();
+
+  for (const row of store.prepare('SELECT ticket_id, subject, description, resolution, category FROM knowledge_base').all()) {
+    tickets.set(String(row.ticket_id), {
+      source: 'ticket',
+      sourceId: String(row.ticket_id),
+      title: row.subject || '',
+      content: [row.description, row.resolution && `Resolution: ${row.resolution}`].filter(Boolean).join('\n'),
+      url: ticketUrl(row.ticket_id),
+      metadata: { ticketId: row.ticket_id, category: row.category || null }
+    });
+  }
+
+  for (const row of db.getEmbeddingsBySource('knowledge_base')) {
+    const sourceId = String(row.source_id || '');
+    if (!sourceId || sourceId.startsWith('casebook_')) continue;
+
+    const metadata = JSON.parse(row.metadata || '{}');
+    const resolution = row.content.match(/Resolution:\s*([\s\S]*)$/)?.[1]?.trim();
+    const existing = tickets.get(sourceId);
+
+    if (existing) {
+      // The knowledge base row may predate the resolution
+      if (resolution && !existing.content.includes('Resolution:')) {
+        existing.content += `\nResolution: ${resolution}`;
+      }
+      continue;
+    }
+
+    tickets.set(sourceId, {
+      source: 'ticket',
+      sourceId,
+      title: metadata.subject || '',
+      content: row.content.replace(/^Ticket:.*\n?/, ''),
+      url: ticketUrl(sourceId),
+      metadata: { ticketId: metadata.ticketId || sourceId }
+    });
+  }
+
+  return [...tickets.values()];
+}
+
+function collectCasebook() {
+  return db.getCasebookEntries().map(entry => ({
+    source: 'casebook',
+    sourceId: String(entry.id),
+    title: entry.subject || '',
+    content: [
+      entry.customer_message && `Issue: ${entry.customer_message}`,
+      `Approved response: ${entry.approved_response}`,
+      entry.sop_references && `SOP: ${entry.sop_references}`
+    ].filter(Boolean).join('\n'),
+    url: null,
+    metadata: {
+      casebookId: entry.id,
+      ticketId: entry.ticket_id || null,
+      issueType: entry.issue_type || 'general',
+      approvedResponse: entry.approved_response,
+      sopReferences: entry.sop_references || ''
+    }
+  }));
+}
+
+function collectAgentKnowledge() {
+  const docs = [];
+  for (const agent of agentKnowledge.getAllAgents()) {
+    for (const entry of agentKnowledge.getAgentKnowledge(agent.id)) {
+      const content = entry.content || entry.summary;
+      if (!content) continue;
+      docs.push({
+        source: 'agent_knowledge',
+        sourceId: entry.id,
+        agentId: agent.id,
+        title: entry.title || '',
+        content,
+        url: entry.source_url || null,
+        metadata: { agentId: agent.id, type: entry.type, entryId: entry.id }
+      });
+    }
+  }
+  return docs;
+}
+
+/**
+ * Split long text on paragraph boundaries; short documents stay whole
+ */
+function chunkText(text) {
+  if (text.length <= CHUNK_CHARS) return [text];
+
+  const chunks = [];
+  let current = '';
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const pieces = paragraph.length > CHUNK_CHARS
+      ? paragraph.match(new RegExp(`[\\s\\S]{1,${CHUNK_CHARS}}`, 'g'))
+      : [paragraph];
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > CHUNK_CHARS) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// ============================================
+// INDEXING
+// ============================================
+
+/**
+ * Bring retrieval_documents in line with the source tables and embed any
+ * chunk that is new, changed or embedded with another model
+ */
+export function syncIndex() {
+  if (!syncing) {
+    syncing = runSync().finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+async function runSync() {
+  const store = db.tryGetDb();
+  if (!store) return { indexed: 0, removed: 0, embedded: 0 };
+
+  const fingerprint = sourceFingerprint(store);
+  const collectors = { ticket: () => collectTickets(store), casebook: collectCasebook, agent_knowledge: collectAgentKnowledge };
+  const wanted = new Map();
+
+  for (const [source, collect] of Object.entries(collectors)) {
+    let docs = [];
+    try {
+      docs = collect();
+    } catch (e) {
+      console.log(`[Retrieval] Skipping ${source}: ${e.message}`);
+      // Keep what is already indexed for a source that can't be read right now
+      for (const row of store.prepare('SELECT source_id, chunk FROM retrieval_documents WHERE source = ?').all(source)) {
+        wanted.set(`${source}\u0000${row.source_id}\u0000${row.chunk}`, null);
+      }
+    }
+
+    for (const doc of docs) {
+      chunkText(doc.content).forEach((content, chunk) => {
+        const hash = crypto.createHash('sha256').update(`${doc.title}\u0000${content}`).digest('hex');
+        wanted.set(`${source}\u0000${doc.sourceId}\u0000${chunk}`, { ...doc, chunk, content, hash });
+      });
+    }
+  }
+
+  const existing = new Map(
+    store.prepare('SELECT id, source, source_id, chunk, content_hash FROM retrieval_documents').all()
+      .map(row => [`${row.source}\u0000${row.source_id}\u0000${row.chunk}`, row])
+  );
+
+  const insert = store.prepare(`
+    INSERT INTO retrieval_documents (source, source_id, chunk, agent_id, title, content, url, metadata, content_hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const update = store.prepare(`
+    UPDATE retrieval_documents
+    SET agent_id = ?, title = ?, content = ?, url = ?, metadata = ?, content_hash = ?,
+        embedding = NULL, embedding_model = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const remove = store.prepare('DELETE FROM retrieval_documents WHERE id = ?');
+
+  let indexed = 0;
+  let removed = 0;
+  store.transaction(() => {
+    for (const [key, doc] of wanted) {
+      if (!doc) continue;
+      const row = existing.get(key);
+      if (row && row.content_hash === doc.hash) continue;
+
+      const values = [doc.agentId || null, doc.title, doc.content, doc.url || null, JSON.stringify(doc.metadata || {}), doc.hash];
+      if (row) {
+        update.run(...values, row.id);
+      } else {
+        insert.run(doc.source, doc.sourceId, doc.chunk, ...values);
+      }
+      indexed++;
+    }
+    for (const [key, row] of existing) {
+      if (!wanted.has(key)) {
+        remove.run(row.id);
+        removed++;
+      }
+    }
+  })();
+
+  const embedded = await embedPending(store);
+  if (indexed || removed || embedded) {
+    vectorCache = null;
+    console.log(`[Retrieval] Synced: ${indexed} chunks indexed, ${removed} removed, ${embedded} embedded`);
+  }
+
+  lastSyncAt = Date.now();
+  syncedFingerprint = fingerprint;
+  return { indexed, removed, embedded };
+}
+
+async function embedPending(store) {
+  const modelId = embeddings.getModelId();
+  const pending = store.prepare(`
+    SELECT id, title, content, embedding_model FROM retrieval_documents
+    WHERE embedding IS NULL OR embedding_model IS NOT ?
+  `).all(modelId);
+
+  const save = store.prepare('UPDATE retrieval_documents SET embedding = ?, embedding_model = ? WHERE id = ?');
+  let embedded = 0;
+
+  for (let i = 0; i < pending.length; i += EMBED_BATCH) {
+    const batch = pending.slice(i, i + EMBED_BATCH);
+    const texts = batch.map(row => `${row.title}\n${row.content}`);
+    let result;
+    try {
+      result = await embeddings.embedTexts(texts, { fallback: false });
+    } catch (e) {
+      // Provider down: give brand-new chunks hashed vectors (queries fall back
+      // the same way) and leave vectors from an older model until it recovers
+      console.log(`[Retrieval] Embedding with ${modelId} failed: ${e.message}`);
+      const fresh = pending.slice(i).filter(row => !row.embedding_model);
+      if (fresh.length) {
+        const hashed = await embeddings.embedTexts(fresh.map(row => `${row.title}\n${row.content}`), { provider: 'hashed' });
+        store.transaction(() => {
+          fresh.forEach((row, j) => save.run(JSON.stringify(hashed.vectors[j]), hashed.modelId, row.id));
+        })();
+        embedded += fresh.length;
+      }
+      break;
+    }
+    store.transaction(() => {
+      batch.forEach((row, j) => save.run(JSON.stringify(result.vectors[j]), result.modelId, row.id));
+    })();
+    embedded += batch.length;
+  }
+
+  return embedded;
+}
+
+/**
+ * Cheap summary of the source tables; when it changes the index is behind
+ */
+function sourceFingerprint(store) {
+  const parts = [
+    store.prepare('SELECT COUNT(*) AS count, MAX(indexed_at) AS latest FROM knowledge_base').get(),
+    store.prepare('SELECT COUNT(*) AS count, MAX(id) AS latest FROM casebook').get(),
+    store.prepare("SELECT COUNT(*) AS count, MAX(created_at) AS latest FROM embeddings WHERE source_type = 'knowledge_base'").get()
+  ].map(row => `${row.count}:${row.latest}`);
+
+  try {
+    parts.push(agentKnowledge.getKnowledgeFingerprint());
+  } catch (e) {
+    // Agent knowledge database unavailable
+  }
+  parts.push(embeddings.getModelId());
+  return parts.join('|');
+}
+
+// Sync before searching when a source changed; otherwise refresh in the
+// background now and then so same-second edits are picked up too
+async function ensureFresh(store) {
+  if (sourceFingerprint(store) !== syncedFingerprint) {
+    await syncIndex();
+  } else if (Date.now() - lastSyncAt > SYNC_INTERVAL_MS) {
+    syncIndex().catch(e => console.log('[Retrieval] Background sync failed:', e.message));
+  }
+}
+
+function loadVectors(store) {
+  if (!vectorCache) {
+    vectorCache = store.prepare(`
+      SELECT id, source, agent_id, embedding, embedding_model FROM retrieval_documents
+      WHERE embedding IS NOT NULL
+    `).all().map(row => ({
+      id: row.id,
+      source: row.source,
+      agentId: row.agent_id,
+      modelId: row.embedding_model,
+      vector: JSON.parse(row.embedding)
+    }));
+  }
+  return vectorCache;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * FTS5 query: any of the meaningful query terms, each quoted so user text
+ * can't inject query syntax
+ */
+function buildMatchQuery(query) {
+  const terms = [...new Set(
+    (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(t => t.length > 1 && !STOP_WORDS.has(t))
+  )].slice(0, 32);
+  return terms.map(t => `"${t}"`).join(' OR ');
+}
+
+function keywordSearch(store, query, sources, agentId) {
+  const match = buildMatchQuery(query);
+  if (!match) return [];
+
+  return store.prepare(`
+    SELECT d.id, bm25(retrieval_fts, 2.0, 1.0) AS rank,
+           snippet(retrieval_fts, 1, '', '', '…', 32) AS snippet
+    FROM retrieval_fts
+    JOIN retrieval_documents d ON d.id = retrieval_fts.rowid
+    WHERE retrieval_fts MATCH ?
+      AND d.source IN (${sources.map(() => '?').join(', ')})
+      AND (d.agent_id IS NULL OR d.agent_id = ?)
+    ORDER BY rank
+    LIMIT ?
+  `).all(match, ...sources, agentId || '', CANDIDATES);
+}
+
+async function vectorSearch(store, query, sources, agentId, minScore) {
+  const { vector, modelId } = await embeddings.embedText(query);
+  const threshold = minScore ?? embeddings.getMinScore(modelId);
+
+  return loadVectors(store)
+    .filter(doc => doc.modelId === modelId && sources.includes(doc.source) && (!doc.agentId || doc.agentId === agentId))
+    .map(doc => ({ id: doc.id, score: embeddings.cosineSimilarity(vector, doc.vector) }))
+    .filter(doc => doc.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATES);
+}
+
+/**
+ * Hybrid search across knowledge sources.
+ * Options: limit, sources (defaults to tickets + casebook, plus the agent's
+ * own knowledge when agentId is set), agentId, minScore (vector floor).
+ * Returns results numbered by citation, best first.
+ */
+export async function search(query, options = {}) {
+  const store = db.tryGetDb();
+  if (!store || !query || !String(query).trim()) return [];
+
+  const { limit = 5, agentId = null, minScore = null } = options;
+  const sources = (options.sources || ['ticket', 'casebook', ...(agentId ? ['agent_knowledge'] : [])])
+    .filter(source => RETRIEVAL_SOURCES.includes(source));
+  if (sources.length === 0) return [];
+
+  await ensureFresh(store);
+
+  const keywordHits = keywordSearch(store, query, sources, agentId);
+  let vectorHits = [];
+  try {
+    vectorHits = await vectorSearch(store, query, sources, agentId, minScore);
+  } catch (e) {
+    console.log('[Retrieval] Vector search unavailable:', e.message);
+  }
+
+  // Reciprocal rank fusion: a chunk near the top of either list scores well,
+  // one near the top of both scores best
+  const fused = new Map();
+  const entry = (id) => {
+    if (!fused.has(id)) fused.set(id, { id, rrf: 0, signals: {} });
+    return fused.get(id);
+  };
+  keywordHits.forEach((hit, rank) => {
+    const e = entry(hit.id);
+    e.rrf += 1 / (RRF_K + rank + 1);
+    e.signals.keywordRank = rank + 1;
+    e.signals.bm25 = Math.round(-hit.rank * 1000) / 1000;
+    e.snippet = hit.snippet;
+  });
+  vectorHits.forEach((hit, rank) => {
+    const e = entry(hit.id);
+    e.rrf += 1 / (RRF_K + rank + 1);
+    e.signals.vectorRank = rank + 1;
+    e.signals.vectorScore = Math.round(hit.score * 1000) / 1000;
+  });
+  if (fused.size === 0) return [];
+
+  const ids = [...fused.keys()];
+  const rows = new Map(
+    store.prepare(`SELECT * FROM retrieval_documents WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids)
+      .map(row => [row.id, row])
+  );
+
+  // Re-rank with source weights, then keep the best chunk per document
+  const best = 1 / (RRF_K + 1);
+  const ranked = [...fused.values()]
+    .map(hit => {
+      const row = rows.get(hit.id);
+      return { hit, row, score: (hit.rrf / (2 * best)) * (SOURCE_WEIGHTS[row.source] || 1) };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const seen = new Set();
+  const results = [];
+  for (const { hit, row, score } of ranked) {
+    const key = `${row.source}:${row.source_id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    results.push({
+      citation: results.length + 1,
+      source: row.source,
+      sourceId: row.source_id,
+      title: row.title,
+      content: row.content,
+      snippet: hit.snippet || row.content.slice(0, 240),
+      url: row.url,
+      metadata: JSON.parse(row.metadata || '{}'),
+      score: Math.round(Math.min(score, 1) * 1000) / 1000,
+      matchedBy: [hit.signals.keywordRank && 'keyword', hit.signals.vectorRank && 'vector'].filter(Boolean),
+      signals: hit.signals
+    });
+    if (results.length >= limit) break;
+  }
+
+  return results;
+}
+
+// ============================================
+// CITATIONS
+// ============================================
+
+function sourceLabel(result) {
+  if (result.source === 'ticket') return `Ticket #${result.sourceId}`;
+  if (result.source === 'casebook') return `Casebook #${result.sourceId}`;
+  return 'Knowledge';
+}
+
+/**
+ * Numbered context block for prompts: "[1] Ticket #123 — subject\n..."
+ */
+export function formatContext(results, options = {}) {
+  const { maxChars = 1200 } = options;
+  return results.map(r =>
+    `[${r.citation}] ${sourceLabel(r)} — ${r.title || 'Untitled'}\n${r.content.slice(0, maxChars)}`
+  ).join('\n\n');
+}
+
+/**
+ * Citation list for API responses
+ */
+export function toCitations(results) {
+  return results.map(r => ({
+    ref: `[${r.citation}]`,
+    source: r.source,
+    sourceId: r.sourceId,
+    label: sourceLabel(r),
+    title: r.title,
+    url: r.url,
+    score: r.score
+  }));
+}
+
+/**
+ * Ticket results in the similar-ticket shape generateResponse and the
+ * reports take: { id, subject, score, resolution, keywords }
+ */
+export function toSimilarTickets(results) {
+  return results
+    .filter(r => r.source === 'ticket')
+    .map(r => ({
+      id: r.metadata.ticketId || r.sourceId,
+      subject: r.title,
+      score: r.score,
+      resolution: r.content.match(/Resolution:\s*([\s\S]*)/)?.[1]?.trim() || '',
+      keywords: []
+    }));
+}
+
+/**
+ * Index size per source and embedding model
+ */
+export function getRetrievalStats() {
+  const store = db.tryGetDb();
+  if (!store) return { documents: 0, bySource: {}, byModel: {} };
+
+  const bySource = Object.fromEntries(
+    store.prepare('SELECT source, COUNT(DISTINCT source_id) AS documents, COUNT(*) AS chunks FROM retrieval_documents GROUP BY source').all()
+      .map(row => [row.source, { documents: row.documents, chunks: row.chunks }])
+  );
+  const byModel = Object.fromEntries(
+    store.prepare('SELECT COALESCE(embedding_model, \'pending\') AS model, COUNT(*) AS chunks FROM retrieval_documents GROUP BY embedding_model').all()
+      .map(row => [row.model, row.chunks])
+  );
+
+  return {
+    documents: Object.values(bySource).reduce((sum, s) => sum + s.documents, 0),
+    bySource,
+    byModel,
+    activeModel: embeddings.getModelId(),
+    lastSyncAt: lastSyncAt ? new Date(lastSyncAt).toISOString() : null,
+    syncing: !!syncing
+  };
+}
+
+export default {
+  RETRIEVAL_SOURCES,
+  initRetrievalTables,
+  syncIndex,
+  search,
+  formatContext,
+  toCitations,
+  toSimilarTickets,
+  getRetrievalStats
+};
@@ -12,6 +12,7 @@ import * as rag from './langchain-rag.js';
 import * as knowledgeBuilder from './knowledge-builder.js';
 import * as dailyReport from './daily-report.js';
 import * as emailService from './email-service.js';
+import * as freshdeskSync from './freshdesk-sync.js';
 
 // Active scheduled jobs
 const scheduledJobs = new Map();
@@ -52,66 +53,6 @@ export function initScheduler(config = {}) {
   return freshdeskConfig;
 }
 
-/**
- * Fetch tickets from Freshdesk API (with pagination)
- */
-async function fetchFreshdeskTickets(statuses = [2, 3, 6, 7]) {
-  if (!freshdeskConfig.domain || !freshdeskConfig.apiKey) {
-    throw new Error('Freshdesk not configured');
-  }
-
-  const allTickets = [];
-  const baseUrl = `https://${freshdeskConfig.domain}.freshdesk.com/api/v2`;
-  const auth = Buffer.from(`${freshdeskConfig.apiKey}:X`).toString('base64');
-
-  for (const status of statuses) {
-    let page = 1;
-    const maxPages = 5; // Safety limit
-
-    while (page <= maxPages) {
-      try {
-        let query = `"status:${status}"`;
-        if (freshdeskConfig.agentId) {
-          query = `"agent_id:${freshdeskConfig.agentId} AND status:${status}"`;
-        }
-
-        const url = `${baseUrl}/search/tickets?query=${encodeURIComponent(query)}&page=${page}`;
-
-        const response = await fetch(url, {
-          headers: {
-            'Authorization': `Basic ${auth}`,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (!response.ok) {
-          console.error(`Failed to fetch tickets with status ${status} page ${page}:`, response.status);
-          break;
-        }
-
-        const data = await response.json();
-        const results = data.results || [];
-        allTickets.push(...results);
-
-        // If less than 30 results, we've reached the last page
-        if (results.length < 30) break;
-        page++;
-      } catch (error) {
-        console.error(`Error fetching status ${status} page ${page}:`, error.message);
-        break;
-      }
-    }
-  }
-
-  // Remove duplicates by ticket ID
-  const seen = new Set();
-  return allTickets.filter(t => {
-    if (seen.has(t.id)) return false;
-    seen.add(t.id);
-    return true;
-  });
-}
-
 /**
  * Send notification via n8n webhook
  */
@@ -166,11 +107,18 @@ export async function runScheduledAnalysis(scheduleName = 'manual') {
   };
 
   try {
-    // 1. Fetch tickets from Freshdesk (include resolved for knowledge base)
-    console.log('\n1. Fetching tickets from Freshdesk...');
-    const tickets = await fetchFreshdeskTickets([2, 3, 6, 7, 4, 5]); // Open, Pending, Waiting on Customer, Waiting on 3rd Party, Resolved, Closed
-    stats.ticketsFetched = tickets.length;
-    console.log(`   Fetched ${tickets.length} tickets`);
+    // 1. Pull tickets changed since the last sync into the database
+    console.log('\n1. Syncing tickets from Freshdesk...');
+    const sync = await freshdeskSync.syncTickets();
+    stats.ticketsFetched = sync.updated;
+    console.log(`   ${sync.updated} tickets changed since ${sync.since}`);
+
+    // Work from the local copy: every active ticket, plus tickets resolved
+    // or closed in this sync (for the knowledge base)
+    const tickets = [
+      ...freshdeskSync.getLocalTickets([2, 3, 6, 7]),
+      ...freshdeskSync.getLocalTickets([4, 5], { ids: sync.changedIds })
+    ];
 
     if (tickets.length === 0) {
       stats.summary = 'No active tickets found';
@@ -183,32 +131,8 @@ export async function runScheduledAnalysis(scheduleName = 'manual') {
       return stats;
     }
 
-    // 2. Store tickets in database
-    console.log('\n2. Storing tickets in database...');
-    try {
-      db.upsertTickets(tickets);
-      console.log(`   Stored ${tickets.length} tickets`);
-
-      // Mark stale tickets as closed — if a ticket is open/pending in DB
-      // but NOT returned by Freshdesk, it was resolved/closed externally
-      const freshIds = new Set(tickets.map(t => t.id));
-      const dbOpenTickets = db.getAllTicketsWithAnalysis([2, 3, 6, 7]) || [];
-      let staleClosed = 0;
-      for (const dbTicket of dbOpenTickets) {
-        if (!freshIds.has(dbTicket.freshdesk_id)) {
-          try {
-            const dbInstance = db.getDb();
-            dbInstance.prepare('UPDATE tickets SET status = 5 WHERE freshdesk_id = ?').run(dbTicket.freshdesk_id);
-            staleClosed++;
-          } catch (e) {}
-        }
-      }
-      if (staleClosed > 0) {
-        console.log(`   Marked ${staleClosed} stale tickets as closed (no longer in Freshdesk)`);
-      }
-    } catch (e) {
-      console.log('   Database storage skipped:', e.message);
-    }
+    // 2. Conversation threads for changed tickets are fetched by the job queue
+    console.log(`\n2. Queued conversation sync for ${sync.conversationsQueued} tickets`);
 
     // 3. Analyze each ticket
     console.log('\n3. Analyzing tickets with AI...');
@@ -348,21 +272,17 @@ export async function runScheduledAnalysis(scheduleName = 'manual') {
 
       for (const ticket of resolvedTickets) {
         // Check if already in RAG vector store
-        const alreadyInRAG = rag.searchSimilar(`#${ticket.id} ${ticket.subject}`, 1, 0.9);
-        if (alreadyInRAG.length > 0 && alreadyInRAG[0].metadata?.ticketId === ticket.id) {
+        if (rag.hasDocument(ticket.id)) {
           continue; // Already fully indexed
         }
 
         // Use knowledge-builder for smart AI summary with conversation context
         try {
-          const summary = await knowledgeBuilder.processResolvedTicket(ticket, {
-            domain: freshdeskConfig.domain,
-            apiKey: freshdeskConfig.apiKey
-          });
+          const summary = await knowledgeBuilder.processResolvedTicket(ticket);
 
           // Index into RAG vector store for semantic search
           const resolution = summary?.solution || summary?.issue || '';
-          rag.indexTicketForRAG(ticket, resolution);
+          await rag.indexTicketForRAG(ticket, resolution);
           newlyIndexed++;
 
           // Rate limit
@@ -371,7 +291,7 @@ export async function runScheduledAnalysis(scheduleName = 'manual') {
           // Fallback: basic indexing without conversation context
           const keywords = extractKeywords(`${ticket.subject} ${ticket.description_text || ''}`);
           db.addToKnowledgeBase(ticket, '', keywords);
-          rag.indexTicketForRAG(ticket);
+          await rag.indexTicketForRAG(ticket);
           newlyIndexed++;
         }
       }
@@ -382,7 +302,7 @@ export async function runScheduledAnalysis(scheduleName = 'manual') {
     }
 
     // Build summary
-    stats.summary = `${scheduleName}: ${tickets.length} tickets fetched, ${stats.ticketsAnalyzed} analyzed, ${draftsGenerated} drafts generated, ${urgentTickets.length} urgent`;
+    stats.summary = `${scheduleName}: ${sync.updated} tickets synced, ${tickets.length} processed, ${stats.ticketsAnalyzed} analyzed, ${draftsGenerated} drafts generated, ${urgentTickets.length} urgent`;
 
     console.log(`\nCompleted: ${stats.summary}`);
     console.log('='.repeat(50) + '\n');
@@ -0,0 +1,490 @@
+/**
+ * SLA Engine for LIV8 Command Center
+ *
+ * Response deadlines for Freshdesk tickets. Policies set first-response and
+ * resolution targets per priority and escalation type; every synced ticket is
+ * timed against the most specific policy that matches it, from its own
+ * timestamps, and forecast as ok, at_risk or breached. The ticket queue, the
+ * proactive engine and urgent alert emails all read their forecast from here.
+ *
+ * Timers run on wall-clock time from ticket creation. The resolution clock
+ * stops while a ticket is pending or waits on the customer or a third party:
+ * time spent paused (tracked on the ticket from its status changes) moves the
+ * deadline out, and a paused timer is never reported as breached.
+ */
+
+import * as db from './database.js';
+import * as emailService from './email-service.js';
+import * as freshdeskSync from './freshdesk-sync.js';
+import { ESCALATION_TYPES } from './ai-schemas.js';
+
+export const TIMERS = ['first_response', 'resolution'];
+
+// Freshdesk statuses
+const ACTIVE_STATUSES = [2, 3, 6, 7];
+const RESOLVED_STATUSES = [4, 5];
+const PAUSED_STATUSES = [3, 6, 7];
+
+// Worst state first; a ticket's forecast is the worst of its running timers
+const STATE_RANK = { breached: 3, at_risk: 2, ok: 1 };
+
+// Seeded on first start; edit them through the policies API
+const DEFAULT_POLICIES = [
+  { name: 'Urgent', priority: 4, firstResponseMinutes: 60, resolutionMinutes: 240 },
+  { name: 'High', priority: 3, firstResponseMinutes: 240, resolutionMinutes: 1440 },
+  { name: 'Medium', priority: 2, firstResponseMinutes: 480, resolutionMinutes: 2880 },
+  { name: 'Low', priority: 1, firstResponseMinutes: 1440, resolutionMinutes: 4320 },
+  { name: 'Default', priority: null, firstResponseMinutes: 1440, resolutionMinutes: 4320 }
+];
+
+/**
+ * Create policy and alert tables, seeding the default policies
+ */
+export function initSlaTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS sla_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      priority INTEGER,
+      escalation_type TEXT,
+      first_response_minutes INTEGER NOT NULL,
+      resolution_minutes INTEGER NOT NULL,
+      at_risk_percent INTEGER DEFAULT 75,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope
+      ON sla_policies(COALESCE(priority, 0), COALESCE(escalation_type, ''));
+
+    CREATE TABLE IF NOT EXISTS sla_alerts (
+      ticket_id INTEGER NOT NULL,
+      timer TEXT NOT NULL,
+      state TEXT NOT NULL,
+      due_at TEXT,
+      alerted_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (ticket_id, timer, state)
+    );
+  `);
+
+  const { count } = dbInstance.prepare('SELECT COUNT(*) as count FROM sla_policies').get();
+  if (count === 0) {
+    for (const policy of DEFAULT_POLICIES) {
+      savePolicy({ ...policy, escalationType: null, atRiskPercent: 75, enabled: true });
+    }
+  }
+
+  console.log('[SLA] Tables initialized');
+}
+
+/**
+ * Parse a Freshdesk ISO timestamp or a SQLite CURRENT_TIMESTAMP (UTC) value
+ */
+function toMs(value) {
+  if (!value) return null;
+  const text = String(value);
+  const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// ============================================
+// POLICIES
+// ============================================
+
+function rowToPolicy(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    priority: row.priority,
+    escalationType: row.escalation_type,
+    firstResponseMinutes: row.first_response_minutes,
+    resolutionMinutes: row.resolution_minutes,
+    atRiskPercent: row.at_risk_percent,
+    enabled: !!row.enabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function listPolicies() {
+  return db.getDb()
+    .prepare('SELECT * FROM sla_policies ORDER BY escalation_type IS NULL, escalation_type, priority IS NULL, priority DESC')
+    .all()
+    .map(rowToPolicy);
+}
+
+export function getPolicy(id) {
+  return rowToPolicy(db.getDb().prepare('SELECT * FROM sla_policies WHERE id = ?').get(id));
+}
+
+/**
+ * Check a policy from the API; priority and escalationType left out (or
+ * null) match any ticket
+ * @returns {{ value: Object, details: string[] }}
+ */
+export function validatePolicy(input = {}) {
+  const details = [];
+  const value = {
+    name: String(input.name || '').trim(),
+    priority: input.priority === undefined || input.priority === null || input.priority === '' ? null : Number(input.priority),
+    escalationType: input.escalationType ? String(input.escalationType).trim().toUpperCase() : null,
+    firstResponseMinutes: Number(input.firstResponseMinutes),
+    resolutionMinutes: Number(input.resolutionMinutes),
+    atRiskPercent: input.atRiskPercent === undefined ? 75 : Number(input.atRiskPercent),
+    enabled: input.enabled !== false
+  };
+
+  if (value.priority !== null && ![1, 2, 3, 4].includes(value.priority)) {
+    details.push('priority must be 1 (low) to 4 (urgent), or null for any priority');
+  }
+  if (value.escalationType && !ESCALATION_TYPES.includes(value.escalationType)) {
+    details.push(`escalationType must be one of ${ESCALATION_TYPES.join(', ')}, or null for any type`);
+  }
+  for (const field of ['firstResponseMinutes', 'resolutionMinutes']) {
+    if (!Number.isInteger(value[field]) || value[field] <= 0) {
+      details.push(`${field} must be a positive whole number of minutes`);
+    }
+  }
+  if (value.firstResponseMinutes > value.resolutionMinutes) {
+    details.push('firstResponseMinutes cannot be longer than resolutionMinutes');
+  }
+  if (!Number.isInteger(value.atRiskPercent) || value.atRiskPercent < 1 || value.atRiskPercent > 99) {
+    details.push('atRiskPercent must be a whole number from 1 to 99');
+  }
+
+  if (!value.name) {
+    const priorityName = { 1: 'Low', 2: 'Medium', 3: 'High', 4: 'Urgent' }[value.priority];
+    value.name = [value.escalationType, priorityName].filter(Boolean).join(' ') || 'Default';
+  }
+
+  return { value, details };
+}
+
+/**
+ * Add a policy, or replace the one with the same priority and escalation type
+ */
+export function savePolicy(value) {
+  const dbInstance = db.getDb();
+  const params = [
+    value.name,
+    value.firstResponseMinutes,
+    value.resolutionMinutes,
+    value.atRiskPercent,
+    value.enabled ? 1 : 0
+  ];
+
+  const existing = dbInstance.prepare(`
+    SELECT id FROM sla_policies
+    WHERE COALESCE(priority, 0) = COALESCE(?, 0) AND COALESCE(escalation_type, '') = COALESCE(?, '')
+  `).get(value.priority, value.escalationType);
+
+  if (existing) {
+    dbInstance.prepare(`
+      UPDATE sla_policies
+      SET name = ?, first_response_minutes = ?, resolution_minutes = ?, at_risk_percent = ?, enabled = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...params, existing.id);
+    return getPolicy(existing.id);
+  }
+
+  const result = dbInstance.prepare(`
+    INSERT INTO sla_policies (name, first_response_minutes, resolution_minutes, at_risk_percent, enabled, priority, escalation_type)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(...params, value.priority, value.escalationType);
+  return getPolicy(result.lastInsertRowid);
+}
+
+export function deletePolicy(id) {
+  return db.getDb().prepare('DELETE FROM sla_policies WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * The most specific enabled policy for a ticket. An escalation type match
+ * outranks a priority match, so a TWILIO policy covers TWILIO tickets of
+ * every priority unless a TWILIO + priority policy exists.
+ */
+export function matchPolicy(policies, priority, escalationType) {
+  let best = null;
+  let bestScore = -1;
+  for (const policy of policies) {
+    if (!policy.enabled) continue;
+    if (policy.priority !== null && policy.priority !== priority) continue;
+    if (policy.escalationType && policy.escalationType !== escalationType) continue;
+
+    const score = (policy.escalationType ? 2 : 0) + (policy.priority !== null ? 1 : 0);
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// ============================================
+// TIMERS
+// ============================================
+
+/**
+ * Earliest public reply per Freshdesk ticket, from stored conversation
+ * threads and drafts sent from the queue (whose thread may not be synced yet)
+ */
+function getSentReplyTimes() {
+  const rows = db.getDb().prepare(`
+    SELECT ticket_id, MIN(sent_at) as first_sent_at FROM drafts
+    WHERE send_status = 'sent' AND sent_as = 'reply'
+    GROUP BY ticket_id
+  `).all();
+  const replies = new Map(rows.map(r => [r.ticket_id, r.first_sent_at]));
+
+  for (const [ticketId, repliedAt] of freshdeskSync.getFirstAgentReplyTimes()) {
+    const sentAt = replies.get(ticketId);
+    if (!sentAt || toMs(repliedAt) < toMs(sentAt)) replies.set(ticketId, repliedAt);
+  }
+  return replies;
+}
+
+/**
+ * Time a ticket has spent paused, including the pause it is in now
+ */
+function getPausedMs(ticket, nowMs) {
+  const sinceMs = PAUSED_STATUSES.includes(ticket.status) ? toMs(ticket.paused_since) : null;
+  return (ticket.paused_ms || 0) + (sinceMs !== null ? Math.max(0, nowMs - sinceMs) : 0);
+}
+
+function computeTimer({ startMs, targetMinutes, completedMs, atRiskPercent, paused, pausedMs = 0, nowMs }) {
+  const windowMs = targetMinutes * 60 * 1000;
+  const dueMs = startMs + windowMs + pausedMs;
+
+  let state;
+  if (completedMs !== null) state = completedMs <= dueMs ? 'met' : 'missed';
+  else if (paused) state = 'paused';
+  else if (nowMs >= dueMs) state = 'breached';
+  else if (nowMs >= dueMs - windowMs * (100 - atRiskPercent) / 100) state = 'at_risk';
+  else state = 'ok';
+
+  const endMs = completedMs ?? nowMs;
+  return {
+    state,
+    targetMinutes,
+    dueAt: new Date(dueMs).toISOString(),
+    completedAt: completedMs !== null ? new Date(completedMs).toISOString() : null,
+    minutesRemaining: completedMs !== null ? null : Math.round((dueMs - nowMs) / 60000),
+    minutesPaused: Math.round(pausedMs / 60000),
+    elapsedPercent: Math.round(((endMs - startMs - pausedMs) / windowMs) * 100)
+  };
+}
+
+/**
+ * SLA timers and forecast for one ticket row (a tickets row, optionally
+ * joined with its latest analysis for escalation_type)
+ * @param {Object} ticket
+ * @param {Object} context - { policies, sentReplies, now } to share across a batch
+ * @returns {Object|null} - null when no policy applies or the ticket has no created_at
+ */
+export function computeTicketSla(ticket, context = {}) {
+  const policies = context.policies || listPolicies();
+  const sentReplies = context.sentReplies || getSentReplyTimes();
+  const nowMs = context.now ?? Date.now();
+
+  const raw = parseJson(ticket.raw_data, {});
+  const escalationType = ticket.escalation_type ? String(ticket.escalation_type).toUpperCase() : null;
+  const policy = matchPolicy(policies, ticket.priority ?? null, escalationType);
+  const startMs = toMs(ticket.created_at);
+  if (!policy || startMs === null) return null;
+
+  const freshdeskId = ticket.freshdesk_id ?? ticket.id;
+  const resolved = RESOLVED_STATUSES.includes(ticket.status);
+  const respondedMs = [raw.stats?.first_responded_at, sentReplies.get(freshdeskId)]
+    .map(toMs)
+    .filter(ms => ms !== null)
+    .sort((a, b) => a - b)[0] ?? null;
+  let resolvedMs = null;
+  if (resolved) {
+    resolvedMs = toMs(raw.stats?.resolved_at || raw.stats?.closed_at || ticket.resolved_at || ticket.updated_at) ?? nowMs;
+  }
+
+  const timers = {
+    // A ticket resolved without a reply on record counts as answered at resolution
+    first_response: computeTimer({
+      startMs,
+      targetMinutes: policy.firstResponseMinutes,
+      completedMs: respondedMs ?? resolvedMs,
+      atRiskPercent: policy.atRiskPercent,
+      paused: false,
+      nowMs
+    }),
+    resolution: computeTimer({
+      startMs,
+      targetMinutes: policy.resolutionMinutes,
+      completedMs: resolvedMs,
+      atRiskPercent: policy.atRiskPercent,
+      paused: PAUSED_STATUSES.includes(ticket.status),
+      pausedMs: getPausedMs(ticket, nowMs),
+      nowMs
+    })
+  };
+
+  const running = TIMERS.filter(name => STATE_RANK[timers[name].state]);
+  const worst = running.sort((a, b) => STATE_RANK[timers[b].state] - STATE_RANK[timers[a].state])[0];
+  const nextDue = TIMERS
+    .filter(name => timers[name].completedAt === null && timers[name].state !== 'breached')
+    .map(name => timers[name].dueAt)
+    .sort()[0] || null;
+
+  return {
+    policy: { id: policy.id, name: policy.name },
+    forecast: worst ? timers[worst].state : (resolved ? 'closed' : 'paused'),
+    timer: worst || null,
+    nextDueAt: nextDue,
+    missed: TIMERS.some(name => timers[name].state === 'missed'),
+    timers
+  };
+}
+
+/**
+ * Attach an `sla` object to each ticket row
+ */
+export function annotateTickets(tickets, options = {}) {
+  const context = {
+    policies: listPolicies(),
+    sentReplies: getSentReplyTimes(),
+    now: options.now ?? Date.now()
+  };
+  return tickets.map(ticket => ({ ...ticket, sla: computeTicketSla(ticket, context) }));
+}
+
+/**
+ * Order for a work queue: breached first, then at risk, then the rest; by
+ * deadline within each
+ */
+export function compareBySla(a, b) {
+  const rankA = STATE_RANK[a.sla?.forecast] || 0;
+  const rankB = STATE_RANK[b.sla?.forecast] || 0;
+  if (rankA !== rankB) return rankB - rankA;
+
+  const dueA = a.sla?.timer ? a.sla.timers[a.sla.timer].dueAt : a.sla?.nextDueAt;
+  const dueB = b.sla?.timer ? b.sla.timers[b.sla.timer].dueAt : b.sla?.nextDueAt;
+  if (dueA && dueB && dueA !== dueB) return dueA < dueB ? -1 : 1;
+  if (dueA !== dueB) return dueA ? -1 : 1;
+  return (b.urgency_score || 0) - (a.urgency_score || 0);
+}
+
+// ============================================
+// FORECAST
+// ============================================
+
+/**
+ * Active tickets with their SLA forecast, most urgent deadline first
+ * @param {Object} options - { forecast: 'breached' | 'at_risk' | 'ok' | 'paused' | 'risk' (breached or at risk), limit }
+ */
+export function getSlaForecast(options = {}) {
+  const tickets = annotateTickets(db.getAllTicketsWithAnalysis(ACTIVE_STATUSES))
+    .filter(t => t.sla)
+    .sort(compareBySla);
+
+  const counts = { breached: 0, at_risk: 0, ok: 0, paused: 0 };
+  for (const t of tickets) {
+    if (counts[t.sla.forecast] !== undefined) counts[t.sla.forecast]++;
+  }
+
+  let filtered = tickets;
+  if (options.forecast === 'risk') {
+    filtered = tickets.filter(t => t.sla.forecast === 'breached' || t.sla.forecast === 'at_risk');
+  } else if (options.forecast) {
+    filtered = tickets.filter(t => t.sla.forecast === options.forecast);
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    counts,
+    total: filtered.length,
+    tickets: options.limit ? filtered.slice(0, options.limit) : filtered
+  };
+}
+
+/**
+ * SLA for one ticket by Freshdesk id
+ */
+export function getTicketSla(freshdeskId) {
+  const ticket = db.getTicketWithAnalysis(freshdeskId);
+  if (!ticket) return null;
+  return { ticketId: ticket.freshdesk_id, subject: ticket.subject, status: ticket.status, priority: ticket.priority, sla: computeTicketSla(ticket) };
+}
+
+// ============================================
+// ALERTS
+// ============================================
+
+/**
+ * Email newly at-risk and breached tickets through sendUrgentAlert. Each
+ * ticket timer alerts once per state; nothing is recorded when the email
+ * wasn't sent, so alerts go out once email is configured.
+ * @returns {Object} - { alerted: number, skipped?: string }
+ */
+export async function sendSlaAlerts(options = {}) {
+  const { tickets } = getSlaForecast({ forecast: 'risk' });
+  const dbInstance = db.getDb();
+  const alreadySent = dbInstance.prepare('SELECT 1 FROM sla_alerts WHERE ticket_id = ? AND timer = ? AND state = ?');
+
+  const pending = [];
+  for (const ticket of tickets) {
+    const { timer } = ticket.sla;
+    if (!alreadySent.get(ticket.freshdesk_id, timer, ticket.sla.forecast)) {
+      pending.push(ticket);
+    }
+  }
+  if (pending.length === 0) return { alerted: 0 };
+
+  if (!emailService.isEmailEnabled()) {
+    return { alerted: 0, skipped: 'Email is not configured' };
+  }
+
+  const breached = pending.filter(t => t.sla.forecast === 'breached').length;
+  const result = await emailService.sendUrgentAlert(pending, options.recipientEmail || null, {
+    title: breached > 0 ? 'SLA BREACH ALERT' : 'SLA AT-RISK ALERT',
+    subject: `SLA deadlines — ${breached} breached, ${pending.length - breached} at risk`,
+    intro: `The following ${pending.length} ticket${pending.length > 1 ? 's have' : ' has'} breached or ${pending.length > 1 ? 'are' : 'is'} about to breach an SLA deadline:`
+  });
+  if (!result.success) return { alerted: 0, skipped: result.error };
+
+  const record = dbInstance.prepare('INSERT OR IGNORE INTO sla_alerts (ticket_id, timer, state, due_at) VALUES (?, ?, ?, ?)');
+  dbInstance.transaction(() => {
+    for (const ticket of pending) {
+      const { timer, forecast } = ticket.sla;
+      record.run(ticket.freshdesk_id, timer, forecast, ticket.sla.timers[timer].dueAt);
+    }
+  })();
+
+  console.log(`[SLA] Alerted on ${pending.length} tickets (${breached} breached)`);
+  return { alerted: pending.length, messageId: result.messageId };
+}
+
+export default {
+  TIMERS,
+  initSlaTables,
+  listPolicies,
+  getPolicy,
+  validatePolicy,
+  savePolicy,
+  deletePolicy,
+  matchPolicy,
+  computeTicketSla,
+  annotateTickets,
+  compareBySla,
+  getSlaForecast,
+  getTicketSla,
+  sendSlaAlerts
+};
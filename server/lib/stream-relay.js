@@ -290,8 +290,15 @@ export function stopStream() {
  * Initialize WebSocket server for receiving stream data
  * Attach to an existing HTTP server
  */
-export function initStreamWebSocket(server) {
-  wss = new WebSocketServer({ server, path: '/ws/stream' });
+export function initStreamWebSocket(server, options = {}) {
+  const { authenticate } = options;
+
+  wss = new WebSocketServer({
+    server,
+    path: '/ws/stream',
+    // Reject the upgrade unless the caller presents a valid session
+    verifyClient: authenticate ? (info) => !!authenticate(info.req) : undefined
+  });
 
   wss.on('connection', (ws) => {
     console.log('Stream WebSocket connected');
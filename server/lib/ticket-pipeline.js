@@ -1,39 +1,52 @@
 /**
  * Ticket Arbitrage Pipeline
- * Chains existing systems: Triage → SOP Lookup → History Search → Casebook → Draft → QA → Queue
+ * Chains existing systems: Triage → SOP Lookup → Retrieval (history + casebook) → Draft → QA (revise until
+ * the rubric passes) → Queue
  *
  * This module does NOT duplicate logic — it orchestrates existing functions in sequence.
- * All drafts are READ-ONLY + DRAFT-ONLY. Nothing is sent externally.
+ * The pipeline only queues drafts; nothing here sends externally. A draft leaves the
+ * system only through sendDraft (draft-sender.js), once approved and past the QA gate.
  */
 
 import * as ai from './ai-provider.js';
 import * as db from './database.js';
-import * as rag from './langchain-rag.js';
-import { evaluateDraft } from './qa-evaluator.js';
+import * as retrieval from './retrieval.js';
+import * as schemas from './ai-schemas.js';
+import * as qaRubrics from './qa-rubrics.js';
+import { evaluateDraft, reviseDraft, hashText } from './qa-evaluator.js';
 import { EVENTS, emit } from './cross-platform-event-bus.js';
 
 /**
  * Process a single ticket through the full pipeline
  * @param {number} ticketId - Freshdesk ticket ID
- * @param {Object} options - { agentName, skipQA }
- * @returns {Object} - { draftId, status, qaResult, pipelineResult }
+ * @param {Object} options - { agentName, skipQA, provider, model, feature, ticket, dryRun }
+ *   skipQA also skips the revise loop and leaves the draft ungated.
+ *   provider/model/feature go to every AI call. dryRun (used by evals) always
+ *   triages fresh and saves, emits and caches nothing; ticket replaces the
+ *   database lookup with a given { subject, description, ... }.
+ * @returns {Object} - { draftId, status, qaResult, analysis, pipelineResult } (+ draftText on dry runs)
  */
 export async function processTicket(ticketId, options = {}) {
   const pipelineResult = {
     ticketId,
     steps: [],
-    startedAt: new Date().toISOString()
+    startedAt: new Date().toISOString(),
+    ...(options.dryRun && { dryRun: true })
   };
+  const aiOptions = Object.fromEntries(
+    ['provider', 'model', 'feature'].filter(key => options[key]).map(key => [key, options[key]])
+  );
 
   // Step 1: GET TICKET
-  const ticket = db.getTicketWithAnalysis(ticketId);
+  const ticket = options.ticket || db.getTicketWithAnalysis(ticketId);
   if (!ticket) {
     throw new Error(`Ticket ${ticketId} not found in database`);
   }
   pipelineResult.steps.push({ step: 'ticket_loaded', subject: ticket.subject });
 
-  // Step 2: TRIAGE (reuse existing analyzeTicket or load cached)
-  let analysis = db.getLatestAnalysis(ticketId);
+  // Step 2: TRIAGE (reuse existing analyzeTicket or load cached). Cached rows
+  // are normalized to the same keys analyzeTicket returns.
+  let analysis = options.dryRun ? null : schemas.normalize('ticket_analysis', db.getLatestAnalysis(ticketId));
   if (!analysis) {
     try {
       analysis = await ai.analyzeTicket({
@@ -41,46 +54,47 @@ export async function processTicket(ticketId, options = {}) {
         description: ticket.description,
         priority: ticket.priority,
         status: ticket.status
-      });
-      db.saveAnalysis(ticketId, analysis, analysis.provider || 'gemini', analysis.model || '');
-      pipelineResult.steps.push({ step: 'triage', result: 'new_analysis', urgency: analysis.URGENCY_SCORE || analysis.urgency_score });
+      }, aiOptions);
+      if (!options.dryRun) {
+        db.saveAnalysis(ticketId, analysis, analysis.provider || 'gemini', analysis.model || '');
+      }
+      pipelineResult.steps.push({ step: 'triage', result: 'new_analysis', urgency: analysis.URGENCY_SCORE });
     } catch (e) {
-      analysis = { ESCALATION_TYPE: 'general', URGENCY_SCORE: 5, SUMMARY: ticket.subject };
+      analysis = { ESCALATION_TYPE: 'SUPPORT', URGENCY_SCORE: 5, SUMMARY: ticket.subject };
       pipelineResult.steps.push({ step: 'triage', result: 'fallback', error: e.message });
     }
   } else {
-    pipelineResult.steps.push({ step: 'triage', result: 'cached', urgency: analysis.urgency_score });
-  }
-
-  // Step 3: HISTORY SEARCH (reuse existing RAG)
-  let similarDocs = [];
-  try {
-    const query = `${ticket.subject} ${(ticket.description || '').substring(0, 200)}`;
-    similarDocs = rag.searchSimilar(query, 5);
-    pipelineResult.steps.push({ step: 'history_search', found: similarDocs.length });
-  } catch (e) {
-    pipelineResult.steps.push({ step: 'history_search', found: 0, error: e.message });
+    pipelineResult.steps.push({ step: 'triage', result: 'cached', urgency: analysis.URGENCY_SCORE });
   }
 
-  // Step 4: CASEBOOK SEARCH
-  let casebookMatches = [];
+  // Step 3: RETRIEVAL (resolved tickets + casebook, keyword and vector ranked together).
+  // The ticket's own history is left out so a replayed ticket can't copy its answer.
+  let retrieved = [];
   try {
-    const searchTerms = ticket.subject.split(/\s+/).filter(w => w.length > 3);
-    casebookMatches = db.searchCasebook(searchTerms, 3);
-    pipelineResult.steps.push({ step: 'casebook_search', found: casebookMatches.length });
+    const query = `${ticket.subject} ${(ticket.description || '').substring(0, 500)}`;
+    retrieved = (await retrieval.search(query, { limit: 8, sources: ['ticket', 'casebook'] }))
+      .filter(r => String(r.metadata.ticketId) !== String(ticketId));
+    pipelineResult.citations = retrieval.toCitations(retrieved);
+    pipelineResult.steps.push({
+      step: 'retrieval',
+      found: retrieved.length,
+      tickets: retrieved.filter(r => r.source === 'ticket').length,
+      casebook: retrieved.filter(r => r.source === 'casebook').length
+    });
   } catch (e) {
-    pipelineResult.steps.push({ step: 'casebook_search', found: 0, error: e.message });
+    pipelineResult.steps.push({ step: 'retrieval', found: 0, error: e.message });
   }
 
-  // Step 4b: KNOWLEDGE BASE SEARCH (resolved ticket resolutions)
-  let kbMatches = [];
-  try {
-    const searchTerms = ticket.subject.split(/\s+/).filter(w => w.length > 3);
-    kbMatches = db.searchKnowledgeBase(searchTerms, 5);
-    pipelineResult.steps.push({ step: 'knowledge_base_search', found: kbMatches.length });
-  } catch (e) {
-    pipelineResult.steps.push({ step: 'knowledge_base_search', found: 0, error: e.message });
-  }
+  const similarTickets = retrieval.toSimilarTickets(retrieved);
+  const casebookMatches = retrieved
+    .filter(r => r.source === 'casebook')
+    .slice(0, 3)
+    .map(r => ({
+      id: r.metadata.casebookId,
+      subject: r.title,
+      approved_response: r.metadata.approvedResponse,
+      sop_references: r.metadata.sopReferences
+    }));
 
   // Step 5: DRAFT GENERATION (reuse existing generateResponse — now includes casebook context)
   let draftText = '';
@@ -105,34 +119,17 @@ export async function processTicket(ticketId, options = {}) {
         requester: { name: ticket.requester_name, email: ticket.requester_email }
       },
       {
+        ...aiOptions,
         agentName: options.agentName || 'Support Agent',
         agentSignature,
-        ticketType: (analysis.ESCALATION_TYPE || analysis.escalation_type || 'general').toLowerCase(),
+        ticketType: (analysis.ESCALATION_TYPE || 'general').toLowerCase(),
         analysis: {
-          SUMMARY: analysis.SUMMARY || analysis.summary,
-          URGENCY_SCORE: analysis.URGENCY_SCORE || analysis.urgency_score,
-          ESCALATION_TYPE: analysis.ESCALATION_TYPE || analysis.escalation_type
+          SUMMARY: analysis.SUMMARY,
+          URGENCY_SCORE: analysis.URGENCY_SCORE,
+          ESCALATION_TYPE: analysis.ESCALATION_TYPE
         },
-        similarTickets: [
-          // RAG vector similarity matches
-          ...similarDocs.map(d => ({
-            id: d.metadata?.ticketId,
-            subject: d.metadata?.subject,
-            score: d.score,
-            resolution: d.content?.match(/Resolution:\s*(.*)/)?.[1] || '',
-            keywords: []
-          })),
-          // Knowledge base keyword matches (with resolutions from resolved tickets)
-          ...kbMatches
-            .filter(kb => !similarDocs.some(d => d.metadata?.ticketId === kb.ticket_id))
-            .map(kb => ({
-              id: kb.ticket_id,
-              subject: kb.subject,
-              score: kb.score,
-              resolution: kb.resolution || '',
-              keywords: kb.keywords || []
-            }))
-        ].slice(0, 8)
+        similarTickets,
+        casebookMatches
       }
     );
     draftText = draftResult.response || draftResult.text || '';
@@ -143,25 +140,46 @@ export async function processTicket(ticketId, options = {}) {
     throw new Error(`Draft generation failed for ticket ${ticketId}: ${e.message}`);
   }
 
-  // Step 6: QA EVALUATION
+  // Step 6: QA EVALUATION against the escalation type's rubric. A failing
+  // draft is revised with QA's notes and graded again, up to the rubric's
+  // maxRevisions; the best-scoring version is kept.
   let qaResult = { overall: 'PASS', score: 100, fixes: [], sop_citations: [] };
   if (!options.skipQA) {
+    const rubric = qaRubrics.getRubricFor(analysis.ESCALATION_TYPE);
+    const qaOptions = { ...aiOptions, rubric };
+    const qaTicket = { subject: ticket.subject, description: ticket.description };
     try {
-      qaResult = await evaluateDraft(
-        { draft_text: draftText },
-        { subject: ticket.subject, description: ticket.description }
-      );
-      pipelineResult.steps.push({ step: 'qa_evaluation', result: qaResult.overall, score: qaResult.score });
+      qaResult = await evaluateDraft({ draft_text: draftText }, qaTicket, qaOptions);
+      pipelineResult.steps.push({ step: 'qa_evaluation', result: qaResult.overall, score: qaResult.score, rubric: rubric.name });
     } catch (e) {
-      qaResult = { overall: 'FAIL', score: 0, fixes: [`QA failed: ${e.message}`], sop_citations: [] };
+      qaResult = { overall: 'FAIL', score: 0, fixes: [`QA failed: ${e.message}`], sop_citations: [], error: e.message };
       pipelineResult.steps.push({ step: 'qa_evaluation', result: 'error', error: e.message });
     }
+
+    const revisions = [];
+    for (let attempt = 1; attempt <= rubric.maxRevisions && qaResult.overall === 'FAIL' && !qaResult.error; attempt++) {
+      try {
+        const revisedText = await reviseDraft(draftText, qaResult, qaTicket, qaOptions);
+        const revisedQA = await evaluateDraft({ draft_text: revisedText }, qaTicket, qaOptions);
+        const kept = !revisedQA.error && revisedQA.score >= qaResult.score;
+        revisions.push({ attempt, score: revisedQA.score, overall: revisedQA.overall, kept });
+        pipelineResult.steps.push({ step: 'qa_revision', attempt, result: revisedQA.overall, score: revisedQA.score, kept });
+        if (kept) {
+          draftText = revisedText;
+          qaResult = revisedQA;
+        }
+      } catch (e) {
+        pipelineResult.steps.push({ step: 'qa_revision', attempt, error: e.message });
+        break;
+      }
+    }
+    if (revisions.length > 0) qaResult.revisions = revisions;
   } else {
     pipelineResult.steps.push({ step: 'qa_evaluation', result: 'skipped' });
   }
 
   // Step 7: DETERMINE STATUS
-  const urgencyScore = analysis.URGENCY_SCORE || analysis.urgency_score || 5;
+  const urgencyScore = analysis.URGENCY_SCORE || 5;
   let draftStatus = 'PENDING_REVIEW';
   if (qaResult.overall === 'FAIL') {
     draftStatus = (qaResult.fixes?.length > 2 || qaResult.score < 40) ? 'ESCALATION_RECOMMENDED' : 'NEEDS_EDIT';
@@ -170,6 +188,11 @@ export async function processTicket(ticketId, options = {}) {
     draftStatus = 'ESCALATION_RECOMMENDED';
   }
 
+  if (options.dryRun) {
+    pipelineResult.completedAt = new Date().toISOString();
+    return { draftId: null, status: draftStatus, qaResult, analysis, draftText, pipelineResult };
+  }
+
   // Step 8: SAVE DRAFT
   const draftId = db.saveDraft({
     ticket_id: ticketId,
@@ -178,8 +201,12 @@ export async function processTicket(ticketId, options = {}) {
     status: draftStatus,
     qa_result: JSON.stringify(qaResult),
     qa_passed: qaResult.overall === 'PASS' ? 1 : 0,
+    // Only graded drafts are held to the rubric's approval floor
+    qa_score: options.skipQA ? null : qaResult.score,
+    qa_rubric_id: qaResult.rubric?.id ?? null,
+    qa_text_hash: options.skipQA ? null : hashText(draftText),
     sop_citations: JSON.stringify(qaResult.sop_citations || []),
-    similar_tickets_used: JSON.stringify(similarDocs.map(d => d.metadata?.ticketId).filter(Boolean)),
+    similar_tickets_used: JSON.stringify(similarTickets.map(t => t.id).filter(Boolean)),
     casebook_entries_used: JSON.stringify(casebookMatches.map(c => c.id)),
     pipeline_metadata: JSON.stringify(pipelineResult)
   });
@@ -195,12 +222,12 @@ export async function processTicket(ticketId, options = {}) {
       status: draftStatus,
       qaScore: qaResult.score,
       qaResult: qaResult.overall
-    });
+    }, { sourceId: `draft_${draftId}` });
   } catch (e) {
     // Event bus might not be initialized
   }
 
-  return { draftId, status: draftStatus, qaResult, pipelineResult };
+  return { draftId, status: draftStatus, qaResult, analysis, pipelineResult };
 }
 
 /**
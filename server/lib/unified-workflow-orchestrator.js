@@ -8,22 +8,33 @@
  * - Workflow templates (common automation patterns)
  * - Multi-step action sequences
  * - Conditional branching
- * - Error handling and rollback
+ * - Error handling and rollback (completed steps are compensated in reverse order)
  * - AI-powered workflow suggestions
+ * - Custom workflows and run history persisted in SQLite
+ * - Steps run through the durable job queue (retries, resume after restart)
+ * - Simulation mode that traces the calls a run would make without sending them
+ * - Cron-scheduled workflows (node-cron) that can be paused and resumed
  */
 
+import cron from 'node-cron';
 import { taskade, taskmagic, ghl } from './integrations.js';
 import { nifty } from './nifty-integration.js';
 import * as ai from './ai-provider.js';
 import * as db from './database.js';
+import * as jobQueue from './job-queue.js';
 import eventBus, { EVENTS, PLATFORMS } from './cross-platform-event-bus.js';
+import {
+  evaluateCondition as evaluateExpression,
+  validateCondition as validateExpression
+} from './chain-expressions.js';
 
-// Workflow storage
+// Workflow storage (custom definitions and executions are also persisted)
 const workflows = {
   templates: new Map(),
+  listeners: new Map(),
   active: [],
   history: [],
-  scheduled: []
+  scheduled: new Map()
 };
 
 // Built-in workflow templates
@@ -72,7 +83,8 @@ const WORKFLOW_TEMPLATES = {
           }
         },
         onSuccess: 'complete',
-        onError: 'notify_failure'
+        onError: 'notify_failure',
+        rollbackOnFailure: false
       },
       {
         id: 'notify_failure',
@@ -81,7 +93,8 @@ const WORKFLOW_TEMPLATES = {
         params: {
           message: 'Workflow failed: {{error}}',
           channel: 'errors'
-        }
+        },
+        rollbackOnFailure: false
       }
     ]
   },
@@ -136,7 +149,8 @@ const WORKFLOW_TEMPLATES = {
             subject: '{{subject}}',
             urgency: '{{urgency}}'
           }
-        }
+        },
+        rollbackOnFailure: false
       }
     ]
   },
@@ -173,7 +187,8 @@ const WORKFLOW_TEMPLATES = {
         params: {
           message: 'Daily sync complete: {{sync_to_nifty.synced}} tasks synchronized',
           channel: 'sync-reports'
-        }
+        },
+        rollbackOnFailure: false
       }
     ]
   },
@@ -214,7 +229,8 @@ const WORKFLOW_TEMPLATES = {
         params: {
           message: 'Task "{{taskTitle}}" completed across all platforms!',
           channel: 'completions'
-        }
+        },
+        rollbackOnFailure: false
       }
     ]
   },
@@ -247,49 +263,583 @@ const WORKFLOW_TEMPLATES = {
         }
       }
     ]
+  },
+
+  // Template: Weekly milestone roll-up (paused until switched on)
+  WEEKLY_MILESTONE_ROLLUP: {
+    id: 'weekly_milestone_rollup',
+    name: 'Weekly Milestone Roll-up',
+    description: 'Every Monday, summarize upcoming and recently completed Nifty milestones as a Taskade task',
+    trigger: 'scheduled',
+    schedule: '0 8 * * 1', // 8 AM Mondays
+    steps: [
+      {
+        id: 'collect_milestones',
+        platform: PLATFORMS.NIFTY,
+        action: 'get_milestones',
+        params: { withinDays: 7 },
+        onSuccess: 'create_rollup'
+      },
+      {
+        id: 'create_rollup',
+        platform: PLATFORMS.TASKADE,
+        action: 'create_task',
+        params: {
+          title: 'Milestone roll-up: {{collect_milestones.result.summary}}'
+        }
+      }
+    ]
   }
 };
 
+// Step actions per platform, used to validate definitions and by the workflow builder
+export const WORKFLOW_ACTIONS = {
+  [PLATFORMS.TASKADE]: {
+    create_task: { label: 'Create task', params: ['title', 'description', 'priority', 'projectId'] },
+    complete_task: { label: 'Complete task', params: ['projectId', 'taskId'] },
+    uncomplete_task: { label: 'Reopen task', params: ['projectId', 'taskId'] },
+    delete_task: { label: 'Delete task', params: ['projectId', 'taskId'] },
+    get_tasks: { label: 'Get tasks', params: [] }
+  },
+  [PLATFORMS.NIFTY]: {
+    create_task: { label: 'Create task', params: ['name', 'description', 'due_date'] },
+    complete_task: { label: 'Complete task', params: ['taskId'] },
+    reopen_task: { label: 'Reopen task', params: ['taskId'] },
+    delete_task: { label: 'Delete task', params: ['taskId'] },
+    delete_tasks: { label: 'Delete tasks', params: ['taskIds'] },
+    sync_tasks: { label: 'Sync tasks', params: ['tasks'] },
+    get_milestones: { label: 'Get milestones', params: ['projectId', 'withinDays'] }
+  },
+  [PLATFORMS.TASKMAGIC]: {
+    trigger_automation: { label: 'Trigger automation', params: ['automation', 'payload'] },
+    send_notification: { label: 'Send notification', params: ['message', 'channel'] }
+  },
+  [PLATFORMS.GHL]: {
+    add_tag: { label: 'Add tag', params: ['contactId', 'tag'] },
+    remove_tag: { label: 'Remove tag', params: ['contactId', 'tag'] },
+    create_contact: { label: 'Create contact', params: ['firstName', 'lastName', 'email', 'phone'] },
+    delete_contact: { label: 'Delete contact', params: ['contactId'] }
+  },
+  [PLATFORMS.INTERNAL]: {
+    ai_analyze: { label: 'AI analyze', params: ['prompt'] }
+  }
+};
+
+export const WORKFLOW_TRIGGERS = ['manual', 'event', 'scheduled'];
+
+/**
+ * Initialize workflow persistence tables
+ */
+export function initWorkflowTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS workflow_definitions (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      trigger_type TEXT DEFAULT 'manual',
+      event_type TEXT,
+      current_version INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS workflow_definition_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      workflow_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      definition TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(workflow_id, version),
+      FOREIGN KEY (workflow_id) REFERENCES workflow_definitions(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS workflow_executions (
+      id TEXT PRIMARY KEY,
+      template_id TEXT NOT NULL,
+      template_version INTEGER,
+      template_name TEXT,
+      inputs TEXT,
+      status TEXT DEFAULT 'running',
+      current_step TEXT,
+      step_results TEXT,
+      errors TEXT,
+      rollback TEXT,
+      trigger_type TEXT DEFAULT 'manual',
+      started_at TEXT,
+      ended_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_workflow_exec_status ON workflow_executions(status);
+    CREATE INDEX IF NOT EXISTS idx_workflow_exec_template ON workflow_executions(template_id);
+
+    CREATE TABLE IF NOT EXISTS workflow_schedules (
+      workflow_id TEXT PRIMARY KEY,
+      paused INTEGER NOT NULL DEFAULT 0,
+      updated_by TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Databases created before rollback tracking / run triggers
+  const columns = dbInstance.prepare('PRAGMA table_info(workflow_executions)').all().map(c => c.name);
+  if (!columns.includes('rollback')) {
+    dbInstance.exec('ALTER TABLE workflow_executions ADD COLUMN rollback TEXT');
+  }
+  if (!columns.includes('trigger_type')) {
+    dbInstance.exec(`ALTER TABLE workflow_executions ADD COLUMN trigger_type TEXT DEFAULT 'manual'`);
+  }
+
+  console.log('[Workflow] Tables initialized');
+}
+
 /**
  * Initialize workflow orchestrator
  */
 export function initWorkflowOrchestrator() {
   // Load built-in templates
-  for (const [id, template] of Object.entries(WORKFLOW_TEMPLATES)) {
-    workflows.templates.set(id, template);
+  // Keyed by template id, which is what the API and quick actions use
+  for (const template of Object.values(WORKFLOW_TEMPLATES)) {
+    workflows.templates.set(template.id, { ...template, builtin: true, version: 1 });
   }
 
-  // Register event listeners for event-triggered workflows
-  for (const [id, template] of workflows.templates.entries()) {
-    if (template.trigger === 'event' && template.eventType) {
-      eventBus.on(template.eventType, async (event) => {
-        console.log(`[Workflow] Event-triggered: ${template.name}`);
-        await executeWorkflow(id, event.data);
-      });
+  // Load custom workflows saved by earlier runs
+  const customCount = loadPersistedWorkflows();
+
+  // Register event listeners and cron jobs for triggered workflows
+  for (const id of workflows.templates.keys()) {
+    registerWorkflowListener(id);
+    registerWorkflowSchedule(id);
+  }
+
+  // Pick up runs that were in flight when the server stopped
+  const resumed = resumeInterruptedWorkflows();
+
+  console.log(`[Workflow] Orchestrator initialized with ${workflows.templates.size} templates (${customCount} custom)`);
+
+  return {
+    templateCount: workflows.templates.size,
+    customCount,
+    resumed
+  };
+}
+
+/**
+ * Continue unfinished executions from their last completed step. Steps that
+ * already finished are not called again: their job's idempotency key
+ * returns the stored result.
+ */
+function resumeInterruptedWorkflows() {
+  const store = db.tryGetDb();
+  if (!store) return 0;
+
+  const rows = store.prepare(`SELECT * FROM workflow_executions WHERE status = 'running'`).all();
+
+  for (const row of rows) {
+    const execution = rowToExecution(row);
+    const template = getTemplateVersion(execution.templateId, execution.templateVersion);
+
+    if (!template) {
+      execution.status = 'interrupted';
+      execution.endTime = new Date().toISOString();
+      execution.errors.push({ step: 'workflow', error: 'Workflow definition no longer exists' });
+      saveExecution(execution);
+      continue;
+    }
+
+    console.log(`[Workflow] Resuming: ${execution.templateName} (${execution.id}) at ${execution.currentStep || 'start'}`);
+    workflows.active.push(execution);
+    runExecution(template, execution, getResumeStepId(template, execution))
+      .catch(error => console.error(`[Workflow] Resume failed for ${execution.id}:`, error.message));
+  }
+
+  return rows.length;
+}
+
+/**
+ * The definition an execution started with, falling back to the current one
+ */
+function getTemplateVersion(templateId, version) {
+  const current = workflows.templates.get(templateId);
+  if (!current || current.builtin || !version || current.version === version) {
+    return current || null;
+  }
+
+  const stored = getWorkflowVersions(templateId).find(v => v.version === version);
+  return stored ? { ...stored.definition, id: templateId, version } : current;
+}
+
+function getResumeStepId(template, execution) {
+  const stepId = execution.currentStep;
+  if (!stepId) return template.steps[0]?.id;
+
+  const step = template.steps.find(s => s.id === stepId);
+  const stepResult = execution.stepResults[stepId];
+  if (!step || !stepResult) return stepId;
+
+  return getStepOutcome(template, step, stepResult);
+}
+
+/**
+ * Next step after a finished one (null ends the run)
+ */
+function getStepOutcome(template, step, stepResult) {
+  if (stepResult.success) {
+    return step.onSuccess || getNextStepId(template.steps, step.id);
+  }
+  return step.onError || null;
+}
+
+/**
+ * (Re)attach the event listener for an event-triggered workflow
+ */
+function registerWorkflowListener(workflowId) {
+  workflows.listeners.get(workflowId)?.();
+  workflows.listeners.delete(workflowId);
+
+  const template = workflows.templates.get(workflowId);
+  if (template?.trigger === 'event' && template.eventType) {
+    const unsubscribe = eventBus.on(template.eventType, (event) => {
+      console.log(`[Workflow] Event-triggered: ${template.name}`);
+      // Not awaited: steps wait on the job queue, which may be running the
+      // chain action that emitted this event
+      executeWorkflow(workflowId, event.data, { trigger: 'event' })
+        .catch(error => console.error(`[Workflow] ${template.name} failed:`, error.message));
+    });
+    workflows.listeners.set(workflowId, unsubscribe);
+  }
+}
+
+// ============================================
+// SCHEDULED WORKFLOWS
+// ============================================
+
+// "schedule" is accepted as shorthand for the scheduled trigger
+function normalizeTrigger(trigger) {
+  return trigger === 'schedule' ? 'scheduled' : (trigger || 'manual');
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Same default as the analysis jobs in scheduler.js
+function getScheduleTimezone(template) {
+  return template.timezone || process.env.SCHEDULE_TIMEZONE || 'America/New_York';
+}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Cron fields (seconds first) as [min, max, names, first name's value]
+const CRON_FIELDS = [
+  [0, 59], [0, 59], [0, 23], [1, 31], [1, 12, MONTH_NAMES, 1], [0, 7, WEEKDAY_NAMES, 0]
+];
+
+/**
+ * The values one cron field allows. Reads fields the way node-cron does, so
+ * next runs agree with when the job actually fires: names (full or short),
+ * ranges, lists, and steps that keep the values divisible by the step.
+ */
+function expandCronField(field, [min, max, names, nameBase]) {
+  let text = field.toLowerCase();
+  if (names) {
+    text = text.replace(/[a-z]+/g, name => {
+      const index = names.indexOf(name.slice(0, 3));
+      return index === -1 ? name : String(index + nameBase);
+    });
+  }
+
+  const [base, step] = text.split('/');
+  const values = new Set();
+  for (const part of base.split(',')) {
+    const [start, end] = part === '*' ? [min, max] : part.split('-').map(Number);
+    const [from, to] = end === undefined ? [start, start] : [Math.min(start, end), Math.max(start, end)];
+    for (let value = from; value <= to; value++) values.add(value);
+  }
+
+  const divider = step === undefined ? 1 : Number(step);
+  return new Set([...values].filter(value => value % divider === 0));
+}
+
+/**
+ * Next time a cron expression fires after `from`, or null within a year.
+ * Like node-cron, a day must match both day-of-month and weekday. Expects an
+ * expression cron.validate accepts.
+ */
+export function getNextRunTime(expression, timezone, from = new Date()) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) fields.unshift('0');
+  const [seconds, minutes, hours, days, months, weekdays] = fields.map((field, i) => expandCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+  let time = Math.floor(from.getTime() / 1000) * 1000 + 1000;
+
+  while (time < limit) {
+    const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(p => [p.type, p.value]));
+    const minute = Number(parts.minute);
+    const second = Number(parts.second);
+
+    // Skip whole hours, then minutes, that cannot match
+    if (!months.has(Number(parts.month)) || !days.has(Number(parts.day)) ||
+        !weekdays.has(weekdayNames.indexOf(parts.weekday)) || !hours.has(Number(parts.hour))) {
+      time += ((59 - minute) * 60 + (60 - second)) * 1000;
+    } else if (!minutes.has(minute)) {
+      time += (60 - second) * 1000;
+    } else if (!seconds.has(second)) {
+      time += 1000;
+    } else {
+      return new Date(time);
     }
   }
 
-  console.log(`[Workflow] Orchestrator initialized with ${workflows.templates.size} templates`);
+  return null;
+}
+
+// Built-in schedules call live accounts, so they start paused
+function isSchedulePaused(template) {
+  const row = db.tryGetDb()?.prepare('SELECT paused FROM workflow_schedules WHERE workflow_id = ?').get(template.id);
+  return row ? !!row.paused : !!template.builtin;
+}
+
+/**
+ * (Re)register the cron job for a scheduled workflow
+ */
+function registerWorkflowSchedule(workflowId) {
+  workflows.scheduled.get(workflowId)?.task.stop();
+  workflows.scheduled.delete(workflowId);
+
+  const template = workflows.templates.get(workflowId);
+  if (template?.trigger !== 'scheduled' || !template.schedule) return;
+
+  const paused = isSchedulePaused(template);
+  const task = cron.schedule(template.schedule, () => runScheduledWorkflow(workflowId), {
+    scheduled: !paused,
+    timezone: getScheduleTimezone(template)
+  });
+  workflows.scheduled.set(workflowId, { task, paused });
+}
+
+async function runScheduledWorkflow(workflowId) {
+  const template = workflows.templates.get(workflowId);
+  if (!template) return;
+
+  // A slow run is not doubled up by the next tick
+  if (workflows.active.some(e => e.templateId === workflowId && e.trigger === 'scheduled')) {
+    console.log(`[Workflow] Skipping scheduled run of ${template.name}: previous run still active`);
+    return;
+  }
 
+  console.log(`[Workflow] Scheduled run: ${template.name}`);
+  try {
+    await executeWorkflow(workflowId, {}, { trigger: 'scheduled' });
+  } catch (error) {
+    console.error(`[Workflow] Scheduled run of ${template.name} failed:`, error.message);
+  }
+}
+
+// Most recent scheduled execution of a workflow
+function getLastScheduledRun(workflowId) {
+  const store = db.tryGetDb();
+  const execution = store
+    ? store.prepare(`
+        SELECT * FROM workflow_executions
+        WHERE template_id = ? AND trigger_type = 'scheduled'
+        ORDER BY started_at DESC LIMIT 1
+      `).all(workflowId).map(rowToExecution)[0]
+    : [...workflows.active, ...workflows.history]
+        .filter(e => e.templateId === workflowId && e.trigger === 'scheduled')
+        .sort((a, b) => b.startTime.localeCompare(a.startTime))[0];
+
+  if (!execution) return null;
+  return {
+    executionId: execution.id,
+    status: execution.status,
+    startTime: execution.startTime,
+    endTime: execution.endTime || null
+  };
+}
+
+function describeSchedule(workflowId) {
+  const entry = workflows.scheduled.get(workflowId);
+  const template = workflows.templates.get(workflowId);
+  if (!entry || !template) return null;
+
+  const timezone = getScheduleTimezone(template);
   return {
-    templateCount: workflows.templates.size
+    workflowId,
+    name: template.name,
+    builtin: !!template.builtin,
+    schedule: template.schedule,
+    timezone,
+    paused: entry.paused,
+    nextRun: entry.paused ? null : getNextRunTime(template.schedule, timezone)?.toISOString() || null,
+    lastRun: getLastScheduledRun(workflowId)
   };
 }
 
 /**
- * Execute a workflow by template ID
+ * Scheduled workflows with their next and last run
+ */
+export function getWorkflowSchedules() {
+  return Array.from(workflows.scheduled.keys()).map(describeSchedule);
+}
+
+/**
+ * Pause or resume a scheduled workflow. The choice survives restarts.
  */
-export async function executeWorkflow(templateId, inputs = {}) {
+export function setSchedulePaused(workflowId, paused, options = {}) {
+  const entry = workflows.scheduled.get(workflowId);
+  if (!entry) {
+    throw new Error(`No schedule for workflow: ${workflowId}`);
+  }
+
+  db.tryGetDb()?.prepare(`
+    INSERT INTO workflow_schedules (workflow_id, paused, updated_by, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(workflow_id) DO UPDATE SET
+      paused = excluded.paused,
+      updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(workflowId, paused ? 1 : 0, options.updatedBy || null);
+
+  entry.paused = !!paused;
+  if (paused) {
+    entry.task.stop();
+  } else {
+    entry.task.start();
+  }
+
+  console.log(`[Workflow] Schedule ${paused ? 'paused' : 'resumed'}: ${workflowId}`);
+  return describeSchedule(workflowId);
+}
+
+function loadPersistedWorkflows() {
+  const store = db.tryGetDb();
+  if (!store) return 0;
+
+  const rows = store.prepare(`
+    SELECT d.id, d.current_version, v.definition
+    FROM workflow_definitions d
+    JOIN workflow_definition_versions v ON v.workflow_id = d.id AND v.version = d.current_version
+    WHERE d.deleted_at IS NULL
+  `).all();
+
+  for (const row of rows) {
+    workflows.templates.set(row.id, {
+      ...JSON.parse(row.definition),
+      id: row.id,
+      version: row.current_version
+    });
+  }
+
+  return rows.length;
+}
+
+/**
+ * Write the current state of an execution
+ */
+function saveExecution(execution) {
+  const store = db.tryGetDb();
+  if (!store) return;
+
+  store.prepare(`
+    INSERT INTO workflow_executions
+      (id, template_id, template_version, template_name, inputs, status, current_step, step_results, errors, rollback, trigger_type, started_at, ended_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      status = excluded.status,
+      current_step = excluded.current_step,
+      step_results = excluded.step_results,
+      errors = excluded.errors,
+      rollback = excluded.rollback,
+      ended_at = excluded.ended_at
+  `).run(
+    execution.id,
+    execution.templateId,
+    execution.templateVersion || null,
+    execution.templateName,
+    JSON.stringify(execution.inputs || {}),
+    execution.status,
+    execution.currentStep,
+    JSON.stringify(execution.stepResults),
+    JSON.stringify(execution.errors),
+    execution.rollback ? JSON.stringify(execution.rollback) : null,
+    execution.trigger || 'manual',
+    execution.startTime,
+    execution.endTime || null
+  );
+}
+
+function rowToExecution(row) {
+  return {
+    id: row.id,
+    templateId: row.template_id,
+    templateVersion: row.template_version,
+    templateName: row.template_name,
+    inputs: JSON.parse(row.inputs || '{}'),
+    startTime: row.started_at,
+    endTime: row.ended_at,
+    status: row.status,
+    currentStep: row.current_step,
+    stepResults: JSON.parse(row.step_results || '{}'),
+    errors: JSON.parse(row.errors || '[]'),
+    rollback: row.rollback ? JSON.parse(row.rollback) : null,
+    trigger: row.trigger_type || 'manual'
+  };
+}
+
+/**
+ * Execute a workflow by template ID. options.trigger records what started
+ * the run (manual, event or scheduled). With options.simulate nothing is
+ * called, queued or recorded; the result carries the trace instead.
+ */
+export async function executeWorkflow(templateId, inputs = {}, options = {}) {
   const template = workflows.templates.get(templateId);
   if (!template) {
     throw new Error(`Workflow template not found: ${templateId}`);
   }
 
+  if (options.simulate) {
+    return {
+      templateId,
+      templateVersion: template.version,
+      templateName: template.name,
+      inputs,
+      status: 'simulated',
+      simulated: true,
+      trace: simulateSteps(template, inputs)
+    };
+  }
+
   const execution = {
-    id: `exec_${Date.now()}`,
+    id: `exec_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
     templateId,
+    templateVersion: template.version,
     templateName: template.name,
     inputs,
+    trigger: options.trigger || 'manual',
     startTime: new Date().toISOString(),
     status: 'running',
     currentStep: null,
@@ -298,6 +848,7 @@ export async function executeWorkflow(templateId, inputs = {}) {
   };
 
   workflows.active.push(execution);
+  saveExecution(execution);
 
   console.log(`[Workflow] Starting: ${template.name} (${execution.id})`);
 
@@ -307,9 +858,24 @@ export async function executeWorkflow(templateId, inputs = {}) {
     template: templateId
   });
 
+  return runExecution(template, execution, template.steps[0].id);
+}
+
+/**
+ * Run an execution's steps from startStepId until it completes or fails.
+ * Each step is a job, so failed calls are retried with backoff before the
+ * workflow falls through to onError.
+ */
+async function runExecution(template, execution, startStepId) {
+  const { inputs } = execution;
+
   try {
-    // Execute steps
-    let currentStepId = template.steps[0].id;
+    // Finish an undo that a restart cut short
+    if (execution.rollback?.status === 'running') {
+      await rollbackExecution(template, execution);
+    }
+
+    let currentStepId = startStepId;
 
     while (currentStepId && currentStepId !== 'complete') {
       const step = template.steps.find(s => s.id === currentStepId);
@@ -319,7 +885,7 @@ export async function executeWorkflow(templateId, inputs = {}) {
 
       // Check condition if specified
       if (step.condition) {
-        const conditionMet = evaluateCondition(step.condition, { ...inputs, ...execution.stepResults });
+        const conditionMet = evaluateCondition(step.condition, getStepContext(execution));
         if (!conditionMet) {
           console.log(`[Workflow] Skipping step ${step.id} (condition not met)`);
           currentStepId = step.onSuccess || getNextStepId(template.steps, step.id);
@@ -327,31 +893,52 @@ export async function executeWorkflow(templateId, inputs = {}) {
         }
       }
 
+      saveExecution(execution);
+
       try {
         // Execute step
-        const result = await executeStep(step, { ...inputs, ...execution.stepResults });
-        execution.stepResults[step.id] = { success: true, result };
+        const job = await jobQueue.runJob('workflow_step', {
+          step,
+          context: getStepContext(execution)
+        }, {
+          idempotencyKey: `${execution.id}:${step.id}`,
+          executionId: execution.id,
+          stepId: step.id,
+          maxAttempts: step.maxAttempts
+        });
+        execution.stepResults[step.id] = { success: true, result: job.result, attempts: job.attempts, jobId: job.id };
 
         console.log(`[Workflow] Step ${step.id} completed`);
 
-        // Move to next step
-        currentStepId = step.onSuccess || getNextStepId(template.steps, step.id);
-
       } catch (error) {
         console.error(`[Workflow] Step ${step.id} failed:`, error.message);
-        execution.stepResults[step.id] = { success: false, error: error.message };
+        execution.stepResults[step.id] = {
+          success: false,
+          error: error.message,
+          attempts: error.job?.attempts,
+          jobId: error.job?.id
+        };
         execution.errors.push({ step: step.id, error: error.message });
 
-        // Handle error
-        if (step.onError) {
-          currentStepId = step.onError;
-        } else {
-          break;
+        // Undo what already happened before handing over to onError
+        if (template.rollback !== false && step.rollbackOnFailure !== false) {
+          await rollbackExecution(template, execution, step.id);
         }
       }
+
+      // Move to next step (or to the error handler)
+      currentStepId = getStepOutcome(template, step, execution.stepResults[step.id]);
+      saveExecution(execution);
     }
 
-    execution.status = execution.errors.length > 0 ? 'completed_with_errors' : 'completed';
+    if (execution.rollback) {
+      // Nothing undone (no completed step had a compensation) is a plain failure
+      execution.status = execution.rollback.status === 'failed' ? 'rollback_failed'
+        : execution.rollback.compensated > 0 ? 'rolled_back'
+        : 'failed';
+    } else {
+      execution.status = execution.errors.length > 0 ? 'completed_with_errors' : 'completed';
+    }
 
   } catch (error) {
     execution.status = 'failed';
@@ -363,6 +950,7 @@ export async function executeWorkflow(templateId, inputs = {}) {
   // Move to history
   workflows.active = workflows.active.filter(e => e.id !== execution.id);
   workflows.history.push(execution);
+  saveExecution(execution);
 
   // Keep history limited
   if (workflows.history.length > 100) {
@@ -380,42 +968,204 @@ export async function executeWorkflow(templateId, inputs = {}) {
   return execution;
 }
 
+/**
+ * Template context for a step: inputs, earlier step results and the last error
+ */
+function getStepContext(execution) {
+  return {
+    ...execution.inputs,
+    ...execution.stepResults,
+    error: execution.errors[execution.errors.length - 1]?.error
+  };
+}
+
 /**
  * Execute a single workflow step
  */
 async function executeStep(step, context) {
-  // Resolve template variables in params
+  // Resolve template variables in params (and a templated platform, e.g. AI routing)
   const params = resolveParams(step.params, context);
+  const { platform } = resolveParams({ platform: step.platform }, context);
+
+  console.log(`[Workflow] Executing step: ${step.id} on ${platform}`);
 
-  console.log(`[Workflow] Executing step: ${step.id} on ${step.platform}`);
+  return executePlatformAction(platform, step.action, params);
+}
 
-  switch (step.platform) {
+async function executePlatformAction(platform, action, params) {
+  switch (platform) {
     case PLATFORMS.TASKADE:
-      return executeTaskadeAction(step.action, params);
+      return executeTaskadeAction(action, params);
 
     case PLATFORMS.NIFTY:
-      return executeNiftyAction(step.action, params);
+      return executeNiftyAction(action, params);
 
     case PLATFORMS.TASKMAGIC:
-      return executeTaskMagicAction(step.action, params);
+      return executeTaskMagicAction(action, params);
 
     case PLATFORMS.GHL:
-      return executeGHLAction(step.action, params);
+      return executeGHLAction(action, params);
 
     case PLATFORMS.INTERNAL:
-      return executeInternalAction(step.action, params);
+      return executeInternalAction(action, params);
 
-    default:
-      throw new Error(`Unknown platform: ${step.platform}`);
+    default: {
+      const error = new Error(`Unknown platform: ${platform}`);
+      error.retryable = false;
+      throw error;
+    }
   }
 }
 
+// Workflow steps and their undos are executed by the job queue
+jobQueue.registerJobHandler('workflow_step', ({ step, context }) => executeStep(step, context));
+jobQueue.registerJobHandler('workflow_compensation', ({ platform, action, params }) => {
+  console.log(`[Workflow] Compensating with ${platform}.${action}`);
+  return executePlatformAction(platform, action, params);
+});
+
+// ============================================
+// COMPENSATION (ROLLBACK)
+// ============================================
+
+// Taskade returns the created block(s) under `item`
+function getTaskadeTaskId(result) {
+  return result?.item?.[0]?.id || result?.id;
+}
+
+/**
+ * Default undo for each step type, built from the step's resolved params
+ * and its result. Read-only and notification actions have no undo.
+ */
+const COMPENSATIONS = {
+  [PLATFORMS.TASKADE]: {
+    create_task: (params, result) => ({
+      action: 'delete_task',
+      params: { projectId: result?.projectId, taskId: getTaskadeTaskId(result) }
+    }),
+    complete_task: (params) => ({
+      action: 'uncomplete_task',
+      params: { projectId: params.projectId, taskId: params.taskId }
+    })
+  },
+  [PLATFORMS.NIFTY]: {
+    create_task: (params, result) => ({
+      action: 'delete_task',
+      params: { taskId: result?.id }
+    }),
+    complete_task: (params) => ({
+      action: 'reopen_task',
+      params: { taskId: params.taskId }
+    }),
+    sync_tasks: (params, result) => ({
+      action: 'delete_tasks',
+      params: { taskIds: (result?.results || []).filter(r => r.success).map(r => r.taskId) }
+    })
+  },
+  [PLATFORMS.GHL]: {
+    add_tag: (params) => ({
+      action: 'remove_tag',
+      params: { contactId: params.contactId, tag: params.tag }
+    }),
+    create_contact: (params, result) => ({
+      action: 'delete_contact',
+      params: { contactId: result?.contact?.id || result?.id }
+    })
+  }
+};
+
+/**
+ * The undo for a completed step, or null. A step can set
+ * `compensate: false` to opt out, or `compensate: { platform, action, params }`
+ * to replace the default; its params may use {{result...}} for the step's result.
+ */
+function getCompensation(step, context, result) {
+  if (step.compensate === false) return null;
+
+  if (step.compensate) {
+    return {
+      platform: step.compensate.platform || step.platform,
+      action: step.compensate.action,
+      params: resolveParams(step.compensate.params, { ...context, result })
+    };
+  }
+
+  const build = COMPENSATIONS[step.platform]?.[step.action];
+  if (!build) return null;
+
+  return { platform: step.platform, ...build(resolveParams(step.params, context), result) };
+}
+
+/**
+ * Undo completed steps in reverse order. Each undo runs as a job (with
+ * retries); the outcome of every undo is recorded on the execution, and
+ * rollback.compensated counts the steps actually undone.
+ *
+ * Runs when a step fails, unless the workflow sets `rollback: false` or the
+ * failing step sets `rollbackOnFailure: false` (e.g. a notification).
+ */
+async function rollbackExecution(template, execution, failedStepId) {
+  if (!execution.rollback) {
+    execution.rollback = {
+      triggeredBy: failedStepId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      steps: []
+    };
+  } else {
+    // A later failure after an earlier rollback: undo what ran since
+    execution.rollback.status = 'running';
+  }
+  saveExecution(execution);
+
+  console.log(`[Workflow] Rolling back ${execution.id} after ${failedStepId || execution.rollback.triggeredBy} failed`);
+
+  const completed = Object.entries(execution.stepResults)
+    .filter(([, stepResult]) => stepResult.success && !stepResult.compensation)
+    .reverse();
+
+  for (const [stepId, stepResult] of completed) {
+    const step = template.steps.find(s => s.id === stepId);
+    const undo = step && getCompensation(step, getStepContext(execution), stepResult.result);
+    if (!undo) continue;
+
+    const record = { step: stepId, action: `${undo.platform}.${undo.action}` };
+    try {
+      const job = await jobQueue.runJob('workflow_compensation', undo, {
+        idempotencyKey: `${execution.id}:${stepId}:undo`,
+        executionId: execution.id,
+        stepId: `${stepId}:undo`
+      });
+      Object.assign(record, { success: true, attempts: job.attempts });
+    } catch (error) {
+      console.error(`[Workflow] Undo of ${stepId} failed:`, error.message);
+      Object.assign(record, { success: false, error: error.message, attempts: error.job?.attempts });
+    }
+
+    stepResult.compensation = record;
+    execution.rollback.steps.push(record);
+    saveExecution(execution);
+  }
+
+  execution.rollback.compensated = execution.rollback.steps.filter(s => s.success).length;
+  execution.rollback.status = execution.rollback.steps.every(s => s.success) ? 'completed' : 'failed';
+  execution.rollback.endedAt = new Date().toISOString();
+  saveExecution(execution);
+
+  return execution.rollback;
+}
+
 /**
  * Execute Taskade action
  */
 async function executeTaskadeAction(action, params) {
   switch (action) {
     case 'create_task':
+      if (params.projectId) {
+        const created = await taskade.createTask(params.projectId, params.title, { placement: 'beforeend' });
+        return { ...created, projectId: params.projectId };
+      }
+
       const projects = await taskade.getWorkspaces();
       const workspace = projects.items?.[0];
       if (!workspace) throw new Error('No Taskade workspace found');
@@ -428,7 +1178,9 @@ async function executeTaskadeAction(action, params) {
       const project = projectsList.items?.[0];
       if (!project) throw new Error('No Taskade project found');
 
-      return taskade.createTask(project.id, params.title, { placement: 'beforeend' });
+      // Keep the project id so the task can be deleted on rollback
+      const created = await taskade.createTask(project.id, params.title, { placement: 'beforeend' });
+      return { ...created, projectId: project.id };
 
     case 'complete_task':
       if (!params.projectId || !params.taskId) {
@@ -436,6 +1188,18 @@ async function executeTaskadeAction(action, params) {
       }
       return taskade.completeTask(params.projectId, params.taskId);
 
+    case 'uncomplete_task':
+      if (!params.projectId || !params.taskId) {
+        throw new Error('Missing projectId or taskId');
+      }
+      return taskade.uncompleteTask(params.projectId, params.taskId);
+
+    case 'delete_task':
+      if (!params.projectId || !params.taskId) {
+        throw new Error('Missing projectId or taskId');
+      }
+      return taskade.deleteTask(params.projectId, params.taskId);
+
     case 'get_tasks':
       // Get tasks from all projects
       const workspaces = await taskade.getWorkspaces();
@@ -483,6 +1247,29 @@ async function executeNiftyAction(action, params) {
       }
       return nifty.completeTask(params.taskId);
 
+    case 'reopen_task':
+      if (!params.taskId) {
+        throw new Error('Missing taskId');
+      }
+      return nifty.reopenTask(params.taskId);
+
+    case 'delete_task':
+      if (!params.taskId) {
+        throw new Error('Missing taskId');
+      }
+      return nifty.deleteTask(params.taskId);
+
+    case 'delete_tasks':
+      // Tasks already gone (404) count as deleted so a retried undo can finish
+      for (const taskId of params.taskIds || []) {
+        try {
+          await nifty.deleteTask(taskId);
+        } catch (e) {
+          if (!e.message.includes(' 404')) throw e;
+        }
+      }
+      return { deleted: (params.taskIds || []).length };
+
     case 'sync_tasks':
       // Sync provided tasks to Nifty
       const prjs = await nifty.getProjects();
@@ -503,6 +1290,47 @@ async function executeNiftyAction(action, params) {
       }
       return { synced: results.filter(r => r.success).length, results };
 
+    case 'get_milestones': {
+      // One project, or every project the token can see
+      let projectIds = [params.projectId];
+      if (!params.projectId) {
+        const list = await nifty.getProjects();
+        projectIds = (list.projects || list || []).map(p => p.id);
+      }
+
+      const days = Number(params.withinDays) || 7;
+      const now = Date.now();
+      const milestones = [];
+      for (const projectId of projectIds.slice(0, 20)) {
+        const list = await nifty.getMilestones(projectId);
+        for (const m of list.milestones || list || []) {
+          milestones.push({
+            id: m.id,
+            name: m.name,
+            projectId,
+            dueDate: m.end_date || m.due_date || null,
+            completedAt: m.completed_at || null
+          });
+        }
+      }
+
+      const upcoming = milestones.filter(m =>
+        !m.completedAt && m.dueDate && new Date(m.dueDate).getTime() <= now + days * 86400000
+      );
+      const completed = milestones.filter(m =>
+        m.completedAt && new Date(m.completedAt).getTime() >= now - days * 86400000
+      );
+
+      return {
+        milestones,
+        upcoming,
+        completed,
+        summary: `${upcoming.length} due within ${days} days` +
+          (upcoming.length ? ` (${upcoming.map(m => m.name).join(', ')})` : '') +
+          `, ${completed.length} completed`
+      };
+    }
+
     default:
       throw new Error(`Unknown Nifty action: ${action}`);
   }
@@ -535,9 +1363,21 @@ async function executeGHLAction(action, params) {
       }
       return ghl.addTag(params.contactId, params.tag);
 
+    case 'remove_tag':
+      if (!params.contactId || !params.tag) {
+        throw new Error('Missing contactId or tag');
+      }
+      return ghl.removeTag(params.contactId, params.tag);
+
     case 'create_contact':
       return ghl.createContact(params);
 
+    case 'delete_contact':
+      if (!params.contactId) {
+        throw new Error('Missing contactId');
+      }
+      return ghl.deleteContact(params.contactId);
+
     default:
       throw new Error(`Unknown GHL action: ${action}`);
   }
@@ -557,7 +1397,8 @@ async function executeInternalAction(action, params) {
   "priority": "high/medium/low",
   "reasoning": "why this platform"
 }`,
-        maxTokens: 500
+        maxTokens: 500,
+        feature: 'workflows'
       });
 
       try {
@@ -604,9 +1445,14 @@ function resolveParams(params, context) {
 }
 
 /**
- * Evaluate a condition
+ * Evaluate a condition: "{{variable}}" (truthy check) or a JSON condition
+ * as used by event-bus chains, e.g. { field: 'urgency', op: '>=', value: 8 }
  */
 function evaluateCondition(condition, context) {
+  if (condition && typeof condition === 'object') {
+    return evaluateExpression(condition, context);
+  }
+
   if (typeof condition === 'string') {
     // Check if it's a simple variable check
     const match = condition.match(/\{\{(\w+(?:\.\w+)*)\}\}/);
@@ -633,33 +1479,360 @@ function getNextStepId(steps, currentId) {
   return null;
 }
 
+const TEMPLATE_VARIABLE = /\{\{(\w+)(?:\.[\w.]+)?\}\}/g;
+
+// Top-level {{variables}} used anywhere in a value
+function collectVariables(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, name] of value.matchAll(TEMPLATE_VARIABLE)) found.add(name);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectVariables(v, found));
+  }
+  return found;
+}
+
 /**
- * Create a custom workflow
+ * Check a workflow definition before it is saved.
+ * Returns { errors, warnings }, each a list of { path, message }.
  */
-export function createWorkflow(config) {
-  const workflow = {
-    id: `custom_${Date.now()}`,
+export function validateWorkflow(config = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!config.name || typeof config.name !== 'string') {
+    errors.push({ path: 'name', message: 'Workflow name is required' });
+  }
+  const trigger = normalizeTrigger(config.trigger);
+  if (!WORKFLOW_TRIGGERS.includes(trigger)) {
+    errors.push({ path: 'trigger', message: `Unknown trigger "${trigger}". Use one of: ${WORKFLOW_TRIGGERS.join(', ')}` });
+  }
+  if (trigger === 'event' && !config.eventType) {
+    errors.push({ path: 'eventType', message: 'Event-triggered workflows need an eventType' });
+  }
+  if (trigger === 'scheduled') {
+    if (typeof config.schedule !== 'string' || !cron.validate(config.schedule)) {
+      errors.push({ path: 'schedule', message: 'Scheduled workflows need a valid cron expression, e.g. "0 8 * * 1"' });
+    }
+    if (config.timezone !== undefined && !isValidTimezone(config.timezone)) {
+      errors.push({ path: 'timezone', message: `Unknown timezone "${config.timezone}"` });
+    }
+  }
+  if (config.inputs !== undefined && (!Array.isArray(config.inputs) || config.inputs.some(i => typeof i !== 'string'))) {
+    errors.push({ path: 'inputs', message: 'Inputs must be a list of names' });
+  }
+  if (!Array.isArray(config.steps) || config.steps.length === 0) {
+    errors.push({ path: 'steps', message: 'Workflow needs at least one step' });
+    return { errors, warnings };
+  }
+
+  const stepIds = config.steps.map(step => step?.id);
+  const known = new Set([...(config.inputs || []), ...stepIds, 'error']);
+
+  config.steps.forEach((step, i) => {
+    const at = `steps[${i}]`;
+    if (!step || typeof step !== 'object') {
+      errors.push({ path: at, message: 'Step must be an object' });
+      return;
+    }
+
+    if (!step.id || typeof step.id !== 'string') {
+      errors.push({ path: `${at}.id`, message: 'Step id is required' });
+    } else if (step.id === 'complete') {
+      errors.push({ path: `${at}.id`, message: '"complete" is reserved for ending the workflow' });
+    } else if (stepIds.indexOf(step.id) !== i) {
+      errors.push({ path: `${at}.id`, message: `Duplicate step id "${step.id}"` });
+    }
+
+    const templatedPlatform = typeof step.platform === 'string' && step.platform.includes('{{');
+    const actions = WORKFLOW_ACTIONS[step.platform];
+    if (!actions && !templatedPlatform) {
+      errors.push({ path: `${at}.platform`, message: `Unknown platform "${step.platform}"` });
+    } else if (actions && !actions[step.action]) {
+      errors.push({ path: `${at}.action`, message: `Unknown ${step.platform} action "${step.action}"` });
+    }
+
+    if (step.params !== undefined && (typeof step.params !== 'object' || Array.isArray(step.params))) {
+      errors.push({ path: `${at}.params`, message: 'Params must be an object' });
+    }
+
+    for (const branch of ['onSuccess', 'onError']) {
+      const target = step[branch];
+      if (target !== undefined && target !== null && target !== 'complete' && !stepIds.includes(target)) {
+        errors.push({ path: `${at}.${branch}`, message: `${branch} points to unknown step "${target}"` });
+      }
+    }
+
+    if (step.condition !== undefined) {
+      if (typeof step.condition === 'string') {
+        if (!/\{\{\w+(\.\w+)*\}\}/.test(step.condition)) {
+          errors.push({ path: `${at}.condition`, message: 'Condition must be "{{variable}}" or a JSON condition' });
+        }
+      } else {
+        validateExpression(step.condition, `${at}.condition`, 0, errors);
+      }
+    }
+
+    if (step.maxAttempts !== undefined && !(Number.isInteger(step.maxAttempts) && step.maxAttempts > 0)) {
+      errors.push({ path: `${at}.maxAttempts`, message: 'maxAttempts must be a positive integer' });
+    }
+    if (step.compensate !== undefined && step.compensate !== false && !step.compensate?.action) {
+      errors.push({ path: `${at}.compensate`, message: 'compensate must be false or { action, params }' });
+    }
+
+    for (const name of collectVariables([step.params, step.condition, step.platform])) {
+      if (!known.has(name)) {
+        warnings.push({ path: `${at}.params`, message: `{{${name}}} is not an input or step id` });
+      }
+    }
+  });
+
+  // Steps no path from the first step can reach
+  const reachable = new Set();
+  const pending = [stepIds[0]];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    const index = stepIds.indexOf(id);
+    if (index === -1 || reachable.has(id)) continue;
+    reachable.add(id);
+
+    const step = config.steps[index];
+    pending.push(step.onSuccess || stepIds[index + 1]);
+    if (step.onError) pending.push(step.onError);
+    if (step.condition) pending.push(stepIds[index + 1]);
+  }
+  stepIds.forEach((id, i) => {
+    if (id && !reachable.has(id)) {
+      warnings.push({ path: `steps[${i}]`, message: `Step "${id}" is never reached` });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+function buildWorkflow(id, config, createdAt) {
+  const { errors } = validateWorkflow(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid workflow: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  const trigger = normalizeTrigger(config.trigger);
+
+  return {
+    id,
     name: config.name,
     description: config.description,
-    trigger: config.trigger || 'manual',
+    trigger,
     eventType: config.eventType,
+    ...(trigger === 'scheduled' && { schedule: config.schedule, timezone: config.timezone }),
     inputs: config.inputs || [],
-    steps: config.steps || [],
-    createdAt: new Date().toISOString()
+    steps: config.steps,
+    ...(config.rollback === false && { rollback: false }),
+    createdAt: createdAt || new Date().toISOString()
   };
+}
 
-  workflows.templates.set(workflow.id, workflow);
+/**
+ * Follow a workflow's success path without calling any platform: evaluates
+ * conditions, resolves {{params}} and records the call each step would make.
+ * Step results are empty, so {{step.result...}} references stay unresolved.
+ */
+function simulateSteps(template, inputs) {
+  const context = { ...inputs };
+  const trace = [];
+  let currentStepId = template.steps[0]?.id;
+
+  // Guard against onSuccess loops
+  while (currentStepId && currentStepId !== 'complete' && trace.length < template.steps.length * 2) {
+    const step = template.steps.find(s => s.id === currentStepId);
+    if (!step) break;
+
+    if (step.condition && !evaluateCondition(step.condition, context)) {
+      trace.push({ stepId: step.id, platform: step.platform, action: step.action, skipped: true, reason: 'Condition not met' });
+      currentStepId = step.onSuccess || getNextStepId(template.steps, step.id);
+      continue;
+    }
 
-  // Register event listener if event-triggered
-  if (workflow.trigger === 'event' && workflow.eventType) {
-    eventBus.on(workflow.eventType, async (event) => {
-      await executeWorkflow(workflow.id, event.data);
+    const params = resolveParams(step.params, context);
+    const { platform } = resolveParams({ platform: step.platform }, context);
+    const unresolved = [...collectVariables(params)];
+    const compensation = getCompensation(step, context, {});
+
+    trace.push({
+      stepId: step.id,
+      platform,
+      action: step.action,
+      params,
+      ...(unresolved.length > 0 && { unresolved }),
+      onError: step.onError || null,
+      compensation: compensation ? `${compensation.platform}.${compensation.action}` : null
     });
+
+    context[step.id] = { success: true, result: {} };
+    currentStepId = getStepOutcome(template, step, context[step.id]);
+  }
+
+  return trace;
+}
+
+/**
+ * Check a workflow definition and trace it with sample inputs
+ */
+export function dryRunWorkflow(config, inputs = {}) {
+  const { errors, warnings } = validateWorkflow(config);
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, trace: [] };
+  }
+
+  return { valid: true, errors, warnings, trace: simulateSteps(config, inputs) };
+}
+
+/**
+ * Platforms, actions and which actions are undone on rollback
+ */
+export function getWorkflowActions() {
+  const catalog = {};
+  for (const [platform, actions] of Object.entries(WORKFLOW_ACTIONS)) {
+    catalog[platform] = Object.entries(actions).map(([action, info]) => ({
+      action,
+      ...info,
+      compensated: !!COMPENSATIONS[platform]?.[action]
+    }));
+  }
+  return { platforms: catalog, triggers: WORKFLOW_TRIGGERS, events: Object.values(EVENTS) };
+}
+
+function saveWorkflowVersion(store, workflow, createdBy) {
+  const row = store.prepare('SELECT MAX(version) as version FROM workflow_definition_versions WHERE workflow_id = ?').get(workflow.id);
+  const version = (row?.version || 0) + 1;
+
+  store.prepare(`
+    INSERT INTO workflow_definitions (id, name, description, trigger_type, event_type, current_version)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      description = excluded.description,
+      trigger_type = excluded.trigger_type,
+      event_type = excluded.event_type,
+      current_version = excluded.current_version,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(workflow.id, workflow.name, workflow.description || null, workflow.trigger, workflow.eventType || null, version);
+
+  store.prepare(`
+    INSERT INTO workflow_definition_versions (workflow_id, version, definition, created_by)
+    VALUES (?, ?, ?, ?)
+  `).run(workflow.id, version, JSON.stringify(workflow), createdBy || null);
+
+  return version;
+}
+
+/**
+ * Create a custom workflow
+ */
+export function createWorkflow(config, options = {}) {
+  const workflow = buildWorkflow(`custom_${Date.now()}`, config);
+
+  const store = db.tryGetDb();
+  workflow.version = store
+    ? store.transaction(() => saveWorkflowVersion(store, workflow, options.createdBy))()
+    : 1;
+
+  workflows.templates.set(workflow.id, workflow);
+
+  // Register event listener / cron job if triggered
+  registerWorkflowListener(workflow.id);
+  registerWorkflowSchedule(workflow.id);
+
+  return workflow;
+}
+
+/**
+ * Replace a custom workflow's definition, keeping the old one as a version
+ */
+export function updateWorkflow(workflowId, config, options = {}) {
+  const current = workflows.templates.get(workflowId);
+  if (!current) {
+    throw new Error(`Workflow template not found: ${workflowId}`);
+  }
+  if (current.builtin) {
+    throw new Error('Built-in templates cannot be edited; create a custom workflow instead');
   }
 
+  const { version, ...currentDefinition } = current;
+  const workflow = buildWorkflow(workflowId, { ...currentDefinition, ...config }, current.createdAt);
+
+  const store = db.tryGetDb();
+  workflow.version = store
+    ? store.transaction(() => saveWorkflowVersion(store, workflow, options.createdBy))()
+    : version + 1;
+
+  workflows.templates.set(workflowId, workflow);
+  registerWorkflowListener(workflowId);
+  registerWorkflowSchedule(workflowId);
+
   return workflow;
 }
 
+/**
+ * Get a single workflow definition
+ */
+export function getWorkflow(workflowId) {
+  return workflows.templates.get(workflowId) || null;
+}
+
+/**
+ * Stored versions of a custom workflow, newest first
+ */
+export function getWorkflowVersions(workflowId) {
+  const store = db.tryGetDb();
+  if (!store) return [];
+
+  return store.prepare(`
+    SELECT version, definition, created_by, created_at
+    FROM workflow_definition_versions WHERE workflow_id = ? ORDER BY version DESC
+  `).all(workflowId).map(row => ({
+    version: row.version,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    definition: JSON.parse(row.definition)
+  }));
+}
+
+/**
+ * Make an earlier version current again (recorded as a new version)
+ */
+export function restoreWorkflowVersion(workflowId, version, options = {}) {
+  const stored = getWorkflowVersions(workflowId).find(v => v.version === Number(version));
+  if (!stored) {
+    throw new Error(`Version ${version} not found for workflow ${workflowId}`);
+  }
+  return updateWorkflow(workflowId, stored.definition, options);
+}
+
+/**
+ * Delete a custom workflow. Versions and run history are kept.
+ */
+export function deleteWorkflow(workflowId) {
+  const current = workflows.templates.get(workflowId);
+  if (!current) return false;
+  if (current.builtin) {
+    throw new Error('Built-in templates cannot be deleted');
+  }
+
+  workflows.listeners.get(workflowId)?.();
+  workflows.listeners.delete(workflowId);
+  workflows.scheduled.get(workflowId)?.task.stop();
+  workflows.scheduled.delete(workflowId);
+  workflows.templates.delete(workflowId);
+
+  db.tryGetDb()?.prepare(`
+    UPDATE workflow_definitions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(workflowId);
+
+  return true;
+}
+
 /**
  * Get all workflow templates
  */
@@ -669,23 +1842,70 @@ export function getWorkflowTemplates() {
     name: t.name,
     description: t.description,
     trigger: t.trigger,
+    builtin: !!t.builtin,
+    version: t.version,
+    ...(t.schedule && { schedule: t.schedule }),
     stepCount: t.steps.length,
     inputs: t.inputs
   }));
 }
 
 /**
- * Get workflow execution history
+ * Attempt details for each step job of an execution
  */
-export function getWorkflowHistory(limit = 20) {
-  return workflows.history.slice(-limit);
+function withAttempts(execution) {
+  const jobs = jobQueue.getJobs({ executionId: execution.id, limit: 100 }).reverse();
+  return {
+    ...execution,
+    attempts: jobs.map(job => ({
+      jobId: job.id,
+      stepId: job.stepId,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: job.nextRunAt,
+      lastError: job.lastError,
+      log: job.attemptLog
+    }))
+  };
+}
+
+/**
+ * Get workflow execution history, optionally for one workflow or trigger
+ */
+export function getWorkflowHistory(limit = 20, filters = {}) {
+  const { templateId, trigger } = filters;
+  const store = db.tryGetDb();
+  if (!store) {
+    return workflows.history
+      .filter(e => (!templateId || e.templateId === templateId) && (!trigger || e.trigger === trigger))
+      .slice(-limit);
+  }
+
+  const conditions = [`status != 'running'`];
+  const params = [];
+  if (templateId) {
+    conditions.push('template_id = ?');
+    params.push(templateId);
+  }
+  if (trigger) {
+    conditions.push('trigger_type = ?');
+    params.push(trigger);
+  }
+
+  // Oldest first, matching the in-memory order
+  return store.prepare(`
+    SELECT * FROM workflow_executions
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY started_at DESC LIMIT ?
+  `).all(...params, limit).map(rowToExecution).reverse().map(withAttempts);
 }
 
 /**
  * Get active workflow executions
  */
 export function getActiveWorkflows() {
-  return workflows.active;
+  return workflows.active.map(withAttempts);
 }
 
 /**
@@ -702,28 +1922,31 @@ Respond with a workflow configuration in JSON:
 {
   "name": "Workflow name",
   "description": "What it does",
-  "trigger": "manual" or "event",
+  "trigger": "manual", "event" or "scheduled",
+  "schedule": "cron expression, only for scheduled workflows (e.g. 0 8 * * 1)",
+  "inputs": ["input_name"],
   "steps": [
     {
       "id": "step_1",
-      "platform": "taskade|nifty|taskmagic|ghl",
+      "platform": "taskade|nifty|taskmagic|ghl|internal",
       "action": "action_name",
-      "params": { "key": "value" },
-      "onSuccess": "next_step_id"
+      "params": { "key": "value or {{input_name}}" },
+      "onSuccess": "next_step_id",
+      "onError": "step_id_to_run_on_failure"
     }
   ]
 }
 
+Use {{input_name}} for values supplied when the workflow runs and {{step_id.result.field}} for earlier results.
+
 Available actions:
-- taskade: create_task, complete_task, get_tasks
-- nifty: create_task, complete_task, sync_tasks
-- taskmagic: trigger_automation, send_notification
-- ghl: add_tag, create_contact`;
+${Object.entries(WORKFLOW_ACTIONS).map(([platform, actions]) => `- ${platform}: ${Object.keys(actions).join(', ')}`).join('\n')}`;
 
   try {
     const response = await ai.chat([{ role: 'user', content: prompt }], {
       systemPrompt: 'You are a workflow automation expert. Create practical, working workflows.',
-      maxTokens: 1000
+      maxTokens: 1000,
+      feature: 'workflows'
     });
 
     const jsonMatch = response.text.match(/\{[\s\S]*\}/);
@@ -753,14 +1976,27 @@ export async function completeTaskEverywhere(taskIds) {
 }
 
 export default {
+  initWorkflowTables,
   initWorkflowOrchestrator,
   executeWorkflow,
   createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  getWorkflow,
+  getWorkflowVersions,
+  restoreWorkflowVersion,
   getWorkflowTemplates,
   getWorkflowHistory,
   getActiveWorkflows,
+  getWorkflowSchedules,
+  setSchedulePaused,
+  getNextRunTime,
+  getWorkflowActions,
+  validateWorkflow,
+  dryRunWorkflow,
   suggestWorkflow,
   createTaskEverywhere,
   completeTaskEverywhere,
-  WORKFLOW_TEMPLATES
+  WORKFLOW_TEMPLATES,
+  WORKFLOW_ACTIONS
 };
@@ -0,0 +1,374 @@
+/**
+ * Inbound Webhook Verification for LIV8 Command Center
+ *
+ * Every public webhook endpoint runs through verifyWebhook(source) before
+ * its handler:
+ * - Authenticity: the platform's HMAC signature or a shared secret
+ * - Freshness: deliveries with a timestamp outside the tolerance are stale
+ * - Replay: each delivery id is accepted once (for 24 hours). A delivery
+ *   without an id but with a timestamp is identified by its body, only
+ *   within the freshness tolerance; one with neither isn't deduplicated
+ * - A handler that fails (5xx) releases its delivery so the sender's retry
+ *   goes through
+ *
+ * Rejected attempts are stored so admins can see who is probing the URLs.
+ * A source without a configured secret rejects everything unless
+ * WEBHOOK_ALLOW_UNSIGNED=true (local development only).
+ */
+
+import crypto from 'crypto';
+import * as db from './database.js';
+
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+const DELIVERY_RETENTION_HOURS = 24;
+const MAX_REJECTIONS = 1000;
+
+// Body fields that carry a shared secret; removed before handlers see the payload
+const SECRET_FIELDS = ['secret', 'passphrase', 'webhook_secret'];
+
+// ============================================
+// SOURCES
+// ============================================
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Seconds or milliseconds since the epoch, or an ISO string
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  const ms = Number.isFinite(number)
+    ? (number < 1e12 ? number * 1000 : number)
+    : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Shared secret sent in the body, a header or the query string
+function getSharedSecret(req) {
+  const fromBody = SECRET_FIELDS.map(field => req.body?.[field]).find(Boolean);
+  return fromBody || req.headers['x-webhook-secret'] || req.query.token || null;
+}
+
+/**
+ * TradingView-style alerts: the sender can only template the body, so the
+ * secret travels in it (or in ?token=) and {{timenow}} supplies the time.
+ */
+function alertSource(secretEnv) {
+  return {
+    secretEnv,
+    verify: (req, secret) => safeEqual(String(getSharedSecret(req) || ''), secret),
+    deliveryId: (req) => req.body?.id || req.body?.alert_id || null,
+    timestamp: (req) => req.body?.timenow || req.body?.timestamp || req.body?.time || null
+  };
+}
+
+const WEBHOOK_SOURCES = {
+  // ClickUp signs the raw body with the secret returned when the webhook was created
+  clickup: {
+    secretEnv: 'CLICKUP_WEBHOOK_SECRET',
+    secretSetting: 'clickup_webhook_secret',
+    verify: (req, secret) => safeEqual(String(req.headers['x-signature'] || ''), hmac(secret, req.rawBody || '')),
+    deliveryId: (req) => req.body?.history_items?.[0]?.id || null,
+    timestamp: (req) => req.body?.history_items?.[0]?.date || null
+  },
+
+  'trade-signals': alertSource('TRADE_SIGNAL_WEBHOOK_SECRET'),
+  'hs-trading': alertSource('HS_TRADING_WEBHOOK_SECRET'),
+
+  // Event bus webhooks (taskade, nifty, taskmagic): HMAC of "<timestamp>.<body>"
+  // in X-Webhook-Signature, or a static X-Webhook-Secret for senders that
+  // can only add fixed headers
+  events: {
+    secretEnv: (platform) => [`EVENT_WEBHOOK_SECRET_${platform.toUpperCase()}`, 'EVENT_WEBHOOK_SECRET'],
+    verify: (req, secret) => {
+      const signature = String(req.headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+      if (signature) {
+        const timestamp = req.headers['x-webhook-timestamp'];
+        return !!timestamp && safeEqual(signature, hmac(secret, `${timestamp}.${req.rawBody || ''}`));
+      }
+      return safeEqual(String(req.headers['x-webhook-secret'] || ''), secret);
+    },
+    deliveryId: (req) => req.headers['x-webhook-id'] || null,
+    timestamp: (req) => req.headers['x-webhook-timestamp'] || null,
+    requireTimestamp: (req) => !!req.headers['x-webhook-signature']
+  }
+};
+
+function getSecret(config, req) {
+  const names = typeof config.secretEnv === 'function'
+    ? config.secretEnv(req.params.platform || '')
+    : [config.secretEnv];
+
+  for (const name of names) {
+    if (process.env[name]) return process.env[name];
+  }
+  if (config.secretSetting) {
+    try {
+      return db.getSetting(config.secretSetting) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Create the delivery and rejection tables
+ */
+export function initWebhookTables() {
+  const dbInstance = db.getDb();
+
+  dbInstance.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      source TEXT NOT NULL,
+      delivery_id TEXT NOT NULL,
+      received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (source, delivery_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      path TEXT,
+      reason TEXT NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      delivery_id TEXT,
+      body_excerpt TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created ON webhook_rejections(created_at);
+  `);
+
+  // Body-hash deliveries are only remembered for the freshness tolerance
+  const deliveryColumns = dbInstance.prepare('PRAGMA table_info(webhook_deliveries)').all().map(c => c.name);
+  if (!deliveryColumns.includes('expires_at')) {
+    dbInstance.exec('ALTER TABLE webhook_deliveries ADD COLUMN expires_at TEXT');
+  }
+
+  console.log('[Webhooks] Tables initialized');
+}
+
+// Recent deliveries when running without a database
+const recentDeliveries = new Map();
+
+function toSqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Record a delivery id for ttlSeconds. Returns false when it was already seen.
+ */
+function claimDelivery(source, deliveryId, ttlSeconds) {
+  const store = db.tryGetDb();
+  const now = Date.now();
+
+  if (!store) {
+    for (const [key, expiresAt] of recentDeliveries) {
+      if (expiresAt < now) recentDeliveries.delete(key);
+    }
+    const key = `${source}:${deliveryId}`;
+    if (recentDeliveries.has(key)) return false;
+    recentDeliveries.set(key, now + ttlSeconds * 1000);
+    return true;
+  }
+
+  store.prepare('DELETE FROM webhook_deliveries WHERE COALESCE(expires_at, received_at) < ?')
+    .run(toSqlTime(now - (DELIVERY_RETENTION_HOURS * 60 * 60 * 1000)));
+  store.prepare('DELETE FROM webhook_deliveries WHERE expires_at < ?').run(toSqlTime(now));
+
+  const result = store.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries (source, delivery_id, expires_at) VALUES (?, ?, ?)
+  `).run(source, String(deliveryId), toSqlTime(now + ttlSeconds * 1000));
+  return result.changes > 0;
+}
+
+/**
+ * Forget a delivery whose handler failed, so a retry is accepted
+ */
+function releaseDelivery(source, deliveryId) {
+  const store = db.tryGetDb();
+  if (!store) {
+    recentDeliveries.delete(`${source}:${deliveryId}`);
+    return;
+  }
+  store.prepare('DELETE FROM webhook_deliveries WHERE source = ? AND delivery_id = ?').run(source, String(deliveryId));
+}
+
+function logRejection(source, req, reason, deliveryId) {
+  console.warn(`[Webhooks] Rejected ${source} webhook from ${req.ip}: ${reason}`);
+
+  const store = db.tryGetDb();
+  if (!store) return;
+
+  const body = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+  store.prepare(`
+    INSERT INTO webhook_rejections (source, path, reason, ip, user_agent, delivery_id, body_excerpt)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    source,
+    req.originalUrl.split('?')[0],
+    reason,
+    req.ip,
+    req.headers['user-agent'] || null,
+    deliveryId ? String(deliveryId) : null,
+    redactSecrets(body).slice(0, 500)
+  );
+
+  store.prepare(`
+    DELETE FROM webhook_rejections WHERE id <= (SELECT MAX(id) - ? FROM webhook_rejections)
+  `).run(MAX_REJECTIONS);
+}
+
+// Keep shared secrets out of the rejection log
+function redactSecrets(body) {
+  return body.replace(
+    new RegExp(`("(?:${SECRET_FIELDS.join('|')})"\\s*:\\s*)"[^"]*"`, 'g'),
+    '$1"[redacted]"'
+  );
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * express.json verify hook: keep the raw bytes of webhook bodies for HMACs
+ */
+export function captureRawBody(req, res, buffer) {
+  if (req.originalUrl.includes('/webhook')) {
+    req.rawBody = buffer;
+  }
+}
+
+/**
+ * Express middleware factory: verify a webhook from the given source
+ */
+export function verifyWebhook(source) {
+  const config = WEBHOOK_SOURCES[source];
+  if (!config) {
+    throw new Error(`Unknown webhook source: ${source}`);
+  }
+
+  return (req, res, next) => {
+    const label = req.params.platform ? `${source}:${req.params.platform}` : source;
+    const reject = (status, reason, deliveryId) => {
+      logRejection(label, req, reason, deliveryId);
+      res.status(status).json({ error: reason });
+    };
+
+    const secret = getSecret(config, req);
+    if (!secret) {
+      if (process.env.WEBHOOK_ALLOW_UNSIGNED === 'true') return next();
+      return reject(503, 'Webhook secret not configured');
+    }
+
+    if (!config.verify(req, secret)) {
+      return reject(401, 'Invalid webhook signature');
+    }
+
+    const timestamp = parseTimestamp(config.timestamp(req));
+    if (timestamp === null && config.requireTimestamp?.(req)) {
+      return reject(401, 'Missing webhook timestamp');
+    }
+    if (timestamp !== null && Math.abs(Date.now() - timestamp) > TOLERANCE_SECONDS * 1000) {
+      return reject(401, 'Stale webhook timestamp');
+    }
+
+    // Without a delivery id, a timestamped body identifies the delivery while
+    // it is fresh. Alert senders often post the same untimed body for every
+    // signal, so those are never treated as duplicates.
+    let deliveryId = config.deliveryId(req);
+    let ttlSeconds = DELIVERY_RETENTION_HOURS * 60 * 60;
+    if (!deliveryId && timestamp !== null) {
+      deliveryId = sha256(req.rawBody || JSON.stringify(req.body || {}));
+      ttlSeconds = TOLERANCE_SECONDS;
+    }
+    if (deliveryId) {
+      if (!claimDelivery(label, deliveryId, ttlSeconds)) {
+        return reject(409, 'Duplicate webhook delivery', deliveryId);
+      }
+      res.on('finish', () => {
+        if (res.statusCode >= 500) releaseDelivery(label, deliveryId);
+      });
+    }
+
+    for (const field of SECRET_FIELDS) {
+      if (req.body && typeof req.body === 'object') delete req.body[field];
+    }
+
+    req.webhook = { source: label, deliveryId, timestamp };
+    next();
+  };
+}
+
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * Recent rejected webhook attempts, newest first
+ */
+export function getRejections(options = {}) {
+  const store = db.tryGetDb();
+  if (!store) return [];
+
+  const { source, limit = 100 } = options;
+  const rows = source
+    ? store.prepare('SELECT * FROM webhook_rejections WHERE source LIKE ? ORDER BY id DESC LIMIT ?').all(`${source}%`, limit)
+    : store.prepare('SELECT * FROM webhook_rejections ORDER BY id DESC LIMIT ?').all(limit);
+
+  return rows.map(row => ({
+    id: row.id,
+    source: row.source,
+    path: row.path,
+    reason: row.reason,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    deliveryId: row.delivery_id,
+    bodyExcerpt: row.body_excerpt,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Which sources have a secret configured (never the secrets themselves)
+ */
+export function getWebhookStatus() {
+  return {
+    allowUnsigned: process.env.WEBHOOK_ALLOW_UNSIGNED === 'true',
+    toleranceSeconds: TOLERANCE_SECONDS,
+    sources: Object.entries(WEBHOOK_SOURCES).map(([source, config]) => {
+      const platforms = source === 'events' ? ['taskade', 'nifty', 'taskmagic'] : [null];
+      return platforms.map(platform => ({
+        source: platform ? `${source}:${platform}` : source,
+        configured: !!getSecret(config, { params: { platform: platform || '' } })
+      }));
+    }).flat()
+  };
+}
+
+export default {
+  initWebhookTables,
+  captureRawBody,
+  verifyWebhook,
+  getRejections,
+  getWebhookStatus
+};
@@ -0,0 +1,156 @@
+/**
+ * Auth & User Management Routes
+ * Login/logout against server-side sessions and admin user management
+ */
+
+import * as auth from '../lib/auth.js';
+
+export function registerAuthRoutes(app) {
+  // ============================================
+  // SESSION ENDPOINTS
+  // ============================================
+
+  // Log in and receive a bearer token
+  app.post('/api/auth/login', (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const session = auth.login(username, password, {
+        userAgent: req.headers['user-agent'],
+        ip: req.ip
+      });
+
+      if (!session) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      res.json({ success: true, ...session });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // End the current session
+  app.post('/api/auth/logout', (req, res) => {
+    try {
+      auth.logout(auth.getRequestToken(req));
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Current user for the session
+  app.get('/api/auth/me', (req, res) => {
+    const { tokenHash, ...user } = req.user;
+    res.json({ user });
+  });
+
+  // Change own password
+  app.post('/api/auth/password', (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      if (!auth.checkPassword(req.user.id, currentPassword || '')) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+      auth.setPassword(req.user.id, newPassword, req.user.tokenHash);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Role definitions and admin-only actions
+  app.get('/api/auth/roles', (req, res) => {
+    res.json(auth.getRolePolicy());
+  });
+
+  // ============================================
+  // USER MANAGEMENT (ADMIN)
+  // ============================================
+
+  app.get('/api/users', auth.requireAdmin, (req, res) => {
+    try {
+      res.json({ users: auth.getUsers() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/users', auth.requireAdmin, (req, res) => {
+    try {
+      const user = auth.createUser(req.body || {});
+      res.json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Admins can edit anyone; users can edit their own profile but not their role
+  app.put('/api/users/:id', (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const isSelf = req.user.id === id;
+      if (req.user.role !== 'admin' && !isSelf) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+
+      const updates = { ...req.body };
+      if (isSelf || req.user.role !== 'admin') {
+        delete updates.role;
+        delete updates.permissions;
+      }
+
+      const user = auth.updateUser(id, updates);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      res.json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Assign a role
+  app.put('/api/users/:id/role', auth.requireAdmin, (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const { role } = req.body || {};
+      if (id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot change your own role' });
+      }
+      if (!auth.ROLES[role]) {
+        return res.status(400).json({ error: `Unknown role: ${role}` });
+      }
+
+      const user = auth.updateUser(id, { role });
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      res.json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/users/:id', auth.requireAdmin, (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (id === req.user.id) {
+        return res.status(400).json({ error: 'Cannot delete your own account' });
+      }
+      const deleted = auth.deleteUser(id);
+      if (!deleted) return res.status(404).json({ error: 'User not found' });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Reset another user's password
+  app.post('/api/users/:id/password', auth.requireAdmin, (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (!auth.getUserById(id)) return res.status(404).json({ error: 'User not found' });
+      auth.setPassword(id, req.body?.password);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
@@ -9,6 +9,7 @@ import * as hs from '../lib/highest-self-db.js';
 import * as oura from '../lib/oura-adapter.js';
 import * as hybridJournal from '../lib/hybrid-journal-adapter.js';
 import * as githubPortfolio from '../lib/github-portfolio.js';
+import { verifyWebhook } from '../lib/webhook-security.js';
 
 const today = () => new Date().toISOString().slice(0, 10);
 
@@ -77,7 +78,7 @@ export function registerHighestSelfRoutes(app) {
   // ---------- TRADING (alert adherence) ----------
   // Webhook: RECORD an incoming alert (Hybrid AI / Auto Hybrid AI / TradingView).
   // Accepts a flexible payload and normalizes it. NEVER places an order.
-  app.post('/api/hs/trading/webhook', (req, res) => {
+  app.post('/api/hs/trading/webhook', verifyWebhook('hs-trading'), (req, res) => {
     try {
       const b = req.body || {};
       const alert = hs.addAlert({
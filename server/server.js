@@ -21,6 +21,10 @@ import * as db from './lib/database.js';
 import * as ai from './lib/ai-provider.js';
 import * as scheduler from './lib/scheduler.js';
 import * as rag from './lib/langchain-rag.js';
+import * as embeddings from './lib/embeddings.js';
+import * as retrieval from './lib/retrieval.js';
+import * as aiUsage from './lib/ai-usage.js';
+import * as aiSchemas from './lib/ai-schemas.js';
 import * as knowledgeBuilder from './lib/knowledge-builder.js';
 import * as calendarService from './lib/calendar-service.js';
 import * as newsService from './lib/news-service.js';
@@ -38,6 +42,8 @@ import * as orchestrator from './lib/agent-orchestrator.js';
 import { registerNiftyRoutes } from './routes/nifty-routes.js';
 import { registerScraperRoutes } from './routes/scraper-routes.js';
 import { registerHighestSelfRoutes } from './routes/highest-self-routes.js';
+import { registerAuthRoutes } from './routes/auth-routes.js';
+import * as auth from './lib/auth.js';
 import * as highestSelf from './lib/highest-self-db.js';
 import * as scrapers from './lib/scrapers.js';
 import { taskmagicMCP } from './lib/taskmagic-mcp.js';
@@ -50,6 +56,17 @@ import * as unifiedInbox from './lib/unified-inbox.js';
 import * as proactiveEngine from './lib/proactive-ai-engine.js';
 import * as eventBus from './lib/cross-platform-event-bus.js';
 import * as workflowOrchestrator from './lib/unified-workflow-orchestrator.js';
+import * as commanderTools from './lib/commander-tools.js';
+import * as jobQueue from './lib/job-queue.js';
+import * as webhookSecurity from './lib/webhook-security.js';
+import * as evals from './lib/eval-harness.js';
+import * as draftSender from './lib/draft-sender.js';
+import * as draftRevisions from './lib/draft-revisions.js';
+import * as slaEngine from './lib/sla-engine.js';
+import * as freshdesk from './lib/freshdesk-client.js';
+import * as freshdeskSync from './lib/freshdesk-sync.js';
+import * as qaRubrics from './lib/qa-rubrics.js';
+import * as qaEvaluator from './lib/qa-evaluator.js';
 import { MsEdgeTTS, OUTPUT_FORMAT } from 'msedge-tts';
 import * as ttsService from './lib/tts-service.js';
 
@@ -74,7 +91,9 @@ const upload = multer({
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: webhookSecurity.captureRawBody }));
+app.use(auth.requireAuth);
+app.use(auth.enforceRolePolicy);
 
 // ============================================
 // INITIALIZATION
@@ -85,6 +104,7 @@ console.log('\nInitializing LIV8 Command Center v2.0...\n');
 
 try {
   db.initDatabase();
+  auth.initAuthTables();
   memory.initConversationTables();
   agentKnowledge.initAgentKnowledge();
   taskSync.initSyncTables();
@@ -92,6 +112,17 @@ try {
   unifiedInbox.initUnifiedInboxTables();
   telegram.initTelegram();
   highestSelf.initHighestSelfTables();
+  eventBus.initEventBusTables();
+  workflowOrchestrator.initWorkflowTables();
+  jobQueue.initJobTables();
+  webhookSecurity.initWebhookTables();
+  retrieval.initRetrievalTables();
+  aiUsage.initUsageTables();
+  evals.initEvalTables();
+  draftRevisions.initDraftRevisionTables();
+  slaEngine.initSlaTables();
+  freshdeskSync.initFreshdeskSyncTables();
+  qaRubrics.initQaRubricTables();
   console.log('Database: Initialized');
   console.log('Conversation Memory: Initialized');
   console.log('Task Sync: Initialized');
@@ -126,6 +157,9 @@ const langchainStatus = rag.initLangChain({
 });
 console.log('LangChain RAG:', langchainStatus);
 
+// Build the hybrid retrieval index in the background
+retrieval.syncIndex().catch(e => console.log('[Retrieval] Initial sync failed:', e.message));
+
 // Initialize TTS (OpenAI → Kokoro → Edge fallback)
 const ttsStatus = ttsService.initTTS();
 console.log('TTS Providers:', ttsStatus);
@@ -170,14 +204,21 @@ if (proactiveEnabled) {
   console.log('Proactive AI Engine: Disabled (set PROACTIVE_AI_ENABLED=true to enable)');
 }
 
-// Initialize Cross-Platform Event Bus
+// Initialize Cross-Platform Event Bus (built-in chains, then saved custom chains)
 eventBus.initializeDefaultChains();
+eventBus.loadPersistedChains();
 console.log('Cross-Platform Event Bus: Initialized');
 
-// Initialize Workflow Orchestrator
+// Initialize Workflow Orchestrator (resumes unfinished runs)
 workflowOrchestrator.initWorkflowOrchestrator();
 console.log('Workflow Orchestrator: Initialized');
 
+// Start the job queue worker for workflow steps and chain actions
+jobQueue.startJobWorker();
+
+// Login, sessions and user management
+registerAuthRoutes(app);
+
 // ============================================
 // HEALTH & STATUS ENDPOINTS
 // ============================================
@@ -214,10 +255,13 @@ app.get('/health', (req, res) => {
 // AI PROVIDER ENDPOINTS
 // ============================================
 
-// Get current AI provider info
+// Get current AI provider info, with live circuit-breaker health
 app.get('/api/ai/provider', (req, res) => {
   const info = ai.getCurrentProvider();
   info.costEffective = ai.getCostEffectiveProvider();
+  const { routing, providers } = ai.getProviderHealth();
+  info.routing = routing;
+  info.health = providers;
   res.json(info);
 });
 
@@ -266,6 +310,59 @@ app.post('/api/ai/key', (req, res) => {
   }
 });
 
+// ============================================
+// AI USAGE & BUDGETS
+// ============================================
+
+// Spend per feature/provider with budget states
+app.get('/api/ai/usage', (req, res) => {
+  try {
+    res.json(aiUsage.getUsageSummary({ days: req.query.days }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Most recent provider calls from the ledger
+app.get('/api/ai/usage/calls', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const calls = aiUsage.getRecentCalls({ feature: req.query.feature || null, limit });
+    res.json({ calls, count: calls.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Budgets plus the features and actions they can use
+app.get('/api/ai/budgets', (req, res) => {
+  try {
+    res.json({
+      budgets: aiUsage.getBudgets(),
+      features: aiUsage.FEATURES,
+      actions: aiUsage.BUDGET_ACTIONS
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or clear a feature budget (null limits remove it)
+app.put('/api/ai/budgets', (req, res) => {
+  try {
+    const { feature, dailyLimit = null, monthlyLimit = null, action = 'downgrade' } = req.body || {};
+    const details = aiUsage.validateBudget({ feature, dailyLimit, monthlyLimit, action });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid budget', details });
+    }
+
+    const budget = aiUsage.setBudget(feature, { dailyLimit, monthlyLimit, action });
+    res.json({ success: true, budget, state: aiUsage.checkBudget(feature) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // SOP (Standard Operating Procedures) ENDPOINTS
 // ============================================
@@ -430,7 +527,7 @@ app.post('/api/casebook', async (req, res) => {
     // Index in RAG for vector search
     try {
       const rag = await import('./lib/langchain-rag.js');
-      rag.indexCasebookEntry({ id, subject, customer_message, approved_response, sop_references, issue_type });
+      await rag.indexCasebookEntry({ id, subject, customer_message, approved_response, sop_references, issue_type });
     } catch (e) {}
 
     res.json({ success: true, id });
@@ -452,14 +549,20 @@ app.get('/api/casebook', (req, res) => {
   }
 });
 
-// Search casebook
-app.post('/api/casebook/search', (req, res) => {
+// Search casebook (unified retrieval, casebook source only)
+app.post('/api/casebook/search', async (req, res) => {
   try {
     const { query, limit } = req.body;
     if (!query) return res.status(400).json({ error: 'query is required' });
-    const terms = query.split(/\s+/).filter(w => w.length > 2);
-    const results = db.searchCasebook(terms, limit || 5);
-    res.json({ results });
+    const retrieved = await retrieval.search(query, { limit: Math.min(parseInt(limit) || 5, 50), sources: ['casebook'] });
+    const entries = new Map(db.getCasebookEntries().map(entry => [String(entry.id), entry]));
+    const results = retrieved
+      .filter(r => entries.has(r.sourceId))
+      .map(r => {
+        const entry = entries.get(r.sourceId);
+        return { ...entry, keywords: JSON.parse(entry.keywords || '[]'), score: r.score, matchedBy: r.matchedBy };
+      });
+    res.json({ results, citations: retrieval.toCitations(retrieved) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -489,7 +592,7 @@ app.get('/api/casebook/stats', (req, res) => {
 // DRAFT QUEUE ENDPOINTS
 // ============================================
 
-// List drafts (with optional status filter)
+// List drafts (with optional status filter), each with its QA approval gate
 app.get('/api/drafts', (req, res) => {
   try {
     const drafts = db.getAllDrafts({
@@ -497,7 +600,17 @@ app.get('/api/drafts', (req, res) => {
       ticket_id: req.query.ticket_id ? parseInt(req.query.ticket_id) : null,
       limit: parseInt(req.query.limit) || 50
     });
-    res.json({ drafts });
+    res.json({ drafts: drafts.map(draft => ({ ...draft, qa_gate: qaEvaluator.describeGate(draft) })) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Corrections reviewers keep making to AI drafts, and why drafts get rejected
+app.get('/api/drafts/edit-patterns', (req, res) => {
+  try {
+    const minDrafts = Math.max(parseInt(req.query.minDrafts) || 2, 1);
+    res.json(draftRevisions.getEditPatterns({ minDrafts, limit: Math.min(parseInt(req.query.limit) || 20, 100) }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -510,6 +623,8 @@ app.get('/api/drafts/:id', (req, res) => {
     const draft = dbInstance.prepare('SELECT * FROM drafts WHERE id = ?').get(parseInt(req.params.id));
     if (!draft) return res.status(404).json({ error: 'Draft not found' });
 
+    draft.qa_gate = qaEvaluator.describeGate(draft);
+
     // Parse JSON fields
     try { draft.qa_result = JSON.parse(draft.qa_result); } catch (e) {}
     try { draft.sop_citations = JSON.parse(draft.sop_citations); } catch (e) {}
@@ -535,32 +650,51 @@ app.post('/api/drafts', (req, res) => {
   }
 });
 
-// Update draft status (approve/reject/needs-edit)
+// Update draft status (approve/reject/needs-edit), optionally with edited
+// draft_text; rejections need a reason, and approvals a QA score at the
+// rubric's approval floor (edited drafts are graded again first)
 app.patch('/api/drafts/:id/status', async (req, res) => {
   try {
-    const { status, reviewed_by } = req.body;
-    const validStatuses = ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'NEEDS_EDIT', 'ESCALATION_RECOMMENDED'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` });
-    }
-
-    db.updateDraftStatus(parseInt(req.params.id), status, reviewed_by || 'human');
-
-    // Emit event
-    try {
-      const eventBus = await import('./lib/cross-platform-event-bus.js');
-      const eventType = status === 'APPROVED' ? eventBus.EVENTS.DRAFT_APPROVED
-        : status === 'REJECTED' ? eventBus.EVENTS.DRAFT_REJECTED
-        : eventBus.EVENTS.DRAFT_CREATED;
-      eventBus.emit(eventType, { draftId: parseInt(req.params.id), status });
-    } catch (e) {}
-
+    const { status, reviewed_by, draft_text, reason } = req.body;
+    await draftRevisions.reviewDraft(parseInt(req.params.id), status, {
+      reason,
+      draftText: draft_text,
+      user: req.user?.username || reviewed_by || 'human'
+    });
     res.json({ success: true, status });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, ...(error.qa && { qa: error.qa }) });
+  }
+});
+
+// A draft's AI original, edits (as diffs against it), sends and rejections
+app.get('/api/drafts/:id/revisions', (req, res) => {
+  try {
+    const draft = db.getDb().prepare('SELECT id, ticket_id, status, rejection_reason, casebook_id FROM drafts WHERE id = ?')
+      .get(parseInt(req.params.id));
+    if (!draft) return res.status(404).json({ error: 'Draft not found' });
+    res.json({ draft, revisions: draftRevisions.getRevisions(draft.id) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Post an approved draft to its Freshdesk ticket: { as: 'reply' | 'note', draft_text, private }
+app.post('/api/drafts/:id/send', async (req, res) => {
+  try {
+    const { as = 'reply', draft_text, private: isPrivate } = req.body || {};
+    const draft = await draftSender.sendDraft(parseInt(req.params.id), {
+      as,
+      draftText: draft_text,
+      isPrivate,
+      user: req.user?.username
+    });
+    res.json({ success: true, draft });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
 // Draft stats
 app.get('/api/drafts/stats', (req, res) => {
   try {
@@ -636,31 +770,248 @@ app.get('/api/pipeline/status', (req, res) => {
   }
 });
 
-// QA evaluate a draft
+// QA evaluate a draft. A queued draft (draftId) is graded as it stands and
+// the result stored with it; loose text uses the escalationType's rubric.
 app.post('/api/qa/evaluate', async (req, res) => {
   try {
-    const { draftId, draftText, ticketSubject, ticketDescription } = req.body;
+    const { draftId, draftText, ticketSubject, ticketDescription, escalationType } = req.body;
 
-    let draft, ticket;
     if (draftId) {
-      const dbInstance = db.getDb();
-      draft = dbInstance.prepare('SELECT * FROM drafts WHERE id = ?').get(draftId);
-      if (!draft) return res.status(404).json({ error: 'Draft not found' });
-      ticket = db.getTicketWithAnalysis(draft.ticket_id) || { subject: draft.ticket_subject, description: '' };
-    } else {
-      if (!draftText) return res.status(400).json({ error: 'draftId or draftText is required' });
-      draft = { draft_text: draftText };
-      ticket = { subject: ticketSubject || '', description: ticketDescription || '' };
+      const result = await qaEvaluator.evaluateStoredDraft(parseInt(draftId));
+      if (!result) return res.status(404).json({ error: 'Draft not found' });
+      return res.json(result);
+    }
+
+    if (!draftText) return res.status(400).json({ error: 'draftId or draftText is required' });
+    const result = await qaEvaluator.evaluateDraft(
+      { draft_text: draftText },
+      { subject: ticketSubject || '', description: ticketDescription || '', escalation_type: escalationType || null }
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// QA rubrics: weighted criteria and thresholds, per escalation type
+app.get('/api/qa/rubrics', (req, res) => {
+  try {
+    const rubrics = qaRubrics.listRubrics();
+    res.json({ rubrics, count: rubrics.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add or replace the rubric for an escalation type (none = the default rubric):
+// { name, escalationType, criteria: [{ key, label, description, weight }], passScore, approveMinScore, maxRevisions, enabled }
+app.post('/api/qa/rubrics', (req, res) => {
+  try {
+    const { value, details } = qaRubrics.validateRubric(req.body || {});
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid QA rubric', details });
+    }
+    res.json({ success: true, rubric: qaRubrics.saveRubric(value) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an escalation type's rubric; its tickets fall back to the default
+app.delete('/api/qa/rubrics/:id', (req, res) => {
+  try {
+    const deleted = qaRubrics.deleteRubric(parseInt(req.params.id));
+    if (deleted === null) {
+      return res.status(400).json({ error: 'The default rubric can be edited but not deleted' });
+    }
+    if (!deleted) {
+      return res.status(404).json({ error: 'QA rubric not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SLA TRACKING (deadlines per priority and escalation type)
+// ============================================
+
+// List SLA policies
+app.get('/api/sla/policies', (req, res) => {
+  try {
+    const policies = slaEngine.listPolicies();
+    res.json({ policies, count: policies.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add or replace the policy for a priority / escalation type:
+// { name, priority, escalationType, firstResponseMinutes, resolutionMinutes, atRiskPercent, enabled }
+app.post('/api/sla/policies', (req, res) => {
+  try {
+    const { value, details } = slaEngine.validatePolicy(req.body || {});
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid SLA policy', details });
     }
+    res.json({ success: true, policy: slaEngine.savePolicy(value) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an SLA policy
+app.delete('/api/sla/policies/:id', (req, res) => {
+  try {
+    if (!slaEngine.deletePolicy(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'SLA policy not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Active tickets with SLA forecasts, most urgent deadline first.
+// ?forecast=breached|at_risk|ok|paused|risk (risk = breached or at risk)
+app.get('/api/sla/tickets', (req, res) => {
+  try {
+    const forecast = slaEngine.getSlaForecast({
+      forecast: req.query.forecast || null,
+      limit: req.query.limit ? parseInt(req.query.limit) : null
+    });
+    res.json(forecast);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const qa = await import('./lib/qa-evaluator.js');
-    const result = await qa.evaluateDraft(draft, ticket);
+// SLA timers for one ticket (Freshdesk id)
+app.get('/api/sla/tickets/:id', (req, res) => {
+  try {
+    const result = slaEngine.getTicketSla(parseInt(req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Email newly breached / at-risk tickets now instead of waiting for the
+// proactive check
+app.post('/api/sla/alerts', async (req, res) => {
+  try {
+    const result = await slaEngine.sendSlaAlerts({ recipientEmail: req.body?.email || null });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// OFFLINE EVALS (golden set replayed through the pipeline)
+// ============================================
+
+// List golden cases (optionally by tag)
+app.get('/api/evals/cases', (req, res) => {
+  try {
+    const cases = evals.listCases({ tag: req.query.tag || null });
+    res.json({ cases, count: cases.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add golden cases: one case, or { cases: [...] }. Cases with a ticketId
+// are filled in from the synced ticket and its casebook entry.
+app.post('/api/evals/cases', (req, res) => {
+  try {
+    const inputs = Array.isArray(req.body?.cases) ? req.body.cases : [req.body || {}];
+    const validated = inputs.map(input => evals.validateCase(input));
+    const details = validated.flatMap((v, i) => v.details.map(d => (inputs.length > 1 ? `cases[${i}]: ${d}` : d)));
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid golden case', details });
+    }
+
+    const cases = validated.map(v => evals.saveCase(v.value, req.user?.username));
+    res.json({ success: true, cases });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a golden case
+app.delete('/api/evals/cases/:id', (req, res) => {
+  try {
+    if (!evals.deleteCase(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Golden case not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a run: { provider, model, label, caseIds, skipQA }
+app.post('/api/evals/runs', (req, res) => {
+  try {
+    const { provider = null, model = null, label = null, caseIds, skipQA = false } = req.body || {};
+    const details = evals.validateRunOptions({ provider, caseIds });
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid eval run', details });
+    }
+    if (evals.listCases().length === 0) {
+      return res.status(400).json({ error: 'Add golden cases before starting a run', details: [] });
+    }
+
+    const run = evals.startRun({ provider, model, label, caseIds, skipQA: !!skipQA, createdBy: req.user?.username });
+    res.status(202).json({ success: true, run });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent runs with their summaries
+app.get('/api/evals/runs', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = evals.listRuns({ limit });
+    res.json({ runs, count: runs.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A run with its per-case results
+app.get('/api/evals/runs/:id', (req, res) => {
+  try {
+    const run = evals.getRunWithResults(parseInt(req.params.id));
+    if (!run) return res.status(404).json({ error: 'Eval run not found' });
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare a run with the previous completed one (or ?against=<runId>)
+app.get('/api/evals/runs/:id/diff', (req, res) => {
+  try {
+    const against = req.query.against ? parseInt(req.query.against) : null;
+    if (against && !evals.getRun(against)) {
+      return res.status(404).json({ error: 'Run to compare against not found' });
+    }
+
+    const diff = evals.diffRuns(parseInt(req.params.id), against);
+    if (!diff) return res.status(404).json({ error: 'Eval run not found' });
+    res.json(diff);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // GOD MODE BRIEF + VOICE INTENT ENDPOINTS
 // ============================================
@@ -881,15 +1232,20 @@ app.post('/api/intent', async (req, res) => {
 
       case 'tickets_focus': {
         const statuses = params.new_only ? [2] : [2, 3, 6, 7];
-        const tickets = db.getTicketsByStatus(statuses);
-        const filtered = params.sla_risk === 'high'
-          ? tickets.filter(t => t.priority >= 3)
-          : tickets;
+        const tickets = slaEngine.annotateTickets(db.getAllTicketsWithAnalysis(statuses));
+        // sla_risk: 'high' = breached or about to breach, 'breached' = past due
+        let filtered = tickets;
+        if (params.sla_risk === 'high') {
+          filtered = tickets.filter(t => ['breached', 'at_risk'].includes(t.sla?.forecast)).sort(slaEngine.compareBySla);
+        } else if (params.sla_risk === 'breached') {
+          filtered = tickets.filter(t => t.sla?.forecast === 'breached').sort(slaEngine.compareBySla);
+        }
         data = {
           type: 'tickets_focus',
           count: filtered.length,
           tickets: filtered.slice(0, 10).map(t => ({
-            id: t.freshdesk_id, subject: t.subject, status: t.status, priority: t.priority
+            id: t.freshdesk_id, subject: t.subject, status: t.status, priority: t.priority,
+            sla: t.sla?.forecast || null, slaDueAt: t.sla?.timer ? t.sla.timers[t.sla.timer].dueAt : t.sla?.nextDueAt || null
           })),
           constraints: safeConstraints,
           spoken: `You have ${filtered.length} tickets matching your filter. Top ticket: ${filtered[0]?.subject || 'none'}.`
@@ -979,9 +1335,10 @@ app.post('/api/generate-response', async (req, res) => {
       cannedResponses,
     } = req.body;
 
-    // Find similar tickets from RAG
-    const query = `${subject} ${description || ''}`;
-    const similarDocs = rag.searchSimilar(query, 3);
+    // Find similar resolved tickets and approved casebook responses
+    const query = `${subject} ${(description || '').substring(0, 500)}`;
+    const retrieved = await retrieval.search(query, { limit: 6, sources: ['ticket', 'casebook'] });
+    const similarDocs = retrieved.filter(r => r.source === 'ticket').slice(0, 3);
 
     const result = await ai.generateResponse({
       subject,
@@ -995,10 +1352,16 @@ app.post('/api/generate-response', async (req, res) => {
       agentSignature,
       cannedResponses,
       similarTickets: similarDocs.map(d => ({
-        id: d.metadata?.ticketId,
-        subject: d.metadata?.subject,
+        id: d.metadata.ticketId || d.sourceId,
+        subject: d.title,
         score: d.score,
+        resolution: d.content.match(/Resolution:\s*(.*)/)?.[1] || '',
         keywords: []
+      })),
+      casebookMatches: retrieved.filter(r => r.source === 'casebook').slice(0, 3).map(r => ({
+        subject: r.title,
+        approved_response: r.metadata.approvedResponse,
+        sop_references: r.metadata.sopReferences
       }))
     });
 
@@ -1008,7 +1371,7 @@ app.post('/api/generate-response', async (req, res) => {
         db.saveGeneratedResponse(
           ticketId,
           result.response,
-          similarDocs,
+          retrieval.toCitations(retrieved),
           [],
           result.provider,
           result.model
@@ -1019,10 +1382,11 @@ app.post('/api/generate-response', async (req, res) => {
     res.json({
       response: result.response,
       similarTickets: similarDocs.map(d => ({
-        id: d.metadata?.ticketId,
-        subject: d.metadata?.subject,
+        id: d.metadata.ticketId || d.sourceId,
+        subject: d.title,
         matchScore: Math.round(d.score * 100)
       })),
+      citations: retrieval.toCitations(retrieved),
       provider: result.provider,
       model: result.model
     });
@@ -1174,6 +1538,49 @@ app.post('/api/tts/speak-as', async (req, res) => {
   }
 });
 
+/**
+ * Live ticket and trading-signal context for voice answers, so spoken
+ * replies cite real data instead of inventing it
+ */
+function buildVoiceContext(memoryContext) {
+  let liveContext = memoryContext || '';
+  try {
+    const ticketsWithAnalysis = db.getAllTicketsWithAnalysis();
+    const tickets = ticketsWithAnalysis.map(t => t.ticket ? JSON.parse(t.ticket) : t);
+    const active = tickets.filter(t => [2, 3, 6, 7].includes(t.status));
+    if (active.length > 0) {
+      const statusLabels = { 2: 'Open', 3: 'Pending', 6: 'Waiting on Customer', 7: 'On Hold' };
+      const ticketList = active.slice(0, 15).map(t =>
+        `#${t.id}: ${t.subject} (${statusLabels[t.status] || 'Unknown'}) - ${t.source || 'Freshdesk'}`
+      ).join('\n');
+      liveContext += `\n\nREAL TICKET DATA (from Freshdesk/GHL — use ONLY this data, never invent ticket numbers):\n${active.length} active tickets:\n${ticketList}`;
+    } else {
+      liveContext += '\n\nTICKET STATUS: No active tickets in the queue right now.';
+    }
+  } catch (e) {
+    console.warn('Could not load ticket context for voice:', e.message);
+  }
+
+  // Include real trading signal data
+  try {
+    const signals = telegram.getSignalHistory(10);
+    if (signals.length > 0) {
+      const signalList = signals.slice(-10).map(s => {
+        const sig = s.signal || {};
+        const time = s.date ? new Date(s.date).toLocaleString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'Unknown time';
+        return `[${time}] ${sig.direction || '?'} ${sig.instrument || '?'}${sig.entry ? ` @ ${sig.entry}` : ''}${sig.stopLoss ? ` SL: ${sig.stopLoss}` : ''}${sig.targets?.length ? ` TP: ${sig.targets.join(', ')}` : ''} — Raw: "${(s.text || s.signal?.raw || '').substring(0, 120)}"`;
+      }).join('\n');
+      liveContext += `\n\nREAL TRADING SIGNALS (from TradingView via Copygram → Telegram — use ONLY this data, NEVER invent signals, prices, or trade setups):\n${signals.length} signals tracked:\n${signalList}`;
+    } else {
+      liveContext += '\n\nTRADING SIGNALS: No signals have been received yet. Do NOT make up any signal data.';
+    }
+  } catch (e) {
+    console.warn('Could not load signal context for voice:', e.message);
+  }
+
+  return liveContext;
+}
+
 // ============================================
 // VOICE ENDPOINT (Meta Glasses / Wearables)
 // Single call: text in → AI response + audio out
@@ -1186,9 +1593,12 @@ app.post('/api/voice', async (req, res) => {
     const uid = userId || 'default';
     const convId = reqConvId || memory.getActiveConversation(uid);
 
-    // Get conversation history and memory
-    const history = memory.getConversationHistory(convId, 10);
-    const memoryContext = memory.buildMemoryContext(uid, message);
+    // Get conversation history (older messages condensed to a summary) and memory
+    const { messages: history, summary: earlierSummary } = memory.getHistoryWithinBudget(convId, 1200);
+    const memoryContext = memory.buildMemoryContext(uid, message, {
+      conversationId: convId,
+      conversationSummary: earlierSummary
+    });
 
     const messages = [
       ...history.map(h => ({ role: h.role, content: h.content })),
@@ -1199,45 +1609,12 @@ app.post('/api/voice', async (req, res) => {
     memory.addMessage(convId, 'user', message);
 
     // Build real-time context for voice responses
-    let liveContext = memoryContext || '';
-    try {
-      const ticketsWithAnalysis = db.getAllTicketsWithAnalysis();
-      const tickets = ticketsWithAnalysis.map(t => t.ticket ? JSON.parse(t.ticket) : t);
-      const active = tickets.filter(t => [2, 3, 6, 7].includes(t.status));
-      if (active.length > 0) {
-        const statusLabels = { 2: 'Open', 3: 'Pending', 6: 'Waiting on Customer', 7: 'On Hold' };
-        const ticketList = active.slice(0, 15).map(t =>
-          `#${t.id}: ${t.subject} (${statusLabels[t.status] || 'Unknown'}) - ${t.source || 'Freshdesk'}`
-        ).join('\n');
-        liveContext += `\n\nREAL TICKET DATA (from Freshdesk/GHL — use ONLY this data, never invent ticket numbers):\n${active.length} active tickets:\n${ticketList}`;
-      } else {
-        liveContext += '\n\nTICKET STATUS: No active tickets in the queue right now.';
-      }
-    } catch (e) {
-      console.warn('Could not load ticket context for voice:', e.message);
-    }
-
-    // Include real trading signal data
-    try {
-      const signals = telegram.getSignalHistory(10);
-      if (signals.length > 0) {
-        const signalList = signals.slice(-10).map(s => {
-          const sig = s.signal || {};
-          const time = s.date ? new Date(s.date).toLocaleString('en-US', { timeZone: 'America/New_York', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'Unknown time';
-          return `[${time}] ${sig.direction || '?'} ${sig.instrument || '?'}${sig.entry ? ` @ ${sig.entry}` : ''}${sig.stopLoss ? ` SL: ${sig.stopLoss}` : ''}${sig.targets?.length ? ` TP: ${sig.targets.join(', ')}` : ''} — Raw: "${(s.text || s.signal?.raw || '').substring(0, 120)}"`;
-        }).join('\n');
-        liveContext += `\n\nREAL TRADING SIGNALS (from TradingView via Copygram → Telegram — use ONLY this data, NEVER invent signals, prices, or trade setups):\n${signals.length} signals tracked:\n${signalList}`;
-      } else {
-        liveContext += '\n\nTRADING SIGNALS: No signals have been received yet. Do NOT make up any signal data.';
-      }
-    } catch (e) {
-      console.warn('Could not load signal context for voice:', e.message);
-    }
+    const liveContext = buildVoiceContext(memoryContext);
 
     // Use voice-optimized prompt (short answers)
     const systemPrompt = getVoicePrompt(liveContext);
 
-    const result = await ai.chat(messages, { systemPrompt, maxTokens: 512 });
+    const result = await ai.chat(messages, { systemPrompt, maxTokens: 512, feature: 'chat' });
 
     // Store assistant response
     memory.addMessage(convId, 'assistant', result.text, {
@@ -1588,6 +1965,7 @@ app.post('/api/telegram/voice', async (req, res) => {
         {
           systemPrompt: getTelegramPrompt(`Target channel: ${targetChannel}`),
           maxTokens: 256,
+          feature: 'chat',
         }
       );
       cleanedMessage = cleanResult.text || message;
@@ -1659,15 +2037,18 @@ app.post('/api/telegram/signal/analyze', async (req, res) => {
     } catch {}
 
     // AI analysis of the signal
-    const analysisResult = await ai.chat(
-      [{ role: 'user', content: `Analyze this trading signal:\n\n${signal.raw || JSON.stringify(signal)}\n\nCurrent market: ${marketContext}\n\nGive a quick risk assessment and whether to take this trade. Be concise.` }],
+    const analysisResult = await ai.chatStructured(
+      [{ role: 'user', content: `Analyze this trading signal:\n\n${signal.raw || JSON.stringify(signal)}\n\nCurrent market: ${marketContext}\n\nGive a quick risk assessment and whether to take this trade. Respond with ONLY a JSON object in this shape:\n${aiSchemas.describeSchema('signal_analysis')}` }],
+      'signal_analysis',
       {
         systemPrompt: 'You are Juno, a trading AI assistant. Analyze signals for risk/reward, confluence with market conditions, and give a clear YES/NO/WAIT recommendation with reasoning in 2-3 sentences.',
-        maxTokens: 256,
+        maxTokens: 300,
+        feature: 'telegram_signals',
       }
     );
 
-    const analysis = analysisResult.text;
+    const assessment = analysisResult.data;
+    const analysis = `${assessment.RECOMMENDATION} (${assessment.RISK_LEVEL} risk): ${assessment.REASONING}`;
 
     // Format for Kraken if requested
     let krakenResult = null;
@@ -1684,6 +2065,7 @@ app.post('/api/telegram/signal/analyze', async (req, res) => {
 
     res.json({
       analysis,
+      assessment,
       signal,
       krakenFormat: telegram.formatForKraken(signal),
       forwarded: krakenResult,
@@ -1731,7 +2113,7 @@ app.get('/api/journal/brief', async (req, res) => {
 
     const briefResult = await ai.chat(
       [{ role: 'user', content: `My recent trading stats: ${JSON.stringify(stats)}. Recent trades: ${JSON.stringify(trades.slice(0, 5).map(t => ({ instrument: t.instrument, pnl: t.pnl, entry_date: t.entry_date })))}. Give me a quick morning brief — what should I focus on today? 2-3 sentences.` }],
-      { systemPrompt: 'You are Juno, a trading coach. Be concise and actionable.', maxTokens: 256 }
+      { systemPrompt: 'You are Juno, a trading coach. Be concise and actionable.', maxTokens: 256, feature: 'daily_reports' }
     );
 
     res.json({
@@ -1838,10 +2220,63 @@ app.post('/api/journal/trade', async (req, res) => {
   }
 });
 
+// ============================================
+// STREAMING CHAT RESPONSES (SSE)
+// Clients opt in with { stream: true } or Accept: text/event-stream and
+// receive `token` events ({ text }) followed by one `done` event carrying
+// the usual JSON response, or an `error` event.
+// ============================================
+
+function wantsStream(req) {
+  return req.body?.stream === true || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Run a chat and answer with JSON or an SSE token stream.
+ * generate(streamOptions) performs the AI call — streamOptions is null for
+ * JSON callers, otherwise { onToken, signal } for ai.chatStream().
+ * respond(result) builds the response body.
+ */
+async function sendChatResponse(req, res, generate, respond) {
+  if (!wantsStream(req)) {
+    const result = await generate(null);
+    return res.json(await respond(result));
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop generating when the client goes away mid-answer
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await generate({
+      onToken: (text) => send('token', { text }),
+      signal: controller.signal
+    });
+    if (!controller.signal.aborted) send('done', await respond(result));
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    send('error', { error: error.message });
+  }
+  res.end();
+}
+
 // General chat with memory
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, systemPrompt, context, agentId, userId, conversationId } = req.body;
+    const { message, systemPrompt, context, agentId, userId, conversationId, voice } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
@@ -1850,9 +2285,12 @@ app.post('/api/chat', async (req, res) => {
     // Get or create conversation
     const convId = conversationId || memory.getActiveConversation(userId || 'default');
 
-    // Get conversation history and memory context
-    const history = memory.getConversationHistory(convId, 10);
-    const memoryContext = memory.buildMemoryContext(userId || 'default', message);
+    // Get conversation history (older messages condensed to a summary) and memory context
+    const { messages: history, summary: earlierSummary } = memory.getHistoryWithinBudget(convId, voice ? 1200 : undefined);
+    const memoryContext = memory.buildMemoryContext(userId || 'default', message, {
+      conversationId: convId,
+      conversationSummary: earlierSummary
+    });
 
     // Build messages array with history
     const messages = [
@@ -1860,11 +2298,14 @@ app.post('/api/chat', async (req, res) => {
       { role: 'user', content: message }
     ];
 
-    let defaultSystemPrompt = getChatPrompt(memoryContext);
+    // Voice clients (glasses, voice agents) get short spoken-style answers
+    let defaultSystemPrompt = voice
+      ? getVoicePrompt(buildVoiceContext(memoryContext))
+      : getChatPrompt(memoryContext);
 
     // Inject real ticket data when user asks about tickets
     const ticketKeywords = /ticket|freshdesk|open.*ticket|pending|support.*queue|how many|escalat/i;
-    if (ticketKeywords.test(message)) {
+    if (!voice && ticketKeywords.test(message)) {
       try {
         const ticketsWithAnalysis = db.getAllTicketsWithAnalysis([2, 3, 6, 7]);
         if (ticketsWithAnalysis && ticketsWithAnalysis.length > 0) {
@@ -1884,24 +2325,30 @@ app.post('/api/chat', async (req, res) => {
     // Store user message
     memory.addMessage(convId, 'user', message, { agentId, context });
 
-    const result = await ai.chat(messages, {
-      systemPrompt: systemPrompt || defaultSystemPrompt,
-      agentId
-    });
-
-    // Store assistant response
-    memory.addMessage(convId, 'assistant', result.text, {
-      provider: result.provider,
-      model: result.model
-    });
+    await sendChatResponse(req, res,
+      (streamOptions) => (streamOptions ? ai.chatStream : ai.chat)(messages, {
+        systemPrompt: systemPrompt || defaultSystemPrompt,
+        maxTokens: voice ? 512 : undefined,
+        agentId,
+        feature: 'chat',
+        ...streamOptions
+      }),
+      (result) => {
+        // Store assistant response
+        memory.addMessage(convId, 'assistant', result.text, {
+          provider: result.provider,
+          model: result.model
+        });
 
-    res.json({
-      response: result.text,
-      provider: result.provider,
-      model: result.model,
-      conversationId: convId,
-      context
-    });
+        return {
+          response: result.text,
+          provider: result.provider,
+          model: result.model,
+          conversationId: convId,
+          context
+        };
+      }
+    );
   } catch (error) {
     console.error('Chat error:', error);
     res.status(500).json({ error: error.message });
@@ -1981,7 +2428,7 @@ app.get('/api/tickets/summary', async (req, res) => {
 
         const aiResult = await ai.chat(
           [{ role: 'user', content: `Summarize these GHL/Freshdesk support tickets in 2-3 sentences. What should I prioritize?\n\n${ticketList.join('\n')}` }],
-          { systemPrompt: 'You are Juno. Be concise — this will be spoken aloud.', maxTokens: 200 }
+          { systemPrompt: 'You are Juno. Be concise — this will be spoken aloud.', maxTokens: 200, feature: 'chat' }
         );
         speak = aiResult.text;
         stats.aiSummary = aiResult.text;
@@ -1995,7 +2442,7 @@ app.get('/api/tickets/summary', async (req, res) => {
 });
 
 // Store tickets from frontend
-app.post('/api/tickets/sync', (req, res) => {
+app.post('/api/tickets/sync', async (req, res) => {
   try {
     const { tickets } = req.body;
     const count = db.upsertTickets(tickets);
@@ -2003,7 +2450,7 @@ app.post('/api/tickets/sync', (req, res) => {
     // Index resolved tickets to RAG
     const resolved = tickets.filter(t => t.status === 4 || t.status === 5);
     for (const ticket of resolved) {
-      rag.indexTicketForRAG(ticket);
+      await rag.indexTicketForRAG(ticket);
     }
 
     res.json({ success: true, synced: count, indexed: resolved.length });
@@ -2055,7 +2502,7 @@ app.get('/api/response/:ticketId', (req, res) => {
 // ============================================
 
 // Index tickets to knowledge base
-app.post('/api/index-tickets', (req, res) => {
+app.post('/api/index-tickets', async (req, res) => {
   try {
     const { tickets } = req.body;
     let indexed = 0;
@@ -2066,7 +2513,7 @@ app.post('/api/index-tickets', (req, res) => {
           db.addToKnowledgeBase(ticket, '', extractKeywords(
             `${ticket.subject} ${ticket.description_text || ticket.description || ''}`
           ));
-          rag.indexTicketForRAG(ticket);
+          await rag.indexTicketForRAG(ticket);
           indexed++;
         } catch (e) {}
       }
@@ -2084,22 +2531,26 @@ app.post('/api/index-tickets', (req, res) => {
 });
 
 // Find similar tickets
-app.post('/api/find-similar', (req, res) => {
+app.post('/api/find-similar', async (req, res) => {
   try {
     const { subject, description, ticketId, limit = 3 } = req.body;
     const query = `${subject} ${description || ''}`;
+    const max = Math.min(parseInt(limit) || 3, 50);
 
-    // Use RAG for similarity search
-    const similar = rag.searchSimilar(query, limit);
+    // Resolved tickets from unified retrieval, leaving out the ticket itself
+    const retrieved = (await retrieval.search(query, { limit: max + 1, sources: ['ticket'] }))
+      .filter(r => !ticketId || String(r.metadata.ticketId) !== String(ticketId))
+      .slice(0, max);
 
     res.json({
       keywords: extractKeywords(query),
-      similar: similar.map(s => ({
-        id: s.metadata?.ticketId,
-        subject: s.metadata?.subject,
+      similar: retrieval.toSimilarTickets(retrieved).map(s => ({
+        id: s.id,
+        subject: s.subject,
         matchScore: Math.round(s.score * 100),
         relevance: s.score
-      }))
+      })),
+      citations: retrieval.toCitations(retrieved)
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -2115,24 +2566,130 @@ app.get('/api/knowledge-stats', (req, res) => {
     res.json({
       ...dbStats,
       ragDocuments: ragStats.totalDocuments,
-      models: ragStats.models
+      models: ragStats.models,
+      embeddings: ragStats.embeddings
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Ask knowledge base (RAG Q&A)
+// Embedding provider, per-model document counts and migration progress
+app.get('/api/rag/embeddings', (req, res) => {
+  try {
+    res.json(rag.getRAGStats().embeddings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Switch embedding provider (openai | gemini | local | hashed) and re-embed
+app.put('/api/rag/embeddings', async (req, res) => {
+  try {
+    const { provider } = req.body;
+    if (!embeddings.EMBEDDING_PROVIDERS[provider]) {
+      return res.status(400).json({
+        error: 'Invalid embedding provider',
+        details: [`provider must be one of: ${Object.keys(embeddings.EMBEDDING_PROVIDERS).join(', ')}`]
+      });
+    }
+    res.json(await rag.setEmbeddingProvider(provider));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry re-embedding documents stored with another model
+app.post('/api/rag/embeddings/migrate', async (req, res) => {
+  try {
+    res.json(await rag.migrateEmbeddings());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retrieval quality on the known ticket-pair fixture
+app.post('/api/rag/embeddings/eval', async (req, res) => {
+  try {
+    const { providers, k } = req.body || {};
+    const unknown = (providers || []).filter(p => !embeddings.EMBEDDING_PROVIDERS[p]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Invalid embedding provider', details: unknown.map(p => `Unknown provider: ${p}`) });
+    }
+    res.json(await embeddings.evaluateRetrieval({ providers, k }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate the sources filter shared by the retrieval endpoints
+function invalidRetrievalSources(sources) {
+  if (sources === undefined) return [];
+  if (!Array.isArray(sources)) return ['sources must be an array'];
+  return sources
+    .filter(s => !retrieval.RETRIEVAL_SOURCES.includes(s))
+    .map(s => `Unknown source: ${s} (expected ${retrieval.RETRIEVAL_SOURCES.join(', ')})`);
+}
+
+// Ask knowledge base (RAG Q&A with citations)
 app.post('/api/knowledge/ask', async (req, res) => {
   try {
-    const { question } = req.body;
-    const answer = await rag.askKnowledgeBase(question);
+    const { question, sources, agentId, limit } = req.body;
+    if (!question) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+    const details = invalidRetrievalSources(sources);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid sources', details });
+    }
+    const answer = await rag.askKnowledgeBase(question, { sources, agentId, limit });
     res.json(answer);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============================================
+// HYBRID RETRIEVAL (BM25 + VECTORS)
+// ============================================
+
+// Search tickets, casebook and agent knowledge in one ranked list
+app.post('/api/retrieval/search', async (req, res) => {
+  try {
+    const { query, limit = 5, sources, agentId } = req.body;
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+    const details = invalidRetrievalSources(sources);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid sources', details });
+    }
+    const results = await retrieval.search(query, { limit: Math.min(parseInt(limit) || 5, 50), sources, agentId });
+    res.json({ results, citations: retrieval.toCitations(results) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Index size per source and embedding model
+app.get('/api/retrieval/stats', (req, res) => {
+  try {
+    res.json(retrieval.getRetrievalStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-read all sources and embed anything new or changed
+app.post('/api/retrieval/reindex', async (req, res) => {
+  try {
+    const result = await retrieval.syncIndex();
+    res.json({ success: true, ...result, stats: retrieval.getRetrievalStats() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // SCHEDULER ENDPOINTS
 // ============================================
@@ -2287,12 +2844,13 @@ app.get('/api/settings', (req, res) => {
   }
 });
 
-// Freshdesk config endpoint — frontend fetches this so key rotation only needs Render env var update
+// Freshdesk config endpoint — the API key stays on the server; the frontend
+// only needs the domain for ticket links
 app.get('/api/config/freshdesk', (req, res) => {
   res.json({
     domain: process.env.FRESHDESK_DOMAIN || '',
-    apiKey: process.env.FRESHDESK_API_KEY || '',
-    agentId: process.env.FRESHDESK_AGENT_ID || ''
+    agentId: process.env.FRESHDESK_AGENT_ID || '',
+    configured: freshdesk.isConfigured()
   });
 });
 
@@ -2303,43 +2861,95 @@ app.post('/api/settings', (req, res) => {
     db.setSetting(key, value);
     res.json({ success: true, key, value });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bulk update settings
+app.post('/api/settings/bulk', (req, res) => {
+  try {
+    const { settings } = req.body;
+    for (const [key, value] of Object.entries(settings)) {
+      db.setSetting(key, String(value));
+    }
+    res.json({ success: true, updated: Object.keys(settings).length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// AGENT ENDPOINTS
+// ============================================
+
+// Run agent chain
+app.post('/api/agents/chain', async (req, res) => {
+  try {
+    const { task, agents } = req.body;
+    const result = await rag.runAgentChain(task, agents);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get agent history
+app.get('/api/agents/:agentId/history', (req, res) => {
+  try {
+    const history = db.getAgentHistory(req.params.agentId);
+    res.json({ history });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// FRESHDESK SYNC (incremental, into the local database)
+// ============================================
+
+// Pull tickets changed since the last sync; { full: true } restarts from the
+// lookback window
+app.post('/api/freshdesk/sync', async (req, res) => {
+  try {
+    if (!freshdesk.isConfigured()) {
+      return res.status(503).json({ error: 'Freshdesk is not configured' });
+    }
+    const { changedIds, ...result } = await freshdeskSync.syncTickets({ full: req.body?.full === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.status === 429 ? 429 : 500).json({ error: error.message });
   }
 });
 
-// Bulk update settings
-app.post('/api/settings/bulk', (req, res) => {
+// Sync cursor, last run and Freshdesk rate-limit budget
+app.get('/api/freshdesk/sync/status', (req, res) => {
   try {
-    const { settings } = req.body;
-    for (const [key, value] of Object.entries(settings)) {
-      db.setSetting(key, String(value));
-    }
-    res.json({ success: true, updated: Object.keys(settings).length });
+    res.json(freshdeskSync.getSyncStatus());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// AGENT ENDPOINTS
-// ============================================
-
-// Run agent chain
-app.post('/api/agents/chain', async (req, res) => {
+// Synced tickets: every active one plus the most recently updated resolved
+// and closed ones (for the knowledge base)
+app.get('/api/freshdesk/tickets', (req, res) => {
   try {
-    const { task, agents } = req.body;
-    const result = await rag.runAgentChain(task, agents);
-    res.json(result);
+    const resolvedLimit = Math.min(parseInt(req.query.resolvedLimit) || 300, 1000);
+    const tickets = [
+      ...freshdeskSync.getLocalTickets([2, 3, 6, 7]),
+      ...freshdeskSync.getLocalTickets([4, 5], { limit: resolvedLimit })
+    ];
+    res.json({ tickets, count: tickets.length, sync: freshdeskSync.getSyncStatus().lastSync || null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get agent history
-app.get('/api/agents/:agentId/history', (req, res) => {
+// A ticket's stored conversation thread (fetched once if never synced)
+app.get('/api/freshdesk/tickets/:id/conversations', async (req, res) => {
   try {
-    const history = db.getAgentHistory(req.params.agentId);
-    res.json({ history });
+    const conversations = await freshdeskSync.getConversations(parseInt(req.params.id));
+    res.json({ conversations, count: conversations.length });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2419,17 +3029,11 @@ app.get('/api/freshdesk/test', async (req, res) => {
 // Build knowledge base from all historical tickets
 app.post('/api/knowledge/build', async (req, res) => {
   try {
-    const config = {
-      domain: process.env.FRESHDESK_DOMAIN,
-      apiKey: process.env.FRESHDESK_API_KEY,
-      agentId: process.env.FRESHDESK_AGENT_ID
-    };
-
     // Start building in background
     res.json({ status: 'started', message: 'Knowledge base build started. This may take several minutes.' });
 
     // Run async
-    knowledgeBuilder.buildKnowledgeBase(config).then(result => {
+    knowledgeBuilder.buildKnowledgeBase().then(result => {
       console.log('Knowledge base build complete:', result);
     }).catch(err => {
       console.error('Knowledge base build failed:', err);
@@ -2450,12 +3054,15 @@ app.get('/api/knowledge/insights', (req, res) => {
   }
 });
 
-// Smart search knowledge base
-app.post('/api/knowledge/search', (req, res) => {
+// Smart search knowledge base (resolved tickets and casebook)
+app.post('/api/knowledge/search', async (req, res) => {
   try {
     const { query, limit = 5 } = req.body;
-    const results = knowledgeBuilder.smartSearch(query, limit);
-    res.json({ results });
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+    const results = await retrieval.search(query, { limit, sources: ['ticket', 'casebook'] });
+    res.json({ results, citations: retrieval.toCitations(results) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2465,12 +3072,7 @@ app.post('/api/knowledge/search', (req, res) => {
 app.post('/api/knowledge/learn', async (req, res) => {
   try {
     const { ticket } = req.body;
-    const config = {
-      domain: process.env.FRESHDESK_DOMAIN,
-      apiKey: process.env.FRESHDESK_API_KEY
-    };
-
-    const summary = await knowledgeBuilder.processResolvedTicket(ticket, config);
+    const summary = await knowledgeBuilder.processResolvedTicket(ticket);
     res.json({ success: true, summary });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -2835,6 +3437,17 @@ app.post('/api/conversations', (req, res) => {
   }
 });
 
+// Roll a conversation's summary forward now
+app.post('/api/conversations/:conversationId/summarize', async (req, res) => {
+  try {
+    const result = await memory.summarizeConversation(req.params.conversationId, { force: true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.message.startsWith('Conversation not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // Update conversation
 app.put('/api/conversations/:conversationId', (req, res) => {
   try {
@@ -2846,12 +3459,18 @@ app.put('/api/conversations/:conversationId', (req, res) => {
   }
 });
 
-// Get all remembered facts
+// Get remembered facts; ?status=pending is the review queue
 app.get('/api/memory/facts', (req, res) => {
   try {
-    const { category } = req.query;
-    const facts = memory.getAllFacts(category);
-    res.json({ facts });
+    const { category, status = 'approved' } = req.query;
+    if (status !== 'all' && !memory.FACT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        details: [`status must be "all" or one of: ${memory.FACT_STATUSES.join(', ')}`]
+      });
+    }
+    const facts = memory.getAllFacts(category, status);
+    res.json({ facts, counts: memory.getFactCounts() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2861,19 +3480,108 @@ app.get('/api/memory/facts', (req, res) => {
 app.post('/api/memory/facts', (req, res) => {
   try {
     const { category, fact, source } = req.body;
-    memory.storeFact(category, fact, source || 'manual');
-    res.json({ success: true });
+    const details = [];
+    if (!fact || typeof fact !== 'string' || !fact.trim()) details.push('fact is required');
+    if (!category || typeof category !== 'string') details.push('category is required');
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid fact', details });
+    }
+    const id = memory.storeFact(category, fact.trim(), source || 'manual');
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the fact extraction pass for a conversation now
+app.post('/api/memory/facts/extract', async (req, res) => {
+  try {
+    const { conversationId } = req.body || {};
+    if (!conversationId) {
+      return res.status(400).json({ error: 'Invalid request', details: ['conversationId is required'] });
+    }
+    const result = await memory.extractFactsFromConversation(conversationId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.message.startsWith('Conversation not found') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Approve a queued fact (optionally correcting fact/category); supersedes what it replaces
+app.post('/api/memory/facts/:id/approve', (req, res) => {
+  try {
+    const { fact, category, note } = req.body || {};
+    const details = [];
+    if (fact !== undefined && (typeof fact !== 'string' || !fact.trim())) details.push('fact must be a non-empty string');
+    if (category !== undefined && !memory.FACT_CATEGORIES.includes(category)) {
+      details.push(`category must be one of: ${memory.FACT_CATEGORIES.join(', ')}`);
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid review', details });
+    }
+
+    const result = memory.approveFact(parseInt(req.params.id), {
+      fact: fact?.trim(), category, note, reviewedBy: req.user?.username
+    });
+    if (!result) return res.status(404).json({ error: 'Fact not found' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject a queued fact
+app.post('/api/memory/facts/:id/reject', (req, res) => {
+  try {
+    const fact = memory.rejectFact(parseInt(req.params.id), {
+      note: req.body?.note, reviewedBy: req.user?.username
+    });
+    if (!fact) return res.status(404).json({ error: 'Fact not found' });
+    res.json({ success: true, fact });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Search facts relevant to query
+// Search facts and conversation/weekly summaries relevant to query.
+// A time phrase ("last month") limits summaries to that period unless since/until are given.
 app.post('/api/memory/search', (req, res) => {
   try {
-    const { query, limit } = req.body;
+    const { query, limit, userId, since, until, scope } = req.body || {};
+    const details = [];
+    if (!query || typeof query !== 'string' || !query.trim()) details.push('query is required');
+    if (scope !== undefined && !['conversation', 'week'].includes(scope)) details.push('scope must be "conversation" or "week"');
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) details.push(`${name} must be a date`);
+    }
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Invalid search', details });
+    }
+
+    const toSqlTime = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : null);
     const facts = memory.getRelevantFacts(query, limit || 10);
-    res.json({ facts });
+    const { summaries, range } = memory.searchSummaries(query, {
+      userId: userId || 'default',
+      limit: limit || 5,
+      scope,
+      since: toSqlTime(since),
+      until: toSqlTime(until)
+    });
+    res.json({ facts, summaries, range });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stored conversation and weekly summaries, newest first
+app.get('/api/memory/summaries', (req, res) => {
+  try {
+    const { userId, scope, limit } = req.query;
+    if (scope && !['conversation', 'week'].includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope', details: ['scope must be "conversation" or "week"'] });
+    }
+    res.json({ summaries: memory.getSummaries({ userId: userId || 'default', scope, limit }) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2921,17 +3629,19 @@ app.get('/api/memory/summary', (req, res) => {
     const categoryStmt = dbInstance.prepare(`
       SELECT category, COUNT(*) as count
       FROM memory_facts
+      WHERE status = 'approved'
       GROUP BY category
     `);
     const categories = categoryStmt.all();
 
     // Get total facts
-    const totalStmt = dbInstance.prepare('SELECT COUNT(*) as total FROM memory_facts');
+    const totalStmt = dbInstance.prepare("SELECT COUNT(*) as total FROM memory_facts WHERE status = 'approved'");
     const total = totalStmt.get();
 
     // Get recent facts
     const recentStmt = dbInstance.prepare(`
       SELECT * FROM memory_facts
+      WHERE status = 'approved'
       ORDER BY created_at DESC
       LIMIT 5
     `);
@@ -2940,14 +3650,18 @@ app.get('/api/memory/summary', (req, res) => {
     // Get most referenced facts
     const topStmt = dbInstance.prepare(`
       SELECT * FROM memory_facts
-      WHERE times_referenced > 0
+      WHERE status = 'approved' AND times_referenced > 0
       ORDER BY times_referenced DESC
       LIMIT 5
     `);
     const topReferenced = topStmt.all();
 
+    const byStatus = memory.getFactCounts();
+
     res.json({
       total: total.total,
+      pendingReview: byStatus.pending,
+      byStatus,
       byCategory: categories,
       recent,
       topReferenced
@@ -3609,20 +4323,30 @@ app.post('/api/commander/chat', async (req, res) => {
     // System prompt for commander with full context
     const systemPrompt = getCommanderPrompt(context);
 
-    // Generate response
-    const response = await ai.chat([{ role: 'user', content: message }], {
-      systemPrompt,
-      maxTokens: 2000
-    });
-
-    res.json({
-      response: response.text,
-      context: {
-        ticketCount: tickets.length,
-        analysisCount: Object.keys(analysisMap).length,
-        agentCount: agents.length
-      }
-    });
+    // Generate response. Tool rounds can't be streamed, so a streaming
+    // client gets the final answer as one chunk once the tools have run.
+    await sendChatResponse(req, res,
+      async (streamOptions) => {
+        const result = await commanderTools.runCommander([{ role: 'user', content: message }], {
+          systemPrompt,
+          maxTokens: 2000,
+          feature: 'chat',
+          user: req.user?.username
+        });
+        if (streamOptions && result.text) streamOptions.onToken(result.text);
+        return result;
+      },
+      (response) => ({
+        response: response.text,
+        actions: response.actions,
+        pendingActions: response.pendingActions,
+        context: {
+          ticketCount: tickets.length,
+          analysisCount: Object.keys(analysisMap).length,
+          agentCount: agents.length
+        }
+      })
+    );
 
   } catch (error) {
     console.error('Commander chat error:', error);
@@ -3630,6 +4354,39 @@ app.post('/api/commander/chat', async (req, res) => {
   }
 });
 
+// Tools the commander can call, and which need confirmation
+app.get('/api/commander/tools', (req, res) => {
+  try {
+    res.json({ tools: commanderTools.listTools() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm or cancel an action the commander is holding for confirmation
+async function resolveCommanderAction(req, res, approved) {
+  try {
+    const action = commanderTools.getPendingAction(req.params.id);
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found or expired' });
+    }
+    if (action.requestedBy && req.user?.username !== action.requestedBy) {
+      return res.status(403).json({ error: 'Only the user who asked for this action can confirm it' });
+    }
+
+    const result = await commanderTools.resolvePendingAction(req.params.id, approved, { user: req.user?.username });
+    if (!result) {
+      return res.status(409).json({ error: 'Action was already resolved' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/api/commander/actions/:id/confirm', (req, res) => resolveCommanderAction(req, res, true));
+app.post('/api/commander/actions/:id/cancel', (req, res) => resolveCommanderAction(req, res, false));
+
 // Get execution plan from tickets
 app.get('/api/commander/execution-plan', async (req, res) => {
   try {
@@ -3941,13 +4698,16 @@ app.post('/api/agents/:agentId/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    const result = await orchestrator.chatWithAgent(
-      req.params.agentId,
-      message,
-      conversationId,
-      userId || 'default'
+    await sendChatResponse(req, res,
+      (streamOptions) => orchestrator.chatWithAgent(
+        req.params.agentId,
+        message,
+        conversationId,
+        userId || 'default',
+        streamOptions || {}
+      ),
+      (result) => result
     );
-    res.json(result);
   } catch (error) {
     console.error('Agent chat error:', error);
     res.status(500).json({ error: error.message });
@@ -4108,9 +4868,32 @@ app.get('/api/unified/projects', async (req, res) => {
   }
 });
 
+// Run a command through the commander's tools; the regex parser is the
+// fallback when no AI provider can take the call
 app.post('/api/unified/command', async (req, res) => {
   try {
     const { command, context } = req.body;
+    if (!command || typeof command !== 'string') {
+      return res.status(400).json({ error: 'Invalid command', details: ['command is required'] });
+    }
+
+    try {
+      const contextNote = context && Object.keys(context).length ? `\n\nContext: ${JSON.stringify(context)}` : '';
+      const result = await commanderTools.runCommander([{ role: 'user', content: `${command}${contextNote}` }], {
+        systemPrompt: getCommanderPrompt(),
+        maxTokens: 1000,
+        feature: 'chat',
+        user: req.user?.username
+      });
+      return res.json({
+        parsed: { action: 'tools', raw: command },
+        result: { actions: result.actions, pendingActions: result.pendingActions },
+        response: result.text
+      });
+    } catch (aiError) {
+      console.warn(`[Unified] Tool calling unavailable, parsing command instead: ${aiError.message}`);
+    }
+
     const parsed = unifiedTasks.parseCommand(command);
     const result = await unifiedTasks.executeCommand(parsed, context || {});
     res.json({ parsed, result });
@@ -4616,11 +5399,11 @@ app.get('/api/events/history', (req, res) => {
   }
 });
 
-// Emit a manual event
+// Emit a manual event (simulate: true returns what matching chains would do)
 app.post('/api/events/emit', async (req, res) => {
   try {
-    const { event, data, source } = req.body;
-    const result = await eventBus.emit(event, data, { source: source || 'api' });
+    const { event, data, source, simulate, sourceId } = req.body;
+    const result = await eventBus.emit(event, data, { source: source || 'api', simulate: !!simulate, sourceId });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -4651,25 +5434,78 @@ app.post('/api/events/chains/:chainId/toggle', (req, res) => {
 // Register a new chain
 app.post('/api/events/chains', (req, res) => {
   try {
-    const chainId = eventBus.registerChain(req.body);
+    const { id, builtin, ...config } = req.body || {};
+    const chainId = eventBus.registerChain(config, { createdBy: req.user?.username });
     res.json({ chainId, success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message, details: error.details });
+  }
+});
+
+// Validate a chain definition without saving it; optionally preview it against a sample event
+app.post('/api/events/chains/validate', (req, res) => {
+  try {
+    const { sampleEvent, ...config } = req.body || {};
+    const errors = eventBus.validateChain(config);
+    const preview = errors.length === 0 && sampleEvent
+      ? eventBus.previewChain(config, sampleEvent)
+      : undefined;
+    res.json({ valid: errors.length === 0, errors, preview });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a chain definition
+app.get('/api/events/chains/:chainId', (req, res) => {
+  const chain = eventBus.getChain(req.params.chainId);
+  if (!chain) return res.status(404).json({ error: 'Chain not found' });
+  res.json({ chain });
+});
+
+// Edit a chain (stored as a new version)
+app.put('/api/events/chains/:chainId', (req, res) => {
+  try {
+    const { id, builtin, ...config } = req.body || {};
+    const chain = eventBus.updateChain(req.params.chainId, config, { createdBy: req.user?.username });
+    res.json({ success: true, chain });
+  } catch (error) {
+    res.status(400).json({ error: error.message, details: error.details });
+  }
+});
+
+// List stored versions of a chain
+app.get('/api/events/chains/:chainId/versions', (req, res) => {
+  try {
+    const versions = eventBus.getChainVersions(req.params.chainId);
+    res.json({ versions });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Restore an earlier version of a chain
+app.post('/api/events/chains/:chainId/versions/:version/restore', (req, res) => {
+  try {
+    const chain = eventBus.restoreChainVersion(req.params.chainId, req.params.version, { createdBy: req.user?.username });
+    res.json({ success: true, chain });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Delete a chain
 app.delete('/api/events/chains/:chainId', (req, res) => {
   try {
     eventBus.removeChain(req.params.chainId);
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // Webhook endpoint for external platforms
-app.post('/api/events/webhook/:platform', async (req, res) => {
+app.post('/api/events/webhook/:platform', webhookSecurity.verifyWebhook('events'), async (req, res) => {
   try {
     const result = await eventBus.handleWebhook(req.params.platform, req.body);
     res.json(result);
@@ -4692,11 +5528,11 @@ app.get('/api/workflows/templates', (req, res) => {
   }
 });
 
-// Execute a workflow
+// Execute a workflow (simulate: true returns the trace without calling any platform)
 app.post('/api/workflows/execute', async (req, res) => {
   try {
-    const { templateId, inputs } = req.body;
-    const result = await workflowOrchestrator.executeWorkflow(templateId, inputs || {});
+    const { templateId, inputs, simulate } = req.body;
+    const result = await workflowOrchestrator.executeWorkflow(templateId, inputs || {}, { simulate: !!simulate });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -4706,8 +5542,37 @@ app.post('/api/workflows/execute', async (req, res) => {
 // Create a custom workflow
 app.post('/api/workflows', (req, res) => {
   try {
-    const workflow = workflowOrchestrator.createWorkflow(req.body);
+    const workflow = workflowOrchestrator.createWorkflow(req.body, { createdBy: req.user?.username });
     res.json(workflow);
+  } catch (error) {
+    res.status(400).json({ error: error.message, details: error.details });
+  }
+});
+
+// Platforms and step actions available to workflows
+app.get('/api/workflows/actions', (req, res) => {
+  try {
+    res.json(workflowOrchestrator.getWorkflowActions());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Validate a workflow definition without saving it
+app.post('/api/workflows/validate', (req, res) => {
+  try {
+    const { errors, warnings } = workflowOrchestrator.validateWorkflow(req.body || {});
+    res.json({ valid: errors.length === 0, errors, warnings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Walk a workflow definition with sample inputs, without calling any platform
+app.post('/api/workflows/dry-run', (req, res) => {
+  try {
+    const { workflow, inputs } = req.body || {};
+    res.json(workflowOrchestrator.dryRunWorkflow(workflow || {}, inputs || {}));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -4716,14 +5581,37 @@ app.post('/api/workflows', (req, res) => {
 // Get workflow execution history
 app.get('/api/workflows/history', (req, res) => {
   try {
-    const { limit } = req.query;
-    const history = workflowOrchestrator.getWorkflowHistory(parseInt(limit) || 20);
+    const { limit, templateId, trigger } = req.query;
+    const history = workflowOrchestrator.getWorkflowHistory(parseInt(limit) || 20, { templateId, trigger });
     res.json({ history });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Scheduled workflows with next and last run
+app.get('/api/workflows/schedules', (req, res) => {
+  try {
+    res.json({ schedules: workflowOrchestrator.getWorkflowSchedules() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause or resume a scheduled workflow
+app.post('/api/workflows/:workflowId/schedule/:state(pause|resume)', (req, res) => {
+  try {
+    const schedule = workflowOrchestrator.setSchedulePaused(
+      req.params.workflowId,
+      req.params.state === 'pause',
+      { updatedBy: req.user?.username }
+    );
+    res.json({ schedule });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // Get active workflows
 app.get('/api/workflows/active', (req, res) => {
   try {
@@ -4745,6 +5633,54 @@ app.post('/api/workflows/suggest', async (req, res) => {
   }
 });
 
+// Get a workflow definition
+app.get('/api/workflows/:workflowId', (req, res) => {
+  const workflow = workflowOrchestrator.getWorkflow(req.params.workflowId);
+  if (!workflow) return res.status(404).json({ error: 'Workflow not found' });
+  res.json(workflow);
+});
+
+// Edit a custom workflow (stored as a new version)
+app.put('/api/workflows/:workflowId', (req, res) => {
+  try {
+    const workflow = workflowOrchestrator.updateWorkflow(req.params.workflowId, req.body, { createdBy: req.user?.username });
+    res.json(workflow);
+  } catch (error) {
+    res.status(400).json({ error: error.message, details: error.details });
+  }
+});
+
+// Delete a custom workflow
+app.delete('/api/workflows/:workflowId', (req, res) => {
+  try {
+    const success = workflowOrchestrator.deleteWorkflow(req.params.workflowId);
+    if (!success) return res.status(404).json({ error: 'Workflow not found' });
+    res.json({ success });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List stored versions of a workflow
+app.get('/api/workflows/:workflowId/versions', (req, res) => {
+  try {
+    const versions = workflowOrchestrator.getWorkflowVersions(req.params.workflowId);
+    res.json({ versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore an earlier version of a workflow
+app.post('/api/workflows/:workflowId/versions/:version/restore', (req, res) => {
+  try {
+    const workflow = workflowOrchestrator.restoreWorkflowVersion(req.params.workflowId, req.params.version, { createdBy: req.user?.username });
+    res.json(workflow);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Quick action: Create task everywhere
 app.post('/api/workflows/quick/task-everywhere', async (req, res) => {
   try {
@@ -4765,6 +5701,92 @@ app.post('/api/workflows/quick/complete-everywhere', async (req, res) => {
   }
 });
 
+// ============================================
+// WEBHOOK SECURITY ROUTES
+// ============================================
+
+// Which inbound webhooks have a secret configured
+app.get('/api/webhooks/status', (req, res) => {
+  try {
+    res.json(webhookSecurity.getWebhookStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rejected webhook attempts (bad signature, stale, replayed)
+app.get('/api/webhooks/rejections', (req, res) => {
+  try {
+    const { source, limit } = req.query;
+    const rejections = webhookSecurity.getRejections({ source, limit: parseInt(limit) || 100 });
+    res.json({ rejections });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// JOB QUEUE ROUTES
+// ============================================
+
+// Queue counts per status
+app.get('/api/jobs/stats', (req, res) => {
+  try {
+    res.json(jobQueue.getQueueStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Jobs that used up their retries
+app.get('/api/jobs/dead-letter', (req, res) => {
+  try {
+    const jobs = jobQueue.getDeadLetterJobs(parseInt(req.query.limit) || 50);
+    res.json({ jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List jobs, optionally by status, type or workflow execution
+app.get('/api/jobs', (req, res) => {
+  try {
+    const { status, type, executionId, limit } = req.query;
+    const jobs = jobQueue.getJobs({ status, type, executionId, limit: parseInt(limit) || 50 });
+    res.json({ jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json({ job });
+});
+
+// Requeue a dead-lettered job
+app.post('/api/jobs/:jobId/retry', (req, res) => {
+  try {
+    const job = jobQueue.retryJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Drop a dead-lettered job
+app.delete('/api/jobs/:jobId', (req, res) => {
+  try {
+    const deleted = jobQueue.discardJob(req.params.jobId);
+    if (!deleted) return res.status(404).json({ error: 'Dead-lettered job not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // UNIFIED COMMAND ENDPOINT
 // ============================================
@@ -5501,7 +6523,7 @@ app.post('/api/telegram/command-center', async (req, res) => {
 import * as clickupSop from './lib/clickup-sop.js';
 
 // Webhook receiver — ClickUp sends events here
-app.post('/api/clickup/webhook', async (req, res) => {
+app.post('/api/clickup/webhook', webhookSecurity.verifyWebhook('clickup'), async (req, res) => {
   // Acknowledge immediately (ClickUp retries if no 200 within 30s)
   res.sendStatus(200);
 
@@ -5597,9 +6619,16 @@ app.post('/api/clickup/setup-webhook', async (req, res) => {
     const callbackUrl = `${process.env.APP_URL || 'https://liv8-command-center-api.onrender.com'}/api/clickup/webhook`;
     const result = await clickupSop.createWebhook(targetTeamId, callbackUrl, events);
 
+    // Deliveries are signed with this secret; /api/clickup/webhook verifies them
+    if (result.webhook?.secret) {
+      db.setSetting('clickup_webhook_secret', result.webhook.secret);
+    }
+
+    // The secret stays server-side: it is what verifyWebhook trusts
+    const { secret, ...webhook } = result.webhook || {};
     res.json({
       success: true,
-      webhook: result,
+      webhook: { ...result, webhook },
       callbackUrl,
       teamId: targetTeamId,
       message: 'Webhook created! ClickUp will now send SOP updates to your Command Center.'
@@ -5624,7 +6653,7 @@ app.get('/api/clickup/webhooks', async (req, res) => {
     if (!targetTeamId) return res.json({ webhooks: [] });
 
     const result = await clickupSop.listWebhooks(targetTeamId);
-    res.json({ success: true, webhooks: result.webhooks || [] });
+    res.json({ success: true, webhooks: (result.webhooks || []).map(({ secret, ...webhook }) => webhook) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -5831,7 +6860,7 @@ const tradeSignals = [];
 const MAX_SIGNALS = 200;
 
 // POST /api/trade-signals/webhook — Receive TradingView alerts
-app.post('/api/trade-signals/webhook', (req, res) => {
+app.post('/api/trade-signals/webhook', webhookSecurity.verifyWebhook('trade-signals'), (req, res) => {
   try {
     const payload = req.body;
     console.log('[TRADE SIGNAL] Received webhook:', JSON.stringify(payload).substring(0, 500));
@@ -6427,7 +7456,7 @@ app.post('/api/porting/generate-loa', async (req, res) => {
 // Create HTTP server and attach WebSocket for streaming
 import { createServer } from 'http';
 const httpServer = createServer(app);
-streamRelay.initStreamWebSocket(httpServer);
+streamRelay.initStreamWebSocket(httpServer, { authenticate: auth.authenticateRequest });
 
 httpServer.listen(PORT, () => {
   const providerInfo = ai.getCurrentProvider();
@@ -6445,6 +7474,7 @@ httpServer.listen(PORT, () => {
   ║  Schedule: 8 AM, 12 PM, 4 PM, 12 AM EST                       ║
   ║                                                               ║
   ║  Endpoints:                                                   ║
+  ║   POST /api/auth/login          - Log in, get session token   ║
   ║   POST /api/analyze-ticket      - Analyze support ticket      ║
   ║   POST /api/generate-response   - Generate ticket response    ║
   ║   POST /api/chat                - General AI chat             ║
@@ -6473,7 +7503,7 @@ httpServer.listen(PORT, () => {
         try {
           const resp = await fetch(`http://localhost:${PORT}/api/news/send-digest`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-Internal-Token': auth.getInternalToken() },
             body: JSON.stringify({ email: process.env.REPORT_EMAIL })
           });
           const data = await resp.json();
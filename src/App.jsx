@@ -22,6 +22,7 @@ import ActionFeed from './pages/ActionFeed';
 import Trading from './pages/Trading';
 import VoiceAgents from './pages/VoiceAgents';
 import APIBuilder from './pages/APIBuilder';
+import WorkflowBuilder from './pages/WorkflowBuilder';
 import Glasses from './pages/Glasses';
 import ContentEngine from './pages/ContentEngine';
 import LifeMap from './pages/LifeMap';
@@ -108,6 +109,8 @@ function AppContent() {
         return <VoiceAgents />;
       case 'api-builder':
         return <APIBuilder />;
+      case 'workflow-builder':
+        return <WorkflowBuilder />;
       case 'admin':
         return <AdminPanel />;
       case 'content-engine':
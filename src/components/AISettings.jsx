@@ -1,9 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import { Settings, Check, X, Eye, EyeOff, RefreshCw } from 'lucide-react';
+import { Settings, Check, X, Eye, EyeOff, RefreshCw, DollarSign, AlertTriangle, PauseCircle, TrendingDown } from 'lucide-react';
 import { API_URL } from '../config';
 
 const BACKEND_URL = API_URL;
 
+const BUDGET_STATE_STYLES = {
+  ok: { label: 'OK', className: 'text-green-400', icon: Check },
+  warning: { label: '80% spent', className: 'text-yellow-400', icon: AlertTriangle },
+  downgrade: { label: 'Downgraded', className: 'text-orange-400', icon: TrendingDown },
+  paused: { label: 'Paused', className: 'text-red-400', icon: PauseCircle }
+};
+
+const formatUsd = (value) => `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+
 const PROVIDERS = [
   { id: 'groq', name: 'Groq (Free)', icon: '⚡', color: 'orange', description: 'Free Llama 3.3/Mixtral - Best for bulk ticket drafts' },
   { id: 'gemini', name: 'Gemini', icon: '🌟', color: 'blue', description: 'Free tier available' },
@@ -204,7 +213,11 @@ export default function AISettings({ isDark = true, onClose, onProviderChange })
               <div className={`text-xs font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
                 {provider.name}
               </div>
-              {providerStatus.available[provider.id] ? (
+              {providerStatus.health?.[provider.id]?.state === 'open' ? (
+                <span className="text-xs text-red-400" title={providerStatus.health[provider.id].lastError?.message || ''}>Circuit open</span>
+              ) : providerStatus.health?.[provider.id]?.state === 'half_open' ? (
+                <span className="text-xs text-yellow-400">Recovering</span>
+              ) : providerStatus.available[provider.id] ? (
                 <Check className="w-3 h-3 text-green-400 mx-auto mt-1" />
               ) : (
                 <span className="text-xs text-gray-500">No key</span>
@@ -302,6 +315,212 @@ export default function AISettings({ isDark = true, onClose, onProviderChange })
           Current: <span className="text-white font-medium">{providerStatus.provider}</span> / {providerStatus.model}
         </div>
       </div>
+
+      <UsageBudgetsPanel isDark={isDark} />
+    </div>
+  );
+}
+
+/**
+ * Spend per feature with editable daily/monthly budgets
+ */
+function UsageBudgetsPanel({ isDark }) {
+  const [usage, setUsage] = useState(null);
+  const [features, setFeatures] = useState({});
+  const [actions, setActions] = useState(['downgrade', 'pause']);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({ dailyLimit: '', monthlyLimit: '', action: 'downgrade' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchUsage();
+  }, []);
+
+  const fetchUsage = async () => {
+    try {
+      const [usageRes, budgetsRes] = await Promise.all([
+        fetch(`${BACKEND_URL}/api/ai/usage?days=30`),
+        fetch(`${BACKEND_URL}/api/ai/budgets`)
+      ]);
+      if (usageRes.ok) setUsage(await usageRes.json());
+      if (budgetsRes.ok) {
+        const data = await budgetsRes.json();
+        setFeatures(data.features || {});
+        setActions(data.actions || ['downgrade', 'pause']);
+      }
+    } catch (err) {
+      console.error('Failed to fetch AI usage:', err);
+    }
+  };
+
+  const startEdit = (feature, budget) => {
+    setError('');
+    setEditing(feature);
+    setForm({
+      dailyLimit: budget?.dailyLimit ?? '',
+      monthlyLimit: budget?.monthlyLimit ?? '',
+      action: budget?.action || 'downgrade'
+    });
+  };
+
+  const saveBudget = async () => {
+    const toLimit = (value) => (value === '' || value === null ? null : Number(value));
+    try {
+      setSaving(true);
+      setError('');
+      const response = await fetch(`${BACKEND_URL}/api/ai/budgets`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          feature: editing,
+          dailyLimit: toLimit(form.dailyLimit),
+          monthlyLimit: toLimit(form.monthlyLimit),
+          action: form.action
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.details?.join('; ') || data.error || 'Failed to save budget');
+        return;
+      }
+      setEditing(null);
+      await fetchUsage();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const muted = isDark ? 'text-gray-400' : 'text-gray-500';
+  const strong = isDark ? 'text-white' : 'text-gray-900';
+  const inputClass = `w-full px-2 py-1 rounded text-xs border ${
+    isDark ? 'bg-gray-800 border-gray-700 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  // Every known feature, spend first, so budgets can be set before any usage
+  const usageByFeature = new Map((usage?.features || []).map(f => [f.feature, f]));
+  const rows = [
+    { feature: 'all', label: 'All features (total)', critical: false, ...(usage?.overall || {}), month: usage?.totals?.month, today: usage?.totals?.today },
+    ...Object.entries(features).map(([feature, meta]) => usageByFeature.get(feature) || {
+      feature,
+      label: meta.label,
+      critical: meta.critical,
+      today: { calls: 0, cost: 0 },
+      month: { calls: 0, cost: 0 },
+      budget: null,
+      budgetState: { state: 'ok' }
+    })
+  ].sort((a, b) => (a.feature === 'all' ? -1 : b.feature === 'all' ? 1 : (b.month?.cost || 0) - (a.month?.cost || 0)));
+
+  return (
+    <div className="mt-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <label className={`text-xs font-medium ${muted} flex items-center gap-1`}>
+          <DollarSign className="w-3 h-3" />
+          Usage & Budgets
+        </label>
+        <button onClick={fetchUsage} className={`${muted} hover:text-purple-400`} title="Refresh">
+          <RefreshCw className="w-3 h-3" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        {[['Today', usage?.totals?.today], ['This month', usage?.totals?.month]].map(([label, totals]) => (
+          <div key={label} className={`p-2 rounded-lg ${isDark ? 'bg-gray-900' : 'bg-gray-50'}`}>
+            <div className={`text-xs ${muted}`}>{label}</div>
+            <div className={`text-sm font-semibold ${strong}`}>{formatUsd(totals?.cost)}</div>
+            <div className={`text-xs ${muted}`}>
+              {totals?.calls || 0} calls · {(totals?.tokens || 0).toLocaleString()} tokens
+              {totals?.failures ? ` · ${totals.failures} failed` : ''}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="p-2 rounded text-xs bg-red-500/20 text-red-400">{error}</div>}
+
+      <div className={`rounded-lg divide-y ${isDark ? 'bg-gray-900 divide-gray-800' : 'bg-gray-50 divide-gray-200'}`}>
+        {rows.map(row => {
+          const state = BUDGET_STATE_STYLES[row.budgetState?.state] || BUDGET_STATE_STYLES.ok;
+          const StateIcon = state.icon;
+          return (
+            <div key={row.feature} className="p-2">
+              <div className="flex items-center justify-between gap-2">
+                <div className="min-w-0">
+                  <div className={`text-xs font-medium truncate ${strong}`}>
+                    {row.label}
+                    {row.critical && <span className={`ml-1 ${muted}`}>(critical)</span>}
+                  </div>
+                  <div className={`text-xs ${muted}`}>
+                    {formatUsd(row.today?.cost)} today · {formatUsd(row.month?.cost)} month · {row.month?.calls || 0} calls
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  {row.budget && (
+                    <span className={`text-xs flex items-center gap-1 ${state.className}`} title={row.budgetState?.reason || ''}>
+                      <StateIcon className="w-3 h-3" />
+                      {state.label}
+                    </span>
+                  )}
+                  <button
+                    onClick={() => (editing === row.feature ? setEditing(null) : startEdit(row.feature, row.budget))}
+                    className="text-xs text-purple-400 hover:text-purple-300"
+                  >
+                    {row.budget
+                      ? [row.budget.dailyLimit !== null && `${formatUsd(row.budget.dailyLimit)}/day`, row.budget.monthlyLimit !== null && `${formatUsd(row.budget.monthlyLimit)}/mo`].filter(Boolean).join(' · ')
+                      : 'Set budget'}
+                  </button>
+                </div>
+              </div>
+
+              {editing === row.feature && (
+                <div className="mt-2 grid grid-cols-3 gap-2 items-end">
+                  <div>
+                    <div className={`text-xs ${muted} mb-1`}>Daily $</div>
+                    <input type="number" min="0" step="0.01" value={form.dailyLimit}
+                      onChange={e => setForm(prev => ({ ...prev, dailyLimit: e.target.value }))}
+                      placeholder="None" className={inputClass} />
+                  </div>
+                  <div>
+                    <div className={`text-xs ${muted} mb-1`}>Monthly $</div>
+                    <input type="number" min="0" step="0.01" value={form.monthlyLimit}
+                      onChange={e => setForm(prev => ({ ...prev, monthlyLimit: e.target.value }))}
+                      placeholder="None" className={inputClass} />
+                  </div>
+                  <div>
+                    <div className={`text-xs ${muted} mb-1`}>When spent</div>
+                    <select value={form.action} onChange={e => setForm(prev => ({ ...prev, action: e.target.value }))} className={inputClass}>
+                      {actions.map(action => (
+                        <option key={action} value={action}>
+                          {action === 'pause' ? (row.critical ? 'Pause (downgrades)' : 'Pause') : 'Downgrade'}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-span-3 flex justify-end gap-2">
+                    <button onClick={() => setEditing(null)} className={`px-2 py-1 text-xs rounded ${muted}`}>Cancel</button>
+                    <button
+                      onClick={saveBudget}
+                      disabled={saving}
+                      className="px-3 py-1 text-xs rounded bg-purple-600 text-white hover:bg-purple-500 disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {usage?.providers?.length > 0 && (
+        <div className={`text-xs ${muted}`}>
+          {usage.providers.slice(0, 4).map(p => `${p.provider}/${p.model}: ${formatUsd(p.cost)}`).join(' · ')}
+        </div>
+      )}
     </div>
   );
 }
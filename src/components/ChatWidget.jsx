@@ -46,6 +46,7 @@ import {
 import { useTheme } from '../context/ThemeContext';
 import { COMMANDER_AGENT, SPECIALIZED_AGENTS, AGENT_CATEGORIES, getAgentById } from '../data/agents';
 import aiService from '../services/aiService';
+import { streamChat, createSentenceSpeaker } from '../services/chatStream';
 import AISettings from './AISettings';
 import { API_URL, VOICEBOX_URL } from '../config';
 
@@ -346,6 +347,7 @@ function ChatWidget({ onNavigate }) {
   // Voicebox refs
   const recognitionRef = useRef(null);
   const micStreamRef = useRef(null);
+  const speakerRef = useRef(null);
   const analyserRef = useRef(null);
   const animFrameRef = useRef(null);
 
@@ -392,7 +394,8 @@ function ChatWidget({ onNavigate }) {
     } catch { /* non-critical */ }
   }, []);
 
-  // Speak text using best available TTS: Voicebox → Edge TTS → Browser
+  // Speak text using best available TTS: Voicebox → Edge TTS → Browser.
+  // Resolves when playback ends so sentences can be queued back to back.
   const speakWithVoicebox = useCallback(async (text) => {
     if (!text.trim()) return;
     setIsSpeaking(true);
@@ -425,9 +428,11 @@ function ChatWidget({ onNavigate }) {
       const voices = window.speechSynthesis.getVoices();
       const englishVoice = voices.find(v => v.lang.startsWith('en') && (v.name.includes('Google') || v.name.includes('Samantha'))) || voices.find(v => v.lang.startsWith('en')) || voices[0];
       if (englishVoice) utterance.voice = englishVoice;
-      utterance.onend = onEnd;
-      utterance.onerror = onEnd;
-      window.speechSynthesis.speak(utterance);
+      await new Promise((resolve) => {
+        utterance.onend = () => { onEnd(); resolve(); };
+        utterance.onerror = () => { onEnd(); resolve(); };
+        window.speechSynthesis.speak(utterance);
+      });
     } else {
       onEnd();
     }
@@ -486,23 +491,21 @@ function ChatWidget({ onNavigate }) {
           setVoiceTranscript(interim || final);
           if (final) {
             setVoiceTranscript('');
-            // Process through AI and speak response
+            // Process through AI and speak the response sentence by sentence as it streams
             addMessage('user', final.trim());
+            speakerRef.current?.stop();
+            const speaker = createSentenceSpeaker(speakWithVoicebox);
+            speakerRef.current = speaker;
+            const live = startStreamingMessage();
             try {
-              const aiRes = await fetch(`${API_URL}/api/chat`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message: final.trim(), systemPrompt: DEFAULT_VOICE_PROMPT }),
+              const data = await streamChat('/api/chat', { message: final.trim(), systemPrompt: DEFAULT_VOICE_PROMPT }, {
+                onToken: (text, full) => { live.update(full); speaker.push(text); },
               });
-              if (aiRes.ok) {
-                const data = await aiRes.json();
-                const reply = data.response || data.text || data.message || '';
-                if (reply) {
-                  addMessage('commander', reply, 'liv8-commander');
-                  speakWithVoicebox(reply);
-                }
-              }
+              live.finish(data.response || '');
+              speaker.flush();
             } catch {
+              live.finish('');
+              speaker.stop();
               // Try Gemini browser-side fallback for voice
               const geminiKey = localStorage.getItem('liv8_gemini_api_key');
               if (geminiKey) {
@@ -599,6 +602,7 @@ function ChatWidget({ onNavigate }) {
       analyserRef.current.audioCtx.close().catch(() => {});
       analyserRef.current = null;
     }
+    speakerRef.current?.stop();
     if ('speechSynthesis' in window) window.speechSynthesis.cancel();
 
     setVoiceTranscript('');
@@ -634,6 +638,41 @@ function ChatWidget({ onNavigate }) {
     return msg;
   };
 
+  // Add an empty commander message that fills in as the reply streams.
+  // finish('') drops it (e.g. when a fallback path adds its own message).
+  const startStreamingMessage = (agentId = 'liv8-commander') => {
+    const id = `${Date.now()}-stream`;
+    setMessages(prev => [...prev, { id, role: 'commander', agentId, content: '', streaming: true, timestamp: new Date() }]);
+    return {
+      update: (content) => setMessages(prev => prev.map(m => (m.id === id ? { ...m, content } : m))),
+      finish: (content, extras = {}) => setMessages(prev => (content
+        ? prev.map(m => (m.id === id ? { ...m, content, streaming: false, ...extras } : m))
+        : prev.filter(m => m.id !== id))),
+    };
+  };
+
+  // Confirm or cancel an action the commander is holding for confirmation
+  const resolvePendingAction = async (messageId, action, approved) => {
+    const setActionState = (state) => setMessages(prev => prev.map(m => (m.id === messageId
+      ? { ...m, pendingActions: m.pendingActions.map(a => (a.id === action.id ? { ...a, ...state } : a)) }
+      : m)));
+
+    setActionState({ resolving: true });
+    try {
+      const res = await fetch(`${API_URL}/api/commander/actions/${action.id}/${approved ? 'confirm' : 'cancel'}`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setActionState({ resolving: false, status: data.status, error: data.result?.error });
+      if (data.status === 'executed') {
+        addMessage('commander', `Done: ${action.summary}.`, 'liv8-commander');
+      } else if (data.status === 'failed') {
+        addMessage('commander', `That didn't work (${action.summary}): ${data.result?.error || 'unknown error'}`, 'liv8-commander');
+      }
+    } catch (e) {
+      setActionState({ resolving: false, status: 'error', error: e.message });
+    }
+  };
+
   const createTask = (agentId, description) => {
     const agent = getAgentById(agentId);
     const task = {
@@ -669,6 +708,13 @@ function ChatWidget({ onNavigate }) {
   const processLocalCommand = (input) => {
     const lower = input.toLowerCase();
 
+    // Requests to do something - the commander endpoint can call tools
+    const actionTriggers = [
+      'create task', 'add task', 'new task', 'add a task', 'create a task',
+      'pomodoro', 'focus session', 'parking lot', 'park this', 'park that',
+      'free time', 'my calendar', 'am i free', 'contact', 'draft', 'workflow'
+    ];
+
     // Full context commands - use commander endpoint (which has real ticket/business data)
     const fullContextTriggers = [
       'execution plan', 'summarize tickets', 'ticket summary', 'all tickets',
@@ -683,7 +729,7 @@ function ChatWidget({ onNavigate }) {
       'trade setup', 'entry', 'stop loss', 'take profit'
     ];
 
-    if (fullContextTriggers.some(t => lower.includes(t))) {
+    if (fullContextTriggers.some(t => lower.includes(t)) || actionTriggers.some(t => lower.includes(t))) {
       return { useCommander: true, message: input };
     }
 
@@ -783,11 +829,16 @@ function ChatWidget({ onNavigate }) {
 
       // Handle commander with full context
       if (localResult.useCommander) {
+        const live = startStreamingMessage();
         try {
-          const result = await aiService.commanderChat(localResult.message);
-          addMessage('commander', result.response, 'liv8-commander');
+          const result = await aiService.commanderChat(localResult.message, { onToken: (_, full) => live.update(full) });
+          if (result.pendingActions?.length) {
+            live.finish(result.response || 'This needs your confirmation:', { pendingActions: result.pendingActions });
+          } else {
+            live.finish(result.response);
+          }
         } catch (e) {
-          addMessage('commander', `Error: ${e.message}`, 'liv8-commander');
+          live.finish(`Error: ${e.message}`);
         }
         setIsProcessing(false);
         return;
@@ -802,6 +853,7 @@ function ChatWidget({ onNavigate }) {
     }
 
     // Use AI service for all other messages
+    const live = startStreamingMessage();
     try {
       const context = {
         activeTasks,
@@ -809,11 +861,11 @@ function ChatWidget({ onNavigate }) {
         isScreenSharing
       };
 
-      const result = await aiService.generateResponse(messageText, context);
-      addMessage('commander', result.response, 'liv8-commander');
+      const result = await aiService.generateResponse(messageText, context, { onToken: (_, full) => live.update(full) });
+      live.finish(result.response);
     } catch (error) {
       console.error('AI response error:', error);
-      addMessage('commander', "I'm having trouble processing that request. Please try again or rephrase your question.", 'liv8-commander');
+      live.finish("I'm having trouble processing that request. Please try again or rephrase your question.");
     } finally {
       setIsProcessing(false);
     }
@@ -1501,7 +1553,7 @@ function ChatWidget({ onNavigate }) {
 
           {/* Messages */}
           <div className={`flex-1 overflow-y-auto p-4 space-y-3 ${isDark ? 'bg-gray-900/50' : 'bg-gray-50'}`}>
-            {messages.map(msg => (
+            {messages.filter(msg => !msg.streaming || msg.content).map(msg => (
               <div key={msg.id} className={`flex ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                 {msg.role === 'system' ? (
                   <div className={`text-center text-xs py-1 px-3 rounded-full ${isDark ? 'bg-gray-800 text-gray-500' : 'bg-gray-200 text-gray-500'}`}>
@@ -1527,12 +1579,45 @@ function ChatWidget({ onNavigate }) {
                         </p>
                       )}
                       <p className="text-sm whitespace-pre-wrap">{msg.content}</p>
+                      {msg.pendingActions?.map(action => (
+                        <div key={action.id} className={`mt-2 p-2 rounded-lg border text-xs ${isDark ? 'border-amber-500/40 bg-amber-500/10' : 'border-amber-300 bg-amber-50'}`}>
+                          <div className="flex items-start gap-1.5">
+                            <Shield className="w-3.5 h-3.5 text-amber-500 flex-shrink-0 mt-0.5" />
+                            <span>{action.summary}</span>
+                          </div>
+                          {action.status ? (
+                            <p className={`mt-1.5 ${action.status === 'executed' ? 'text-green-500' : action.status === 'cancelled' ? (isDark ? 'text-gray-400' : 'text-gray-500') : 'text-red-500'}`}>
+                              {action.status === 'executed' ? 'Done'
+                                : action.status === 'cancelled' ? 'Cancelled'
+                                : `Failed: ${action.error || 'unknown error'}`}
+                            </p>
+                          ) : (
+                            <div className="flex gap-2 mt-2">
+                              <button
+                                onClick={() => resolvePendingAction(msg.id, action, true)}
+                                disabled={action.resolving}
+                                className="flex items-center gap-1 px-2.5 py-1 rounded-md bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50"
+                              >
+                                {action.resolving ? <Loader2 className="w-3 h-3 animate-spin" /> : <CheckCircle className="w-3 h-3" />}
+                                Confirm
+                              </button>
+                              <button
+                                onClick={() => resolvePendingAction(msg.id, action, false)}
+                                disabled={action.resolving}
+                                className={`px-2.5 py-1 rounded-md disabled:opacity-50 ${isDark ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      ))}
                     </div>
                   </div>
                 )}
               </div>
             ))}
-            {isProcessing && (
+            {isProcessing && !messages.some(msg => msg.streaming && msg.content) && (
               <div className="flex gap-2">
                 <div className="w-8 h-8 rounded-full bg-gradient-to-br from-purple-600 to-cyan-500 flex items-center justify-center">
                   <Loader2 className="w-4 h-4 text-white animate-spin" />
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
-import { CheckCircle, XCircle, AlertTriangle, Copy, RefreshCw, Trash2, ChevronRight, Star } from 'lucide-react';
+import { CheckCircle, XCircle, AlertTriangle, Copy, RefreshCw, Trash2, ChevronRight, Star, Pencil, Send, Lock, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3005';
 
@@ -11,6 +12,12 @@ const STATUS_COLORS = {
   ESCALATION_RECOMMENDED: { bg: 'bg-red-500/20', border: 'border-red-500/30', text: 'text-red-300', label: 'Escalation' }
 };
 
+// Sent, or a send that may have reached Freshdesk — no more edits or status changes
+const isSent = (draft) => ['sent', 'sending'].includes(draft.send_status);
+
+// QA score under the rubric's approval floor, with no edits that could change it
+const isQaBlocked = (draft, edit) => draft.qa_gate?.blocked && (edit === undefined || edit === draft.draft_text);
+
 export default function DraftQueue({ isDark, onSelectTicket }) {
   const [drafts, setDrafts] = useState([]);
   const [stats, setStats] = useState({ total: 0, PENDING_REVIEW: 0, APPROVED: 0 });
@@ -18,6 +25,22 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
   const [filter, setFilter] = useState('PENDING_REVIEW');
   const [expandedDraft, setExpandedDraft] = useState(null);
   const [savingCasebook, setSavingCasebook] = useState(null);
+  const [actionError, setActionError] = useState('');
+  // Unsaved reviewer edits by draft id
+  const [edits, setEdits] = useState({});
+  const [sending, setSending] = useState(null);
+  const [evaluating, setEvaluating] = useState(null);
+  const { hasRole } = useAuth();
+  const canReview = hasRole('operator');
+
+  // Surface the server's 403 message instead of failing silently
+  const checkResponse = async (res) => {
+    if (res.ok) return true;
+    const data = await res.json().catch(() => ({}));
+    setActionError(data.error || `Request failed (${res.status})`);
+    setTimeout(() => setActionError(''), 5000);
+    return false;
+  };
 
   const fetchDrafts = async () => {
     setLoading(true);
@@ -43,13 +66,28 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
     return () => clearInterval(interval);
   }, [filter]);
 
+  const clearEdit = (draftId) => {
+    setEdits(prev => {
+      const { [draftId]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const updateStatus = async (draftId, status) => {
+    // Rejection reasons are what later drafts learn from
+    let reason;
+    if (status === 'REJECTED') {
+      reason = prompt('Why is this draft being rejected?');
+      if (!reason?.trim()) return;
+    }
+
     try {
-      await fetch(`${API_URL}/api/drafts/${draftId}/status`, {
+      const res = await fetch(`${API_URL}/api/drafts/${draftId}/status`, {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status })
+        body: JSON.stringify({ status, draft_text: edits[draftId], reason })
       });
+      if (await checkResponse(res)) clearEdit(draftId);
       fetchDrafts();
     } catch (e) {
       console.error('Failed to update draft:', e);
@@ -58,11 +96,51 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
 
   const deleteDraft = async (draftId) => {
     try {
-      await fetch(`${API_URL}/api/drafts/${draftId}`, { method: 'DELETE' });
+      const res = await fetch(`${API_URL}/api/drafts/${draftId}`, { method: 'DELETE' });
+      await checkResponse(res);
       fetchDrafts();
     } catch (e) {}
   };
 
+  // Post to Freshdesk — the server refuses drafts that were already sent
+  const sendDraft = async (draft, as) => {
+    const label = as === 'reply' ? 'Send this reply to the customer' : 'Add this as a private note';
+    if (!confirm(`${label} on Freshdesk ticket #${draft.ticket_id}?`)) return;
+
+    setSending(draft.id);
+    try {
+      const res = await fetch(`${API_URL}/api/drafts/${draft.id}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ as, draft_text: edits[draft.id] })
+      });
+      if (await checkResponse(res)) clearEdit(draft.id);
+      fetchDrafts();
+    } catch (e) {
+      console.error('Failed to send draft:', e);
+    } finally {
+      setSending(null);
+    }
+  };
+
+  // Grade the draft's current text again and store the result
+  const rerunQA = async (draftId) => {
+    setEvaluating(draftId);
+    try {
+      const res = await fetch(`${API_URL}/api/qa/evaluate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ draftId })
+      });
+      await checkResponse(res);
+      fetchDrafts();
+    } catch (e) {
+      console.error('Failed to re-run QA:', e);
+    } finally {
+      setEvaluating(null);
+    }
+  };
+
   const copyDraft = (text) => {
     navigator.clipboard.writeText(text).catch(() => {});
   };
@@ -70,18 +148,18 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
   const saveDraftToCasebook = async (draft) => {
     setSavingCasebook(draft.id);
     try {
-      await fetch(`${API_URL}/api/casebook`, {
+      const res = await fetch(`${API_URL}/api/casebook`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           ticket_id: draft.ticket_id,
           subject: draft.ticket_subject,
-          approved_response: draft.draft_text,
+          approved_response: edits[draft.id] ?? draft.draft_text,
           keywords: draft.ticket_subject.split(/\s+/).filter(w => w.length > 3)
         })
       });
       // Auto-approve when saved to casebook
-      await updateStatus(draft.id, 'APPROVED');
+      if (await checkResponse(res) && draft.status !== 'APPROVED') await updateStatus(draft.id, 'APPROVED');
     } catch (e) {
       console.error('Failed to save to casebook:', e);
     } finally {
@@ -119,6 +197,12 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
         </button>
       </div>
 
+      {actionError && (
+        <div className="mx-4 mb-2 flex items-center gap-2 p-2 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-xs">
+          <AlertTriangle className="w-3 h-3 flex-shrink-0" /> {actionError}
+        </div>
+      )}
+
       {/* Filter tabs */}
       <div className={`px-4 pb-2 flex gap-1 border-b ${isDark ? 'border-purple-900/20' : 'border-gray-100'}`}>
         {['PENDING_REVIEW', 'APPROVED', 'NEEDS_EDIT', 'ESCALATION_RECOMMENDED', 'REJECTED'].map(status => (
@@ -175,25 +259,72 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
                 {/* Expanded content */}
                 {isExpanded && (
                   <div className={`px-4 pb-4 ${isDark ? 'bg-white/[0.02]' : 'bg-gray-50/50'}`}>
-                    {/* Draft text */}
-                    <div className={`p-3 rounded-lg text-sm whitespace-pre-wrap mb-3 max-h-48 overflow-y-auto ${
-                      isDark ? 'bg-white/5 text-gray-300' : 'bg-white text-gray-700 border border-gray-200'
-                    }`}>
-                      {draft.draft_text}
-                    </div>
+                    {/* Draft text (editable until sent) */}
+                    {edits[draft.id] !== undefined ? (
+                      <textarea
+                        value={edits[draft.id]}
+                        onChange={(e) => setEdits(prev => ({ ...prev, [draft.id]: e.target.value }))}
+                        rows={8}
+                        className={`w-full p-3 rounded-lg text-sm mb-3 resize-y ${
+                          isDark ? 'bg-white/5 text-gray-200 border border-purple-900/30' : 'bg-white text-gray-700 border border-gray-300'
+                        }`}
+                      />
+                    ) : (
+                      <div className={`p-3 rounded-lg text-sm whitespace-pre-wrap mb-3 max-h-48 overflow-y-auto ${
+                        isDark ? 'bg-white/5 text-gray-300' : 'bg-white text-gray-700 border border-gray-200'
+                      }`}>
+                        {draft.draft_text}
+                      </div>
+                    )}
+
+                    {draft.status === 'REJECTED' && draft.rejection_reason && (
+                      <div className="flex items-start gap-1.5 mb-3 text-xs text-red-400">
+                        <XCircle className="w-3 h-3 mt-0.5 flex-shrink-0" /> Rejected: {draft.rejection_reason}
+                      </div>
+                    )}
+
+                    {/* Freshdesk send state */}
+                    {draft.send_status === 'sent' && (
+                      <div className="flex items-center gap-1.5 mb-3 text-xs text-green-400">
+                        <Send className="w-3 h-3" />
+                        Sent to Freshdesk as {draft.sent_as === 'note' ? 'a private note' : 'a reply'}
+                        {draft.freshdesk_conversation_id && ` (conversation ${draft.freshdesk_conversation_id})`}
+                        {draft.sent_at && ` • ${new Date(draft.sent_at + 'Z').toLocaleString()}`}
+                      </div>
+                    )}
+                    {draft.send_status === 'sending' && (
+                      <div className="flex items-center gap-1.5 mb-3 text-xs text-yellow-400">
+                        <AlertTriangle className="w-3 h-3" /> Send in progress or interrupted — check the ticket in Freshdesk
+                      </div>
+                    )}
+                    {draft.send_status === 'failed' && (
+                      <div className="flex items-center gap-1.5 mb-3 text-xs text-red-400">
+                        <AlertTriangle className="w-3 h-3" /> Last send failed: {draft.send_error}
+                      </div>
+                    )}
 
                     {/* QA details */}
                     {qa && qa.criteria && (
                       <div className={`p-2 rounded-lg mb-3 text-xs ${isDark ? 'bg-white/5' : 'bg-white border border-gray-200'}`}>
-                        <div className={`font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>QA Result: {qa.overall} ({qa.score}/100)</div>
+                        <div className={`font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
+                          QA Result: {qa.overall} ({qa.score}/100)
+                          {qa.rubric && <span className={`font-normal ${isDark ? 'text-gray-500' : 'text-gray-400'}`}> • {qa.rubric.name} rubric, pass at {qa.rubric.passScore}</span>}
+                        </div>
                         <div className="grid grid-cols-2 gap-1">
                           {Object.entries(qa.criteria).map(([key, val]) => (
-                            <div key={key} className="flex items-center gap-1">
+                            <div key={key} className="flex items-center gap-1" title={val.notes}>
                               {val.pass ? <CheckCircle className="w-3 h-3 text-green-400" /> : <XCircle className="w-3 h-3 text-red-400" />}
-                              <span className={isDark ? 'text-gray-400' : 'text-gray-500'}>{key.replace(/_/g, ' ')}</span>
+                              <span className={isDark ? 'text-gray-400' : 'text-gray-500'}>
+                                {key.replace(/_/g, ' ')}{val.weight != null && ` (${val.weight})`}
+                              </span>
                             </div>
                           ))}
                         </div>
+                        {qa.revisions?.length > 0 && (
+                          <div className={`mt-1.5 ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                            Auto-revised: {qa.revisions.map(r => `${r.score}${r.kept ? '' : ' (discarded)'}`).join(' → ')}
+                          </div>
+                        )}
                         {qa.fixes?.length > 0 && (
                           <div className="mt-1.5 text-red-400">
                             Fixes: {qa.fixes.join('; ')}
@@ -202,17 +333,26 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
                       </div>
                     )}
 
+                    {draft.status !== 'APPROVED' && !isSent(draft) && isQaBlocked(draft, edits[draft.id]) && (
+                      <div className="flex items-center gap-1.5 mb-3 text-xs text-orange-400">
+                        <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                        QA score {draft.qa_gate.score}/100 is below the {draft.qa_gate.minScore} needed to approve — edit the draft or re-run QA
+                      </div>
+                    )}
+
                     {/* Action buttons */}
-                    <div className="flex gap-2">
-                      {draft.status !== 'APPROVED' && (
+                    <div className="flex flex-wrap gap-2">
+                      {canReview && draft.status !== 'APPROVED' && !isSent(draft) && (
                         <button
                           onClick={() => updateStatus(draft.id, 'APPROVED')}
-                          className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-green-600 hover:bg-green-700 text-white"
+                          disabled={isQaBlocked(draft, edits[draft.id])}
+                          title={isQaBlocked(draft, edits[draft.id]) ? 'QA score is below the approval threshold' : undefined}
+                          className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-green-600 hover:bg-green-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                           <CheckCircle className="w-3 h-3" /> Approve
                         </button>
                       )}
-                      {draft.status !== 'REJECTED' && (
+                      {canReview && draft.status !== 'REJECTED' && !isSent(draft) && (
                         <button
                           onClick={() => updateStatus(draft.id, 'REJECTED')}
                           className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-red-600/20 hover:bg-red-600/30 text-red-400"
@@ -220,25 +360,73 @@ export default function DraftQueue({ isDark, onSelectTicket }) {
                           <XCircle className="w-3 h-3" /> Reject
                         </button>
                       )}
+                      {canReview && draft.status === 'APPROVED' && !isSent(draft) && (
+                        <>
+                          <button
+                            onClick={() => sendDraft(draft, 'reply')}
+                            disabled={sending === draft.id}
+                            className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                          >
+                            <Send className="w-3 h-3" /> {sending === draft.id ? 'Sending...' : 'Send Reply'}
+                          </button>
+                          <button
+                            onClick={() => sendDraft(draft, 'note')}
+                            disabled={sending === draft.id}
+                            className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg disabled:opacity-50 ${isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                          >
+                            <Lock className="w-3 h-3" /> Private Note
+                          </button>
+                        </>
+                      )}
+                      {canReview && !isSent(draft) && (
+                        edits[draft.id] !== undefined ? (
+                          <button
+                            onClick={() => clearEdit(draft.id)}
+                            className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg ${isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                          >
+                            <XCircle className="w-3 h-3" /> Discard Edits
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => setEdits(prev => ({ ...prev, [draft.id]: draft.draft_text }))}
+                            className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg ${isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                          >
+                            <Pencil className="w-3 h-3" /> Edit
+                          </button>
+                        )
+                      )}
+                      {canReview && !isSent(draft) && draft.qa_result && (
+                        <button
+                          onClick={() => rerunQA(draft.id)}
+                          disabled={evaluating === draft.id}
+                          className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg disabled:opacity-50 ${isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+                        >
+                          <ShieldCheck className="w-3 h-3" /> {evaluating === draft.id ? 'Checking...' : 'Re-run QA'}
+                        </button>
+                      )}
                       <button
-                        onClick={() => copyDraft(draft.draft_text)}
+                        onClick={() => copyDraft(edits[draft.id] ?? draft.draft_text)}
                         className={`flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg ${isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
                       >
                         <Copy className="w-3 h-3" /> Copy
                       </button>
-                      <button
-                        onClick={() => saveDraftToCasebook(draft)}
-                        disabled={savingCasebook === draft.id}
-                        className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-yellow-600 hover:bg-yellow-700 text-white"
-                      >
-                        <Star className="w-3 h-3" /> {savingCasebook === draft.id ? 'Saving...' : 'Casebook'}
-                      </button>
-                      <button
-                        onClick={() => deleteDraft(draft.id)}
-                        className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400 ml-auto"
-                      >
-                        <Trash2 className="w-3 h-3" />
-                      </button>
+                      {canReview && (
+                        <>
+                          <button
+                            onClick={() => saveDraftToCasebook(draft)}
+                            disabled={savingCasebook === draft.id}
+                            className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-yellow-600 hover:bg-yellow-700 text-white"
+                          >
+                            <Star className="w-3 h-3" /> {savingCasebook === draft.id ? 'Saving...' : 'Casebook'}
+                          </button>
+                          <button
+                            onClick={() => deleteDraft(draft.id)}
+                            className="flex items-center gap-1 px-3 py-1.5 text-xs rounded-lg bg-red-600/10 hover:bg-red-600/20 text-red-400 ml-auto"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                 )}
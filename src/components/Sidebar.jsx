@@ -26,6 +26,7 @@ import {
   BarChart3,
   Terminal,
   Glasses,
+  Workflow,
   Network,
   Heart,
   Target,
@@ -55,6 +56,7 @@ const menuItems = [
   { id: 'content-engine', label: 'Content Engine', icon: TrendingUp },
   { id: 'voice-agents', label: 'Voice Agents', icon: Mic },
   { id: 'api-builder', label: 'API / MCP Builder', icon: Terminal },
+  { id: 'workflow-builder', label: 'Workflow Builder', icon: Workflow },
   { id: 'inbox', label: 'Team Inbox', icon: MessageSquare },
   { id: 'action-feed', label: 'Action Feed', icon: Inbox },
   { id: 'tickets', label: 'GHL', icon: Ticket },
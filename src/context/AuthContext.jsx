@@ -1,172 +1,200 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { API_URL } from '../config';
 
 const AuthContext = createContext(null);
 
 // Storage keys
 const AUTH_KEYS = {
-  USERS: 'liv8_auth_users',
-  CURRENT_USER: 'liv8_current_user',
-  ADMIN_SETUP: 'liv8_admin_setup'
+  SESSION_TOKEN: 'liv8_session_token'
 };
 
-// Default admin account
-const DEFAULT_ADMIN = {
-  id: 'admin_001',
-  username: 'admin',
-  password: 'LIV8Command2026!', // Change this after first login
-  name: 'SV',
-  email: 'liv8ent@gmail.com',
-  role: 'admin',
-  agentName: 'SV - GoHighLevel Support',
-  createdAt: new Date().toISOString(),
-  lastLogin: null
-};
+// Fired when the server rejects the stored token
+const SESSION_EXPIRED_EVENT = 'liv8:session-expired';
+
+// Mirrors the server role order in server/lib/auth.js
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+
+export function getSessionToken() {
+  return localStorage.getItem(AUTH_KEYS.SESSION_TOKEN);
+}
+
+/**
+ * Attach the session token to every request made to the API server.
+ * Pages call fetch(`${API_URL}/api/...`) directly, so the token is added
+ * here once instead of at each call site.
+ */
+function installAuthFetch() {
+  if (window.__liv8AuthFetch) return;
+  window.__liv8AuthFetch = true;
+
+  const nativeFetch = window.fetch.bind(window);
+
+  window.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input?.url || '';
+    const token = getSessionToken();
+
+    if (!token || !url.startsWith(API_URL)) {
+      return nativeFetch(input, init);
+    }
+
+    const headers = new Headers(init.headers || (input instanceof Request ? input.headers : undefined));
+    if (!headers.has('Authorization')) {
+      headers.set('Authorization', `Bearer ${token}`);
+    }
+
+    const response = await nativeFetch(input, { ...init, headers });
+    if (response.status === 401 && !url.includes('/api/auth/login')) {
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    return response;
+  };
+}
+
+installAuthFetch();
+
+async function apiRequest(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    return { success: false, error: data.error || `Request failed (${response.status})` };
+  }
+  return { success: true, ...data };
+}
 
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
   const [users, setUsers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Initialize auth state
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(AUTH_KEYS.SESSION_TOKEN);
+    setCurrentUser(null);
+    setUsers([]);
+  }, []);
+
+  // Restore session from stored token
   useEffect(() => {
-    const storedUsers = localStorage.getItem(AUTH_KEYS.USERS);
-    const storedCurrentUser = localStorage.getItem(AUTH_KEYS.CURRENT_USER);
-    const adminSetup = localStorage.getItem(AUTH_KEYS.ADMIN_SETUP);
-
-    // Initialize with default admin if first time
-    if (!adminSetup) {
-      const initialUsers = [DEFAULT_ADMIN];
-      localStorage.setItem(AUTH_KEYS.USERS, JSON.stringify(initialUsers));
-      localStorage.setItem(AUTH_KEYS.ADMIN_SETUP, 'true');
-      setUsers(initialUsers);
-    } else if (storedUsers) {
-      setUsers(JSON.parse(storedUsers));
-    }
+    const restore = async () => {
+      if (getSessionToken()) {
+        const result = await apiRequest('/api/auth/me').catch(() => ({ success: false }));
+        if (result.success) {
+          setCurrentUser(result.user);
+        } else {
+          localStorage.removeItem(AUTH_KEYS.SESSION_TOKEN);
+        }
+      }
+      setIsLoading(false);
+    };
+    restore();
 
-    // Restore session if exists
-    if (storedCurrentUser) {
-      setCurrentUser(JSON.parse(storedCurrentUser));
-    }
+    window.addEventListener(SESSION_EXPIRED_EVENT, clearSession);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, clearSession);
+  }, [clearSession]);
 
-    setIsLoading(false);
+  const refreshUsers = useCallback(async () => {
+    const result = await apiRequest('/api/users');
+    if (result.success) setUsers(result.users);
+    return result;
   }, []);
 
-  // Login function
-  const login = (username, password) => {
-    const user = users.find(
-      u => u.username.toLowerCase() === username.toLowerCase() && u.password === password
-    );
-
-    if (user) {
-      const updatedUser = { ...user, lastLogin: new Date().toISOString() };
-      setCurrentUser(updatedUser);
-      localStorage.setItem(AUTH_KEYS.CURRENT_USER, JSON.stringify(updatedUser));
-
-      // Update last login in users list
-      const updatedUsers = users.map(u =>
-        u.id === user.id ? updatedUser : u
-      );
-      setUsers(updatedUsers);
-      localStorage.setItem(AUTH_KEYS.USERS, JSON.stringify(updatedUsers));
-
-      return { success: true, user: updatedUser };
+  // Admins see the full team list
+  useEffect(() => {
+    if (currentUser?.role === 'admin') {
+      refreshUsers();
+    } else if (currentUser) {
+      setUsers([currentUser]);
     }
+  }, [currentUser?.id, currentUser?.role, refreshUsers]);
 
-    return { success: false, error: 'Invalid username or password' };
+  // Login function
+  const login = async (username, password) => {
+    try {
+      const result = await apiRequest('/api/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ username, password })
+      });
+
+      if (result.success) {
+        localStorage.setItem(AUTH_KEYS.SESSION_TOKEN, result.token);
+        setCurrentUser(result.user);
+        return { success: true, user: result.user };
+      }
+
+      return { success: false, error: result.error || 'Invalid username or password' };
+    } catch (e) {
+      return { success: false, error: 'Cannot reach the Command Center server' };
+    }
   };
 
   // Logout function
-  const logout = () => {
-    setCurrentUser(null);
-    localStorage.removeItem(AUTH_KEYS.CURRENT_USER);
+  const logout = async () => {
+    await apiRequest('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    clearSession();
   };
 
   // Create new user (admin only)
-  const createUser = (userData) => {
-    if (currentUser?.role !== 'admin') {
-      return { success: false, error: 'Only admins can create users' };
-    }
-
-    // Check if username exists
-    if (users.some(u => u.username.toLowerCase() === userData.username.toLowerCase())) {
-      return { success: false, error: 'Username already exists' };
-    }
-
-    const newUser = {
-      id: `user_${Date.now()}`,
-      username: userData.username,
-      password: userData.password,
-      name: userData.name,
-      email: userData.email || '',
-      role: userData.role || 'member',
-      agentName: userData.agentName || userData.name,
-      createdAt: new Date().toISOString(),
-      lastLogin: null,
-      permissions: userData.permissions || ['tickets', 'dashboard']
-    };
-
-    const updatedUsers = [...users, newUser];
-    setUsers(updatedUsers);
-    localStorage.setItem(AUTH_KEYS.USERS, JSON.stringify(updatedUsers));
-
-    return { success: true, user: newUser };
+  const createUser = async (userData) => {
+    const result = await apiRequest('/api/users', {
+      method: 'POST',
+      body: JSON.stringify(userData)
+    });
+    if (result.success) await refreshUsers();
+    return result;
   };
 
   // Update user
-  const updateUser = (userId, updates) => {
-    if (currentUser?.role !== 'admin' && currentUser?.id !== userId) {
-      return { success: false, error: 'Permission denied' };
+  const updateUser = async (userId, updates) => {
+    const result = await apiRequest(`/api/users/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+
+    if (result.success) {
+      if (currentUser?.id === userId) setCurrentUser(result.user);
+      if (currentUser?.role === 'admin') await refreshUsers();
     }
-
-    const updatedUsers = users.map(u =>
-      u.id === userId ? { ...u, ...updates } : u
-    );
-    setUsers(updatedUsers);
-    localStorage.setItem(AUTH_KEYS.USERS, JSON.stringify(updatedUsers));
-
-    // Update current user if it's the same user
-    if (currentUser?.id === userId) {
-      const updatedCurrentUser = { ...currentUser, ...updates };
-      setCurrentUser(updatedCurrentUser);
-      localStorage.setItem(AUTH_KEYS.CURRENT_USER, JSON.stringify(updatedCurrentUser));
-    }
-
-    return { success: true };
+    return result;
   };
 
   // Delete user (admin only)
-  const deleteUser = (userId) => {
-    if (currentUser?.role !== 'admin') {
-      return { success: false, error: 'Only admins can delete users' };
-    }
-
-    if (userId === currentUser?.id) {
-      return { success: false, error: 'Cannot delete your own account' };
-    }
-
-    const updatedUsers = users.filter(u => u.id !== userId);
-    setUsers(updatedUsers);
-    localStorage.setItem(AUTH_KEYS.USERS, JSON.stringify(updatedUsers));
+  const deleteUser = async (userId) => {
+    const result = await apiRequest(`/api/users/${userId}`, { method: 'DELETE' });
+    if (result.success) await refreshUsers();
+    return result;
+  };
 
-    return { success: true };
+  // Assign a role (admin only)
+  const assignRole = async (userId, role) => {
+    const result = await apiRequest(`/api/users/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+    if (result.success) await refreshUsers();
+    return result;
   };
 
-  // Reset password (admin or self)
-  const resetPassword = (userId, newPassword) => {
-    if (currentUser?.role !== 'admin' && currentUser?.id !== userId) {
-      return { success: false, error: 'Permission denied' };
-    }
+  // Role definitions from the server
+  const getRolePolicy = () => apiRequest('/api/auth/roles');
 
-    return updateUser(userId, { password: newPassword });
+  const hasRole = (role) => (ROLE_LEVELS[currentUser?.role] || 0) >= (ROLE_LEVELS[role] || Infinity);
+
+  // Reset password (admin)
+  const resetPassword = async (userId, newPassword) => {
+    return apiRequest(`/api/users/${userId}/password`, {
+      method: 'POST',
+      body: JSON.stringify({ password: newPassword })
+    });
   };
 
   // Change own password
-  const changePassword = (currentPassword, newPassword) => {
-    if (currentUser?.password !== currentPassword) {
-      return { success: false, error: 'Current password is incorrect' };
-    }
-
-    return updateUser(currentUser.id, { password: newPassword });
+  const changePassword = async (currentPassword, newPassword) => {
+    return apiRequest('/api/auth/password', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
   };
 
   const value = {
@@ -175,13 +203,17 @@ export function AuthProvider({ children }) {
     isLoading,
     isAuthenticated: !!currentUser,
     isAdmin: currentUser?.role === 'admin',
+    hasRole,
     login,
     logout,
     createUser,
     updateUser,
     deleteUser,
     resetPassword,
-    changePassword
+    changePassword,
+    refreshUsers,
+    assignRole,
+    getRolePolicy
   };
 
   return (
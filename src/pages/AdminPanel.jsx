@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { API_URL } from '../config';
 import {
   Users,
   UserPlus,
@@ -16,13 +17,21 @@ import {
   AlertCircle,
   CheckCircle,
   Clock,
-  Mail
+  Mail,
+  Lock,
+  Webhook,
+  RefreshCw
 } from 'lucide-react';
 
 function AdminPanel() {
   const { theme } = useTheme();
   const isDark = theme === 'dark';
-  const { currentUser, users, createUser, updateUser, deleteUser, resetPassword, isAdmin } = useAuth();
+  const { currentUser, users, createUser, updateUser, deleteUser, resetPassword, assignRole, getRolePolicy, isAdmin } = useAuth();
+
+  const [activeView, setActiveView] = useState('team'); // team, roles, webhooks
+  const [rolePolicy, setRolePolicy] = useState({ roles: [], adminOnly: [] });
+  const [webhookStatus, setWebhookStatus] = useState(null);
+  const [rejections, setRejections] = useState([]);
 
   const [showAddUser, setShowAddUser] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
@@ -36,7 +45,7 @@ function AdminPanel() {
     password: '',
     name: '',
     email: '',
-    role: 'member',
+    role: 'operator',
     agentName: '',
     permissions: ['tickets', 'dashboard']
   });
@@ -44,6 +53,30 @@ function AdminPanel() {
   // New password state
   const [newPassword, setNewPassword] = useState('');
 
+  useEffect(() => {
+    if (!isAdmin) return;
+    getRolePolicy().then(result => {
+      if (result.success) setRolePolicy({ roles: result.roles, adminOnly: result.adminOnly });
+    });
+  }, [isAdmin]);
+
+  const loadWebhookSecurity = async () => {
+    try {
+      const [statusRes, rejectionsRes] = await Promise.all([
+        fetch(`${API_URL}/api/webhooks/status`),
+        fetch(`${API_URL}/api/webhooks/rejections?limit=100`)
+      ]);
+      if (statusRes.ok) setWebhookStatus(await statusRes.json());
+      if (rejectionsRes.ok) setRejections((await rejectionsRes.json()).rejections || []);
+    } catch (e) {
+      console.error('Failed to load webhook security:', e);
+    }
+  };
+
+  useEffect(() => {
+    if (isAdmin && activeView === 'webhooks') loadWebhookSecurity();
+  }, [isAdmin, activeView]);
+
   if (!isAdmin) {
     return (
       <div className="flex items-center justify-center h-96">
@@ -62,9 +95,9 @@ function AdminPanel() {
     );
   }
 
-  const handleCreateUser = (e) => {
+  const handleCreateUser = async (e) => {
     e.preventDefault();
-    const result = createUser({
+    const result = await createUser({
       ...newUser,
       agentName: newUser.agentName || newUser.name
     });
@@ -76,7 +109,7 @@ function AdminPanel() {
         password: '',
         name: '',
         email: '',
-        role: 'member',
+        role: 'operator',
         agentName: '',
         permissions: ['tickets', 'dashboard']
       });
@@ -88,9 +121,9 @@ function AdminPanel() {
     setTimeout(() => setMessage({ type: '', text: '' }), 3000);
   };
 
-  const handleUpdateUser = (e) => {
+  const handleUpdateUser = async (e) => {
     e.preventDefault();
-    const result = updateUser(editingUser.id, editingUser);
+    const result = await updateUser(editingUser.id, editingUser);
 
     if (result.success) {
       setMessage({ type: 'success', text: 'User updated successfully!' });
@@ -102,9 +135,9 @@ function AdminPanel() {
     setTimeout(() => setMessage({ type: '', text: '' }), 3000);
   };
 
-  const handleResetPassword = (e) => {
+  const handleResetPassword = async (e) => {
     e.preventDefault();
-    const result = resetPassword(resetPasswordUser.id, newPassword);
+    const result = await resetPassword(resetPasswordUser.id, newPassword);
 
     if (result.success) {
       setMessage({ type: 'success', text: `Password reset for "${resetPasswordUser.username}"` });
@@ -117,9 +150,19 @@ function AdminPanel() {
     setTimeout(() => setMessage({ type: '', text: '' }), 3000);
   };
 
-  const handleDeleteUser = (user) => {
+  const handleAssignRole = async (user, role) => {
+    const result = await assignRole(user.id, role);
+    if (result.success) {
+      setMessage({ type: 'success', text: `${user.name} is now ${role}` });
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+    setTimeout(() => setMessage({ type: '', text: '' }), 3000);
+  };
+
+  const handleDeleteUser = async (user) => {
     if (window.confirm(`Are you sure you want to delete user "${user.username}"?`)) {
-      const result = deleteUser(user.id);
+      const result = await deleteUser(user.id);
       if (result.success) {
         setMessage({ type: 'success', text: `User "${user.username}" deleted` });
       } else {
@@ -172,118 +215,308 @@ function AdminPanel() {
         </div>
       )}
 
-      {/* Stats Cards */}
-      <div className="grid grid-cols-3 gap-4">
-        <div className={`p-4 rounded-xl border ${
-          isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
-        }`}>
-          <Users className="w-6 h-6 text-purple-500 mb-2" />
-          <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            {users.length}
-          </div>
-          <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Total Users</div>
-        </div>
-        <div className={`p-4 rounded-xl border ${
-          isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
-        }`}>
-          <ShieldCheck className="w-6 h-6 text-green-500 mb-2" />
-          <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            {users.filter(u => u.role === 'admin').length}
-          </div>
-          <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Admins</div>
-        </div>
-        <div className={`p-4 rounded-xl border ${
-          isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
-        }`}>
-          <Clock className="w-6 h-6 text-cyan-500 mb-2" />
-          <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            {users.filter(u => u.lastLogin).length}
-          </div>
-          <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Active Users</div>
-        </div>
+      {/* View tabs */}
+      <div className={`flex gap-1 p-1 rounded-lg w-fit ${isDark ? 'bg-white/5' : 'bg-gray-100'}`}>
+        {[
+          { id: 'team', label: 'Team Members', icon: Users },
+          { id: 'roles', label: 'Roles & Permissions', icon: Shield },
+          { id: 'webhooks', label: 'Webhook Security', icon: Webhook }
+        ].map(view => (
+          <button
+            key={view.id}
+            onClick={() => setActiveView(view.id)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-md text-sm transition-colors ${
+              activeView === view.id
+                ? 'bg-purple-600 text-white'
+                : isDark ? 'text-gray-400 hover:text-white' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            <view.icon className="w-4 h-4" />
+            {view.label}
+          </button>
+        ))}
       </div>
 
-      {/* Users Table */}
-      <div className={`rounded-xl border ${
-        isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
-      }`}>
-        <div className={`p-4 border-b ${isDark ? 'border-purple-900/30' : 'border-gray-200'}`}>
-          <h3 className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-            Team Members
-          </h3>
-        </div>
-        <div className="divide-y divide-purple-900/10">
-          {users.map(user => (
-            <div key={user.id} className={`p-4 flex items-center justify-between ${
-              isDark ? 'hover:bg-white/5' : 'hover:bg-gray-50'
+      {activeView === 'team' && (
+        <>
+          {/* Stats Cards */}
+          <div className="grid grid-cols-3 gap-4">
+            <div className={`p-4 rounded-xl border ${
+              isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
             }`}>
-              <div className="flex items-center gap-4">
-                <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold ${
-                  user.role === 'admin'
-                    ? 'bg-gradient-to-br from-purple-500 to-cyan-500 text-white'
-                    : isDark ? 'bg-white/10 text-white' : 'bg-gray-100 text-gray-900'
+              <Users className="w-6 h-6 text-purple-500 mb-2" />
+              <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {users.length}
+              </div>
+              <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Total Users</div>
+            </div>
+            <div className={`p-4 rounded-xl border ${
+              isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+            }`}>
+              <ShieldCheck className="w-6 h-6 text-green-500 mb-2" />
+              <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {users.filter(u => u.role === 'admin').length}
+              </div>
+              <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Admins</div>
+            </div>
+            <div className={`p-4 rounded-xl border ${
+              isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+            }`}>
+              <Clock className="w-6 h-6 text-cyan-500 mb-2" />
+              <div className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {users.filter(u => u.lastLogin).length}
+              </div>
+              <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>Active Users</div>
+            </div>
+          </div>
+
+          {/* Users Table */}
+          <div className={`rounded-xl border ${
+            isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+          }`}>
+            <div className={`p-4 border-b ${isDark ? 'border-purple-900/30' : 'border-gray-200'}`}>
+              <h3 className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                Team Members
+              </h3>
+            </div>
+            <div className="divide-y divide-purple-900/10">
+              {users.map(user => (
+                <div key={user.id} className={`p-4 flex items-center justify-between ${
+                  isDark ? 'hover:bg-white/5' : 'hover:bg-gray-50'
                 }`}>
-                  {user.name?.charAt(0).toUpperCase() || 'U'}
-                </div>
-                <div>
+                  <div className="flex items-center gap-4">
+                    <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold ${
+                      user.role === 'admin'
+                        ? 'bg-gradient-to-br from-purple-500 to-cyan-500 text-white'
+                        : isDark ? 'bg-white/10 text-white' : 'bg-gray-100 text-gray-900'
+                    }`}>
+                      {user.name?.charAt(0).toUpperCase() || 'U'}
+                    </div>
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                          {user.name}
+                        </span>
+                        <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${
+                          user.role === 'admin'
+                            ? 'bg-purple-500/20 text-purple-400'
+                            : user.role === 'operator' ? 'bg-cyan-500/20 text-cyan-400' : 'bg-gray-500/20 text-gray-400'
+                        }`}>
+                          {user.role}
+                        </span>
+                        {user.id === currentUser?.id && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-green-500/20 text-green-400">
+                            You
+                          </span>
+                        )}
+                      </div>
+                      <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                        @{user.username} • {user.agentName || 'No agent name set'}
+                      </div>
+                      {user.lastLogin && (
+                        <div className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                          Last login: {new Date(user.lastLogin).toLocaleDateString()}
+                        </div>
+                      )}
+                    </div>
+                  </div>
                   <div className="flex items-center gap-2">
-                    <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                      {user.name}
-                    </span>
-                    {user.role === 'admin' && (
-                      <span className="px-2 py-0.5 text-xs rounded-full bg-purple-500/20 text-purple-400">
-                        Admin
-                      </span>
-                    )}
-                    {user.id === currentUser?.id && (
-                      <span className="px-2 py-0.5 text-xs rounded-full bg-green-500/20 text-green-400">
-                        You
-                      </span>
+                    <button
+                      onClick={() => setResetPasswordUser(user)}
+                      className={`p-2 rounded-lg ${
+                        isDark ? 'hover:bg-white/10 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
+                      }`}
+                      title="Reset Password"
+                    >
+                      <Key className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setEditingUser({ ...user })}
+                      className={`p-2 rounded-lg ${
+                        isDark ? 'hover:bg-white/10 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
+                      }`}
+                      title="Edit User"
+                    >
+                      <Edit className="w-4 h-4" />
+                    </button>
+                    {user.id !== currentUser?.id && (
+                      <button
+                        onClick={() => handleDeleteUser(user)}
+                        className="p-2 rounded-lg hover:bg-red-500/10 text-red-400"
+                        title="Delete User"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
                     )}
                   </div>
-                  <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
-                    @{user.username} • {user.agentName || 'No agent name set'}
-                  </div>
-                  {user.lastLogin && (
-                    <div className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
-                      Last login: {new Date(user.lastLogin).toLocaleDateString()}
-                    </div>
-                  )}
                 </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Roles & Permissions */}
+      {activeView === 'roles' && (
+        <>
+          {/* Role definitions */}
+          <div className="grid grid-cols-3 gap-4">
+            {rolePolicy.roles.map(role => (
+              <div key={role.id} className={`p-4 rounded-xl border ${
+                isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+              }`}>
+                <div className="flex items-center justify-between mb-2">
+                  <span className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>{role.label}</span>
+                  <span className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {users.filter(u => u.role === role.id).length} users
+                  </span>
+                </div>
+                <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>{role.description}</p>
               </div>
-              <div className="flex items-center gap-2">
-                <button
-                  onClick={() => setResetPasswordUser(user)}
-                  className={`p-2 rounded-lg ${
-                    isDark ? 'hover:bg-white/10 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
-                  }`}
-                  title="Reset Password"
-                >
-                  <Key className="w-4 h-4" />
-                </button>
-                <button
-                  onClick={() => setEditingUser({ ...user })}
-                  className={`p-2 rounded-lg ${
-                    isDark ? 'hover:bg-white/10 text-gray-400' : 'hover:bg-gray-100 text-gray-600'
-                  }`}
-                  title="Edit User"
-                >
-                  <Edit className="w-4 h-4" />
-                </button>
-                {user.id !== currentUser?.id && (
-                  <button
-                    onClick={() => handleDeleteUser(user)}
-                    className="p-2 rounded-lg hover:bg-red-500/10 text-red-400"
-                    title="Delete User"
+            ))}
+          </div>
+
+          {/* Admin-only actions */}
+          <div className={`rounded-xl border ${
+            isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+          }`}>
+            <div className={`p-4 border-b ${isDark ? 'border-purple-900/30' : 'border-gray-200'}`}>
+              <h3 className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                Admin-Only Actions
+              </h3>
+              <p className={`text-sm mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                Other roles get a 403 from the server for these. Viewers cannot make any changes.
+              </p>
+            </div>
+            <div className="divide-y divide-purple-900/10">
+              {rolePolicy.adminOnly.map(route => (
+                <div key={`${route.method} ${route.path}`} className="px-4 py-3 flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <Lock className="w-4 h-4 text-purple-400" />
+                    <span className={isDark ? 'text-gray-300' : 'text-gray-700'}>{route.action}</span>
+                  </div>
+                  <code className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {route.method} {route.path}
+                  </code>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Role assignment */}
+          <div className={`rounded-xl border ${
+            isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+          }`}>
+            <div className={`p-4 border-b ${isDark ? 'border-purple-900/30' : 'border-gray-200'}`}>
+              <h3 className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                Assign Roles
+              </h3>
+            </div>
+            <div className="divide-y divide-purple-900/10">
+              {users.map(user => (
+                <div key={user.id} className="p-4 flex items-center justify-between">
+                  <div>
+                    <div className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{user.name}</div>
+                    <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>@{user.username}</div>
+                  </div>
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleAssignRole(user, e.target.value)}
+                    disabled={user.id === currentUser?.id}
+                    className={`p-2 rounded-lg border ${
+                      isDark ? 'bg-white/5 border-purple-900/30 text-white' : 'bg-gray-50 border-gray-200'
+                    }`}
                   >
-                    <Trash2 className="w-4 h-4" />
-                  </button>
-                )}
+                    {rolePolicy.roles.map(role => (
+                      <option key={role.id} value={role.id}>{role.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Webhook Security */}
+      {activeView === 'webhooks' && (
+        <>
+          {webhookStatus?.allowUnsigned && (
+            <div className="flex items-center gap-2 p-4 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400">
+              <AlertCircle className="w-5 h-5" />
+              WEBHOOK_ALLOW_UNSIGNED is on: webhooks without a configured secret are accepted unchecked.
+            </div>
+          )}
+
+          {/* Configured secrets */}
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            {(webhookStatus?.sources || []).map(source => (
+              <div key={source.source} className={`p-4 rounded-xl border ${
+                isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+              }`}>
+                <div className="flex items-center justify-between">
+                  <code className={`text-sm ${isDark ? 'text-white' : 'text-gray-900'}`}>{source.source}</code>
+                  {source.configured
+                    ? <ShieldCheck className="w-5 h-5 text-green-500" />
+                    : <AlertCircle className="w-5 h-5 text-red-400" />}
+                </div>
+                <div className={`text-sm mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {source.configured ? 'Secret configured' : 'No secret: all deliveries rejected'}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Rejected attempts */}
+          <div className={`rounded-xl border ${
+            isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white'
+          }`}>
+            <div className={`p-4 border-b flex items-center justify-between ${isDark ? 'border-purple-900/30' : 'border-gray-200'}`}>
+              <div>
+                <h3 className={`font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                  Rejected Webhook Attempts
+                </h3>
+                <p className={`text-sm mt-1 ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Bad signatures, stale timestamps and replayed deliveries
+                  {webhookStatus && ` (timestamps older than ${webhookStatus.toleranceSeconds}s are stale)`}
+                </p>
               </div>
+              <button
+                onClick={loadWebhookSecurity}
+                className={`p-2 rounded-lg ${isDark ? 'hover:bg-white/10 text-gray-400' : 'hover:bg-gray-100 text-gray-600'}`}
+                title="Refresh"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </button>
             </div>
-          ))}
-        </div>
-      </div>
+            <div className="divide-y divide-purple-900/10">
+              {rejections.length === 0 && (
+                <div className={`p-4 text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}`}>No rejected attempts.</div>
+              )}
+              {rejections.map(rejection => (
+                <div key={rejection.id} className="px-4 py-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="flex items-center gap-3">
+                      <span className="px-2 py-0.5 text-xs rounded-full bg-red-500/20 text-red-400">{rejection.reason}</span>
+                      <code className={`text-xs ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>{rejection.source}</code>
+                    </div>
+                    <span className={`text-xs ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                      {new Date(`${rejection.createdAt}Z`).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className={`text-xs mt-1 ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {rejection.ip}{rejection.userAgent && ` • ${rejection.userAgent}`}
+                    {rejection.deliveryId && ` • delivery ${rejection.deliveryId.slice(0, 16)}`}
+                  </div>
+                  {rejection.bodyExcerpt && (
+                    <pre className={`text-xs mt-1 truncate ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>{rejection.bodyExcerpt}</pre>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
 
       {/* Add User Modal */}
       {showAddUser && (
@@ -391,7 +624,8 @@ function AdminPanel() {
                     isDark ? 'bg-white/5 border-purple-900/30 text-white' : 'bg-gray-50 border-gray-200'
                   }`}
                 >
-                  <option value="member">Team Member</option>
+                  <option value="viewer">Viewer</option>
+                  <option value="operator">Operator</option>
                   <option value="admin">Administrator</option>
                 </select>
               </div>
@@ -484,7 +718,8 @@ function AdminPanel() {
                   }`}
                   disabled={editingUser.id === currentUser?.id}
                 >
-                  <option value="member">Team Member</option>
+                  <option value="viewer">Viewer</option>
+                  <option value="operator">Operator</option>
                   <option value="admin">Administrator</option>
                 </select>
               </div>
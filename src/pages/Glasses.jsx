@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { API_URL } from '../config';
+import { getSessionToken } from '../context/AuthContext';
+import { streamChat, createSentenceSpeaker } from '../services/chatStream';
 
 /**
  * Glasses Companion Page
@@ -253,6 +255,74 @@ function GlassesInner({ onExit }) {
     };
   }, []);
 
+  // ── Speaking state: mute recognition while talking (echo prevention) ──
+  const beginSpeaking = useCallback(() => {
+    setStatus('speaking');
+    speakingRef.current = true;
+    try { recognitionRef.current?.stop(); } catch {}
+  }, []);
+
+  const finishSpeaking = useCallback(() => {
+    speakingRef.current = false;
+    setStatus('listening');
+
+    // Resume listening after speaking — longer delay on mobile
+    if (autoListenRef.current) {
+      const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+      setTimeout(() => {
+        try { recognitionRef.current?.start(); } catch {}
+      }, isMobile ? 1500 : 500);
+    }
+  }, []);
+
+  const playAudioBlob = useCallback((blob) => {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    audioRef.current = audio;
+    return new Promise((resolve) => {
+      audio.onended = () => { URL.revokeObjectURL(url); resolve(); };
+      audio.onerror = () => { URL.revokeObjectURL(url); resolve(); };
+      audio.play().catch(resolve);
+    });
+  }, []);
+
+  // Browser TTS fallback — pick the best available voice
+  const speakWithBrowser = useCallback((text) => {
+    if (!('speechSynthesis' in window)) return Promise.resolve();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 1.05;
+    utterance.pitch = 1.0;
+    const voices = window.speechSynthesis.getVoices();
+    const preferred = voices.find(v => v.name.includes('Samantha')) ||
+      voices.find(v => v.name.includes('Karen')) ||
+      voices.find(v => v.name.includes('Daniel') && v.lang.startsWith('en')) ||
+      voices.find(v => v.name.includes('Google') && v.lang.startsWith('en')) ||
+      voices.find(v => v.lang.startsWith('en'));
+    if (preferred) utterance.voice = preferred;
+    return new Promise((resolve) => {
+      utterance.onend = resolve;
+      utterance.onerror = resolve;
+      window.speechSynthesis.speak(utterance);
+    });
+  }, []);
+
+  // Streamed sentences: fetch server audio as soon as each sentence is queued,
+  // play it in order, and fall back to browser TTS when the server can't speak
+  const fetchSentenceAudio = useCallback(async (text) => {
+    const res = await fetch(`${API_URL}/api/tts/speak`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, voice: voiceId }),
+    });
+    return res.ok ? res.blob() : null;
+  }, [voiceId]);
+
+  const speakSentence = useCallback(async (text, prepared) => {
+    const blob = await prepared;
+    if (blob) return playAudioBlob(blob);
+    return speakWithBrowser(text);
+  }, []);
+
   // ── Handle voice input → AI → speak response ──
   const handleVoiceInput = useCallback(async (text) => {
     setStatus('thinking');
@@ -276,91 +346,50 @@ function GlassesInner({ onExit }) {
       return;
     }
 
+    // Stream the reply and start speaking at the first complete sentence
+    const speaker = createSentenceSpeaker(speakSentence, { prepare: fetchSentenceAudio });
+    let speaking = false;
     try {
-      const response = await fetch(`${API_URL}/api/voice`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          message: text,
-          conversationId,
-          voice: voiceId,
-        }),
+      const data = await streamChat('/api/chat', { message: text, conversationId, voice: true }, {
+        onToken: (chunk, full) => {
+          setDisplayText(full);
+          if (!speaking) { speaking = true; beginSpeaking(); }
+          speaker.push(chunk);
+        },
       });
+      if (data.conversationId) setConversationId(data.conversationId);
 
-      if (response.ok) {
-        const data = await response.json();
-        if (data.conversationId) setConversationId(data.conversationId);
-
-        const reply = data.response || 'No response.';
-        setLastResponse(reply);
-        setDisplayText(reply);
+      const reply = data.response || 'No response.';
+      setLastResponse(reply);
+      setDisplayText(reply);
 
-        await speakResponse(data.audio, reply);
-      } else {
-        setDisplayText('Server error. Try again.');
-        setStatus('error');
-        setTimeout(() => setStatus('listening'), 2000);
-      }
+      if (!speaking) { speaking = true; beginSpeaking(); speaker.push(reply); }
+      await speaker.flush();
+      finishSpeaking();
     } catch (err) {
       console.error('Voice error:', err);
-      setDisplayText('Connection lost.');
+      speaker.stop();
+      if (speaking) finishSpeaking();
+      setDisplayText(/fetch|network/i.test(err.message) ? 'Connection lost.' : 'Server error. Try again.');
       setStatus('error');
       setTimeout(() => setStatus('listening'), 3000);
     }
-  }, [conversationId, voiceId]);
+  }, [conversationId, fetchSentenceAudio]);
 
   // ── Speak a response (base64 audio or browser TTS fallback) ──
   const speakResponse = useCallback(async (audioBase64, text) => {
-    setStatus('speaking');
-    speakingRef.current = true;
-
-    // Stop listening while speaking to prevent echo
-    try { recognitionRef.current?.stop(); } catch {}
-
+    beginSpeaking();
     try {
       if (audioBase64) {
         const audioBytes = Uint8Array.from(atob(audioBase64), c => c.charCodeAt(0));
-        const blob = new Blob([audioBytes], { type: 'audio/mp3' });
-        const url = URL.createObjectURL(blob);
-        const audio = new Audio(url);
-        audioRef.current = audio;
-
-        await new Promise((resolve) => {
-          audio.onended = () => { URL.revokeObjectURL(url); resolve(); };
-          audio.onerror = () => { URL.revokeObjectURL(url); resolve(); };
-          audio.play().catch(resolve);
-        });
-      } else if ('speechSynthesis' in window) {
-        // Browser TTS fallback — pick the best available voice
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.rate = 1.05;
-        utterance.pitch = 1.0;
-        const voices = window.speechSynthesis.getVoices();
-        const preferred = voices.find(v => v.name.includes('Samantha')) ||
-          voices.find(v => v.name.includes('Karen')) ||
-          voices.find(v => v.name.includes('Daniel') && v.lang.startsWith('en')) ||
-          voices.find(v => v.name.includes('Google') && v.lang.startsWith('en')) ||
-          voices.find(v => v.lang.startsWith('en'));
-        if (preferred) utterance.voice = preferred;
-        await new Promise((resolve) => {
-          utterance.onend = resolve;
-          utterance.onerror = resolve;
-          window.speechSynthesis.speak(utterance);
-        });
+        await playAudioBlob(new Blob([audioBytes], { type: 'audio/mp3' }));
+      } else {
+        await speakWithBrowser(text);
       }
     } catch (err) {
       console.error('Speak error:', err);
     } finally {
-      speakingRef.current = false;
-      setStatus('listening');
-
-      // Resume listening after speaking — longer delay on mobile
-      if (autoListenRef.current) {
-        const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-        setTimeout(() => {
-          try { recognitionRef.current?.start(); } catch {}
-        }, isMobile ? 1500 : 500);
-      }
+      finishSpeaking();
     }
   }, []);
 
@@ -646,7 +675,7 @@ function GlassesInner({ onExit }) {
       const startData = await startRes.json();
 
       // Connect WebSocket to send media data
-      const wsUrl = API_URL.replace('http', 'ws') + '/ws/stream';
+      const wsUrl = API_URL.replace('http', 'ws') + `/ws/stream?access_token=${encodeURIComponent(getSessionToken() || '')}`;
       const ws = new WebSocket(wsUrl);
       streamWsRef.current = ws;
 
@@ -42,6 +42,8 @@ import { aiService } from '../services/aiService';
 // Storage keys
 const STORAGE_KEYS = {
   FRESHDESK_DOMAIN: 'liv8_freshdesk_domain',
+  // No longer used: the Freshdesk API key stays on the server. Kept so the
+  // key stored by earlier versions can be cleared.
   FRESHDESK_API_KEY: 'liv8_freshdesk_api_key',
   TICKETS_CACHE: 'liv8_tickets_cache',
   AI_PROVIDER: 'liv8_ai_provider',
@@ -182,6 +184,20 @@ const PRIORITY_MAP = {
   4: { label: 'Urgent', color: 'red' }
 };
 
+// SLA forecast badges (from /api/sla/tickets)
+const SLA_FORECASTS = {
+  breached: { label: 'SLA Breached', color: 'red', rank: 2 },
+  at_risk: { label: 'SLA At Risk', color: 'orange', rank: 1 }
+};
+
+// "2h 15m" from a minute count
+const formatMinutes = (minutes) => {
+  const abs = Math.abs(minutes);
+  if (abs < 60) return `${abs}m`;
+  const hours = Math.floor(abs / 60);
+  return abs % 60 ? `${hours}h ${abs % 60}m` : `${hours}h`;
+};
+
 // AI Analysis categories for escalation
 const ESCALATION_TYPES = {
   DEV: { label: 'Developer Escalation', icon: Code, color: 'purple', description: 'Requires code changes or bug fixes' },
@@ -203,7 +219,7 @@ function Tickets() {
   const [error, setError] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
   const [freshdeskDomain, setFreshdeskDomain] = useState('');
-  const [freshdeskApiKey, setFreshdeskApiKey] = useState('');
+  const [freshdeskConfigured, setFreshdeskConfigured] = useState(false);
   const [selectedTicket, setSelectedTicket] = useState(null);
   const [aiAnalysis, setAiAnalysis] = useState({});
   const [analyzingTicket, setAnalyzingTicket] = useState(null);
@@ -230,6 +246,7 @@ function Tickets() {
   const [mainView, setMainView] = useState('tickets'); // 'tickets' or 'porting'
   const [portingPrefill, setPortingPrefill] = useState(null); // Pre-fill data from port request tickets
   const [ticketConversations, setTicketConversations] = useState({}); // Cache conversations by ticket ID
+  const [slaForecasts, setSlaForecasts] = useState({}); // SLA forecast by ticket ID
   const [loadingConversation, setLoadingConversation] = useState(false);
   // SOP Management state
   const [sopList, setSopList] = useState([]);
@@ -288,6 +305,21 @@ function Tickets() {
     }
   };
 
+  // Load SLA forecasts for active tickets
+  const loadSlaForecasts = async () => {
+    try {
+      const response = await fetch(`${AI_SERVER_URL}/api/sla/tickets`);
+      if (response.ok) {
+        const data = await response.json();
+        const byTicket = {};
+        (data.tickets || []).forEach(t => { byTicket[t.freshdesk_id] = t.sla; });
+        setSlaForecasts(byTicket);
+      }
+    } catch (e) {
+      console.log('Could not load SLA forecasts');
+    }
+  };
+
   // Load schedule history
   const loadScheduleHistory = async () => {
     try {
@@ -299,16 +331,17 @@ function Tickets() {
     } catch (e) {}
   };
 
-  // Sync tickets to backend for persistence
-  const syncTicketsToBackend = async (ticketList) => {
+  // Ask the server to pull tickets changed in Freshdesk since its last sync.
+  // Viewers can't trigger a sync; they read what is already stored.
+  const syncFreshdesk = async () => {
     try {
-      await fetch(`${AI_SERVER_URL}/api/tickets/sync`, {
+      await fetch(`${AI_SERVER_URL}/api/freshdesk/sync`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ tickets: ticketList })
+        body: JSON.stringify({})
       });
     } catch (e) {
-      console.log('Could not sync tickets to backend');
+      console.log('Could not sync tickets from Freshdesk');
     }
   };
 
@@ -498,83 +531,59 @@ function Tickets() {
 
     // Load persisted analyses from backend (v2.0)
     loadPersistedAnalyses();
+    loadSlaForecasts();
     loadScheduleHistory();
 
-    // Fetch Freshdesk credentials from server env vars (always current after Render key rotation)
+    // The Freshdesk API key stays on the server; clear any copy an earlier
+    // version stored in the browser
+    localStorage.removeItem(STORAGE_KEYS.FRESHDESK_API_KEY);
+
+    const cached = localStorage.getItem(STORAGE_KEYS.TICKETS_CACHE);
+    if (cached) {
+      try {
+        const parsed = JSON.parse(cached);
+        setTickets(parsed.tickets || []);
+        // Merge cached analysis with persisted (persisted takes priority)
+        setAiAnalysis(prev => ({ ...(parsed.analysis || {}), ...prev }));
+      } catch (e) {}
+    }
+
+    // Freshdesk domain (for ticket links) comes from server env vars
     fetch(`${AI_SERVER_URL}/api/config/freshdesk`)
       .then(r => r.ok ? r.json() : null)
       .then(serverConfig => {
-        const integrations = aiService.getIntegrations();
-        const freshdeskConfig = integrations?.freshdesk || {};
-
-        // Server env vars take priority over any cached/hardcoded values
+        const freshdeskConfig = aiService.getIntegrations()?.freshdesk || {};
         const domain = serverConfig?.domain || freshdeskConfig.domain || localStorage.getItem(STORAGE_KEYS.FRESHDESK_DOMAIN) || '';
-        const apiKey = serverConfig?.apiKey || freshdeskConfig.apiKey || localStorage.getItem(STORAGE_KEYS.FRESHDESK_API_KEY) || '';
-
-        // Always update localStorage with server values so rotation is seamless
         if (serverConfig?.domain) localStorage.setItem(STORAGE_KEYS.FRESHDESK_DOMAIN, serverConfig.domain);
-        if (serverConfig?.apiKey) localStorage.setItem(STORAGE_KEYS.FRESHDESK_API_KEY, serverConfig.apiKey);
 
         setFreshdeskDomain(domain);
-        setFreshdeskApiKey(apiKey);
-
-        const cached = localStorage.getItem(STORAGE_KEYS.TICKETS_CACHE);
-        if (cached) {
-          try {
-            const parsed = JSON.parse(cached);
-            setTickets(parsed.tickets || []);
-            // Merge cached analysis with persisted (persisted takes priority)
-            setAiAnalysis(prev => ({ ...(parsed.analysis || {}), ...prev }));
-          } catch (e) {}
-        }
+        setFreshdeskConfigured(!!serverConfig?.configured);
 
-        // Auto-fetch if configured
-        if (domain && apiKey) {
-          fetchTickets(domain, apiKey);
+        if (serverConfig?.configured) {
+          fetchTickets();
         } else {
           setShowSettings(true);
         }
       })
       .catch(() => {
-        // Server unreachable — fall back to localStorage / aiService cached values
-        const integrations = aiService.getIntegrations();
-        const freshdeskConfig = integrations?.freshdesk || {};
-        const domain = freshdeskConfig.domain || localStorage.getItem(STORAGE_KEYS.FRESHDESK_DOMAIN) || '';
-        const apiKey = freshdeskConfig.apiKey || localStorage.getItem(STORAGE_KEYS.FRESHDESK_API_KEY) || '';
-        setFreshdeskDomain(domain);
-        setFreshdeskApiKey(apiKey);
-
-        const cached = localStorage.getItem(STORAGE_KEYS.TICKETS_CACHE);
-        if (cached) {
-          try {
-            const parsed = JSON.parse(cached);
-            setTickets(parsed.tickets || []);
-            setAiAnalysis(prev => ({ ...(parsed.analysis || {}), ...prev }));
-          } catch (e) {}
-        }
-
-        if (domain && apiKey) {
-          fetchTickets(domain, apiKey);
-        } else {
-          setShowSettings(true);
-        }
+        // Server unreachable — keep the cached tickets
+        const freshdeskConfig = aiService.getIntegrations()?.freshdesk || {};
+        setFreshdeskDomain(freshdeskConfig.domain || localStorage.getItem(STORAGE_KEYS.FRESHDESK_DOMAIN) || '');
       });
   }, []);
 
   // Save settings
   const saveSettings = () => {
     localStorage.setItem(STORAGE_KEYS.FRESHDESK_DOMAIN, freshdeskDomain);
-    localStorage.setItem(STORAGE_KEYS.FRESHDESK_API_KEY, freshdeskApiKey);
 
     // Also save to aiService for central management
     aiService.updateIntegration('freshdesk', {
-      domain: freshdeskDomain,
-      apiKey: freshdeskApiKey
+      domain: freshdeskDomain
     });
 
     setShowSettings(false);
-    if (freshdeskDomain && freshdeskApiKey) {
-      fetchTickets(freshdeskDomain, freshdeskApiKey);
+    if (freshdeskConfigured) {
+      fetchTickets();
     }
   };
 
@@ -608,75 +617,21 @@ function Tickets() {
     }
   };
 
-  // Fetch tickets from Freshdesk - ONLY for your agent ID
-  const fetchTickets = async (domain, apiKey) => {
+  // Sync tickets from Freshdesk on the server, then load the stored ones
+  // (your agent's active tickets plus recently resolved ones for the knowledge base)
+  const fetchTickets = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      // Get agent ID from integrations config
-      const integrations = aiService.getIntegrations();
-      const agentId = integrations?.freshdesk?.agentId || '155014160586';
-      const authHeader = 'Basic ' + btoa(apiKey + ':X');
-
-      // Helper function to fetch all pages for a status
-      const fetchAllPages = async (status) => {
-        let allResults = [];
-        let page = 1;
-        const maxPages = 5; // Safety limit
-
-        while (page <= maxPages) {
-          try {
-            const response = await fetch(
-              `https://${domain}.freshdesk.com/api/v2/search/tickets?query="agent_id:${agentId} AND status:${status}"&page=${page}`,
-              { headers: { 'Authorization': authHeader, 'Content-Type': 'application/json' } }
-            );
-
-            if (!response.ok) break;
-
-            const data = await response.json();
-            const results = data.results || [];
-            allResults = [...allResults, ...results];
-
-            // If less than 30 results, we've reached the end
-            if (results.length < 30) break;
-            page++;
-          } catch (e) {
-            console.error(`Error fetching page ${page} for status ${status}:`, e);
-            break;
-          }
-        }
+      await syncFreshdesk();
 
-        return allResults;
-      };
-
-      // Fetch tickets in parallel: all active statuses + resolved for knowledge base
-      const [openTickets, pendingTickets, waitingCustomerTickets, waitingThirdPartyTickets, resolvedTicketsList, closedTicketsList] = await Promise.all([
-        fetchAllPages(2), // Open
-        fetchAllPages(3), // Pending
-        fetchAllPages(6), // Waiting on Customer
-        fetchAllPages(7), // Waiting on Third Party (On Hold)
-        fetchAllPages(4), // Resolved (for knowledge base)
-        fetchAllPages(5)  // Closed (recently closed, for knowledge base)
-      ]);
-
-      // Combine all tickets
-      const allTickets = [
-        ...openTickets,
-        ...pendingTickets,
-        ...waitingCustomerTickets,
-        ...waitingThirdPartyTickets,
-        ...resolvedTicketsList,
-        ...closedTicketsList
-      ];
-
-      // Remove duplicates by ticket ID
-      const uniqueTickets = allTickets.reduce((acc, ticket) => {
-        if (!acc.find(t => t.id === ticket.id)) {
-          acc.push(ticket);
-        }
-        return acc;
-      }, []);
+      const response = await fetch(`${AI_SERVER_URL}/api/freshdesk/tickets`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Failed to load tickets (${response.status})`);
+      }
+      const { tickets: uniqueTickets = [] } = await response.json();
 
       // Sort by priority (urgent first) then by created date (newest first)
       uniqueTickets.sort((a, b) => {
@@ -708,8 +663,8 @@ function Tickets() {
         try { localStorage.removeItem(STORAGE_KEYS.TICKETS_CACHE); } catch {}
       }
 
-      // Sync all tickets to backend for persistence (v2.0)
-      syncTicketsToBackend(uniqueTickets);
+      // SLA forecasts are computed from the synced tickets
+      loadSlaForecasts();
 
       // Index resolved tickets into knowledge base (runs in background, no await needed)
       const resolvedTickets = uniqueTickets.filter(t => t.status === 4 || t.status === 5);
@@ -741,24 +696,17 @@ function Tickets() {
     }
   };
 
-  // Fetch full conversation thread for a ticket from Freshdesk
+  // Fetch full conversation thread for a ticket (stored by the server's sync)
   const fetchConversations = async (ticketId) => {
     // Return cached if available
     if (ticketConversations[ticketId]) return;
-
-    const domain = freshdeskDomain || localStorage.getItem(STORAGE_KEYS.FRESHDESK_DOMAIN);
-    const apiKey = freshdeskApiKey || localStorage.getItem(STORAGE_KEYS.FRESHDESK_API_KEY);
-    if (!domain || !apiKey) return;
+    if (!freshdeskConfigured) return;
 
     setLoadingConversation(true);
     try {
-      const authHeader = 'Basic ' + btoa(apiKey + ':X');
-      const response = await fetch(
-        `https://${domain}.freshdesk.com/api/v2/tickets/${ticketId}/conversations`,
-        { headers: { 'Authorization': authHeader, 'Content-Type': 'application/json' } }
-      );
+      const response = await fetch(`${AI_SERVER_URL}/api/freshdesk/tickets/${ticketId}/conversations`);
       if (response.ok) {
-        const conversations = await response.json();
+        const { conversations = [] } = await response.json();
         setTicketConversations(prev => ({ ...prev, [ticketId]: conversations }));
       }
     } catch (err) {
@@ -1360,8 +1308,17 @@ function Tickets() {
       const analysis = aiAnalysis[ticket.id];
       return analysis && ['DEV', 'TWILIO', 'BUG'].includes(analysis.ESCALATION_TYPE) && [2, 3, 6, 7].includes(ticket.status);
     }
+    if (activeFilter === 'sla') return !!SLA_FORECASTS[slaForecasts[ticket.id]?.forecast];
     return true;
-  }));
+  }))
+    // Breached, then at-risk SLA deadlines float to the top of every view
+    .map((ticket, index) => ({ ticket, index }))
+    .sort((a, b) => {
+      const rankA = SLA_FORECASTS[slaForecasts[a.ticket.id]?.forecast]?.rank || 0;
+      const rankB = SLA_FORECASTS[slaForecasts[b.ticket.id]?.forecast]?.rank || 0;
+      return rankB - rankA || a.index - b.index;
+    })
+    .map(({ ticket }) => ticket);
 
   // Count tickets by status - Updated for v2.0
   const statusCounts = {
@@ -1374,6 +1331,7 @@ function Tickets() {
       const a = aiAnalysis[t.id];
       return a && ['DEV', 'TWILIO', 'BUG'].includes(a.ESCALATION_TYPE);
     }).length,
+    slaRisk: tickets.filter(t => [2, 3, 6, 7].includes(t.status) && SLA_FORECASTS[slaForecasts[t.id]?.forecast]).length,
     total: tickets.filter(t => [2, 3, 6, 7].includes(t.status)).length
   };
 
@@ -1488,7 +1446,7 @@ function Tickets() {
             {pipelineRunning === 'batch' ? 'Pipeline Running...' : 'Pipeline All'}
           </button>
           <button
-            onClick={() => freshdeskDomain && freshdeskApiKey && fetchTickets(freshdeskDomain, freshdeskApiKey)}
+            onClick={() => freshdeskConfigured && fetchTickets()}
             disabled={loading}
             className={`flex items-center gap-2 px-4 py-2 rounded-lg ${
               isDark
@@ -1646,19 +1604,14 @@ function Tickets() {
                       }`}
                     />
                   </div>
-                  <div>
-                    <label className={`block text-sm font-medium mb-1 ${isDark ? 'text-gray-300' : 'text-gray-700'}`}>
-                      Freshdesk API Key
-                    </label>
-                    <input
-                      type="password"
-                      value={freshdeskApiKey}
-                      onChange={(e) => setFreshdeskApiKey(e.target.value)}
-                      placeholder="Your Freshdesk API key"
-                      className={`w-full p-3 rounded-lg border ${
-                        isDark ? 'bg-white/5 border-purple-900/30 text-white' : 'bg-gray-50 border-gray-200 text-gray-900'
-                      }`}
-                    />
+                  <div className={`p-3 rounded-lg text-sm ${
+                    freshdeskConfigured
+                      ? 'bg-green-500/10 border border-green-500/30 text-green-400'
+                      : 'bg-yellow-500/10 border border-yellow-500/30 text-yellow-400'
+                  }`}>
+                    {freshdeskConfigured
+                      ? 'Connected. Tickets are synced by the AI server, which holds the Freshdesk API key.'
+                      : 'Freshdesk is not configured on the AI server. Set FRESHDESK_DOMAIN, FRESHDESK_API_KEY and FRESHDESK_AGENT_ID in its environment.'}
                   </div>
                 </>
               )}
@@ -2454,6 +2407,7 @@ function Tickets() {
                   <option value="onhold">On Hold ({statusCounts.onhold})</option>
                   <option value="all">All Active ({statusCounts.total})</option>
                   <option value="escalate">Needs Escalation ({statusCounts.needsEscalation})</option>
+                  <option value="sla">SLA Risk ({statusCounts.slaRisk})</option>
                   <option value="resolved">Resolved (Archive)</option>
                 </select>
               </div>
@@ -2470,7 +2424,7 @@ function Tickets() {
               <div className="p-8 text-center">
                 <Ticket className={`w-8 h-8 mx-auto mb-2 ${isDark ? 'text-gray-600' : 'text-gray-400'}`} />
                 <p className={isDark ? 'text-gray-400' : 'text-gray-500'}>
-                  {freshdeskDomain ? 'No tickets found' : 'Configure Freshdesk to see tickets'}
+                  {freshdeskConfigured ? 'No tickets found' : 'Configure Freshdesk to see tickets'}
                 </p>
               </div>
             ) : (
@@ -2480,6 +2434,9 @@ function Tickets() {
                 const analysis = aiAnalysis[ticket.id];
                 const escalationType = analysis ? ESCALATION_TYPES[analysis.ESCALATION_TYPE] : null;
                 const StatusIcon = status.icon;
+                const sla = slaForecasts[ticket.id];
+                const slaBadge = sla ? SLA_FORECASTS[sla.forecast] : null;
+                const slaTimer = slaBadge ? sla.timers[sla.timer] : null;
 
                 return (
                   <div
@@ -2503,6 +2460,17 @@ function Tickets() {
                           <span className={`px-2 py-0.5 text-xs rounded-full bg-${priority.color}-500/20 text-${priority.color}-400`}>
                             {priority.label}
                           </span>
+                          {slaBadge && (
+                            <span
+                              className={`flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-${slaBadge.color}-500/20 text-${slaBadge.color}-400`}
+                              title={`${sla.policy.name} policy — ${sla.timer === 'first_response' ? 'first response' : 'resolution'} due ${new Date(slaTimer.dueAt).toLocaleString()}`}
+                            >
+                              <Clock className="w-3 h-3" />
+                              {sla.forecast === 'breached'
+                                ? `Overdue ${formatMinutes(slaTimer.minutesRemaining)}`
+                                : `${formatMinutes(slaTimer.minutesRemaining)} left`}
+                            </span>
+                          )}
                         </div>
                         <h4 className={`font-medium truncate ${isDark ? 'text-white' : 'text-gray-900'}`}>
                           {ticket.subject}
@@ -2705,9 +2673,9 @@ function Tickets() {
                     </div>
                   ) : (
                     <div className={`p-3 rounded-lg text-sm ${isDark ? 'bg-white/5 text-gray-400' : 'bg-gray-50 text-gray-500'}`}>
-                      {freshdeskDomain && freshdeskApiKey
+                      {freshdeskConfigured
                         ? 'No conversation replies yet — only the initial description above.'
-                        : 'Configure Freshdesk credentials to load conversation thread.'}
+                        : 'Configure Freshdesk on the server to load conversation thread.'}
                     </div>
                   )}
                 </div>
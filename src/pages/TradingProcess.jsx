@@ -140,6 +140,7 @@ export default function TradingProcess() {
               <code className={`text-[11px] flex-1 truncate ${isDark ? 'text-teal-300' : 'text-teal-700'}`}>{webhookUrl}</code>
               <button onClick={() => navigator.clipboard?.writeText(webhookUrl)} className={isDark ? 'text-gray-400' : 'text-gray-500'}><Copy className="w-3.5 h-3.5" /></button>
             </div>
+            <p className={`text-[11px] mt-1 ${isDark ? 'text-gray-500' : 'text-gray-400'}`}>Include <code>"secret"</code> (HS_TRADING_WEBHOOK_SECRET) and <code>{'"timenow": "{{timenow}}"'}</code> in the alert body, or it is rejected.</p>
           </div>
         </section>
 
@@ -7,6 +7,7 @@ import {
 } from 'lucide-react';
 import { useTheme } from '../context/ThemeContext';
 import { API_URL, VOICEBOX_URL } from '../config';
+import { streamChat, createSentenceSpeaker } from '../services/chatStream';
 
 // ── Voicebox helpers ──────────────────────────────────────────────
 async function fetchVoiceboxProfiles() {
@@ -143,6 +144,7 @@ function VoiceAgents() {
   const [testLoading, setTestLoading] = useState(false);
   const recognitionRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const speakerRef = useRef(null);
 
   // Voice cloning state
   const [showCloneForm, setShowCloneForm] = useState(false);
@@ -187,6 +189,7 @@ function VoiceAgents() {
     localStorage.setItem('voice_agents', JSON.stringify(savedAgents));
   }, [savedAgents]);
 
+  // Resolves when playback ends so streamed sentences can be queued
   const speak = async (text) => {
     setIsSpeaking(true);
 
@@ -196,9 +199,12 @@ function VoiceAgents() {
         const gen = await generateVoiceboxSpeech(text, agentConfig.voiceProfileId);
         if (gen?.id) {
           const audio = new Audio(`${VOICEBOX_URL}/audio/${gen.id}`);
-          audio.onended = () => setIsSpeaking(false);
-          audio.onerror = () => setIsSpeaking(false);
-          await audio.play().catch(() => setIsSpeaking(false));
+          await new Promise((resolve) => {
+            audio.onended = resolve;
+            audio.onerror = resolve;
+            audio.play().catch(resolve);
+          });
+          setIsSpeaking(false);
           return;
         }
       } catch { /* fall through to browser TTS */ }
@@ -213,64 +219,73 @@ function VoiceAgents() {
       if (langVoices.length > 0) utterance.voice = langVoices[0];
       utterance.rate = 1;
       utterance.pitch = 1;
-      utterance.onend = () => setIsSpeaking(false);
-      utterance.onerror = () => setIsSpeaking(false);
-      window.speechSynthesis.speak(utterance);
+      await new Promise((resolve) => {
+        utterance.onend = resolve;
+        utterance.onerror = resolve;
+        window.speechSynthesis.speak(utterance);
+      });
+      setIsSpeaking(false);
     } else {
       setIsSpeaking(false);
     }
   };
 
+  // Stream a reply into the test chat, speaking each sentence as it completes
+  const streamReply = async (path, body) => {
+    const id = Date.now();
+    speakerRef.current?.stop();
+    const speaker = createSentenceSpeaker(speak);
+    speakerRef.current = speaker;
+
+    try {
+      const data = await streamChat(path, body, {
+        onToken: (chunk, full) => {
+          setTestLoading(false);
+          setTestMessages(prev => (prev.some(m => m.id === id)
+            ? prev.map(m => (m.id === id ? { ...m, content: full } : m))
+            : [...prev, { id, role: 'assistant', content: full }]));
+          speaker.push(chunk);
+        },
+      });
+      speaker.flush();
+      return data;
+    } catch (error) {
+      speaker.stop();
+      setTestMessages(prev => prev.filter(m => m.id !== id));
+      throw error;
+    }
+  };
+
   const handleTestMessage = async (text) => {
     if (!text.trim()) return;
     setTestMessages(prev => [...prev, { role: 'user', content: text }]);
     setTestLoading(true);
 
     try {
-      const response = await fetch(`${API_URL}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          message: text,
-          systemPrompt: `${agentConfig.systemPrompt}\n\nYour name is "${agentConfig.name}". ${agentConfig.knowledgeBase ? `\n\nKnowledge Base:\n${agentConfig.knowledgeBase}` : ''}`,
-          conversationHistory: testMessages.map(m => ({ role: m.role, content: m.content })),
-        }),
+      const data = await streamReply('/api/chat', {
+        message: text,
+        systemPrompt: `${agentConfig.systemPrompt}\n\nYour name is "${agentConfig.name}". ${agentConfig.knowledgeBase ? `\n\nKnowledge Base:\n${agentConfig.knowledgeBase}` : ''}`,
+        conversationHistory: testMessages.map(m => ({ role: m.role, content: m.content })),
       });
-
-      if (response.ok) {
-        const data = await response.json();
-        const reply = data.response || data.text || data.message || 'I apologize, I could not process that request.';
-        setTestMessages(prev => [...prev, { role: 'assistant', content: reply }]);
-        speak(reply);
-      } else {
-        throw new Error('Server error');
+      if (!data.response) {
+        setTestMessages(prev => [...prev, { role: 'assistant', content: 'I apologize, I could not process that request.' }]);
       }
     } catch (error) {
       // Fallback - use the AI provider endpoint
       try {
-        const response = await fetch(`${API_URL}/api/commander/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            message: text,
-            systemPrompt: agentConfig.systemPrompt,
-          }),
+        const data = await streamReply('/api/commander/chat', {
+          message: text,
+          systemPrompt: agentConfig.systemPrompt,
         });
-        if (response.ok) {
-          const data = await response.json();
-          const reply = data.response || data.text || 'I could not process that right now.';
-          setTestMessages(prev => [...prev, { role: 'assistant', content: reply }]);
-          speak(reply);
-        } else {
-          setTestMessages(prev => [...prev, {
-            role: 'assistant',
-            content: 'I\'m currently unable to connect to the AI backend. Please ensure the server is running and API keys are configured in Settings.'
-          }]);
+        if (!data.response) {
+          setTestMessages(prev => [...prev, { role: 'assistant', content: 'I could not process that right now.' }]);
         }
-      } catch {
+      } catch (fallbackError) {
         setTestMessages(prev => [...prev, {
           role: 'assistant',
-          content: 'Connection error. Please check that the server is running at ' + API_URL
+          content: /fetch|network/i.test(fallbackError.message)
+            ? 'Connection error. Please check that the server is running at ' + API_URL
+            : 'I\'m currently unable to connect to the AI backend. Please ensure the server is running and API keys are configured in Settings.'
         }]);
       }
     } finally {
@@ -1059,7 +1074,7 @@ function VoiceAgents() {
               </button>
               {isSpeaking && (
                 <button
-                  onClick={() => { window.speechSynthesis.cancel(); setIsSpeaking(false); }}
+                  onClick={() => { speakerRef.current?.stop(); window.speechSynthesis.cancel(); setIsSpeaking(false); }}
                   className="p-3 rounded-full bg-red-500/20 text-red-400 hover:bg-red-500/30"
                 >
                   <VolumeX className="w-5 h-5" />
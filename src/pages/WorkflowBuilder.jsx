@@ -0,0 +1,1069 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Workflow, Plus, Save, Play, Trash2, Wand2, FlaskConical, FolderOpen, FilePlus,
+  AlertCircle, AlertTriangle, CheckCircle2, XCircle, Loader2, X, Link2, CalendarClock, Pause
+} from 'lucide-react';
+import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { API_URL } from '../config';
+
+const PLATFORM_STYLES = {
+  taskade: { label: 'Taskade', dot: 'bg-pink-500', text: 'text-pink-400', border: 'border-pink-500/40' },
+  nifty: { label: 'Nifty', dot: 'bg-blue-500', text: 'text-blue-400', border: 'border-blue-500/40' },
+  taskmagic: { label: 'TaskMagic', dot: 'bg-orange-500', text: 'text-orange-400', border: 'border-orange-500/40' },
+  ghl: { label: 'GHL', dot: 'bg-green-500', text: 'text-green-400', border: 'border-green-500/40' },
+  internal: { label: 'Internal / AI', dot: 'bg-purple-500', text: 'text-purple-400', border: 'border-purple-500/40' }
+};
+
+const NODE_WIDTH = 220;
+const NODE_HEIGHT = 86;
+const CANVAS_WIDTH = 1400;
+const CANVAS_HEIGHT = 900;
+
+const emptyWorkflow = () => ({
+  name: '',
+  description: '',
+  trigger: 'manual',
+  eventType: '',
+  inputs: [],
+  steps: []
+});
+
+// Place steps that have no saved position on a simple grid
+function layoutSteps(steps) {
+  return steps.map((step, i) => step.position ? step : {
+    ...step,
+    position: { x: 40 + (i % 4) * (NODE_WIDTH + 60), y: 40 + Math.floor(i / 4) * (NODE_HEIGHT + 80) }
+  });
+}
+
+function uniqueStepId(steps, base) {
+  let id = base;
+  let n = 2;
+  while (steps.some(s => s.id === id)) id = `${base}_${n++}`;
+  return id;
+}
+
+// Params are edited as text; objects/arrays round-trip through JSON
+function paramToText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function textToParam(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try { return JSON.parse(trimmed); } catch { /* keep as text while typing */ }
+  }
+  return text;
+}
+
+function conditionToText(condition) {
+  if (condition === undefined) return '';
+  return typeof condition === 'string' ? condition : JSON.stringify(condition);
+}
+
+function textToCondition(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  if (trimmed.startsWith('{')) {
+    try { return JSON.parse(trimmed); } catch { /* keep as text while typing */ }
+  }
+  return text;
+}
+
+// Path for an edge between two nodes (bottom of source to top of target)
+function edgePath(from, to) {
+  const x1 = from.x + NODE_WIDTH / 2;
+  const y1 = from.y + NODE_HEIGHT;
+  const x2 = to.x + NODE_WIDTH / 2;
+  const y2 = to.y;
+  const bend = Math.max(40, Math.abs(y2 - y1) / 2);
+  return `M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}`;
+}
+
+function WorkflowBuilder() {
+  const { theme } = useTheme();
+  const { hasRole } = useAuth();
+  const isDark = theme === 'dark';
+  const canEdit = hasRole('operator');
+
+  const [catalog, setCatalog] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [workflow, setWorkflow] = useState(emptyWorkflow);
+  const [workflowId, setWorkflowId] = useState(null);
+  const [isBuiltin, setIsBuiltin] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [connecting, setConnecting] = useState(null); // { from, branch }
+  const [focusedParam, setFocusedParam] = useState(null);
+  const [message, setMessage] = useState(null); // { type, text, details }
+  const [saving, setSaving] = useState(false);
+  const [suggestText, setSuggestText] = useState('');
+  const [suggesting, setSuggesting] = useState(false);
+  const [dryRunInputs, setDryRunInputs] = useState({});
+  const [dryRun, setDryRun] = useState(null);
+  const [dryRunning, setDryRunning] = useState(false);
+  const [runResult, setRunResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [schedules, setSchedules] = useState([]);
+
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const steps = workflow.steps;
+  const selectedStep = steps.find(s => s.id === selectedId) || null;
+  const tracedIds = new Set((dryRun?.trace || []).filter(t => !t.skipped).map(t => t.stepId));
+
+  // ============================================
+  // LOADING
+  // ============================================
+
+  const loadTemplates = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/templates`);
+      if (res.ok) setTemplates((await res.json()).templates || []);
+    } catch (e) {
+      console.error('Failed to load workflows:', e);
+    }
+  };
+
+  const loadSchedules = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/schedules`);
+      if (res.ok) setSchedules((await res.json()).schedules || []);
+    } catch (e) {
+      console.error('Failed to load schedules:', e);
+    }
+  };
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/workflows/actions`)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => data && setCatalog(data))
+      .catch(e => console.error('Failed to load workflow actions:', e));
+    loadTemplates();
+    loadSchedules();
+  }, []);
+
+  const toggleSchedule = async (schedule) => {
+    try {
+      const res = await fetch(
+        `${API_URL}/api/workflows/${schedule.workflowId}/schedule/${schedule.paused ? 'resume' : 'pause'}`,
+        { method: 'POST' }
+      );
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not update schedule');
+      setSchedules(prev => prev.map(s => s.workflowId === schedule.workflowId ? data.schedule : s));
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  const openDraft = (definition, note) => {
+    setWorkflow({
+      ...emptyWorkflow(),
+      ...definition,
+      inputs: Array.isArray(definition.inputs) ? definition.inputs : [],
+      steps: layoutSteps(Array.isArray(definition.steps) ? definition.steps : [])
+    });
+    setWorkflowId(null);
+    setIsBuiltin(false);
+    setSelectedId(null);
+    setDryRun(null);
+    setRunResult(null);
+    setMessage(note ? { type: 'info', text: note } : null);
+  };
+
+  const openWorkflow = async (id) => {
+    if (!id) return;
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not load workflow');
+
+      const { version, createdAt, builtin, id: loadedId, ...definition } = data;
+      setWorkflow({ ...emptyWorkflow(), ...definition, steps: layoutSteps(definition.steps || []) });
+      setWorkflowId(loadedId);
+      setIsBuiltin(!!builtin);
+      setSelectedId(null);
+      setDryRun(null);
+      setRunResult(null);
+      setMessage(builtin
+        ? { type: 'info', text: 'Built-in template: saving creates an editable copy.' }
+        : { type: 'info', text: `Editing ${data.name} (v${version})` });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    }
+  };
+
+  const suggest = async () => {
+    if (!suggestText.trim()) return;
+    setSuggesting(true);
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/suggest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ description: suggestText })
+      });
+      const data = await res.json();
+      if (!res.ok || data.error) throw new Error(data.error || 'Suggestion failed');
+      openDraft(data, 'AI suggestion loaded. Review the steps and parameters before saving.');
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setSuggesting(false);
+    }
+  };
+
+  // ============================================
+  // EDITING
+  // ============================================
+
+  const updateWorkflow = (updates) => {
+    setWorkflow(prev => ({ ...prev, ...updates }));
+    setDryRun(null);
+  };
+
+  const updateStep = (id, updates) => {
+    setWorkflow(prev => ({
+      ...prev,
+      steps: prev.steps.map(s => s.id === id ? { ...s, ...updates } : s)
+    }));
+    setDryRun(null);
+  };
+
+  // Renaming a step also rewrites the branches that point at it
+  const renameStep = (oldId, newId) => {
+    if (!newId || newId === oldId || steps.some(s => s.id === newId)) return;
+    setWorkflow(prev => ({
+      ...prev,
+      steps: prev.steps.map(s => ({
+        ...s,
+        id: s.id === oldId ? newId : s.id,
+        onSuccess: s.onSuccess === oldId ? newId : s.onSuccess,
+        onError: s.onError === oldId ? newId : s.onError
+      }))
+    }));
+    setSelectedId(newId);
+  };
+
+  const addStep = (platform, action, position) => {
+    const info = catalog?.platforms?.[platform]?.find(a => a.action === action);
+    const id = uniqueStepId(steps, `${platform}_${action}`);
+    const step = {
+      id,
+      platform,
+      action,
+      params: Object.fromEntries((info?.params || []).map(p => [p, ''])),
+      position: position || {
+        x: 40 + (steps.length % 4) * (NODE_WIDTH + 60),
+        y: 40 + Math.floor(steps.length / 4) * (NODE_HEIGHT + 80)
+      }
+    };
+    updateWorkflow({ steps: [...steps, step] });
+    setSelectedId(id);
+  };
+
+  const removeStep = (id) => {
+    updateWorkflow({
+      steps: steps
+        .filter(s => s.id !== id)
+        .map(s => ({
+          ...s,
+          onSuccess: s.onSuccess === id ? undefined : s.onSuccess,
+          onError: s.onError === id ? undefined : s.onError
+        }))
+    });
+    setSelectedId(null);
+  };
+
+  const setParam = (key, text) => {
+    updateStep(selectedStep.id, { params: { ...(selectedStep.params || {}), [key]: textToParam(text) } });
+  };
+
+  const removeParam = (key) => {
+    const { [key]: removed, ...rest } = selectedStep.params || {};
+    updateStep(selectedStep.id, { params: rest });
+  };
+
+  const insertVariable = (name) => {
+    if (!selectedStep || !focusedParam) return;
+    const current = paramToText(selectedStep.params?.[focusedParam]);
+    setParam(focusedParam, `${current}{{${name}}}`);
+  };
+
+  // ============================================
+  // CANVAS INTERACTION
+  // ============================================
+
+  const handleNodeMouseDown = (e, step) => {
+    if (e.button !== 0) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    dragRef.current = {
+      id: step.id,
+      offsetX: e.clientX - rect.left - step.position.x,
+      offsetY: e.clientY - rect.top - step.position.y
+    };
+  };
+
+  const handleCanvasMouseMove = (e) => {
+    if (!dragRef.current) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = Math.max(0, Math.min(CANVAS_WIDTH - NODE_WIDTH, e.clientX - rect.left - dragRef.current.offsetX));
+    const y = Math.max(0, Math.min(CANVAS_HEIGHT - NODE_HEIGHT, e.clientY - rect.top - dragRef.current.offsetY));
+    const { id } = dragRef.current;
+    setWorkflow(prev => ({
+      ...prev,
+      steps: prev.steps.map(s => s.id === id ? { ...s, position: { x, y } } : s)
+    }));
+  };
+
+  const handleNodeClick = (step) => {
+    if (connecting) {
+      if (connecting.from !== step.id) {
+        updateStep(connecting.from, { [connecting.branch]: step.id });
+      }
+      setConnecting(null);
+      return;
+    }
+    setSelectedId(step.id);
+  };
+
+  const handleCanvasDrop = (e) => {
+    e.preventDefault();
+    const data = e.dataTransfer.getData('application/x-workflow-action');
+    if (!data) return;
+    const { platform, action } = JSON.parse(data);
+    const rect = canvasRef.current.getBoundingClientRect();
+    addStep(platform, action, {
+      x: Math.max(0, e.clientX - rect.left - NODE_WIDTH / 2),
+      y: Math.max(0, e.clientY - rect.top - NODE_HEIGHT / 2)
+    });
+  };
+
+  useEffect(() => {
+    const stopDrag = () => { dragRef.current = null; };
+    const cancelConnect = (e) => { if (e.key === 'Escape') setConnecting(null); };
+    window.addEventListener('mouseup', stopDrag);
+    window.addEventListener('keydown', cancelConnect);
+    return () => {
+      window.removeEventListener('mouseup', stopDrag);
+      window.removeEventListener('keydown', cancelConnect);
+    };
+  }, []);
+
+  // Edges: explicit onSuccess/onError plus the implicit "next step"
+  const edges = [];
+  steps.forEach((step, i) => {
+    const success = step.onSuccess || steps[i + 1]?.id;
+    const successTarget = steps.find(s => s.id === success);
+    if (successTarget) {
+      edges.push({ key: `${step.id}-ok`, from: step, to: successTarget, kind: step.onSuccess ? 'success' : 'next' });
+    }
+    const errorTarget = steps.find(s => s.id === step.onError);
+    if (errorTarget) {
+      edges.push({ key: `${step.id}-err`, from: step, to: errorTarget, kind: 'error' });
+    }
+  });
+
+  // ============================================
+  // SERVER ACTIONS
+  // ============================================
+
+  // Positions are saved with the definition so the canvas layout survives reloads
+  const definitionForSave = () => ({
+    ...workflow,
+    name: isBuiltin && workflowId ? `${workflow.name} (copy)` : workflow.name,
+    eventType: workflow.trigger === 'event' ? workflow.eventType : undefined,
+    steps: workflow.steps.map(({ onSuccess, onError, ...step }) => ({
+      ...step,
+      ...(onSuccess && { onSuccess }),
+      ...(onError && { onError })
+    }))
+  });
+
+  const runDryRun = async () => {
+    setDryRunning(true);
+    setRunResult(null);
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/dry-run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ workflow: definitionForSave(), inputs: dryRunInputs })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Dry run failed');
+      setDryRun(data);
+      setMessage(data.valid
+        ? { type: 'success', text: `Dry run passed through ${data.trace.length} step(s). Nothing was sent to any platform.` }
+        : { type: 'error', text: 'The workflow has errors', details: data.errors });
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setDryRunning(false);
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const isUpdate = workflowId && !isBuiltin;
+      const res = await fetch(`${API_URL}/api/workflows${isUpdate ? `/${workflowId}` : ''}`, {
+        method: isUpdate ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(definitionForSave())
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setMessage({ type: 'error', text: data.error || 'Save failed', details: data.details });
+        return;
+      }
+      setWorkflowId(data.id);
+      setIsBuiltin(false);
+      setWorkflow(prev => ({ ...prev, name: data.name }));
+      setMessage({ type: 'success', text: `Saved ${data.name} (v${data.version})` });
+      loadTemplates();
+      loadSchedules();
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Simulated runs go through the server's execute path but send nothing
+  const runSaved = async (simulate = false) => {
+    if (!workflowId) return;
+    setRunning(true);
+    setRunResult(null);
+    try {
+      const res = await fetch(`${API_URL}/api/workflows/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ templateId: workflowId, inputs: dryRunInputs, simulate })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Run failed');
+      if (data.simulated) {
+        setDryRun({ valid: true, errors: [], warnings: [], trace: data.trace });
+        setMessage({ type: 'success', text: `Simulated v${data.templateVersion}: ${data.trace.length} step(s) traced, no calls sent.` });
+      } else {
+        setRunResult(data);
+      }
+    } catch (e) {
+      setMessage({ type: 'error', text: e.message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  const panel = isDark ? 'border-purple-900/30 bg-white/5' : 'border-gray-200 bg-white';
+  const textMain = isDark ? 'text-white' : 'text-gray-900';
+  const textMuted = isDark ? 'text-gray-400' : 'text-gray-500';
+  const inputCls = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDark ? 'bg-black/30 border-purple-900/30 text-white placeholder-gray-600' : 'bg-white border-gray-200 text-gray-900 placeholder-gray-400'
+  }`;
+  const buttonCls = `flex items-center gap-2 px-3 py-2 rounded-lg text-sm disabled:opacity-50 ${
+    isDark ? 'bg-white/10 hover:bg-white/20 text-white' : 'bg-gray-100 hover:bg-gray-200 text-gray-900'
+  }`;
+
+  const stepIndex = selectedStep ? steps.findIndex(s => s.id === selectedStep.id) : -1;
+  const variables = [
+    ...workflow.inputs,
+    ...steps.slice(0, Math.max(stepIndex, 0)).map(s => `${s.id}.result`),
+    'error'
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className={`text-2xl font-bold flex items-center gap-2 ${textMain}`}>
+            <Workflow className="w-6 h-6 text-purple-400" />
+            Workflow Builder
+          </h1>
+          <p className={`mt-1 ${textMuted}`}>
+            Chain Taskade, Nifty, TaskMagic, GHL and AI steps, dry-run them, then save
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex items-center gap-2">
+            <FolderOpen className={`w-4 h-4 ${textMuted}`} />
+            <select
+              value={workflowId || ''}
+              onChange={(e) => openWorkflow(e.target.value)}
+              className={`${inputCls} w-56`}
+            >
+              <option value="">Open workflow...</option>
+              {templates.map(t => (
+                <option key={t.id} value={t.id}>{t.name}{t.builtin ? ' (built-in)' : ` (v${t.version})`}</option>
+              ))}
+            </select>
+          </div>
+          <button onClick={() => openDraft(emptyWorkflow())} className={buttonCls}>
+            <FilePlus className="w-4 h-4" />
+            New
+          </button>
+          <button onClick={runDryRun} disabled={dryRunning || steps.length === 0} className={buttonCls}>
+            {dryRunning ? <Loader2 className="w-4 h-4 animate-spin" /> : <FlaskConical className="w-4 h-4" />}
+            Dry run
+          </button>
+          {canEdit && (
+            <>
+              <button
+                onClick={() => runSaved(true)}
+                disabled={running || !workflowId}
+                title={workflowId ? 'Trace the saved version without calling any platform' : 'Save the workflow first'}
+                className={buttonCls}
+              >
+                <FlaskConical className="w-4 h-4" />
+                Simulate
+              </button>
+              <button
+                onClick={() => runSaved()}
+                disabled={running || !workflowId}
+                title={workflowId ? 'Run the saved version' : 'Save the workflow first'}
+                className={buttonCls}
+              >
+                {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+                Run
+              </button>
+              <button
+                onClick={save}
+                disabled={saving || steps.length === 0}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm bg-purple-600 hover:bg-purple-500 text-white disabled:opacity-50"
+              >
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                {isBuiltin && workflowId ? 'Save as copy' : 'Save'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* AI suggestion */}
+      <div className={`p-4 rounded-xl border flex flex-col sm:flex-row gap-2 ${panel}`}>
+        <input
+          value={suggestText}
+          onChange={(e) => setSuggestText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && suggest()}
+          placeholder="Describe an automation, e.g. 'When a ticket escalates, create a Nifty task and tag the GHL contact'"
+          className={inputCls}
+        />
+        <button
+          onClick={suggest}
+          disabled={suggesting || !suggestText.trim()}
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm bg-gradient-to-r from-purple-600 to-cyan-500 text-white disabled:opacity-50 whitespace-nowrap"
+        >
+          {suggesting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Wand2 className="w-4 h-4" />}
+          Suggest with AI
+        </button>
+      </div>
+
+      {/* Messages */}
+      {message && (
+        <div className={`p-3 rounded-lg border text-sm flex items-start gap-2 ${
+          message.type === 'error'
+            ? 'border-red-500/30 bg-red-500/10 text-red-400'
+            : message.type === 'success'
+              ? 'border-green-500/30 bg-green-500/10 text-green-400'
+              : 'border-cyan-500/30 bg-cyan-500/10 text-cyan-400'
+        }`}>
+          {message.type === 'error' ? <AlertCircle className="w-4 h-4 mt-0.5 shrink-0" /> : <CheckCircle2 className="w-4 h-4 mt-0.5 shrink-0" />}
+          <div className="flex-1">
+            <p>{message.text}</p>
+            {message.details?.length > 0 && (
+              <ul className="mt-1 space-y-0.5 text-xs">
+                {message.details.map((d, i) => <li key={i}><code>{d.path}</code>: {d.message}</li>)}
+              </ul>
+            )}
+          </div>
+          <button onClick={() => setMessage(null)}><X className="w-4 h-4" /></button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-[240px_1fr_320px] gap-4">
+        {/* Left: workflow settings + palette */}
+        <div className="space-y-4">
+          <div className={`p-4 rounded-xl border space-y-3 ${panel}`}>
+            <h2 className={`text-sm font-semibold ${textMain}`}>Workflow</h2>
+            <input
+              value={workflow.name}
+              onChange={(e) => updateWorkflow({ name: e.target.value })}
+              placeholder="Name"
+              className={inputCls}
+            />
+            <textarea
+              value={workflow.description || ''}
+              onChange={(e) => updateWorkflow({ description: e.target.value })}
+              placeholder="Description"
+              rows={2}
+              className={inputCls}
+            />
+            <select
+              value={workflow.trigger}
+              onChange={(e) => updateWorkflow({ trigger: e.target.value })}
+              className={inputCls}
+            >
+              {(catalog?.triggers || ['manual', 'event', 'scheduled']).map(t => (
+                <option key={t} value={t}>{t}</option>
+              ))}
+            </select>
+            {workflow.trigger === 'event' && (
+              <select
+                value={workflow.eventType || ''}
+                onChange={(e) => updateWorkflow({ eventType: e.target.value })}
+                className={inputCls}
+              >
+                <option value="">Select event...</option>
+                {(catalog?.events || []).map(ev => <option key={ev} value={ev}>{ev}</option>)}
+              </select>
+            )}
+            {workflow.trigger === 'scheduled' && (
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  value={workflow.schedule || ''}
+                  onChange={(e) => updateWorkflow({ schedule: e.target.value })}
+                  placeholder="0 8 * * 1"
+                  title="Cron expression"
+                  className={`${inputCls} font-mono`}
+                />
+                <input
+                  value={workflow.timezone || ''}
+                  onChange={(e) => updateWorkflow({ timezone: e.target.value || undefined })}
+                  placeholder="Timezone"
+                  title="IANA timezone, defaults to the server schedule timezone"
+                  className={inputCls}
+                />
+              </div>
+            )}
+            <div>
+              <label className={`text-xs ${textMuted}`}>Inputs (comma separated)</label>
+              <input
+                value={workflow.inputs.join(', ')}
+                onChange={(e) => updateWorkflow({
+                  inputs: e.target.value.split(',').map(i => i.trim()).filter(Boolean)
+                })}
+                placeholder="title, description"
+                className={inputCls}
+              />
+            </div>
+          </div>
+
+          {schedules.length > 0 && (
+            <div className={`p-4 rounded-xl border space-y-2 ${panel}`}>
+              <h2 className={`text-sm font-semibold flex items-center gap-2 ${textMain}`}>
+                <CalendarClock className="w-4 h-4" />
+                Schedules
+              </h2>
+              {schedules.map(schedule => (
+                <div key={schedule.workflowId} className="flex items-start gap-2 text-xs">
+                  <div className="flex-1 min-w-0">
+                    <button
+                      onClick={() => openWorkflow(schedule.workflowId)}
+                      className={`block truncate font-medium hover:text-purple-400 ${textMain}`}
+                    >
+                      {schedule.name}
+                    </button>
+                    <p className={textMuted}>
+                      <code>{schedule.schedule}</code> · {schedule.paused
+                        ? 'paused'
+                        : schedule.nextRun ? `next ${new Date(schedule.nextRun).toLocaleString()}` : 'no upcoming run'}
+                    </p>
+                    {schedule.lastRun && (
+                      <p className={schedule.lastRun.status === 'completed' ? 'text-green-400' : 'text-red-400'}>
+                        last {schedule.lastRun.status} {new Date(schedule.lastRun.startTime).toLocaleString()}
+                      </p>
+                    )}
+                  </div>
+                  {canEdit && (
+                    <button
+                      onClick={() => toggleSchedule(schedule)}
+                      title={schedule.paused ? 'Resume' : 'Pause'}
+                      className={`p-1 rounded ${isDark ? 'hover:bg-white/10' : 'hover:bg-gray-100'} ${textMuted}`}
+                    >
+                      {schedule.paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className={`p-4 rounded-xl border ${panel}`}>
+            <h2 className={`text-sm font-semibold mb-1 ${textMain}`}>Steps</h2>
+            <p className={`text-xs mb-3 ${textMuted}`}>Click or drag onto the canvas</p>
+            <div className="space-y-3 max-h-[520px] overflow-y-auto">
+              {Object.entries(catalog?.platforms || {}).map(([platform, actions]) => {
+                const style = PLATFORM_STYLES[platform] || PLATFORM_STYLES.internal;
+                return (
+                  <div key={platform}>
+                    <p className={`text-xs font-semibold uppercase tracking-wide mb-1 ${style.text}`}>{style.label}</p>
+                    <div className="space-y-1">
+                      {actions.map(a => (
+                        <button
+                          key={a.action}
+                          draggable
+                          onDragStart={(e) => e.dataTransfer.setData(
+                            'application/x-workflow-action',
+                            JSON.stringify({ platform, action: a.action })
+                          )}
+                          onClick={() => addStep(platform, a.action)}
+                          className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-xs text-left ${
+                            isDark ? 'hover:bg-white/10 text-gray-300' : 'hover:bg-gray-100 text-gray-700'
+                          }`}
+                        >
+                          <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+                          <span className="flex-1">{a.label}</span>
+                          {a.compensated && <span className={textMuted} title="Undone on rollback">↺</span>}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              {!catalog && <p className={`text-xs ${textMuted}`}>Loading actions...</p>}
+            </div>
+          </div>
+        </div>
+
+        {/* Canvas */}
+        <div className={`rounded-xl border overflow-auto ${panel}`} style={{ maxHeight: 720 }}>
+          {connecting && (
+            <div className="sticky top-0 left-0 z-20 px-3 py-2 text-xs bg-purple-600 text-white flex items-center gap-2">
+              <Link2 className="w-3 h-3" />
+              Click the step to run {connecting.branch === 'onError' ? 'when' : 'after'} "{connecting.from}" {connecting.branch === 'onError' ? 'fails' : 'succeeds'} (Esc to cancel)
+            </div>
+          )}
+          <div
+            ref={canvasRef}
+            onMouseMove={handleCanvasMouseMove}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleCanvasDrop}
+            onClick={(e) => { if (e.target === canvasRef.current) setSelectedId(null); }}
+            className="relative"
+            style={{
+              width: CANVAS_WIDTH,
+              height: CANVAS_HEIGHT,
+              backgroundImage: `radial-gradient(${isDark ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.08)'} 1px, transparent 1px)`,
+              backgroundSize: '20px 20px'
+            }}
+          >
+            <svg className="absolute inset-0 pointer-events-none" width={CANVAS_WIDTH} height={CANVAS_HEIGHT}>
+              <defs>
+                {['success', 'next', 'error'].map(kind => (
+                  <marker key={kind} id={`arrow-${kind}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill={kind === 'error' ? '#ef4444' : kind === 'success' ? '#22c55e' : '#6b7280'} />
+                  </marker>
+                ))}
+              </defs>
+              {edges.map(edge => (
+                <path
+                  key={edge.key}
+                  d={edgePath(edge.from.position, edge.to.position)}
+                  fill="none"
+                  stroke={edge.kind === 'error' ? '#ef4444' : edge.kind === 'success' ? '#22c55e' : '#6b7280'}
+                  strokeWidth="2"
+                  strokeDasharray={edge.kind === 'next' ? '6 4' : undefined}
+                  markerEnd={`url(#arrow-${edge.kind})`}
+                />
+              ))}
+            </svg>
+
+            {steps.length === 0 && (
+              <div className={`absolute inset-0 flex items-center justify-center text-sm ${textMuted}`}>
+                Add a step from the list, or describe the workflow and let AI draft it
+              </div>
+            )}
+
+            {steps.map((step, i) => {
+              const style = PLATFORM_STYLES[step.platform] || PLATFORM_STYLES.internal;
+              const selected = step.id === selectedId;
+              const traced = tracedIds.has(step.id);
+              return (
+                <div
+                  key={step.id}
+                  onMouseDown={(e) => handleNodeMouseDown(e, step)}
+                  onClick={() => handleNodeClick(step)}
+                  className={`absolute rounded-xl border-2 p-3 select-none cursor-move shadow-lg ${
+                    isDark ? 'bg-[#0b0b12]' : 'bg-white'
+                  } ${selected ? 'border-purple-500' : traced ? 'border-cyan-400' : style.border} ${
+                    connecting && connecting.from !== step.id ? 'ring-2 ring-purple-400/50' : ''
+                  }`}
+                  style={{ left: step.position.x, top: step.position.y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                >
+                  <div className="flex items-center gap-2">
+                    <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+                    <span className={`text-xs font-medium ${style.text}`}>{style.label}</span>
+                    {i === 0 && <span className="ml-auto text-[10px] px-1.5 rounded bg-purple-500/20 text-purple-300">start</span>}
+                  </div>
+                  <p className={`text-sm font-semibold truncate mt-1 ${textMain}`}>{step.id}</p>
+                  <p className={`text-xs truncate ${textMuted}`}>
+                    {step.action}{step.condition ? ' · if ' + conditionToText(step.condition) : ''}
+                  </p>
+                  {canEdit && (
+                    <div className="absolute -bottom-3 left-0 right-0 flex justify-center gap-3">
+                      <button
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => { e.stopPropagation(); setConnecting({ from: step.id, branch: 'onSuccess' }); }}
+                        title="Connect on success"
+                        className="w-5 h-5 rounded-full bg-green-500 text-white text-[10px] flex items-center justify-center"
+                      >✓</button>
+                      <button
+                        onMouseDown={(e) => e.stopPropagation()}
+                        onClick={(e) => { e.stopPropagation(); setConnecting({ from: step.id, branch: 'onError' }); }}
+                        title="Connect on error"
+                        className="w-5 h-5 rounded-full bg-red-500 text-white text-[10px] flex items-center justify-center"
+                      >✕</button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Right: step inspector + dry run */}
+        <div className="space-y-4">
+          {selectedStep ? (
+            <div className={`p-4 rounded-xl border space-y-3 ${panel}`}>
+              <div className="flex items-center justify-between">
+                <h2 className={`text-sm font-semibold ${textMain}`}>Step</h2>
+                <button onClick={() => removeStep(selectedStep.id)} className="p-1 rounded text-red-400 hover:bg-red-500/10" title="Delete step">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div>
+                <label className={`text-xs ${textMuted}`}>Id</label>
+                <input
+                  key={selectedStep.id}
+                  defaultValue={selectedStep.id}
+                  onBlur={(e) => renameStep(selectedStep.id, e.target.value.trim().replace(/\s+/g, '_'))}
+                  className={inputCls}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className={`text-xs ${textMuted}`}>Platform</label>
+                  <select
+                    value={selectedStep.platform}
+                    onChange={(e) => {
+                      const first = catalog?.platforms?.[e.target.value]?.[0]?.action;
+                      updateStep(selectedStep.id, { platform: e.target.value, action: first });
+                    }}
+                    className={inputCls}
+                  >
+                    {Object.keys(catalog?.platforms || {}).map(p => (
+                      <option key={p} value={p}>{PLATFORM_STYLES[p]?.label || p}</option>
+                    ))}
+                    {!catalog?.platforms?.[selectedStep.platform] && (
+                      <option value={selectedStep.platform}>{selectedStep.platform}</option>
+                    )}
+                  </select>
+                </div>
+                <div>
+                  <label className={`text-xs ${textMuted}`}>Action</label>
+                  <select
+                    value={selectedStep.action}
+                    onChange={(e) => updateStep(selectedStep.id, { action: e.target.value })}
+                    className={inputCls}
+                  >
+                    {(catalog?.platforms?.[selectedStep.platform] || [{ action: selectedStep.action, label: selectedStep.action }]).map(a => (
+                      <option key={a.action} value={a.action}>{a.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className={`text-xs ${textMuted}`}>Parameters</label>
+                <div className="space-y-2 mt-1">
+                  {Object.entries(selectedStep.params || {}).map(([key, value]) => (
+                    <div key={key} className="flex items-center gap-1">
+                      <span className={`text-xs w-20 truncate ${textMuted}`} title={key}>{key}</span>
+                      <input
+                        value={paramToText(value)}
+                        onChange={(e) => setParam(key, e.target.value)}
+                        onFocus={() => setFocusedParam(key)}
+                        placeholder="value or {{input}}"
+                        className={`${inputCls} ${focusedParam === key ? 'ring-1 ring-purple-500' : ''}`}
+                      />
+                      <button onClick={() => removeParam(key)} className={`p-1 ${textMuted} hover:text-red-400`}>
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => {
+                      const key = window.prompt('Parameter name');
+                      if (key) setParam(key.trim(), '');
+                    }}
+                    className={`flex items-center gap-1 text-xs ${textMuted} hover:text-purple-400`}
+                  >
+                    <Plus className="w-3 h-3" /> Add parameter
+                  </button>
+                </div>
+                {variables.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {variables.map(v => (
+                      <button
+                        key={v}
+                        onClick={() => insertVariable(v)}
+                        disabled={!focusedParam}
+                        title={focusedParam ? `Insert into ${focusedParam}` : 'Focus a parameter first'}
+                        className="px-1.5 py-0.5 rounded text-[11px] bg-purple-500/15 text-purple-300 disabled:opacity-40"
+                      >
+                        {`{{${v}}}`}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <label className={`text-xs ${textMuted}`}>Run only if</label>
+                <input
+                  value={conditionToText(selectedStep.condition)}
+                  onChange={(e) => updateStep(selectedStep.id, { condition: textToCondition(e.target.value) })}
+                  placeholder='{{taskId}} or {"field":"urgency","op":">=","value":8}'
+                  className={inputCls}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                {['onSuccess', 'onError'].map(branch => (
+                  <div key={branch}>
+                    <label className={`text-xs ${branch === 'onError' ? 'text-red-400' : 'text-green-400'}`}>
+                      {branch === 'onError' ? 'On error' : 'On success'}
+                    </label>
+                    <select
+                      value={selectedStep[branch] || ''}
+                      onChange={(e) => updateStep(selectedStep.id, { [branch]: e.target.value || undefined })}
+                      className={inputCls}
+                    >
+                      <option value="">{branch === 'onError' ? 'Stop' : 'Next step'}</option>
+                      <option value="complete">End workflow</option>
+                      {steps.filter(s => s.id !== selectedStep.id).map(s => (
+                        <option key={s.id} value={s.id}>{s.id}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className={`text-xs ${textMuted}`}>Max attempts</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={selectedStep.maxAttempts || ''}
+                    onChange={(e) => updateStep(selectedStep.id, { maxAttempts: parseInt(e.target.value) || undefined })}
+                    placeholder="default"
+                    className={inputCls}
+                  />
+                </div>
+                <div>
+                  <label className={`text-xs ${textMuted}`}>Undo on rollback</label>
+                  <select
+                    value={selectedStep.compensate === false ? 'off' : 'default'}
+                    onChange={(e) => updateStep(selectedStep.id, { compensate: e.target.value === 'off' ? false : undefined })}
+                    className={inputCls}
+                  >
+                    <option value="default">Default</option>
+                    <option value="off">Never</option>
+                  </select>
+                </div>
+              </div>
+
+              <label className={`flex items-center gap-2 text-xs ${textMuted}`}>
+                <input
+                  type="checkbox"
+                  checked={selectedStep.rollbackOnFailure !== false}
+                  onChange={(e) => updateStep(selectedStep.id, { rollbackOnFailure: e.target.checked ? undefined : false })}
+                />
+                Roll back earlier steps if this step fails
+              </label>
+            </div>
+          ) : (
+            <div className={`p-4 rounded-xl border text-sm ${panel} ${textMuted}`}>
+              Select a step to edit its parameters and branches. Use the green and red handles to wire
+              success and error paths.
+            </div>
+          )}
+
+          {/* Dry run inputs and trace */}
+          <div className={`p-4 rounded-xl border space-y-3 ${panel}`}>
+            <h2 className={`text-sm font-semibold flex items-center gap-2 ${textMain}`}>
+              <FlaskConical className="w-4 h-4" />
+              Test inputs
+            </h2>
+            {workflow.inputs.length === 0 && <p className={`text-xs ${textMuted}`}>This workflow has no inputs.</p>}
+            {workflow.inputs.map(name => (
+              <div key={name}>
+                <label className={`text-xs ${textMuted}`}>{name}</label>
+                <input
+                  value={dryRunInputs[name] || ''}
+                  onChange={(e) => setDryRunInputs(prev => ({ ...prev, [name]: e.target.value }))}
+                  className={inputCls}
+                />
+              </div>
+            ))}
+
+            {dryRun?.warnings?.length > 0 && (
+              <ul className="space-y-1">
+                {dryRun.warnings.map((w, i) => (
+                  <li key={i} className="text-xs text-yellow-400 flex gap-1">
+                    <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />{w.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {dryRun?.trace?.length > 0 && (
+              <ol className="space-y-2">
+                {dryRun.trace.map((t, i) => (
+                  <li key={i} className={`text-xs p-2 rounded-lg ${isDark ? 'bg-black/30' : 'bg-gray-50'}`}>
+                    <div className="flex items-center gap-2">
+                      <span className={`font-semibold ${textMain}`}>{i + 1}. {t.stepId}</span>
+                      <span className={textMuted}>{t.platform}.{t.action}</span>
+                      {t.skipped && <span className="ml-auto text-yellow-400">skipped</span>}
+                    </div>
+                    {t.params && (
+                      <pre className={`mt-1 whitespace-pre-wrap break-all ${textMuted}`}>{JSON.stringify(t.params, null, 2)}</pre>
+                    )}
+                    {t.unresolved && <p className="mt-1 text-yellow-400">Unresolved: {t.unresolved.join(', ')}</p>}
+                    {t.compensation && <p className={`mt-1 ${textMuted}`}>Undo: {t.compensation}</p>}
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            {runResult && (
+              <div className={`text-xs p-2 rounded-lg ${isDark ? 'bg-black/30' : 'bg-gray-50'}`}>
+                <p className={`font-semibold flex items-center gap-1 ${runResult.status === 'completed' ? 'text-green-400' : 'text-red-400'}`}>
+                  {runResult.status === 'completed' ? <CheckCircle2 className="w-3 h-3" /> : <XCircle className="w-3 h-3" />}
+                  Run {runResult.status}
+                </p>
+                {Object.entries(runResult.stepResults || {}).map(([id, r]) => (
+                  <p key={id} className={textMuted}>
+                    {id}: {r.success ? 'ok' : r.error}{r.attempts > 1 ? ` (${r.attempts} attempts)` : ''}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WorkflowBuilder;
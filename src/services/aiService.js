@@ -5,6 +5,7 @@
 import { COMMANDER_AGENT, SPECIALIZED_AGENTS, findBestAgentForTask, getAgentById } from '../data/agents';
 import { getAgentKnowledge } from '../data/knowledgebase/index';
 import { API_URL } from '../config';
+import { streamChat } from './chatStream';
 
 const BACKEND_URL = API_URL;
 const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
@@ -25,7 +26,6 @@ const STORAGE_KEYS = {
 const DEFAULT_INTEGRATIONS = {
   freshdesk: {
     domain: 'gohighlevelassist',
-    apiKey: '',
     agentId: '155014160586'
   },
   clickup: {
@@ -101,6 +101,11 @@ class AIService {
     if (!this.integrations) {
       this.integrations = DEFAULT_INTEGRATIONS;
       this.saveToStorage(STORAGE_KEYS.INTEGRATIONS, this.integrations);
+    } else if (this.integrations.freshdesk?.apiKey !== undefined) {
+      // The Freshdesk API key lives on the server now; drop copies saved by earlier versions
+      const { apiKey, ...freshdesk } = this.integrations.freshdesk;
+      this.integrations = { ...this.integrations, freshdesk };
+      this.saveToStorage(STORAGE_KEYS.INTEGRATIONS, this.integrations);
     }
 
     // Check backend connection on startup
@@ -130,6 +135,16 @@ class AIService {
     return false;
   }
 
+  // POST JSON to the backend; null when the server answers with an error
+  async postJson(path, body) {
+    const response = await fetch(`${BACKEND_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.ok ? response.json() : null;
+  }
+
   async loadMemoryFacts() {
     try {
       const response = await fetch(`${BACKEND_URL}/api/memory/facts`);
@@ -254,19 +269,17 @@ class AIService {
   // COMMANDER WITH FULL APP CONTEXT
   // ============================================
 
-  // Chat with full access to tickets, analyses, agents
-  async commanderChat(message) {
+  // Chat with full access to tickets, analyses, agents.
+  // options.onToken streams partial text while the reply is generated.
+  async commanderChat(message, options = {}) {
     // Try backend first
     if (this.backendConnected) {
       try {
-        const response = await fetch(`${BACKEND_URL}/api/commander/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ message })
-        });
-
-        if (response.ok) {
-          const data = await response.json();
+        const data = options.onToken
+          ? await streamChat('/api/commander/chat', { message }, options)
+          : await this.postJson('/api/commander/chat', { message });
+
+        if (data) {
           this.addToHistory('user', message);
           this.addToHistory('assistant', data.response);
           return data;
@@ -528,31 +541,30 @@ class AIService {
     return suggestions;
   }
 
-  async generateResponse(userMessage, context = {}) {
+  // options.onToken streams partial text from the backend while it is generated
+  async generateResponse(userMessage, context = {}, options = {}) {
     // Add to local conversation history
     this.addToHistory('user', userMessage);
 
     // Try backend first (uses Claude/GPT with persistent memory)
     if (this.backendConnected) {
       try {
-        const response = await fetch(`${BACKEND_URL}/api/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            message: userMessage,
-            conversationId: this.conversationId,
-            userId: 'default',
-            context: {
-              activeTasks: context.activeTasks?.length || 0,
-              isScreenSharing: context.isScreenSharing || false,
-              goals: this.userGoals.filter(g => g.status === 'active').map(g => g.text),
-              pendingTasks: this.pendingTasks.filter(t => t.status === 'pending').map(t => t.text)
-            }
-          })
-        });
-
-        if (response.ok) {
-          const data = await response.json();
+        const body = {
+          message: userMessage,
+          conversationId: this.conversationId,
+          userId: 'default',
+          context: {
+            activeTasks: context.activeTasks?.length || 0,
+            isScreenSharing: context.isScreenSharing || false,
+            goals: this.userGoals.filter(g => g.status === 'active').map(g => g.text),
+            pendingTasks: this.pendingTasks.filter(t => t.status === 'pending').map(t => t.text)
+          }
+        };
+        const data = options.onToken
+          ? await streamChat('/api/chat', body, options)
+          : await this.postJson('/api/chat', body);
+
+        if (data) {
           this.conversationId = data.conversationId;
           this.addToHistory('assistant', data.response);
 
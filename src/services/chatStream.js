@@ -0,0 +1,124 @@
+/**
+ * Streaming chat client
+ *
+ * POSTs to the SSE chat endpoints (/api/chat, /api/commander/chat,
+ * /api/agents/:agentId/chat) and hands partial text to the caller as it
+ * arrives. Also splits streamed text into sentences so voice surfaces can
+ * start speaking before the whole reply is written.
+ */
+
+import { API_URL } from '../config';
+
+/**
+ * Stream a chat reply. onToken(text, fullTextSoFar) fires per chunk;
+ * resolves with the endpoint's usual JSON body from the final `done` event.
+ */
+export async function streamChat(path, body, { onToken, signal } = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw new Error(err.error || `HTTP ${response.status}`);
+  }
+
+  // Older servers answer with plain JSON
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    const data = await response.json();
+    if (data.response) onToken?.(data.response, data.response);
+    return data;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const raw of events) {
+      const event = raw.match(/^event: (.*)$/m)?.[1];
+      const data = raw.match(/^data: (.*)$/m)?.[1];
+      if (!event || !data) continue;
+      const payload = JSON.parse(data);
+
+      if (event === 'token') {
+        text += payload.text;
+        onToken?.(payload.text, text);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw new Error(payload.error);
+      }
+    }
+  }
+
+  return result || { response: text };
+}
+
+// A sentence ends at . ! ? or … (plus closing quotes/brackets) before whitespace,
+// or at a line break. Fragments shorter than this are merged with the next one
+// so abbreviations and list numbers don't become one-word utterances.
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n+/g;
+const MIN_SENTENCE_LENGTH = 24;
+
+/**
+ * Queue streamed text for speech one sentence at a time.
+ * speak(sentence, prepared) must return a promise that settles when playback
+ * ends. The optional prepare(sentence) runs as soon as a sentence is queued
+ * (e.g. to fetch its audio) so the next clip is ready when the current ends.
+ */
+export function createSentenceSpeaker(speak, { prepare } = {}) {
+  let buffer = '';
+  let queue = Promise.resolve();
+  let stopped = false;
+
+  const enqueue = (sentence) => {
+    // Drop markdown emphasis and list/heading markers that TTS would read aloud
+    const clean = sentence.replace(/[*`_]/g, '').replace(/^\s*(?:#+|>|[-•]|\d+\.)\s+/gm, '').trim();
+    if (!clean) return;
+    const prepared = prepare ? Promise.resolve(prepare(clean)).catch(() => null) : null;
+    queue = queue.then(() => (stopped ? null : speak(clean, prepared))).catch(() => {});
+  };
+
+  return {
+    push(text) {
+      if (stopped) return;
+      buffer += text;
+      let start = 0;
+      let match;
+      SENTENCE_END.lastIndex = 0;
+      while ((match = SENTENCE_END.exec(buffer))) {
+        const end = match.index + match[0].length;
+        if (end - start >= MIN_SENTENCE_LENGTH || match[0].includes('\n')) {
+          enqueue(buffer.slice(start, end));
+          start = end;
+        }
+      }
+      buffer = buffer.slice(start);
+    },
+    /** Speak whatever is left; resolves when everything queued has played */
+    flush() {
+      if (!stopped) enqueue(buffer);
+      buffer = '';
+      return queue;
+    },
+    stop() {
+      stopped = true;
+      buffer = '';
+    },
+  };
+}
+
+export default { streamChat, createSentenceSpeaker };